@@ -15,12 +15,27 @@
  * 1. Create Firebase project at https://console.firebase.google.com/
  * 2. Generate service account key (Project Settings → Service Accounts)
  * 3. Set environment variables in .env
+ *
+ * Layout: each organization's data lives under organizations/{orgId}/
+ * (content, content_drafts, content_history, campaigns, users, analytics,
+ * analytics_hourly and analytics_daily rollups).
  */
 
+const crypto = require('crypto');
 const admin = require('firebase-admin');
 
 let db;
 
+const ROLLUP_COLLECTIONS = {
+  hour: 'analytics_hourly',
+  day: 'analytics_daily',
+};
+
+const SESSION_ROLLUP_COLLECTIONS = {
+  hour: 'analytics_hourly_sessions',
+  day: 'analytics_daily_sessions',
+};
+
 /**
  * Initialize Firebase connection
  */
@@ -35,10 +50,15 @@ async function initialize() {
           privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
         };
 
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
-    });
+    if (process.env.FIRESTORE_EMULATOR_HOST) {
+      // The emulator accepts any project ID and needs no credentials
+      admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'portal-ar-test' });
+    } else {
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
+      });
+    }
 
     db = admin.firestore();
     console.log('Firebase Firestore connected');
@@ -57,204 +77,1841 @@ async function close() {
   }
 }
 
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+async function getAppliedMigrations() {
+  const snapshot = await db.collection('schema_migrations').get();
+
+  return snapshot.docs
+    .map(doc => ({
+      version: doc.data().version,
+      name: doc.data().name,
+      appliedAt: doc.data().appliedAt?.toDate().toISOString() || null,
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Run one migration step and record it
+ * Firestore has no multi-collection DDL transactions, so the version is
+ * only recorded once the step has completed.
+ */
+async function runMigration(migration, direction) {
+  const step = migration.firebase && migration.firebase[direction];
+  const docRef = db.collection('schema_migrations').doc(String(migration.version));
+
+  if (step) {
+    await step(db);
+  }
+
+  if (direction === 'up') {
+    await docRef.set({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } else {
+    await docRef.delete();
+  }
+}
+
 // ============================================================================
 // Content Operations
 // ============================================================================
 
-async function getContent(markerId) {
-  const docRef = db.collection('content').doc(markerId);
+async function getContent(orgId, markerId) {
+  const docRef = orgRef(orgId).collection('content').doc(markerId);
   const doc = await docRef.get();
 
   if (!doc.exists) {
     return null;
   }
 
+  return parseContentDoc(doc);
+}
+
+async function setContent(orgId, markerId, content) {
+  const docRef = orgRef(orgId).collection('content').doc(markerId);
+
+  // Replace the whole document (like the SQL upserts) but keep createdAt
+  const doc = await docRef.get();
+
+  await docRef.set({
+    type: content.type,
+    title: content.title || null,
+    summary: content.summary || null,
+    url: content.url || null,
+    videoUrl: content.videoUrl || null,
+    posterUrl: content.posterUrl || null,
+    modelUrl: content.modelUrl || null,
+    imageUrl: content.imageUrl || null,
+    ctaText: content.ctaText || null,
+    ctaUrl: content.ctaUrl || null,
+    style: content.style || null,
+    schedule: content.schedule || null,
+    variants: content.variants || null,
+    rules: content.rules || null,
+    translations: content.translations || null,
+    campaignId: content.campaignId || null,
+    expiresAt: content.expiresAt || null,
+    createdAt: doc.exists && doc.data().createdAt
+      ? doc.data().createdAt
+      : admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
   return {
     markerId,
-    ...doc.data(),
+    ...content,
   };
 }
 
-async function setContent(markerId, content) {
-  const docRef = db.collection('content').doc(markerId);
-  
-  const data = {
-    ...content,
+async function deleteContent(orgId, markerId) {
+  const docRef = orgRef(orgId).collection('content').doc(markerId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return { deleted: false };
+  }
+
+  await docRef.delete();
+  return { deleted: true };
+}
+
+/**
+ * List content, newest first
+ * Options:
+ * - campaignId: only markers in this campaign
+ */
+async function listAllContent(orgId, options = {}) {
+  const { campaignId } = options;
+  let query = orgRef(orgId).collection('content');
+
+  if (campaignId) {
+    query = query.where('campaignId', '==', campaignId);
+  }
+
+  const snapshot = await query.orderBy('updatedAt', 'desc').get();
+
+  return snapshot.docs.map(parseContentDoc);
+}
+
+// ============================================================================
+// Content Drafts
+// ============================================================================
+
+async function getDraft(orgId, markerId) {
+  const doc = await orgRef(orgId).collection('content_drafts').doc(markerId).get();
+  return doc.exists ? parseDraftDoc(doc) : null;
+}
+
+/**
+ * Create or replace a draft; any previous approval is cleared
+ */
+async function setDraft(orgId, markerId, draft) {
+  const docRef = orgRef(orgId).collection('content_drafts').doc(markerId);
+  const doc = await docRef.get();
+
+  await docRef.set({
+    content: draft.content,
+    author: draft.author || null,
+    approvedBy: null,
+    approvedAt: null,
+    createdAt: doc.exists && doc.data().createdAt
+      ? doc.data().createdAt
+      : admin.firestore.FieldValue.serverTimestamp(),
     updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-  };
+  });
 
-  // Add createdAt only for new documents
+  return getDraft(orgId, markerId);
+}
+
+async function approveDraft(orgId, markerId, approver) {
+  const docRef = orgRef(orgId).collection('content_drafts').doc(markerId);
   const doc = await docRef.get();
+
   if (!doc.exists) {
-    data.createdAt = admin.firestore.FieldValue.serverTimestamp();
+    return null;
   }
 
-  await docRef.set(data, { merge: true });
+  await docRef.update({
+    approvedBy: approver,
+    approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
 
-  return {
-    markerId,
-    ...content,
-  };
+  return getDraft(orgId, markerId);
 }
 
-async function deleteContent(markerId) {
-  const docRef = db.collection('content').doc(markerId);
+async function deleteDraft(orgId, markerId) {
+  const docRef = orgRef(orgId).collection('content_drafts').doc(markerId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return { deleted: false };
+  }
+
   await docRef.delete();
   return { deleted: true };
 }
 
-async function listAllContent() {
-  const snapshot = await db.collection('content')
-    .orderBy('updatedAt', 'desc')
-    .get();
+/**
+ * Remove a draft and return it (null if there is none or, with `approved`,
+ * if it isn't approved) in one step, so it is published at most once and
+ * only as approved
+ */
+async function takeDraft(orgId, markerId, { approved = false } = {}) {
+  const docRef = orgRef(orgId).collection('content_drafts').doc(markerId);
 
-  return snapshot.docs.map(doc => ({
-    markerId: doc.id,
-    ...doc.data(),
-  }));
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists || (approved && !doc.data().approvedBy)) {
+      return null;
+    }
+
+    transaction.delete(docRef);
+    return parseDraftDoc(doc);
+  });
 }
 
 // ============================================================================
-// Analytics Operations
+// Content Revisions
 // ============================================================================
 
-async function recordAnalyticsEvent(event) {
-  const {
-    markerId,
-    eventType,
-    sessionId,
-    timestamp,
-    duration,
-    userAgent,
-    ipAddress,
-    metadata,
-  } = event;
+/**
+ * Append an immutable revision under content_history/{markerId}/revisions
+ * A transaction on the history document hands out revision numbers
+ */
+async function addContentRevision(orgId, markerId, revision) {
+  const { content, diff, author, restoredFrom } = revision;
+  const historyRef = orgRef(orgId).collection('content_history').doc(markerId);
 
-  const docRef = await db.collection('analytics').add({
-    markerId,
-    eventType,
-    sessionId: sessionId || null,
-    timestamp: timestamp ? admin.firestore.Timestamp.fromDate(new Date(timestamp)) : admin.firestore.FieldValue.serverTimestamp(),
-    duration: duration || null,
-    userAgent: userAgent || null,
-    ipAddress: ipAddress || null,
-    metadata: metadata || null,
+  const record = await db.runTransaction(async (transaction) => {
+    const history = await transaction.get(historyRef);
+    const next = (history.exists ? history.data().latestRevision || 0 : 0) + 1;
+
+    const data = {
+      revision: next,
+      content,
+      diff: diff || null,
+      author: author || null,
+      restoredFrom: restoredFrom || null,
+      createdAt: admin.firestore.Timestamp.now(),
+    };
+
+    transaction.set(historyRef, { latestRevision: next });
+    transaction.create(historyRef.collection('revisions').doc(String(next)), data);
+
+    return data;
   });
 
-  return {
-    id: docRef.id,
-    ...event,
-  };
+  return parseRevisionData(orgId, markerId, record);
 }
 
-async function getAnalytics(markerId, options = {}) {
-  const { startDate, endDate, eventType, limit = 1000 } = options;
+async function listContentRevisions(orgId, markerId) {
+  const snapshot = await orgRef(orgId).collection('content_history').doc(markerId)
+    .collection('revisions')
+    .orderBy('revision', 'desc')
+    .get();
 
-  let query = db.collection('analytics').where('markerId', '==', markerId);
+  return snapshot.docs.map(doc => parseRevisionData(orgId, markerId, doc.data()));
+}
 
-  if (startDate) {
-    query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(startDate)));
-  }
+async function getContentRevision(orgId, markerId, revision) {
+  const doc = await orgRef(orgId).collection('content_history').doc(markerId)
+    .collection('revisions')
+    .doc(String(revision))
+    .get();
 
-  if (endDate) {
-    query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(new Date(endDate)));
-  }
+  return doc.exists ? parseRevisionData(orgId, markerId, doc.data()) : null;
+}
 
-  if (eventType) {
-    query = query.where('eventType', '==', eventType);
+// ============================================================================
+// Campaigns
+// ============================================================================
+
+async function getCampaign(orgId, id) {
+  const doc = await orgRef(orgId).collection('campaigns').doc(id).get();
+  return doc.exists ? parseCampaignDoc(doc) : null;
+}
+
+async function listCampaigns(orgId) {
+  const snapshot = await orgRef(orgId).collection('campaigns')
+    .orderBy('updatedAt', 'desc')
+    .get();
+
+  return snapshot.docs.map(parseCampaignDoc);
+}
+
+/**
+ * Create or replace a campaign (createdAt is kept)
+ */
+async function setCampaign(orgId, id, campaign) {
+  const docRef = orgRef(orgId).collection('campaigns').doc(id);
+  const doc = await docRef.get();
+
+  await docRef.set({
+    name: campaign.name,
+    client: campaign.client || null,
+    startsAt: campaign.startsAt ? new Date(campaign.startsAt).toISOString() : null,
+    endsAt: campaign.endsAt ? new Date(campaign.endsAt).toISOString() : null,
+    defaultStyle: campaign.defaultStyle || null,
+    tags: campaign.tags || [],
+    status: campaign.status || 'active',
+    createdAt: doc.exists && doc.data().createdAt
+      ? doc.data().createdAt
+      : admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return getCampaign(orgId, id);
+}
+
+async function deleteCampaign(orgId, id) {
+  const docRef = orgRef(orgId).collection('campaigns').doc(id);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return { deleted: false };
   }
 
-  query = query.orderBy('timestamp', 'desc').limit(limit);
+  await docRef.delete();
+  return { deleted: true };
+}
 
-  const snapshot = await query.get();
+// ============================================================================
+// Organizations
+// ============================================================================
 
-  return snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data(),
-    timestamp: doc.data().timestamp?.toDate().toISOString(),
-  }));
+async function getOrganization(id) {
+  const doc = await orgRef(id).get();
+  return doc.exists ? parseOrganizationDoc(doc) : null;
 }
 
-async function getAnalyticsSummary(markerId) {
-  const snapshot = await db.collection('analytics')
-    .where('markerId', '==', markerId)
-    .get();
+async function listOrganizations() {
+  const snapshot = await db.collection('organizations').orderBy('name').get();
+  return snapshot.docs.map(parseOrganizationDoc);
+}
 
-  let totalScans = 0;
-  let totalClicks = 0;
-  let totalDuration = 0;
-  let durationCount = 0;
-  let lastScan = null;
+/**
+ * Create or rename an organization (createdAt is kept)
+ * Only the organization document is written; its data subcollections are
+ * left untouched
+ */
+async function setOrganization(id, organization) {
+  const docRef = orgRef(id);
+  const doc = await docRef.get();
 
-  snapshot.docs.forEach(doc => {
-    const data = doc.data();
-    
-    if (data.eventType === 'scan') {
-      totalScans++;
-      const scanTime = data.timestamp?.toDate();
-      if (!lastScan || scanTime > lastScan) {
-        lastScan = scanTime;
-      }
-    } else if (data.eventType === 'click') {
-      totalClicks++;
-    } else if (data.eventType === 'viewDuration' && data.duration) {
-      totalDuration += data.duration;
-      durationCount++;
-    }
+  await docRef.set({
+    name: organization.name,
+    createdAt: doc.exists && doc.data().createdAt
+      ? doc.data().createdAt
+      : admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
   });
 
-  return {
-    markerId,
-    totalScans,
-    totalClicks,
-    avgDuration: durationCount > 0 ? totalDuration / durationCount : 0,
-    lastScan: lastScan?.toISOString() || null,
-  };
+  return getOrganization(id);
 }
 
-async function getAllAnalyticsSummaries() {
-  const snapshot = await db.collection('analytics').get();
+// ============================================================================
+// Users
+// ============================================================================
 
-  const summaries = {};
+async function getUser(orgId, username) {
+  const doc = await orgRef(orgId).collection('users').doc(username).get();
+  return doc.exists ? parseUserDoc(doc) : null;
+}
 
-  snapshot.docs.forEach(doc => {
-    const data = doc.data();
-    const { markerId, eventType, duration, timestamp } = data;
+/**
+ * The user created by single sign-on for an identity provider subject
+ */
+async function getUserByOidcSubject(orgId, subject) {
+  const snapshot = await orgRef(orgId).collection('users')
+    .where('oidcSubject', '==', subject)
+    .limit(1)
+    .get();
 
-    if (!summaries[markerId]) {
-      summaries[markerId] = {
-        markerId,
-        totalScans: 0,
-        totalClicks: 0,
-        totalDuration: 0,
-        durationCount: 0,
-        lastScan: null,
-      };
-    }
+  return snapshot.empty ? null : parseUserDoc(snapshot.docs[0]);
+}
 
-    const summary = summaries[markerId];
+async function listUsers(orgId) {
+  const snapshot = await orgRef(orgId).collection('users').get();
 
-    if (eventType === 'scan') {
-      summary.totalScans++;
-      const scanTime = timestamp?.toDate();
-      if (!summary.lastScan || scanTime > summary.lastScan) {
-        summary.lastScan = scanTime;
-      }
-    } else if (eventType === 'click') {
-      summary.totalClicks++;
-    } else if (eventType === 'viewDuration' && duration) {
-      summary.totalDuration += duration;
-      summary.durationCount++;
-    }
+  // Document IDs are the usernames; sort client-side like the other adapters
+  return snapshot.docs
+    .map(parseUserDoc)
+    .sort((a, b) => (a.username < b.username ? -1 : 1));
+}
+
+/**
+ * Create or replace a user (createdAt, lastLoginAt and the oidcSubject it
+ * was created with are kept)
+ */
+async function setUser(orgId, username, user) {
+  const docRef = orgRef(orgId).collection('users').doc(username);
+  const doc = await docRef.get();
+  const existing = doc.exists ? doc.data() : {};
+
+  await docRef.set({
+    passwordHash: user.passwordHash,
+    role: user.role,
+    oidcSubject: (doc.exists ? existing.oidcSubject : user.oidcSubject) || null,
+    lastLoginAt: existing.lastLoginAt || null,
+    createdAt: existing.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
   });
 
-  return Object.values(summaries).map(s => ({
-    markerId: s.markerId,
-    totalScans: s.totalScans,
-    totalClicks: s.totalClicks,
-    avgDuration: s.durationCount > 0 ? s.totalDuration / s.durationCount : 0,
-    lastScan: s.lastScan?.toISOString() || null,
-  })).sort((a, b) => b.totalScans - a.totalScans);
+  return getUser(orgId, username);
+}
+
+async function recordUserLogin(orgId, username) {
+  const docRef = orgRef(orgId).collection('users').doc(username);
+  const doc = await docRef.get();
+
+  if (doc.exists) {
+    await docRef.update({ lastLoginAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+}
+
+async function deleteUser(orgId, username) {
+  const docRef = orgRef(orgId).collection('users').doc(username);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return { deleted: false };
+  }
+
+  await docRef.delete();
+  return { deleted: true };
+}
+
+// ============================================================================
+// User TOTP
+// ============================================================================
+
+async function getUserTotp(orgId, username) {
+  const doc = await orgRef(orgId).collection('user_totp').doc(username).get();
+  return doc.exists ? parseUserTotpDoc(doc) : null;
+}
+
+/**
+ * Create or replace a user's TOTP settings (createdAt is kept)
+ */
+async function setUserTotp(orgId, username, totp) {
+  const docRef = orgRef(orgId).collection('user_totp').doc(username);
+  const doc = await docRef.get();
+  const existing = doc.exists ? doc.data() : {};
+
+  await docRef.set({
+    secret: totp.secret,
+    enabledAt: totp.enabledAt ? new Date(totp.enabledAt) : null,
+    lastUsedStep: totp.lastUsedStep ?? null,
+    recoveryCodeHashes: totp.recoveryCodeHashes || [],
+    createdAt: existing.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return getUserTotp(orgId, username);
+}
+
+async function deleteUserTotp(orgId, username) {
+  const docRef = orgRef(orgId).collection('user_totp').doc(username);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return { deleted: false };
+  }
+
+  await docRef.delete();
+  return { deleted: true };
+}
+
+/**
+ * Record a TOTP step as used unless it or a later one already was, as one
+ * conditional update so concurrent logins can't both use a code. Creates a
+ * record without a secret when there is none (the deployment admin's).
+ * Resolves to whether the step was recorded.
+ */
+async function useTotpStep(orgId, username, step) {
+  const docRef = orgRef(orgId).collection('user_totp').doc(username);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const lastUsedStep = doc.exists ? doc.data().lastUsedStep : null;
+
+    if (lastUsedStep !== null && lastUsedStep !== undefined && lastUsedStep >= step) {
+      return false;
+    }
+
+    if (doc.exists) {
+      transaction.update(docRef, { lastUsedStep: step, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    } else {
+      transaction.set(docRef, {
+        secret: '',
+        enabledAt: null,
+        lastUsedStep: step,
+        recoveryCodeHashes: [],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return true;
+  });
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+async function getApiKey(orgId, id) {
+  const doc = await orgRef(orgId).collection('api_keys').doc(id).get();
+  return doc.exists ? parseApiKeyDoc(doc) : null;
+}
+
+/**
+ * Find a key by its hash in any organization
+ */
+async function findApiKeyByHash(keyHash) {
+  const snapshot = await db.collectionGroup('api_keys')
+    .where('keyHash', '==', keyHash)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : parseApiKeyDoc(snapshot.docs[0]);
+}
+
+async function listApiKeys(orgId) {
+  const snapshot = await orgRef(orgId).collection('api_keys')
+    .orderBy('createdAt', 'desc')
+    .get();
+
+  return snapshot.docs.map(parseApiKeyDoc);
+}
+
+/**
+ * Create or replace an API key (createdAt and lastUsedAt are kept)
+ */
+async function setApiKey(orgId, id, apiKey) {
+  const docRef = orgRef(orgId).collection('api_keys').doc(id);
+  const doc = await docRef.get();
+  const existing = doc.exists ? doc.data() : {};
+
+  await docRef.set({
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    keyHash: apiKey.keyHash,
+    scopes: apiKey.scopes,
+    markerIds: apiKey.markerIds || null,
+    campaignIds: apiKey.campaignIds || null,
+    createdBy: apiKey.createdBy || null,
+    lastUsedAt: existing.lastUsedAt || null,
+    revokedAt: apiKey.revokedAt ? new Date(apiKey.revokedAt) : null,
+    createdAt: existing.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return getApiKey(orgId, id);
+}
+
+async function recordApiKeyUse(orgId, id) {
+  const docRef = orgRef(orgId).collection('api_keys').doc(id);
+  const doc = await docRef.get();
+
+  if (doc.exists) {
+    await docRef.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+}
+
+// ============================================================================
+// Auth Sessions
+// ============================================================================
+
+async function getAuthSession(id) {
+  const doc = await db.collection('auth_sessions').doc(id).get();
+  return doc.exists ? parseAuthSessionDoc(doc) : null;
+}
+
+async function listAuthSessions(orgId, username) {
+  const snapshot = await db.collection('auth_sessions')
+    .where('orgId', '==', orgId)
+    .where('username', '==', username)
+    .get();
+
+  // Sorted client-side to avoid a composite index
+  return snapshot.docs
+    .map(parseAuthSessionDoc)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Create or replace a session (createdAt is kept)
+ */
+async function setAuthSession(id, session) {
+  const docRef = db.collection('auth_sessions').doc(id);
+  const doc = await docRef.get();
+  const existing = doc.exists ? doc.data() : {};
+
+  await docRef.set({
+    orgId: session.orgId,
+    username: session.username,
+    refreshTokenHash: session.refreshTokenHash,
+    accessExpiresAt: new Date(session.accessExpiresAt),
+    expiresAt: new Date(session.expiresAt),
+    lastUsedAt: session.lastUsedAt ? new Date(session.lastUsedAt) : null,
+    revokedAt: session.revokedAt ? new Date(session.revokedAt) : null,
+    createdAt: existing.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return getAuthSession(id);
+}
+
+/**
+ * Replace a session's refresh token hash and expiry times, only while it is
+ * unrevoked and its hash is still `refreshTokenHash` (one conditional
+ * update, so a refresh token rotates once). Resolves to whether it did.
+ */
+async function rotateAuthSession(id, refreshTokenHash, session) {
+  const docRef = db.collection('auth_sessions').doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists || doc.data().revokedAt || doc.data().refreshTokenHash !== refreshTokenHash) {
+      return false;
+    }
+
+    transaction.update(docRef, {
+      refreshTokenHash: session.refreshTokenHash,
+      accessExpiresAt: new Date(session.accessExpiresAt),
+      expiresAt: new Date(session.expiresAt),
+      lastUsedAt: session.lastUsedAt ? new Date(session.lastUsedAt) : null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  });
+}
+
+async function addTokenRevocation(sessionId, expiresAt) {
+  await db.collection('token_revocations').doc(sessionId).set({
+    expiresAt: new Date(expiresAt),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+async function isTokenRevoked(sessionId) {
+  const doc = await db.collection('token_revocations').doc(sessionId).get();
+  return doc.exists;
+}
+
+/**
+ * Drop revocations that expired before a date
+ */
+async function purgeTokenRevocations(before) {
+  const snapshot = await db.collection('token_revocations')
+    .where('expiresAt', '<', new Date(before))
+    .get();
+
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return { deleted: snapshot.size };
+}
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+/**
+ * Append an entry (the log is append-only; see purgeAuditEntries)
+ */
+async function addAuditEntry(orgId, entry) {
+  const docRef = orgRef(orgId).collection('audit_log').doc(crypto.randomUUID());
+
+  await docRef.set({
+    action: entry.action,
+    actor: entry.actor,
+    actorRole: entry.actorRole || null,
+    targetType: entry.targetType,
+    targetId: entry.targetId ?? null,
+    markerId: entry.markerId || null,
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    ipAddress: entry.ipAddress || null,
+    requestId: entry.requestId || null,
+    createdAt: admin.firestore.Timestamp.now(),
+  });
+
+  return parseAuditDoc(orgId, await docRef.get());
+}
+
+/**
+ * An organization's entries, newest first
+ */
+async function listAuditEntries(orgId, options = {}) {
+  const { actor, action, targetType, targetId, markerId, startDate, endDate, limit = 100 } = options;
+  const filters = { actor, action, targetType, targetId, markerId };
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  let query = orgRef(orgId).collection('audit_log');
+
+  if (startDate) {
+    query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(new Date(startDate)));
+  }
+
+  if (endDate) {
+    query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(new Date(endDate)));
+  }
+
+  query = query.orderBy('createdAt', 'desc');
+
+  // Field filters are applied client-side to avoid composite indexes
+  if (!hasFilters) {
+    query = query.limit(limit);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(doc => parseAuditDoc(orgId, doc))
+    .filter(entry => Object.entries(filters).every(([field, value]) => !value || entry[field] === value))
+    .slice(0, limit);
+}
+
+/**
+ * Delete entries (of every organization) created before a date
+ */
+async function purgeAuditEntries(before) {
+  const cutoff = admin.firestore.Timestamp.fromDate(new Date(before));
+  const organizations = await db.collection('organizations').get();
+  let deleted = 0;
+
+  for (const organization of organizations.docs) {
+    const snapshot = await organization.ref.collection('audit_log')
+      .where('createdAt', '<', cutoff)
+      .get();
+
+    // Batches hold at most 500 writes
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    deleted += snapshot.size;
+  }
+
+  return { deleted };
+}
+
+// ============================================================================
+// Analytics Operations
+// ============================================================================
+
+async function recordAnalyticsEvent(orgId, event) {
+  const {
+    markerId,
+    eventType,
+    sessionId,
+    timestamp,
+    duration,
+    userAgent,
+    ipAddress,
+    metadata,
+    variantId,
+    ruleId,
+    visitorId,
+  } = event;
+
+  const docRef = await orgRef(orgId).collection('analytics').add({
+    markerId,
+    eventType,
+    sessionId: sessionId || null,
+    timestamp: timestamp ? admin.firestore.Timestamp.fromDate(new Date(timestamp)) : admin.firestore.FieldValue.serverTimestamp(),
+    duration: duration || null,
+    userAgent: userAgent || null,
+    ipAddress: ipAddress || null,
+    metadata: metadata || null,
+    variantId: variantId || null,
+    ruleId: ruleId || null,
+    visitorId: visitorId || null,
+  });
+
+  return {
+    id: docRef.id,
+    ...event,
+  };
+}
+
+async function getAnalytics(orgId, markerId, options = {}) {
+  const { startDate, endDate, eventType, limit = 1000 } = options;
+
+  let query = orgRef(orgId).collection('analytics').where('markerId', '==', markerId);
+
+  if (startDate) {
+    query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(startDate)));
+  }
+
+  if (endDate) {
+    query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(new Date(endDate)));
+  }
+
+  if (eventType) {
+    query = query.where('eventType', '==', eventType);
+  }
+
+  query = query.orderBy('timestamp', 'desc').limit(limit);
+
+  const snapshot = await query.get();
+
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    orgId,
+    ...doc.data(),
+    timestamp: doc.data().timestamp?.toDate().toISOString(),
+  }));
+}
+
+async function getAnalyticsSummary(orgId, markerId) {
+  const snapshot = await orgRef(orgId).collection('analytics')
+    .where('markerId', '==', markerId)
+    .get();
+
+  let totalScans = 0;
+  let totalClicks = 0;
+  let totalDuration = 0;
+  let durationCount = 0;
+  let lastScan = null;
+
+  snapshot.docs.forEach(doc => {
+    const data = doc.data();
+    
+    if (data.eventType === 'scan') {
+      totalScans++;
+      const scanTime = data.timestamp?.toDate();
+      if (!lastScan || scanTime > lastScan) {
+        lastScan = scanTime;
+      }
+    } else if (data.eventType === 'click') {
+      totalClicks++;
+    } else if (data.eventType === 'viewDuration' && data.duration) {
+      totalDuration += data.duration;
+      durationCount++;
+    }
+  });
+
+  return {
+    markerId,
+    totalScans,
+    totalClicks,
+    avgDuration: durationCount > 0 ? totalDuration / durationCount : 0,
+    lastScan: lastScan?.toISOString() || null,
+  };
+}
+
+async function getAllAnalyticsSummaries(orgId) {
+  const snapshot = await orgRef(orgId).collection('analytics').get();
+
+  const summaries = {};
+
+  snapshot.docs.forEach(doc => {
+    const data = doc.data();
+    const { markerId, eventType, duration, timestamp } = data;
+
+    if (!summaries[markerId]) {
+      summaries[markerId] = {
+        markerId,
+        totalScans: 0,
+        totalClicks: 0,
+        totalDuration: 0,
+        durationCount: 0,
+        lastScan: null,
+      };
+    }
+
+    const summary = summaries[markerId];
+
+    if (eventType === 'scan') {
+      summary.totalScans++;
+      const scanTime = timestamp?.toDate();
+      if (!summary.lastScan || scanTime > summary.lastScan) {
+        summary.lastScan = scanTime;
+      }
+    } else if (eventType === 'click') {
+      summary.totalClicks++;
+    } else if (eventType === 'viewDuration' && duration) {
+      summary.totalDuration += duration;
+      summary.durationCount++;
+    }
+  });
+
+  return Object.values(summaries).map(s => ({
+    markerId: s.markerId,
+    totalScans: s.totalScans,
+    totalClicks: s.totalClicks,
+    avgDuration: s.durationCount > 0 ? s.totalDuration / s.durationCount : 0,
+    lastScan: s.lastScan?.toISOString() || null,
+  })).sort((a, b) => b.totalScans - a.totalScans);
+}
+
+/**
+ * Per-variant scan and click counts for a marker's experiment
+ * Sessions are counted once per variant (events without a session are not)
+ */
+async function getVariantSummaries(orgId, markerId) {
+  const snapshot = await orgRef(orgId).collection('analytics')
+    .where('markerId', '==', markerId)
+    .get();
+
+  return summarizeSegments(snapshot.docs.map(doc => doc.data()), 'variantId');
+}
+
+/**
+ * Totals over every marker currently in a campaign
+ * Firestore `in` queries take at most 30 values, so markers are queried in chunks
+ */
+async function getCampaignAnalyticsSummary(orgId, campaignId) {
+  const contentSnapshot = await orgRef(orgId).collection('content')
+    .where('campaignId', '==', campaignId)
+    .get();
+  const markerIds = contentSnapshot.docs.map(doc => doc.id);
+
+  let totalScans = 0;
+  let totalClicks = 0;
+  let totalDuration = 0;
+  let durationCount = 0;
+  let lastScan = null;
+
+  for (let i = 0; i < markerIds.length; i += 30) {
+    const snapshot = await orgRef(orgId).collection('analytics')
+      .where('markerId', 'in', markerIds.slice(i, i + 30))
+      .get();
+
+    snapshot.docs.forEach((doc) => {
+      const data = doc.data();
+
+      if (data.eventType === 'scan') {
+        totalScans++;
+        const scanTime = data.timestamp?.toDate();
+        if (!lastScan || scanTime > lastScan) {
+          lastScan = scanTime;
+        }
+      } else if (data.eventType === 'click') {
+        totalClicks++;
+      } else if (data.eventType === 'viewDuration' && data.duration) {
+        totalDuration += data.duration;
+        durationCount++;
+      }
+    });
+  }
+
+  return {
+    campaignId,
+    markerCount: markerIds.length,
+    totalScans,
+    totalClicks,
+    avgDuration: durationCount > 0 ? totalDuration / durationCount : 0,
+    lastScan: lastScan?.toISOString() || null,
+  };
+}
+
+/**
+ * Per-rule scan and click counts for a marker's targeting rules
+ * Events served without a rule are grouped under ruleId null (listed last)
+ */
+async function getRuleSummaries(orgId, markerId) {
+  const snapshot = await orgRef(orgId).collection('analytics')
+    .where('markerId', '==', markerId)
+    .get();
+
+  return summarizeSegments(snapshot.docs.map(doc => doc.data()), 'ruleId', true);
+}
+
+/**
+ * Event counts, unique sessions and average view duration per time bucket
+ * ([{ start, end }] from database/timeBuckets.js), for one marker or, with
+ * markerId null, every marker of the organization
+ */
+async function getAnalyticsTimeseries(orgId, markerId, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  let query = orgRef(orgId).collection('analytics');
+
+  if (markerId) {
+    query = query.where('markerId', '==', markerId);
+  }
+
+  const snapshot = await query
+    .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(buckets[0].start)))
+    .where('timestamp', '<', admin.firestore.Timestamp.fromDate(new Date(buckets[buckets.length - 1].end)))
+    .get();
+
+  return summarizeBuckets(snapshot.docs.map(doc => ({
+    ...doc.data(),
+    timestamp: doc.data().timestamp?.toDate(),
+  })), buckets);
+}
+
+/**
+ * Session and visitor counts per marker (one marker, or every marker with
+ * markerId null), from events with a session id in the optional date range.
+ * Sessions without a visitor id count as a visitor each; a bounce is a
+ * session with a scan but no detection.
+ */
+async function getSessionSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate } = options;
+
+  let query = orgRef(orgId).collection('analytics');
+
+  if (markerId) {
+    query = query.where('markerId', '==', markerId);
+  }
+
+  if (startDate) {
+    query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(startDate)));
+  }
+
+  if (endDate) {
+    query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(new Date(endDate)));
+  }
+
+  const snapshot = await query.get();
+
+  return summarizeSessions(snapshot.docs.map(doc => doc.data()));
+}
+
+/**
+ * Funnel step counts per marker (one marker, or every marker with markerId
+ * null): sessions with a scan in the optional date range, and how many of
+ * them also reached detection, a view of at least `minViewSeconds`, a click
+ * and a share, each requiring the steps before (services/engagementFunnel.js)
+ */
+async function getFunnelSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate, minViewSeconds } = options;
+
+  let query = orgRef(orgId).collection('analytics');
+
+  if (markerId) {
+    query = query.where('markerId', '==', markerId);
+  }
+
+  if (startDate) {
+    query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(startDate)));
+  }
+
+  if (endDate) {
+    query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(new Date(endDate)));
+  }
+
+  const snapshot = await query.get();
+
+  return summarizeFunnel(snapshot.docs.map(doc => doc.data()), minViewSeconds);
+}
+
+// ============================================================================
+// Analytics Rollups
+// ============================================================================
+
+/**
+ * Recompute the `period` ('hour' or 'day') rollups of the given buckets
+ * from raw events, for every organization or just `orgId`
+ */
+async function rollupAnalytics(period, buckets, orgId = null) {
+  if (buckets.length === 0) {
+    return;
+  }
+
+  const orgIds = orgId
+    ? [orgId]
+    : (await db.collection('organizations').get()).docs.map(doc => doc.id);
+
+  for (const id of orgIds) {
+    const snapshot = await orgRef(id).collection('analytics')
+      .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(buckets[0].start)))
+      .where('timestamp', '<', admin.firestore.Timestamp.fromDate(new Date(buckets[buckets.length - 1].end)))
+      .get();
+
+    const events = snapshot.docs.map(doc => ({
+      ...doc.data(),
+      timestamp: doc.data().timestamp?.toDate(),
+    }));
+    const writes = [
+      ...buildRollups(events, period, buckets)
+        .map(rollup => [rollupCollection(id, period).doc(rollupDocId(rollup)), rollup]),
+      ...buildSessionRollups(events, period, buckets)
+        .map(rollup => [sessionRollupCollection(id, period).doc(sessionRollupDocId(rollup)), rollup]),
+    ];
+
+    // Batches hold at most 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+      const batch = db.batch();
+      writes.slice(i, i + 500).forEach(([ref, rollup]) => batch.set(ref, rollup));
+      await batch.commit();
+    }
+  }
+}
+
+/**
+ * The rollup watermark (ISO timestamp), or null before the first rollup
+ */
+async function getAnalyticsRollupState() {
+  const doc = await rollupStateRef().get();
+  return doc.exists ? doc.data().rolledUpUntil.toDate().toISOString() : null;
+}
+
+/**
+ * Move the watermark forward (never back; see resetAnalyticsRollups)
+ */
+async function setAnalyticsRollupState(rolledUpUntil) {
+  const next = admin.firestore.Timestamp.fromDate(new Date(rolledUpUntil));
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(rollupStateRef());
+
+    if (!doc.exists || doc.data().rolledUpUntil.toMillis() < next.toMillis()) {
+      transaction.set(rollupStateRef(), { rolledUpUntil: next });
+    }
+  });
+}
+
+/**
+ * Delete every rollup and the watermark (before a full backfill)
+ */
+async function resetAnalyticsRollups() {
+  const organizations = await db.collection('organizations').get();
+
+  for (const organization of organizations.docs) {
+    for (const period of Object.keys(ROLLUP_COLLECTIONS)) {
+      for (const collection of [rollupCollection(organization.id, period), sessionRollupCollection(organization.id, period)]) {
+        const snapshot = await collection.get();
+
+        for (let i = 0; i < snapshot.docs.length; i += 500) {
+          const batch = db.batch();
+          snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+          await batch.commit();
+        }
+      }
+    }
+  }
+
+  await rollupStateRef().delete();
+}
+
+/**
+ * Timestamp of the oldest event of any organization, or null
+ */
+async function getFirstAnalyticsTimestamp() {
+  const organizations = await db.collection('organizations').get();
+  let first = null;
+
+  for (const organization of organizations.docs) {
+    const snapshot = await organization.ref.collection('analytics')
+      .orderBy('timestamp')
+      .limit(1)
+      .get();
+
+    const timestamp = snapshot.empty ? null : snapshot.docs[0].data().timestamp?.toDate();
+    if (timestamp && (!first || timestamp < first)) {
+      first = timestamp;
+    }
+  }
+
+  return first ? first.toISOString() : null;
+}
+
+/**
+ * Queue UTC hours (ISO starts) of an organization for a rollup recompute
+ */
+async function queueAnalyticsRollups(orgId, hourStarts) {
+  if (hourStarts.length === 0) {
+    return;
+  }
+
+  const batch = db.batch();
+  hourStarts.forEach((hourStart) => {
+    const start = new Date(hourStart).toISOString();
+    batch.set(rollupQueueRef().doc(rollupQueueDocId(orgId, start)), { orgId, hourStart: start });
+  });
+  await batch.commit();
+}
+
+/**
+ * Remove and return queued hours ([{ orgId, hourStart }]), at most 500 at a
+ * time (a transaction's write limit); the rest are taken by the next call
+ */
+async function takeQueuedAnalyticsRollups() {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(rollupQueueRef().limit(500));
+
+    snapshot.docs.forEach(doc => transaction.delete(doc.ref));
+    return snapshot.docs.map(doc => doc.data());
+  });
+}
+
+/**
+ * Per-marker summaries (as getAllAnalyticsSummaries, most scanned first)
+ * from daily rollups before `dailyUntil`, hourly rollups up to
+ * `hourlyUntil` and raw events after that; markerId null for every marker.
+ * Markers are filtered client-side to avoid composite indexes.
+ */
+async function getRolledUpSummaries(orgId, markerId, { dailyUntil, hourlyUntil }) {
+  const [daily, hourly, recent] = await Promise.all([
+    rollupCollection(orgId, 'day')
+      .where('bucketStart', '<', dailyUntil)
+      .get(),
+    rollupCollection(orgId, 'hour')
+      .where('bucketStart', '>=', dailyUntil)
+      .where('bucketStart', '<', hourlyUntil)
+      .get(),
+    orgRef(orgId).collection('analytics')
+      .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(hourlyUntil)))
+      .get(),
+  ]);
+
+  const rollups = [...daily.docs, ...hourly.docs].map(doc => doc.data());
+
+  const recentByMarker = {};
+  recent.docs.forEach((doc) => {
+    const event = { ...doc.data(), timestamp: doc.data().timestamp?.toDate() };
+    if (!recentByMarker[event.markerId]) {
+      recentByMarker[event.markerId] = [];
+    }
+    recentByMarker[event.markerId].push(event);
+  });
+
+  const recentCounts = Object.entries(recentByMarker)
+    .map(([eventMarkerId, events]) => ({ markerId: eventMarkerId, ...countEvents(events) }));
+
+  return summarizeRollups([...rollups, ...recentCounts]
+    .filter(rollup => !markerId || rollup.markerId === markerId));
+}
+
+/**
+ * getAnalyticsTimeseries from the `period` rollups: each bucket sums the
+ * rollups starting inside it, unique sessions included (per marker, so a
+ * session spanning several hours or days counts once in each)
+ */
+async function getRollupTimeseries(orgId, markerId, period, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  const readRollups = async (collection) => {
+    const snapshot = await collection
+      .where('bucketStart', '>=', buckets[0].start)
+      .where('bucketStart', '<', buckets[buckets.length - 1].end)
+      .get();
+
+    return snapshot.docs
+      .map(doc => doc.data())
+      .filter(rollup => !markerId || rollup.markerId === markerId);
+  };
+
+  const [rollups, sessionRollups] = await Promise.all([
+    readRollups(rollupCollection(orgId, period)),
+    readRollups(sessionRollupCollection(orgId, period)),
+  ]);
+
+  return buckets.map(({ start, end }) => {
+    const isInBucket = rollup => rollup.bucketStart >= start && rollup.bucketStart < end;
+    const totals = { scans: 0, clicks: 0, views: 0, shares: 0, totalDuration: 0, durationCount: 0 };
+
+    rollups.filter(isInBucket).forEach((rollup) => {
+      Object.keys(totals).forEach((field) => {
+        totals[field] += rollup[field];
+      });
+    });
+
+    return {
+      start,
+      end,
+      scans: totals.scans,
+      clicks: totals.clicks,
+      views: totals.views,
+      shares: totals.shares,
+      uniqueSessions: sessionRollups.filter(isInBucket).reduce((sum, rollup) => sum + rollup.sessions, 0),
+      avgDuration: totals.durationCount > 0 ? totals.totalDuration / totals.durationCount : 0,
+    };
+  });
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function orgRef(orgId) {
+  return db.collection('organizations').doc(orgId);
+}
+
+/**
+ * An organization's hourly or daily rollups; bucketStart and lastScan are
+ * ISO strings, so they sort and compare as text
+ */
+function rollupCollection(orgId, period) {
+  return orgRef(orgId).collection(ROLLUP_COLLECTIONS[period]);
+}
+
+/**
+ * One document per bucket, marker, variant and device type; IDs are hashed
+ * because marker and variant IDs may contain characters Firestore rejects
+ */
+function rollupDocId({ markerId, variantId, deviceType, bucketStart }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([markerId, variantId, deviceType, bucketStart]))
+    .digest('hex');
+}
+
+/**
+ * An organization's hourly or daily session rollups (bucketStart as in
+ * rollupCollection)
+ */
+function sessionRollupCollection(orgId, period) {
+  return orgRef(orgId).collection(SESSION_ROLLUP_COLLECTIONS[period]);
+}
+
+function sessionRollupDocId({ markerId, bucketStart }) {
+  return crypto.createHash('sha256').update(JSON.stringify([markerId, bucketStart])).digest('hex');
+}
+
+function rollupStateRef() {
+  return db.collection('analytics_rollup_state').doc('analytics');
+}
+
+function rollupQueueRef() {
+  return db.collection('analytics_rollup_queue');
+}
+
+function rollupQueueDocId(orgId, hourStart) {
+  return crypto.createHash('sha256').update(JSON.stringify([orgId, hourStart])).digest('hex');
+}
+
+/**
+ * Convert a Firestore Timestamp (or stored string) to an ISO string
+ */
+function toISOString(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate().toISOString() : value;
+}
+
+/**
+ * Normalize a content document to the shape returned by the SQL adapters
+ */
+function parseContentDoc(doc) {
+  const data = doc.data();
+
+  return {
+    orgId: doc.ref.parent.parent.id,
+    markerId: doc.id,
+    type: data.type,
+    title: data.title || null,
+    summary: data.summary || null,
+    url: data.url || null,
+    videoUrl: data.videoUrl || null,
+    posterUrl: data.posterUrl || null,
+    modelUrl: data.modelUrl || null,
+    imageUrl: data.imageUrl || null,
+    ctaText: data.ctaText || null,
+    ctaUrl: data.ctaUrl || null,
+    style: data.style || null,
+    schedule: data.schedule || null,
+    variants: data.variants || null,
+    rules: data.rules || null,
+    translations: data.translations || null,
+    campaignId: data.campaignId || null,
+    expiresAt: toISOString(data.expiresAt),
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseCampaignDoc(doc) {
+  const data = doc.data();
+
+  return {
+    orgId: doc.ref.parent.parent.id,
+    id: doc.id,
+    name: data.name,
+    client: data.client || null,
+    startsAt: toISOString(data.startsAt),
+    endsAt: toISOString(data.endsAt),
+    defaultStyle: data.defaultStyle || null,
+    tags: data.tags || [],
+    status: data.status || 'active',
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseOrganizationDoc(doc) {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    name: data.name,
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseUserDoc(doc) {
+  const data = doc.data();
+
+  return {
+    orgId: doc.ref.parent.parent.id,
+    username: doc.id,
+    passwordHash: data.passwordHash,
+    role: data.role,
+    oidcSubject: data.oidcSubject || null,
+    lastLoginAt: toISOString(data.lastLoginAt),
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseUserTotpDoc(doc) {
+  const data = doc.data();
+
+  return {
+    orgId: doc.ref.parent.parent.id,
+    username: doc.id,
+    secret: data.secret,
+    enabledAt: toISOString(data.enabledAt),
+    lastUsedStep: data.lastUsedStep ?? null,
+    recoveryCodeHashes: data.recoveryCodeHashes || [],
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseApiKeyDoc(doc) {
+  const data = doc.data();
+
+  return {
+    orgId: doc.ref.parent.parent.id,
+    id: doc.id,
+    name: data.name,
+    keyPrefix: data.keyPrefix,
+    keyHash: data.keyHash,
+    scopes: data.scopes || [],
+    markerIds: data.markerIds || null,
+    campaignIds: data.campaignIds || null,
+    createdBy: data.createdBy || null,
+    lastUsedAt: toISOString(data.lastUsedAt),
+    revokedAt: toISOString(data.revokedAt),
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseAuthSessionDoc(doc) {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    orgId: data.orgId,
+    username: data.username,
+    refreshTokenHash: data.refreshTokenHash,
+    accessExpiresAt: toISOString(data.accessExpiresAt),
+    expiresAt: toISOString(data.expiresAt),
+    lastUsedAt: toISOString(data.lastUsedAt),
+    revokedAt: toISOString(data.revokedAt),
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseAuditDoc(orgId, doc) {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    orgId,
+    action: data.action,
+    actor: data.actor,
+    actorRole: data.actorRole || null,
+    targetType: data.targetType,
+    targetId: data.targetId ?? null,
+    markerId: data.markerId || null,
+    before: data.before ?? null,
+    after: data.after ?? null,
+    ipAddress: data.ipAddress || null,
+    requestId: data.requestId || null,
+    createdAt: toISOString(data.createdAt),
+  };
+}
+
+function parseDraftDoc(doc) {
+  const data = doc.data();
+
+  return {
+    orgId: doc.ref.parent.parent.id,
+    markerId: doc.id,
+    content: data.content,
+    author: data.author || null,
+    approvedBy: data.approvedBy || null,
+    approvedAt: toISOString(data.approvedAt),
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+}
+
+function parseRevisionData(orgId, markerId, data) {
+  return {
+    orgId,
+    markerId,
+    revision: data.revision,
+    content: data.content,
+    diff: data.diff || null,
+    author: data.author || null,
+    restoredFrom: data.restoredFrom || null,
+    createdAt: toISOString(data.createdAt),
+  };
+}
+
+/**
+ * Aggregate events per variant (or rule) the same way the SQL adapters do
+ * Events without a value for `field` are skipped unless `includeUnset` is
+ * set, in which case they are grouped under null (sorted last)
+ */
+function summarizeSegments(events, field, includeUnset = false) {
+  const bySegment = new Map();
+
+  events.forEach((event) => {
+    const segment = event[field] || null;
+    if (segment === null && !includeUnset) return;
+
+    if (!bySegment.has(segment)) {
+      bySegment.set(segment, {
+        [field]: segment,
+        totalScans: 0,
+        totalClicks: 0,
+        scanSessions: new Set(),
+        clickSessions: new Set(),
+      });
+    }
+
+    const summary = bySegment.get(segment);
+
+    if (event.eventType === 'scan') {
+      summary.totalScans++;
+      if (event.sessionId) summary.scanSessions.add(event.sessionId);
+    } else if (event.eventType === 'click') {
+      summary.totalClicks++;
+      if (event.sessionId) summary.clickSessions.add(event.sessionId);
+    }
+  });
+
+  return [...bySegment.values()]
+    .map(summary => ({
+      ...summary,
+      scanSessions: summary.scanSessions.size,
+      clickSessions: summary.clickSessions.size,
+    }))
+    .sort((a, b) => {
+      if (a[field] === null) return 1;
+      if (b[field] === null) return -1;
+      return a[field] < b[field] ? -1 : 1;
+    });
+}
+
+/**
+ * Session and visitor counts per marker the same way the SQL adapters'
+ * getSessionSummaries query does
+ */
+function summarizeSessions(events) {
+  const sessions = new Map();
+
+  events.forEach((event) => {
+    if (!event.sessionId) return;
+
+    const key = JSON.stringify([event.markerId, event.sessionId]);
+    if (!sessions.has(key)) {
+      sessions.set(key, { markerId: event.markerId, visitor: null, scans: 0, detections: 0 });
+    }
+
+    const session = sessions.get(key);
+    session.visitor = session.visitor || event.visitorId || null;
+    if (event.eventType === 'scan') session.scans++;
+    if (event.eventType === 'detection') session.detections++;
+  });
+
+  const byMarker = new Map();
+
+  sessions.forEach((session, key) => {
+    if (!byMarker.has(session.markerId)) {
+      byMarker.set(session.markerId, {
+        markerId: session.markerId,
+        sessions: 0,
+        visitors: new Map(),
+        scans: 0,
+        scanSessions: 0,
+        bounces: 0,
+      });
+    }
+
+    const summary = byMarker.get(session.markerId);
+    const visitor = session.visitor || key;
+
+    summary.sessions++;
+    summary.visitors.set(visitor, (summary.visitors.get(visitor) || 0) + 1);
+    summary.scans += session.scans;
+    if (session.scans > 0) {
+      summary.scanSessions++;
+      if (session.detections === 0) summary.bounces++;
+    }
+  });
+
+  return [...byMarker.values()]
+    .map(({ visitors, ...summary }) => ({
+      ...summary,
+      uniqueVisitors: visitors.size,
+      repeatVisitors: [...visitors.values()].filter(count => count > 1).length,
+    }))
+    .sort((a, b) => b.sessions - a.sessions || a.markerId.localeCompare(b.markerId));
+}
+
+/**
+ * Funnel step counts per marker the same way the SQL adapters'
+ * getFunnelSummaries query does
+ */
+function summarizeFunnel(events, minViewSeconds) {
+  const sessions = new Map();
+
+  events.forEach((event) => {
+    if (!event.sessionId) return;
+
+    const key = JSON.stringify([event.markerId, event.sessionId]);
+    if (!sessions.has(key)) {
+      sessions.set(key, { markerId: event.markerId, steps: new Set() });
+    }
+
+    const { steps } = sessions.get(key);
+    if (event.eventType === 'viewDuration') {
+      if (event.duration >= minViewSeconds) steps.add('view');
+    } else {
+      steps.add(event.eventType);
+    }
+  });
+
+  const byMarker = new Map();
+
+  sessions.forEach(({ markerId, steps }) => {
+    if (!steps.has('scan')) return;
+
+    if (!byMarker.has(markerId)) {
+      byMarker.set(markerId, {
+        markerId,
+        scanSessions: 0,
+        detectionSessions: 0,
+        viewSessions: 0,
+        clickSessions: 0,
+        shareSessions: 0,
+      });
+    }
+
+    const summary = byMarker.get(markerId);
+    summary.scanSessions++;
+
+    // Each step counts only after every step before it
+    for (const step of ['detection', 'view', 'click', 'share']) {
+      if (!steps.has(step)) break;
+      summary[`${step}Sessions`]++;
+    }
+  });
+
+  return [...byMarker.values()]
+    .sort((a, b) => b.scanSessions - a.scanSessions || a.markerId.localeCompare(b.markerId));
+}
+
+/**
+ * Aggregate events into time buckets the same way the SQL adapters'
+ * timeseries queries do
+ */
+function summarizeBuckets(events, buckets) {
+  const eventsByBucket = groupByBucket(events, buckets);
+
+  return buckets.map(({ start, end }, index) => {
+    const counts = countEvents(eventsByBucket[index]);
+
+    return {
+      start,
+      end,
+      scans: counts.scans,
+      clicks: counts.clicks,
+      views: counts.views,
+      shares: counts.shares,
+      uniqueSessions: countSessions(eventsByBucket[index]),
+      avgDuration: counts.durationCount > 0 ? counts.totalDuration / counts.durationCount : 0,
+    };
+  });
+}
+
+/**
+ * Events per bucket ([start, end) ranges), in bucket order; events outside
+ * every bucket are left out
+ */
+function groupByBucket(events, buckets) {
+  const ranges = buckets.map(({ start, end }) => ({
+    start: new Date(start).getTime(),
+    end: new Date(end).getTime(),
+  }));
+  const eventsByBucket = buckets.map(() => []);
+
+  events.forEach((event) => {
+    const time = new Date(event.timestamp).getTime();
+    const index = ranges.findIndex(range => time >= range.start && time < range.end);
+    if (index !== -1) eventsByBucket[index].push(event);
+  });
+
+  return eventsByBucket;
+}
+
+/**
+ * Event counts as stored in a rollup: per type, summed view durations and
+ * the latest scan (ISO)
+ */
+function countEvents(events) {
+  const counts = {
+    scans: 0,
+    clicks: 0,
+    views: 0,
+    shares: 0,
+    totalDuration: 0,
+    durationCount: 0,
+    lastScan: null,
+  };
+
+  events.forEach((event) => {
+    const timestamp = new Date(event.timestamp).toISOString();
+
+    if (event.eventType === 'scan') {
+      counts.scans++;
+      if (!counts.lastScan || timestamp > counts.lastScan) counts.lastScan = timestamp;
+    } else if (event.eventType === 'click') {
+      counts.clicks++;
+    } else if (event.eventType === 'share') {
+      counts.shares++;
+    } else if (event.eventType === 'viewDuration') {
+      counts.views++;
+      if (event.duration) {
+        counts.totalDuration += event.duration;
+        counts.durationCount++;
+      }
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Distinct session IDs among events
+ */
+function countSessions(events) {
+  return new Set(events.filter(event => event.sessionId).map(event => event.sessionId)).size;
+}
+
+/**
+ * Rollup rows for events of one organization: one per bucket, marker,
+ * variant and device type ('' when unset), like the SQL adapters' GROUP BY
+ */
+function buildRollups(events, period, buckets) {
+  const rollups = [];
+
+  groupByBucket(events, buckets).forEach((bucketEvents, index) => {
+    const groups = new Map();
+
+    bucketEvents.forEach((event) => {
+      const variantId = event.variantId || '';
+      const deviceType = (event.metadata && event.metadata.deviceType) || '';
+      const key = JSON.stringify([event.markerId, variantId, deviceType]);
+
+      if (!groups.has(key)) {
+        groups.set(key, { markerId: event.markerId, variantId, deviceType, events: [] });
+      }
+      groups.get(key).events.push(event);
+    });
+
+    groups.forEach(({ events: groupEvents, ...dimensions }) => {
+      rollups.push({
+        ...dimensions,
+        period,
+        bucketStart: buckets[index].start,
+        ...countEvents(groupEvents),
+      });
+    });
+  });
+
+  return rollups;
+}
+
+/**
+ * Session rollup rows for events of one organization: distinct sessions
+ * per bucket and marker
+ */
+function buildSessionRollups(events, period, buckets) {
+  const rollups = [];
+
+  groupByBucket(events, buckets).forEach((bucketEvents, index) => {
+    const byMarker = new Map();
+
+    bucketEvents.forEach((event) => {
+      if (!byMarker.has(event.markerId)) {
+        byMarker.set(event.markerId, []);
+      }
+      byMarker.get(event.markerId).push(event);
+    });
+
+    byMarker.forEach((markerEvents, markerId) => {
+      rollups.push({
+        markerId,
+        period,
+        bucketStart: buckets[index].start,
+        sessions: countSessions(markerEvents),
+      });
+    });
+  });
+
+  return rollups;
+}
+
+/**
+ * Add rollups and raw event counts up per marker into summaries, most
+ * scanned first (see getRolledUpSummaries)
+ */
+function summarizeRollups(rollups) {
+  const byMarker = new Map();
+
+  rollups.forEach((rollup) => {
+    if (!byMarker.has(rollup.markerId)) {
+      byMarker.set(rollup.markerId, { scans: 0, clicks: 0, totalDuration: 0, durationCount: 0, lastScan: null });
+    }
+
+    const totals = byMarker.get(rollup.markerId);
+    totals.scans += rollup.scans;
+    totals.clicks += rollup.clicks;
+    totals.totalDuration += rollup.totalDuration;
+    totals.durationCount += rollup.durationCount;
+    if (rollup.lastScan && (!totals.lastScan || rollup.lastScan > totals.lastScan)) {
+      totals.lastScan = rollup.lastScan;
+    }
+  });
+
+  return [...byMarker.entries()]
+    .map(([markerId, totals]) => ({
+      markerId,
+      totalScans: totals.scans,
+      totalClicks: totals.clicks,
+      avgDuration: totals.durationCount > 0 ? totals.totalDuration / totals.durationCount : 0,
+      lastScan: totals.lastScan,
+    }))
+    .sort((a, b) => b.totalScans - a.totalScans);
 }
 
 // ============================================================================
@@ -264,12 +1921,69 @@ async function getAllAnalyticsSummaries() {
 module.exports = {
   initialize,
   close,
+  getAppliedMigrations,
+  runMigration,
   getContent,
   setContent,
   deleteContent,
   listAllContent,
+  getDraft,
+  setDraft,
+  approveDraft,
+  deleteDraft,
+  takeDraft,
+  addContentRevision,
+  listContentRevisions,
+  getContentRevision,
+  getCampaign,
+  listCampaigns,
+  setCampaign,
+  deleteCampaign,
+  getOrganization,
+  listOrganizations,
+  setOrganization,
+  getUser,
+  getUserByOidcSubject,
+  listUsers,
+  setUser,
+  recordUserLogin,
+  deleteUser,
+  getUserTotp,
+  setUserTotp,
+  deleteUserTotp,
+  useTotpStep,
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  setApiKey,
+  recordApiKeyUse,
+  getAuthSession,
+  listAuthSessions,
+  setAuthSession,
+  rotateAuthSession,
+  addTokenRevocation,
+  isTokenRevoked,
+  purgeTokenRevocations,
+  addAuditEntry,
+  listAuditEntries,
+  purgeAuditEntries,
   recordAnalyticsEvent,
   getAnalytics,
   getAnalyticsSummary,
   getAllAnalyticsSummaries,
+  getVariantSummaries,
+  getRuleSummaries,
+  getCampaignAnalyticsSummary,
+  getAnalyticsTimeseries,
+  getSessionSummaries,
+  getFunnelSummaries,
+  rollupAnalytics,
+  getAnalyticsRollupState,
+  setAnalyticsRollupState,
+  resetAnalyticsRollups,
+  getFirstAnalyticsTimestamp,
+  queueAnalyticsRollups,
+  takeQueuedAnalyticsRollups,
+  getRolledUpSummaries,
+  getRollupTimeseries,
 };
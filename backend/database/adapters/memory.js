@@ -0,0 +1,1506 @@
+/**
+ * In-Memory Database Adapter
+ *
+ * Pure JavaScript implementation with no native dependencies.
+ * Intended for tests, CI runs and ephemeral expo/kiosk demos where
+ * compiling sqlite3 is not an option.
+ *
+ * Benefits:
+ * - Zero dependencies, zero configuration
+ * - Fast, fully isolated per process
+ *
+ * Limitations:
+ * - Data lives in process memory (single instance only)
+ * - Lost on exit unless MEMORY_SNAPSHOT_PATH is set
+ *
+ * Persistence (optional):
+ * - MEMORY_SNAPSHOT_PATH: JSON file loaded on start and written on close()
+ *
+ * Keyed records (content, drafts, campaigns, users, TOTP, API keys) are
+ * grouped by organization:
+ * store.content[orgId][markerId]. Revisions, events and auth sessions carry
+ * their orgId, as do audit log entries and analytics rollups.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+let store;
+
+/**
+ * Create an empty store
+ */
+function createStore() {
+  return {
+    content: {},
+    analytics: [],
+    schemaMigrations: [],
+    nextAnalyticsId: 1,
+  };
+}
+
+/**
+ * Initialize the store, loading the snapshot file if one exists
+ */
+async function initialize() {
+  store = createStore();
+
+  const snapshotPath = process.env.MEMORY_SNAPSHOT_PATH;
+
+  if (snapshotPath && fs.existsSync(snapshotPath)) {
+    const snapshot = JSON.parse(await fs.promises.readFile(snapshotPath, 'utf8'));
+    store = { ...store, ...snapshot };
+    console.log(`In-memory database loaded from snapshot: ${snapshotPath}`);
+  } else {
+    console.log('In-memory database initialized');
+  }
+}
+
+/**
+ * Write the snapshot file (if configured) and release the store
+ */
+async function close() {
+  const snapshotPath = process.env.MEMORY_SNAPSHOT_PATH;
+
+  if (store && snapshotPath) {
+    await fs.promises.mkdir(path.dirname(snapshotPath), { recursive: true });
+    await fs.promises.writeFile(snapshotPath, JSON.stringify(store, null, 2));
+    console.log(`In-memory database saved to snapshot: ${snapshotPath}`);
+  }
+
+  store = null;
+}
+
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+async function getAppliedMigrations() {
+  return clone(store.schemaMigrations).sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Run one migration step and record it
+ * Migrations may define `memory: { up(store), down(store) }` for data changes
+ */
+async function runMigration(migration, direction) {
+  const step = migration.memory && migration.memory[direction];
+
+  if (step) {
+    await step(store);
+  }
+
+  if (direction === 'up') {
+    store.schemaMigrations.push({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: new Date().toISOString(),
+    });
+  } else {
+    store.schemaMigrations = store.schemaMigrations.filter(m => m.version !== migration.version);
+  }
+}
+
+// ============================================================================
+// Content Operations
+// ============================================================================
+
+async function getContent(orgId, markerId) {
+  const row = orgRecords('content', orgId)[markerId];
+  return row ? clone(row) : null;
+}
+
+async function setContent(orgId, markerId, content) {
+  const now = new Date().toISOString();
+  const records = orgRecords('content', orgId, true);
+  const existing = records[markerId];
+
+  records[markerId] = {
+    orgId,
+    markerId,
+    type: content.type,
+    title: content.title || null,
+    summary: content.summary || null,
+    url: content.url || null,
+    videoUrl: content.videoUrl || null,
+    posterUrl: content.posterUrl || null,
+    modelUrl: content.modelUrl || null,
+    imageUrl: content.imageUrl || null,
+    ctaText: content.ctaText || null,
+    ctaUrl: content.ctaUrl || null,
+    style: content.style ? clone(content.style) : null,
+    schedule: content.schedule ? clone(content.schedule) : null,
+    variants: content.variants ? clone(content.variants) : null,
+    rules: content.rules ? clone(content.rules) : null,
+    translations: content.translations ? clone(content.translations) : null,
+    campaignId: content.campaignId || null,
+    expiresAt: content.expiresAt || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return { markerId, ...content };
+}
+
+async function deleteContent(orgId, markerId) {
+  const records = orgRecords('content', orgId);
+  const exists = Object.prototype.hasOwnProperty.call(records, markerId);
+  delete records[markerId];
+  return { deleted: exists };
+}
+
+/**
+ * List content, newest first
+ * Options:
+ * - campaignId: only markers in this campaign
+ */
+async function listAllContent(orgId, options = {}) {
+  const { campaignId } = options;
+
+  return Object.values(orgRecords('content', orgId))
+    .filter(row => !campaignId || row.campaignId === campaignId)
+    .sort((a, b) => compareTimestamps(b.updatedAt, a.updatedAt))
+    .map(clone);
+}
+
+// ============================================================================
+// Content Drafts
+// ============================================================================
+
+async function getDraft(orgId, markerId) {
+  const draft = orgRecords('contentDrafts', orgId)[markerId];
+  return draft ? clone(draft) : null;
+}
+
+/**
+ * Create or replace a draft; any previous approval is cleared
+ */
+async function setDraft(orgId, markerId, draft) {
+  const now = new Date().toISOString();
+  const records = orgRecords('contentDrafts', orgId, true);
+  const existing = records[markerId];
+
+  records[markerId] = {
+    orgId,
+    markerId,
+    content: clone(draft.content),
+    author: draft.author || null,
+    approvedBy: null,
+    approvedAt: null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return getDraft(orgId, markerId);
+}
+
+async function approveDraft(orgId, markerId, approver) {
+  const draft = orgRecords('contentDrafts', orgId)[markerId];
+  if (!draft) return null;
+
+  draft.approvedBy = approver;
+  draft.approvedAt = new Date().toISOString();
+  return clone(draft);
+}
+
+async function deleteDraft(orgId, markerId) {
+  const records = orgRecords('contentDrafts', orgId);
+  const exists = Object.prototype.hasOwnProperty.call(records, markerId);
+  delete records[markerId];
+  return { deleted: exists };
+}
+
+/**
+ * Remove a draft and return it (null if there is none or, with `approved`,
+ * if it isn't approved) in one step, so it is published at most once and
+ * only as approved
+ */
+async function takeDraft(orgId, markerId, { approved = false } = {}) {
+  const records = orgRecords('contentDrafts', orgId);
+  const draft = records[markerId];
+
+  if (!draft || (approved && !draft.approvedBy)) {
+    return null;
+  }
+
+  delete records[markerId];
+  return clone(draft);
+}
+
+// ============================================================================
+// Content Revisions
+// ============================================================================
+
+async function addContentRevision(orgId, markerId, revision) {
+  const { content, diff, author, restoredFrom } = revision;
+
+  const latest = store.contentRevisions
+    .filter(r => r.orgId === orgId && r.markerId === markerId)
+    .reduce((max, r) => Math.max(max, r.revision), 0);
+
+  const record = {
+    orgId,
+    markerId,
+    revision: latest + 1,
+    content: clone(content),
+    diff: diff ? clone(diff) : null,
+    author: author || null,
+    restoredFrom: restoredFrom || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  store.contentRevisions.push(record);
+  return clone(record);
+}
+
+async function listContentRevisions(orgId, markerId) {
+  return store.contentRevisions
+    .filter(r => r.orgId === orgId && r.markerId === markerId)
+    .sort((a, b) => b.revision - a.revision)
+    .map(clone);
+}
+
+async function getContentRevision(orgId, markerId, revision) {
+  const record = store.contentRevisions.find(r => (
+    r.orgId === orgId && r.markerId === markerId && r.revision === revision
+  ));
+  return record ? clone(record) : null;
+}
+
+// ============================================================================
+// Campaigns
+// ============================================================================
+
+async function getCampaign(orgId, id) {
+  const campaign = orgRecords('campaigns', orgId)[id];
+  return campaign ? clone(campaign) : null;
+}
+
+async function listCampaigns(orgId) {
+  return Object.values(orgRecords('campaigns', orgId))
+    .sort((a, b) => compareTimestamps(b.updatedAt, a.updatedAt))
+    .map(clone);
+}
+
+/**
+ * Create or replace a campaign (createdAt is kept)
+ */
+async function setCampaign(orgId, id, campaign) {
+  const now = new Date().toISOString();
+  const records = orgRecords('campaigns', orgId, true);
+  const existing = records[id];
+
+  records[id] = {
+    orgId,
+    id,
+    name: campaign.name,
+    client: campaign.client || null,
+    startsAt: campaign.startsAt ? new Date(campaign.startsAt).toISOString() : null,
+    endsAt: campaign.endsAt ? new Date(campaign.endsAt).toISOString() : null,
+    defaultStyle: campaign.defaultStyle ? clone(campaign.defaultStyle) : null,
+    tags: campaign.tags ? clone(campaign.tags) : [],
+    status: campaign.status || 'active',
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return clone(records[id]);
+}
+
+async function deleteCampaign(orgId, id) {
+  const records = orgRecords('campaigns', orgId);
+  const deleted = Boolean(records[id]);
+  delete records[id];
+  return { deleted };
+}
+
+// ============================================================================
+// Organizations
+// ============================================================================
+
+async function getOrganization(id) {
+  const organization = store.organizations[id];
+  return organization ? clone(organization) : null;
+}
+
+async function listOrganizations() {
+  return Object.values(store.organizations)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(clone);
+}
+
+/**
+ * Create or rename an organization (createdAt is kept)
+ */
+async function setOrganization(id, organization) {
+  const now = new Date().toISOString();
+  const existing = store.organizations[id];
+
+  store.organizations[id] = {
+    id,
+    name: organization.name,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return clone(store.organizations[id]);
+}
+
+// ============================================================================
+// Users
+// ============================================================================
+
+async function getUser(orgId, username) {
+  const user = orgRecords('users', orgId)[username];
+  return user ? clone(user) : null;
+}
+
+/**
+ * The user created by single sign-on for an identity provider subject
+ */
+async function getUserByOidcSubject(orgId, subject) {
+  const user = Object.values(orgRecords('users', orgId)).find(record => record.oidcSubject === subject);
+  return user ? clone(user) : null;
+}
+
+async function listUsers(orgId) {
+  return Object.values(orgRecords('users', orgId))
+    .sort((a, b) => (a.username < b.username ? -1 : 1))
+    .map(clone);
+}
+
+/**
+ * Create or replace a user (createdAt, lastLoginAt and the oidcSubject it
+ * was created with are kept)
+ */
+async function setUser(orgId, username, user) {
+  const now = new Date().toISOString();
+  const records = orgRecords('users', orgId, true);
+  const existing = records[username];
+
+  records[username] = {
+    orgId,
+    username,
+    passwordHash: user.passwordHash,
+    role: user.role,
+    oidcSubject: existing ? existing.oidcSubject : user.oidcSubject || null,
+    lastLoginAt: existing ? existing.lastLoginAt : null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return clone(records[username]);
+}
+
+async function recordUserLogin(orgId, username) {
+  const user = orgRecords('users', orgId)[username];
+
+  if (user) {
+    user.lastLoginAt = new Date().toISOString();
+  }
+}
+
+async function deleteUser(orgId, username) {
+  const records = orgRecords('users', orgId);
+  const deleted = Boolean(records[username]);
+  delete records[username];
+  return { deleted };
+}
+
+// ============================================================================
+// User TOTP
+// ============================================================================
+
+async function getUserTotp(orgId, username) {
+  const totp = orgRecords('userTotp', orgId)[username];
+  return totp ? clone(totp) : null;
+}
+
+/**
+ * Create or replace a user's TOTP settings (createdAt is kept)
+ */
+async function setUserTotp(orgId, username, totp) {
+  const now = new Date().toISOString();
+  const records = orgRecords('userTotp', orgId, true);
+  const existing = records[username];
+
+  records[username] = {
+    orgId,
+    username,
+    secret: totp.secret,
+    enabledAt: totp.enabledAt || null,
+    lastUsedStep: totp.lastUsedStep ?? null,
+    recoveryCodeHashes: clone(totp.recoveryCodeHashes || []),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return clone(records[username]);
+}
+
+async function deleteUserTotp(orgId, username) {
+  const records = orgRecords('userTotp', orgId);
+
+  if (!records[username]) {
+    return { deleted: false };
+  }
+
+  delete records[username];
+  return { deleted: true };
+}
+
+/**
+ * Record a TOTP step as used unless it or a later one already was, as one
+ * conditional update so concurrent logins can't both use a code. Creates a
+ * record without a secret when there is none (the deployment admin's).
+ * Resolves to whether the step was recorded.
+ */
+async function useTotpStep(orgId, username, step) {
+  const records = orgRecords('userTotp', orgId, true);
+  const existing = records[username];
+
+  if (existing && existing.lastUsedStep !== null && existing.lastUsedStep >= step) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+
+  records[username] = existing
+    ? { ...existing, lastUsedStep: step, updatedAt: now }
+    : {
+      orgId,
+      username,
+      secret: '',
+      enabledAt: null,
+      lastUsedStep: step,
+      recoveryCodeHashes: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+  return true;
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+async function getApiKey(orgId, id) {
+  const apiKey = orgRecords('apiKeys', orgId)[id];
+  return apiKey ? clone(apiKey) : null;
+}
+
+/**
+ * Find a key by its hash in any organization
+ */
+async function findApiKeyByHash(keyHash) {
+  for (const records of Object.values(store.apiKeys)) {
+    const apiKey = Object.values(records).find(row => row.keyHash === keyHash);
+    if (apiKey) return clone(apiKey);
+  }
+
+  return null;
+}
+
+async function listApiKeys(orgId) {
+  return Object.values(orgRecords('apiKeys', orgId))
+    .sort((a, b) => compareTimestamps(b.createdAt, a.createdAt))
+    .map(clone);
+}
+
+/**
+ * Create or replace an API key (createdAt and lastUsedAt are kept)
+ */
+async function setApiKey(orgId, id, apiKey) {
+  const now = new Date().toISOString();
+  const records = orgRecords('apiKeys', orgId, true);
+  const existing = records[id];
+
+  records[id] = {
+    orgId,
+    id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    keyHash: apiKey.keyHash,
+    scopes: clone(apiKey.scopes),
+    markerIds: apiKey.markerIds ? clone(apiKey.markerIds) : null,
+    campaignIds: apiKey.campaignIds ? clone(apiKey.campaignIds) : null,
+    createdBy: apiKey.createdBy || null,
+    lastUsedAt: existing ? existing.lastUsedAt : null,
+    revokedAt: apiKey.revokedAt || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return clone(records[id]);
+}
+
+async function recordApiKeyUse(orgId, id) {
+  const apiKey = orgRecords('apiKeys', orgId)[id];
+
+  if (apiKey) {
+    apiKey.lastUsedAt = new Date().toISOString();
+  }
+}
+
+// ============================================================================
+// Auth Sessions
+// ============================================================================
+
+async function getAuthSession(id) {
+  const session = store.authSessions[id];
+  return session ? clone(session) : null;
+}
+
+async function listAuthSessions(orgId, username) {
+  return Object.values(store.authSessions)
+    .filter(session => session.orgId === orgId && session.username === username)
+    .sort((a, b) => compareTimestamps(b.createdAt, a.createdAt))
+    .map(clone);
+}
+
+/**
+ * Create or replace a session (createdAt is kept)
+ */
+async function setAuthSession(id, session) {
+  const now = new Date().toISOString();
+  const existing = store.authSessions[id];
+
+  store.authSessions[id] = {
+    id,
+    orgId: session.orgId,
+    username: session.username,
+    refreshTokenHash: session.refreshTokenHash,
+    accessExpiresAt: session.accessExpiresAt,
+    expiresAt: session.expiresAt,
+    lastUsedAt: session.lastUsedAt || null,
+    revokedAt: session.revokedAt || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  return clone(store.authSessions[id]);
+}
+
+/**
+ * Replace a session's refresh token hash and expiry times, only while it is
+ * unrevoked and its hash is still `refreshTokenHash` (one conditional
+ * update, so a refresh token rotates once). Resolves to whether it did.
+ */
+async function rotateAuthSession(id, refreshTokenHash, session) {
+  const existing = store.authSessions[id];
+
+  if (!existing || existing.revokedAt || existing.refreshTokenHash !== refreshTokenHash) {
+    return false;
+  }
+
+  Object.assign(existing, {
+    refreshTokenHash: session.refreshTokenHash,
+    accessExpiresAt: session.accessExpiresAt,
+    expiresAt: session.expiresAt,
+    lastUsedAt: session.lastUsedAt || null,
+    updatedAt: new Date().toISOString(),
+  });
+
+  return true;
+}
+
+async function addTokenRevocation(sessionId, expiresAt) {
+  store.tokenRevocations[sessionId] = {
+    sessionId,
+    expiresAt,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+async function isTokenRevoked(sessionId) {
+  return Object.prototype.hasOwnProperty.call(store.tokenRevocations, sessionId);
+}
+
+/**
+ * Drop revocations that expired before a date
+ */
+async function purgeTokenRevocations(before) {
+  let deleted = 0;
+
+  Object.values(store.tokenRevocations).forEach((revocation) => {
+    if (compareTimestamps(revocation.expiresAt, before) < 0) {
+      delete store.tokenRevocations[revocation.sessionId];
+      deleted += 1;
+    }
+  });
+
+  return { deleted };
+}
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+/**
+ * Append an entry (the log is append-only; see purgeAuditEntries)
+ */
+async function addAuditEntry(orgId, entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    orgId,
+    action: entry.action,
+    actor: entry.actor,
+    actorRole: entry.actorRole || null,
+    targetType: entry.targetType,
+    targetId: entry.targetId ?? null,
+    markerId: entry.markerId || null,
+    before: clone(entry.before ?? null),
+    after: clone(entry.after ?? null),
+    ipAddress: entry.ipAddress || null,
+    requestId: entry.requestId || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  store.auditLog.push(record);
+  return clone(record);
+}
+
+/**
+ * An organization's entries, newest first
+ */
+async function listAuditEntries(orgId, options = {}) {
+  const { actor, action, targetType, targetId, markerId, startDate, endDate, limit = 100 } = options;
+
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+
+  return store.auditLog
+    .filter((entry) => {
+      const time = new Date(entry.createdAt).getTime();
+      return entry.orgId === orgId
+        && (!actor || entry.actor === actor)
+        && (!action || entry.action === action)
+        && (!targetType || entry.targetType === targetType)
+        && (!targetId || entry.targetId === targetId)
+        && (!markerId || entry.markerId === markerId)
+        && (start === null || time >= start)
+        && (end === null || time <= end);
+    })
+    .sort((a, b) => compareTimestamps(b.createdAt, a.createdAt))
+    .slice(0, limit)
+    .map(clone);
+}
+
+/**
+ * Delete entries (of every organization) created before a date
+ */
+async function purgeAuditEntries(before) {
+  const kept = store.auditLog.filter(entry => compareTimestamps(entry.createdAt, before) >= 0);
+  const deleted = store.auditLog.length - kept.length;
+
+  store.auditLog = kept;
+  return { deleted };
+}
+
+// ============================================================================
+// Analytics Operations
+// ============================================================================
+
+async function recordAnalyticsEvent(orgId, event) {
+  const {
+    markerId,
+    eventType,
+    sessionId,
+    timestamp,
+    duration,
+    userAgent,
+    ipAddress,
+    metadata,
+    variantId,
+    ruleId,
+    visitorId,
+  } = event;
+
+  const id = store.nextAnalyticsId++;
+
+  store.analytics.push({
+    id,
+    orgId,
+    markerId,
+    eventType,
+    sessionId: sessionId || null,
+    timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+    duration: duration || null,
+    userAgent: userAgent || null,
+    ipAddress: ipAddress || null,
+    metadata: metadata ? clone(metadata) : null,
+    variantId: variantId || null,
+    ruleId: ruleId || null,
+    visitorId: visitorId || null,
+  });
+
+  return { id, ...event };
+}
+
+async function getAnalytics(orgId, markerId, options = {}) {
+  const { startDate, endDate, eventType, limit = 1000 } = options;
+
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+
+  return store.analytics
+    .filter((event) => {
+      const time = new Date(event.timestamp).getTime();
+      return event.orgId === orgId
+        && event.markerId === markerId
+        && (start === null || time >= start)
+        && (end === null || time <= end)
+        && (!eventType || event.eventType === eventType);
+    })
+    .sort((a, b) => compareTimestamps(b.timestamp, a.timestamp))
+    .slice(0, limit)
+    .map(clone);
+}
+
+async function getAnalyticsSummary(orgId, markerId) {
+  return summarize(markerId, markerEvents(orgId, markerId));
+}
+
+async function getAllAnalyticsSummaries(orgId) {
+  const byMarker = {};
+
+  store.analytics.filter(event => event.orgId === orgId).forEach((event) => {
+    if (!byMarker[event.markerId]) {
+      byMarker[event.markerId] = [];
+    }
+    byMarker[event.markerId].push(event);
+  });
+
+  return Object.entries(byMarker)
+    .map(([markerId, events]) => summarize(markerId, events))
+    .sort((a, b) => b.totalScans - a.totalScans);
+}
+
+/**
+ * Per-variant scan and click counts for a marker's experiment
+ * Sessions are counted once per variant (events without a session are not)
+ */
+async function getVariantSummaries(orgId, markerId) {
+  return summarizeSegments(markerEvents(orgId, markerId), 'variantId');
+}
+
+/**
+ * Totals over every marker currently in a campaign
+ */
+async function getCampaignAnalyticsSummary(orgId, campaignId) {
+  const markerIds = new Set(Object.values(orgRecords('content', orgId))
+    .filter(row => row.campaignId === campaignId)
+    .map(row => row.markerId));
+
+  const { markerId, ...totals } = summarize(null, store.analytics.filter(event => (
+    event.orgId === orgId && markerIds.has(event.markerId)
+  )));
+
+  return { campaignId, markerCount: markerIds.size, ...totals };
+}
+
+/**
+ * Per-rule scan and click counts for a marker's targeting rules
+ * Events served without a rule are grouped under ruleId null (listed last)
+ */
+async function getRuleSummaries(orgId, markerId) {
+  return summarizeSegments(markerEvents(orgId, markerId), 'ruleId', true);
+}
+
+/**
+ * Event counts, unique sessions and average view duration per time bucket
+ * ([{ start, end }] from database/timeBuckets.js), for one marker or, with
+ * markerId null, every marker of the organization
+ */
+async function getAnalyticsTimeseries(orgId, markerId, buckets) {
+  const events = store.analytics.filter(event => event.orgId === orgId
+    && (!markerId || event.markerId === markerId));
+
+  return summarizeBuckets(events, buckets);
+}
+
+/**
+ * Session and visitor counts per marker (one marker, or every marker with
+ * markerId null), from events with a session id in the optional date range.
+ * Sessions without a visitor id count as a visitor each; a bounce is a
+ * session with a scan but no detection.
+ */
+async function getSessionSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate } = options;
+
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+
+  return summarizeSessions(store.analytics.filter((event) => {
+    const time = new Date(event.timestamp).getTime();
+    return event.orgId === orgId
+      && (!markerId || event.markerId === markerId)
+      && (start === null || time >= start)
+      && (end === null || time <= end);
+  }));
+}
+
+/**
+ * Funnel step counts per marker (one marker, or every marker with markerId
+ * null): sessions with a scan in the optional date range, and how many of
+ * them also reached detection, a view of at least `minViewSeconds`, a click
+ * and a share, each requiring the steps before (services/engagementFunnel.js)
+ */
+async function getFunnelSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate, minViewSeconds } = options;
+
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+
+  return summarizeFunnel(store.analytics.filter((event) => {
+    const time = new Date(event.timestamp).getTime();
+    return event.orgId === orgId
+      && (!markerId || event.markerId === markerId)
+      && (start === null || time >= start)
+      && (end === null || time <= end);
+  }), minViewSeconds);
+}
+
+// ============================================================================
+// Analytics Rollups
+// ============================================================================
+
+/**
+ * Recompute the `period` ('hour' or 'day') rollups of the given buckets
+ * from raw events, for every organization or just `orgId`
+ */
+async function rollupAnalytics(period, buckets, orgId = null) {
+  const byOrg = {};
+
+  store.analytics
+    .filter(event => !orgId || event.orgId === orgId)
+    .forEach((event) => {
+      if (!byOrg[event.orgId]) {
+        byOrg[event.orgId] = [];
+      }
+      byOrg[event.orgId].push(event);
+    });
+
+  Object.entries(byOrg).forEach(([eventOrgId, events]) => {
+    buildRollups(events, period, buckets).forEach((rollup) => {
+      store.analyticsRollups[rollupKey(eventOrgId, rollup)] = { orgId: eventOrgId, ...rollup };
+    });
+    buildSessionRollups(events, period, buckets).forEach((rollup) => {
+      store.analyticsSessionRollups[sessionRollupKey(eventOrgId, rollup)] = { orgId: eventOrgId, ...rollup };
+    });
+  });
+}
+
+/**
+ * The rollup watermark (ISO timestamp), or null before the first rollup
+ */
+async function getAnalyticsRollupState() {
+  return store.analyticsRollupState;
+}
+
+/**
+ * Move the watermark forward (never back; see resetAnalyticsRollups)
+ */
+async function setAnalyticsRollupState(rolledUpUntil) {
+  const next = new Date(rolledUpUntil).toISOString();
+
+  if (!store.analyticsRollupState || next > store.analyticsRollupState) {
+    store.analyticsRollupState = next;
+  }
+}
+
+/**
+ * Delete every rollup and the watermark (before a full backfill)
+ */
+async function resetAnalyticsRollups() {
+  store.analyticsRollups = {};
+  store.analyticsSessionRollups = {};
+  store.analyticsRollupState = null;
+}
+
+/**
+ * Timestamp of the oldest event of any organization, or null
+ */
+async function getFirstAnalyticsTimestamp() {
+  return store.analytics.reduce(
+    (first, event) => (!first || compareTimestamps(event.timestamp, first) < 0 ? event.timestamp : first),
+    null
+  );
+}
+
+/**
+ * Queue UTC hours (ISO starts) of an organization for a rollup recompute
+ */
+async function queueAnalyticsRollups(orgId, hourStarts) {
+  hourStarts.forEach((hourStart) => {
+    const start = new Date(hourStart).toISOString();
+    store.analyticsRollupQueue[JSON.stringify([orgId, start])] = { orgId, hourStart: start };
+  });
+}
+
+/**
+ * Remove and return every queued hour ([{ orgId, hourStart }])
+ */
+async function takeQueuedAnalyticsRollups() {
+  const queued = Object.values(store.analyticsRollupQueue);
+  store.analyticsRollupQueue = {};
+  return queued;
+}
+
+/**
+ * Per-marker summaries (as getAllAnalyticsSummaries, most scanned first)
+ * from daily rollups before `dailyUntil`, hourly rollups up to
+ * `hourlyUntil` and raw events after that; markerId null for every marker
+ */
+async function getRolledUpSummaries(orgId, markerId, { dailyUntil, hourlyUntil }) {
+  const rollups = Object.values(store.analyticsRollups).filter(rollup => rollup.orgId === orgId
+    && (!markerId || rollup.markerId === markerId)
+    && (rollup.period === 'day'
+      ? rollup.bucketStart < dailyUntil
+      : rollup.bucketStart >= dailyUntil && rollup.bucketStart < hourlyUntil));
+
+  const recentByMarker = {};
+  const since = new Date(hourlyUntil).getTime();
+
+  store.analytics
+    .filter(event => event.orgId === orgId
+      && (!markerId || event.markerId === markerId)
+      && new Date(event.timestamp).getTime() >= since)
+    .forEach((event) => {
+      if (!recentByMarker[event.markerId]) {
+        recentByMarker[event.markerId] = [];
+      }
+      recentByMarker[event.markerId].push(event);
+    });
+
+  const recent = Object.entries(recentByMarker)
+    .map(([eventMarkerId, events]) => ({ markerId: eventMarkerId, ...countEvents(events) }));
+
+  return summarizeRollups([...rollups, ...recent]);
+}
+
+/**
+ * getAnalyticsTimeseries from the `period` rollups: each bucket sums the
+ * rollups starting inside it, unique sessions included (per marker, so a
+ * session spanning several hours or days counts once in each)
+ */
+async function getRollupTimeseries(orgId, markerId, period, buckets) {
+  const isSelected = rollup => rollup.orgId === orgId
+    && rollup.period === period
+    && (!markerId || rollup.markerId === markerId);
+  const rollups = Object.values(store.analyticsRollups).filter(isSelected);
+  const sessionRollups = Object.values(store.analyticsSessionRollups).filter(isSelected);
+
+  return buckets.map(({ start, end }) => {
+    const startTime = new Date(start).getTime();
+    const endTime = new Date(end).getTime();
+    const isInBucket = (rollup) => {
+      const time = new Date(rollup.bucketStart).getTime();
+      return time >= startTime && time < endTime;
+    };
+    const totals = { scans: 0, clicks: 0, views: 0, shares: 0, totalDuration: 0, durationCount: 0 };
+
+    rollups.filter(isInBucket).forEach((rollup) => {
+      Object.keys(totals).forEach((field) => {
+        totals[field] += rollup[field];
+      });
+    });
+
+    return {
+      start,
+      end,
+      scans: totals.scans,
+      clicks: totals.clicks,
+      views: totals.views,
+      shares: totals.shares,
+      uniqueSessions: sessionRollups.filter(isInBucket).reduce((sum, rollup) => sum + rollup.sessions, 0),
+      avgDuration: totals.durationCount > 0 ? totals.totalDuration / totals.durationCount : 0,
+    };
+  });
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function clone(value) {
+  return structuredClone(value);
+}
+
+/**
+ * An organization's records in a keyed collection (content, contentDrafts,
+ * campaigns, users, userTotp, apiKeys); `create` adds the group on first write
+ */
+function orgRecords(collection, orgId, create = false) {
+  const exists = Object.prototype.hasOwnProperty.call(store[collection], orgId);
+
+  if (!exists && create) {
+    store[collection][orgId] = {};
+  }
+
+  return exists || create ? store[collection][orgId] : {};
+}
+
+function markerEvents(orgId, markerId) {
+  return store.analytics.filter(event => event.orgId === orgId && event.markerId === markerId);
+}
+
+function rollupKey(orgId, { markerId, variantId, deviceType, period, bucketStart }) {
+  return JSON.stringify([orgId, markerId, variantId, deviceType, period, bucketStart]);
+}
+
+function sessionRollupKey(orgId, { markerId, period, bucketStart }) {
+  return JSON.stringify([orgId, markerId, period, bucketStart]);
+}
+
+function compareTimestamps(a, b) {
+  return new Date(a).getTime() - new Date(b).getTime();
+}
+
+/**
+ * Aggregate events the same way the SQL adapters' summary queries do
+ */
+function summarize(markerId, events) {
+  let totalScans = 0;
+  let totalClicks = 0;
+  let totalDuration = 0;
+  let durationCount = 0;
+  let lastScan = null;
+
+  events.forEach((event) => {
+    if (event.eventType === 'scan') {
+      totalScans++;
+      if (!lastScan || compareTimestamps(event.timestamp, lastScan) > 0) {
+        lastScan = event.timestamp;
+      }
+    } else if (event.eventType === 'click') {
+      totalClicks++;
+    } else if (event.eventType === 'viewDuration' && event.duration) {
+      totalDuration += event.duration;
+      durationCount++;
+    }
+  });
+
+  return {
+    markerId,
+    totalScans,
+    totalClicks,
+    avgDuration: durationCount > 0 ? totalDuration / durationCount : 0,
+    lastScan,
+  };
+}
+
+/**
+ * Aggregate events per variant (or rule) the same way the SQL adapters do
+ * Events without a value for `field` are skipped unless `includeUnset` is
+ * set, in which case they are grouped under null (sorted last)
+ */
+function summarizeSegments(events, field, includeUnset = false) {
+  const bySegment = new Map();
+
+  events.forEach((event) => {
+    const segment = event[field] || null;
+    if (segment === null && !includeUnset) return;
+
+    if (!bySegment.has(segment)) {
+      bySegment.set(segment, {
+        [field]: segment,
+        totalScans: 0,
+        totalClicks: 0,
+        scanSessions: new Set(),
+        clickSessions: new Set(),
+      });
+    }
+
+    const summary = bySegment.get(segment);
+
+    if (event.eventType === 'scan') {
+      summary.totalScans++;
+      if (event.sessionId) summary.scanSessions.add(event.sessionId);
+    } else if (event.eventType === 'click') {
+      summary.totalClicks++;
+      if (event.sessionId) summary.clickSessions.add(event.sessionId);
+    }
+  });
+
+  return [...bySegment.values()]
+    .map(summary => ({
+      ...summary,
+      scanSessions: summary.scanSessions.size,
+      clickSessions: summary.clickSessions.size,
+    }))
+    .sort((a, b) => {
+      if (a[field] === null) return 1;
+      if (b[field] === null) return -1;
+      return a[field] < b[field] ? -1 : 1;
+    });
+}
+
+/**
+ * Session and visitor counts per marker the same way the SQL adapters'
+ * getSessionSummaries query does
+ */
+function summarizeSessions(events) {
+  const sessions = new Map();
+
+  events.forEach((event) => {
+    if (!event.sessionId) return;
+
+    const key = JSON.stringify([event.markerId, event.sessionId]);
+    if (!sessions.has(key)) {
+      sessions.set(key, { markerId: event.markerId, visitor: null, scans: 0, detections: 0 });
+    }
+
+    const session = sessions.get(key);
+    session.visitor = session.visitor || event.visitorId || null;
+    if (event.eventType === 'scan') session.scans++;
+    if (event.eventType === 'detection') session.detections++;
+  });
+
+  const byMarker = new Map();
+
+  sessions.forEach((session, key) => {
+    if (!byMarker.has(session.markerId)) {
+      byMarker.set(session.markerId, {
+        markerId: session.markerId,
+        sessions: 0,
+        visitors: new Map(),
+        scans: 0,
+        scanSessions: 0,
+        bounces: 0,
+      });
+    }
+
+    const summary = byMarker.get(session.markerId);
+    const visitor = session.visitor || key;
+
+    summary.sessions++;
+    summary.visitors.set(visitor, (summary.visitors.get(visitor) || 0) + 1);
+    summary.scans += session.scans;
+    if (session.scans > 0) {
+      summary.scanSessions++;
+      if (session.detections === 0) summary.bounces++;
+    }
+  });
+
+  return [...byMarker.values()]
+    .map(({ visitors, ...summary }) => ({
+      ...summary,
+      uniqueVisitors: visitors.size,
+      repeatVisitors: [...visitors.values()].filter(count => count > 1).length,
+    }))
+    .sort((a, b) => b.sessions - a.sessions || a.markerId.localeCompare(b.markerId));
+}
+
+/**
+ * Funnel step counts per marker the same way the SQL adapters'
+ * getFunnelSummaries query does
+ */
+function summarizeFunnel(events, minViewSeconds) {
+  const sessions = new Map();
+
+  events.forEach((event) => {
+    if (!event.sessionId) return;
+
+    const key = JSON.stringify([event.markerId, event.sessionId]);
+    if (!sessions.has(key)) {
+      sessions.set(key, { markerId: event.markerId, steps: new Set() });
+    }
+
+    const { steps } = sessions.get(key);
+    if (event.eventType === 'viewDuration') {
+      if (event.duration >= minViewSeconds) steps.add('view');
+    } else {
+      steps.add(event.eventType);
+    }
+  });
+
+  const byMarker = new Map();
+
+  sessions.forEach(({ markerId, steps }) => {
+    if (!steps.has('scan')) return;
+
+    if (!byMarker.has(markerId)) {
+      byMarker.set(markerId, {
+        markerId,
+        scanSessions: 0,
+        detectionSessions: 0,
+        viewSessions: 0,
+        clickSessions: 0,
+        shareSessions: 0,
+      });
+    }
+
+    const summary = byMarker.get(markerId);
+    summary.scanSessions++;
+
+    // Each step counts only after every step before it
+    for (const step of ['detection', 'view', 'click', 'share']) {
+      if (!steps.has(step)) break;
+      summary[`${step}Sessions`]++;
+    }
+  });
+
+  return [...byMarker.values()]
+    .sort((a, b) => b.scanSessions - a.scanSessions || a.markerId.localeCompare(b.markerId));
+}
+
+/**
+ * Aggregate events into time buckets the same way the SQL adapters'
+ * timeseries queries do
+ */
+function summarizeBuckets(events, buckets) {
+  const eventsByBucket = groupByBucket(events, buckets);
+
+  return buckets.map(({ start, end }, index) => {
+    const counts = countEvents(eventsByBucket[index]);
+
+    return {
+      start,
+      end,
+      scans: counts.scans,
+      clicks: counts.clicks,
+      views: counts.views,
+      shares: counts.shares,
+      uniqueSessions: countSessions(eventsByBucket[index]),
+      avgDuration: counts.durationCount > 0 ? counts.totalDuration / counts.durationCount : 0,
+    };
+  });
+}
+
+/**
+ * Events per bucket ([start, end) ranges), in bucket order; events outside
+ * every bucket are left out
+ */
+function groupByBucket(events, buckets) {
+  const ranges = buckets.map(({ start, end }) => ({
+    start: new Date(start).getTime(),
+    end: new Date(end).getTime(),
+  }));
+  const eventsByBucket = buckets.map(() => []);
+
+  events.forEach((event) => {
+    const time = new Date(event.timestamp).getTime();
+    const index = ranges.findIndex(range => time >= range.start && time < range.end);
+    if (index !== -1) eventsByBucket[index].push(event);
+  });
+
+  return eventsByBucket;
+}
+
+/**
+ * Event counts as stored in a rollup: per type, summed view durations and
+ * the latest scan (ISO)
+ */
+function countEvents(events) {
+  const counts = {
+    scans: 0,
+    clicks: 0,
+    views: 0,
+    shares: 0,
+    totalDuration: 0,
+    durationCount: 0,
+    lastScan: null,
+  };
+
+  events.forEach((event) => {
+    const timestamp = new Date(event.timestamp).toISOString();
+
+    if (event.eventType === 'scan') {
+      counts.scans++;
+      if (!counts.lastScan || timestamp > counts.lastScan) counts.lastScan = timestamp;
+    } else if (event.eventType === 'click') {
+      counts.clicks++;
+    } else if (event.eventType === 'share') {
+      counts.shares++;
+    } else if (event.eventType === 'viewDuration') {
+      counts.views++;
+      if (event.duration) {
+        counts.totalDuration += event.duration;
+        counts.durationCount++;
+      }
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Distinct session IDs among events
+ */
+function countSessions(events) {
+  return new Set(events.filter(event => event.sessionId).map(event => event.sessionId)).size;
+}
+
+/**
+ * Rollup rows for events of one organization: one per bucket, marker,
+ * variant and device type ('' when unset), like the SQL adapters' GROUP BY
+ */
+function buildRollups(events, period, buckets) {
+  const rollups = [];
+
+  groupByBucket(events, buckets).forEach((bucketEvents, index) => {
+    const groups = new Map();
+
+    bucketEvents.forEach((event) => {
+      const variantId = event.variantId || '';
+      const deviceType = (event.metadata && event.metadata.deviceType) || '';
+      const key = JSON.stringify([event.markerId, variantId, deviceType]);
+
+      if (!groups.has(key)) {
+        groups.set(key, { markerId: event.markerId, variantId, deviceType, events: [] });
+      }
+      groups.get(key).events.push(event);
+    });
+
+    groups.forEach(({ events: groupEvents, ...dimensions }) => {
+      rollups.push({
+        ...dimensions,
+        period,
+        bucketStart: buckets[index].start,
+        ...countEvents(groupEvents),
+      });
+    });
+  });
+
+  return rollups;
+}
+
+/**
+ * Session rollup rows for events of one organization: distinct sessions
+ * per bucket and marker
+ */
+function buildSessionRollups(events, period, buckets) {
+  const rollups = [];
+
+  groupByBucket(events, buckets).forEach((bucketEvents, index) => {
+    const byMarker = new Map();
+
+    bucketEvents.forEach((event) => {
+      if (!byMarker.has(event.markerId)) {
+        byMarker.set(event.markerId, []);
+      }
+      byMarker.get(event.markerId).push(event);
+    });
+
+    byMarker.forEach((markerEvents, markerId) => {
+      rollups.push({
+        markerId,
+        period,
+        bucketStart: buckets[index].start,
+        sessions: countSessions(markerEvents),
+      });
+    });
+  });
+
+  return rollups;
+}
+
+/**
+ * Add rollups and raw event counts up per marker into summaries, most
+ * scanned first (see getRolledUpSummaries)
+ */
+function summarizeRollups(rollups) {
+  const byMarker = new Map();
+
+  rollups.forEach((rollup) => {
+    if (!byMarker.has(rollup.markerId)) {
+      byMarker.set(rollup.markerId, { scans: 0, clicks: 0, totalDuration: 0, durationCount: 0, lastScan: null });
+    }
+
+    const totals = byMarker.get(rollup.markerId);
+    totals.scans += rollup.scans;
+    totals.clicks += rollup.clicks;
+    totals.totalDuration += rollup.totalDuration;
+    totals.durationCount += rollup.durationCount;
+    if (rollup.lastScan && (!totals.lastScan || rollup.lastScan > totals.lastScan)) {
+      totals.lastScan = rollup.lastScan;
+    }
+  });
+
+  return [...byMarker.entries()]
+    .map(([markerId, totals]) => ({
+      markerId,
+      totalScans: totals.scans,
+      totalClicks: totals.clicks,
+      avgDuration: totals.durationCount > 0 ? totals.totalDuration / totals.durationCount : 0,
+      lastScan: totals.lastScan,
+    }))
+    .sort((a, b) => b.totalScans - a.totalScans);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  initialize,
+  close,
+  getAppliedMigrations,
+  runMigration,
+  getContent,
+  setContent,
+  deleteContent,
+  listAllContent,
+  getDraft,
+  setDraft,
+  approveDraft,
+  deleteDraft,
+  takeDraft,
+  addContentRevision,
+  listContentRevisions,
+  getContentRevision,
+  getCampaign,
+  listCampaigns,
+  setCampaign,
+  deleteCampaign,
+  getOrganization,
+  listOrganizations,
+  setOrganization,
+  getUser,
+  getUserByOidcSubject,
+  listUsers,
+  setUser,
+  recordUserLogin,
+  deleteUser,
+  getUserTotp,
+  setUserTotp,
+  deleteUserTotp,
+  useTotpStep,
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  setApiKey,
+  recordApiKeyUse,
+  getAuthSession,
+  listAuthSessions,
+  setAuthSession,
+  rotateAuthSession,
+  addTokenRevocation,
+  isTokenRevoked,
+  purgeTokenRevocations,
+  addAuditEntry,
+  listAuditEntries,
+  purgeAuditEntries,
+  recordAnalyticsEvent,
+  getAnalytics,
+  getAnalyticsSummary,
+  getAllAnalyticsSummaries,
+  getVariantSummaries,
+  getRuleSummaries,
+  getCampaignAnalyticsSummary,
+  getAnalyticsTimeseries,
+  getSessionSummaries,
+  getFunnelSummaries,
+  rollupAnalytics,
+  getAnalyticsRollupState,
+  setAnalyticsRollupState,
+  resetAnalyticsRollups,
+  getFirstAnalyticsTimestamp,
+  queueAnalyticsRollups,
+  takeQueuedAnalyticsRollups,
+  getRolledUpSummaries,
+  getRollupTimeseries,
+};
@@ -1,45 +1,1738 @@
 /**
- * PostgreSQL Adapter (Placeholder)
+ * PostgreSQL Database Adapter
  *
- * This adapter outlines the interface required by the database abstraction
- * layer but does not include a production implementation. Users who wish
- * to connect PortalAR to PostgreSQL should replace the methods below with
- * actual queries using the `pg` library or a preferred ORM.
+ * Production-grade SQL implementation using the `pg` connection pool.
+ * Recommended when running multiple API instances against a shared database.
+ *
+ * Benefits:
+ * - Safe concurrent writes from many API instances
+ * - Connection pooling
+ * - Mature backup and replication tooling
+ *
+ * Setup:
+ * 1. Create a database (e.g. `createdb portal_ar`)
+ * 2. Set DATABASE_URL, or the POSTGRES_* variables, in .env
+ * 3. Set DATABASE_TYPE=postgres
+ */
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+let pool;
+
+/**
+ * Build pool configuration from environment variables
+ */
+function getPoolConfig() {
+  const ssl = process.env.POSTGRES_SSL === 'true'
+    ? { rejectUnauthorized: process.env.POSTGRES_SSL_REJECT_UNAUTHORIZED !== 'false' }
+    : false;
+
+  const config = process.env.DATABASE_URL
+    ? { connectionString: process.env.DATABASE_URL }
+    : {
+        host: process.env.POSTGRES_HOST || 'localhost',
+        port: parseInt(process.env.POSTGRES_PORT) || 5432,
+        database: process.env.POSTGRES_DB || 'portal_ar',
+        user: process.env.POSTGRES_USER || 'postgres',
+        password: process.env.POSTGRES_PASSWORD,
+      };
+
+  return {
+    ...config,
+    ssl,
+    max: parseInt(process.env.POSTGRES_POOL_MAX) || 10,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 10000,
+  };
+}
+
+/**
+ * Initialize PostgreSQL connection pool
+ * Tables are created by migrations (see database/migrations/)
+ */
+async function initialize() {
+  pool = new Pool(getPoolConfig());
+
+  // Log idle client errors instead of crashing the process
+  pool.on('error', (err) => {
+    console.error('Unexpected PostgreSQL client error:', err);
+  });
+
+  // Verify connectivity before accepting requests
+  const client = await pool.connect();
+  client.release();
+
+  console.log('PostgreSQL database connected');
+}
+
+/**
+ * Close all pooled connections
+ */
+async function close() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
+
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+async function getAppliedMigrations() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const { rows } = await pool.query('SELECT * FROM schema_migrations ORDER BY version');
+  return rows.map(row => ({
+    version: row.version,
+    name: row.name,
+    appliedAt: toISOString(row.applied_at),
+  }));
+}
+
+/**
+ * Run one migration step and record it in a single transaction
+ */
+async function runMigration(migration, direction) {
+  const step = migration.postgres && migration.postgres[direction];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (step) {
+      await client.query(step);
+    }
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// Content Operations
+// ============================================================================
+
+async function getContent(orgId, markerId) {
+  const { rows } = await pool.query('SELECT * FROM content WHERE org_id = $1 AND marker_id = $2', [orgId, markerId]);
+  return rows.length > 0 ? parseContentRow(rows[0]) : null;
+}
+
+async function setContent(orgId, markerId, content) {
+  const {
+    type,
+    title,
+    summary,
+    url,
+    videoUrl,
+    posterUrl,
+    modelUrl,
+    imageUrl,
+    ctaText,
+    ctaUrl,
+    style,
+    schedule,
+    variants,
+    rules,
+    translations,
+    campaignId,
+    expiresAt,
+  } = content;
+
+  const sql = `
+    INSERT INTO content (
+      org_id, marker_id, type, title, summary, url, video_url, poster_url,
+      model_url, image_url, cta_text, cta_url, style, schedule, variants, rules, translations,
+      campaign_id, expires_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW())
+    ON CONFLICT (org_id, marker_id) DO UPDATE SET
+      type = EXCLUDED.type,
+      title = EXCLUDED.title,
+      summary = EXCLUDED.summary,
+      url = EXCLUDED.url,
+      video_url = EXCLUDED.video_url,
+      poster_url = EXCLUDED.poster_url,
+      model_url = EXCLUDED.model_url,
+      image_url = EXCLUDED.image_url,
+      cta_text = EXCLUDED.cta_text,
+      cta_url = EXCLUDED.cta_url,
+      style = EXCLUDED.style,
+      schedule = EXCLUDED.schedule,
+      variants = EXCLUDED.variants,
+      rules = EXCLUDED.rules,
+      translations = EXCLUDED.translations,
+      campaign_id = EXCLUDED.campaign_id,
+      expires_at = EXCLUDED.expires_at,
+      updated_at = NOW()
+  `;
+
+  await pool.query(sql, [
+    orgId,
+    markerId,
+    type,
+    title || null,
+    summary || null,
+    url || null,
+    videoUrl || null,
+    posterUrl || null,
+    modelUrl || null,
+    imageUrl || null,
+    ctaText || null,
+    ctaUrl || null,
+    style ? JSON.stringify(style) : null,
+    schedule ? JSON.stringify(schedule) : null,
+    variants ? JSON.stringify(variants) : null,
+    rules ? JSON.stringify(rules) : null,
+    translations ? JSON.stringify(translations) : null,
+    campaignId || null,
+    expiresAt || null,
+  ]);
+
+  return { markerId, ...content };
+}
+
+async function deleteContent(orgId, markerId) {
+  const result = await pool.query('DELETE FROM content WHERE org_id = $1 AND marker_id = $2', [orgId, markerId]);
+  return { deleted: result.rowCount > 0 };
+}
+
+/**
+ * List content, newest first
+ * Options:
+ * - campaignId: only markers in this campaign
+ */
+async function listAllContent(orgId, options = {}) {
+  const { campaignId } = options;
+
+  const sql = campaignId
+    ? 'SELECT * FROM content WHERE org_id = $1 AND campaign_id = $2 ORDER BY updated_at DESC'
+    : 'SELECT * FROM content WHERE org_id = $1 ORDER BY updated_at DESC';
+
+  const { rows } = await pool.query(sql, campaignId ? [orgId, campaignId] : [orgId]);
+
+  return rows.map(parseContentRow);
+}
+
+// ============================================================================
+// Content Drafts
+// ============================================================================
+
+async function getDraft(orgId, markerId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM content_drafts WHERE org_id = $1 AND marker_id = $2',
+    [orgId, markerId]
+  );
+  return rows.length > 0 ? parseDraftRow(rows[0]) : null;
+}
+
+/**
+ * Create or replace a draft; any previous approval is cleared
+ */
+async function setDraft(orgId, markerId, draft) {
+  const { content, author } = draft;
+
+  const sql = `
+    INSERT INTO content_drafts (org_id, marker_id, content, author)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (org_id, marker_id) DO UPDATE SET
+      content = EXCLUDED.content,
+      author = EXCLUDED.author,
+      approved_by = NULL,
+      approved_at = NULL,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(sql, [orgId, markerId, JSON.stringify(content), author || null]);
+  return parseDraftRow(rows[0]);
+}
+
+async function approveDraft(orgId, markerId, approver) {
+  const { rows } = await pool.query(
+    `UPDATE content_drafts SET approved_by = $1, approved_at = NOW()
+     WHERE org_id = $2 AND marker_id = $3 RETURNING *`,
+    [approver, orgId, markerId]
+  );
+  return rows.length > 0 ? parseDraftRow(rows[0]) : null;
+}
+
+async function deleteDraft(orgId, markerId) {
+  const result = await pool.query(
+    'DELETE FROM content_drafts WHERE org_id = $1 AND marker_id = $2',
+    [orgId, markerId]
+  );
+  return { deleted: result.rowCount > 0 };
+}
+
+/**
+ * Remove a draft and return it (null if there is none or, with `approved`,
+ * if it isn't approved) in one step, so it is published at most once and
+ * only as approved
+ */
+async function takeDraft(orgId, markerId, { approved = false } = {}) {
+  const { rows } = await pool.query(`
+    DELETE FROM content_drafts
+    WHERE org_id = $1 AND marker_id = $2 ${approved ? 'AND approved_by IS NOT NULL' : ''}
+    RETURNING *
+  `, [orgId, markerId]);
+
+  return rows.length > 0 ? parseDraftRow(rows[0]) : null;
+}
+
+// ============================================================================
+// Content Revisions
+// ============================================================================
+
+/**
+ * Append an immutable revision, numbered after the marker's latest one
+ * The UNIQUE (org_id, marker_id, revision) constraint rejects concurrent duplicates
+ */
+async function addContentRevision(orgId, markerId, revision) {
+  const { content, diff, author, restoredFrom } = revision;
+
+  const sql = `
+    INSERT INTO content_revisions (
+      org_id, marker_id, revision, content, diff, author, restored_from
+    )
+    -- Parameters in a SELECT list are untyped, hence the casts
+    SELECT $1, $2, COALESCE(MAX(revision), 0) + 1, $3::jsonb, $4::jsonb, $5::text, $6::integer
+    FROM content_revisions
+    WHERE org_id = $1 AND marker_id = $2
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(sql, [
+    orgId,
+    markerId,
+    JSON.stringify(content),
+    diff ? JSON.stringify(diff) : null,
+    author || null,
+    restoredFrom || null,
+  ]);
+
+  return parseRevisionRow(rows[0]);
+}
+
+async function listContentRevisions(orgId, markerId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM content_revisions WHERE org_id = $1 AND marker_id = $2 ORDER BY revision DESC',
+    [orgId, markerId]
+  );
+  return rows.map(parseRevisionRow);
+}
+
+async function getContentRevision(orgId, markerId, revision) {
+  const { rows } = await pool.query(
+    'SELECT * FROM content_revisions WHERE org_id = $1 AND marker_id = $2 AND revision = $3',
+    [orgId, markerId, revision]
+  );
+  return rows.length > 0 ? parseRevisionRow(rows[0]) : null;
+}
+
+// ============================================================================
+// Campaigns
+// ============================================================================
+
+async function getCampaign(orgId, id) {
+  const { rows } = await pool.query('SELECT * FROM campaigns WHERE org_id = $1 AND id = $2', [orgId, id]);
+  return rows.length > 0 ? parseCampaignRow(rows[0]) : null;
+}
+
+async function listCampaigns(orgId) {
+  const { rows } = await pool.query('SELECT * FROM campaigns WHERE org_id = $1 ORDER BY updated_at DESC', [orgId]);
+  return rows.map(parseCampaignRow);
+}
+
+/**
+ * Create or replace a campaign (createdAt is kept)
+ */
+async function setCampaign(orgId, id, campaign) {
+  const { name, client, startsAt, endsAt, defaultStyle, tags, status } = campaign;
+
+  const sql = `
+    INSERT INTO campaigns (
+      org_id, id, name, client, starts_at, ends_at, default_style, tags, status, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+    ON CONFLICT (org_id, id) DO UPDATE SET
+      name = EXCLUDED.name,
+      client = EXCLUDED.client,
+      starts_at = EXCLUDED.starts_at,
+      ends_at = EXCLUDED.ends_at,
+      default_style = EXCLUDED.default_style,
+      tags = EXCLUDED.tags,
+      status = EXCLUDED.status,
+      updated_at = NOW()
+  `;
+
+  await pool.query(sql, [
+    orgId,
+    id,
+    name,
+    client || null,
+    startsAt || null,
+    endsAt || null,
+    defaultStyle ? JSON.stringify(defaultStyle) : null,
+    tags ? JSON.stringify(tags) : null,
+    status || 'active',
+  ]);
+
+  return getCampaign(orgId, id);
+}
+
+async function deleteCampaign(orgId, id) {
+  const result = await pool.query('DELETE FROM campaigns WHERE org_id = $1 AND id = $2', [orgId, id]);
+  return { deleted: result.rowCount > 0 };
+}
+
+// ============================================================================
+// Organizations
+// ============================================================================
+
+async function getOrganization(id) {
+  const { rows } = await pool.query('SELECT * FROM organizations WHERE id = $1', [id]);
+  return rows.length > 0 ? parseOrganizationRow(rows[0]) : null;
+}
+
+async function listOrganizations() {
+  const { rows } = await pool.query('SELECT * FROM organizations ORDER BY name');
+  return rows.map(parseOrganizationRow);
+}
+
+/**
+ * Create or rename an organization (createdAt is kept)
  */
+async function setOrganization(id, organization) {
+  const sql = `
+    INSERT INTO organizations (id, name)
+    VALUES ($1, $2)
+    ON CONFLICT (id) DO UPDATE SET
+      name = EXCLUDED.name,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(sql, [id, organization.name]);
+  return parseOrganizationRow(rows[0]);
+}
+
+// ============================================================================
+// Users
+// ============================================================================
+
+async function getUser(orgId, username) {
+  const { rows } = await pool.query(
+    'SELECT * FROM users WHERE org_id = $1 AND username = $2',
+    [orgId, username]
+  );
+  return rows.length > 0 ? parseUserRow(rows[0]) : null;
+}
 
-function notImplemented() {
-  throw new Error('PostgreSQL adapter is not implemented. Set DATABASE_TYPE=sqlite or provide a custom implementation.');
+/**
+ * The user created by single sign-on for an identity provider subject
+ */
+async function getUserByOidcSubject(orgId, subject) {
+  const { rows } = await pool.query(
+    'SELECT * FROM users WHERE org_id = $1 AND oidc_subject = $2',
+    [orgId, subject]
+  );
+  return rows.length > 0 ? parseUserRow(rows[0]) : null;
+}
+
+async function listUsers(orgId) {
+  const { rows } = await pool.query('SELECT * FROM users WHERE org_id = $1 ORDER BY username', [orgId]);
+  return rows.map(parseUserRow);
+}
+
+/**
+ * Create or replace a user (createdAt, lastLoginAt and the oidcSubject it
+ * was created with are kept)
+ */
+async function setUser(orgId, username, user) {
+  const sql = `
+    INSERT INTO users (org_id, username, password_hash, role, oidc_subject)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (org_id, username) DO UPDATE SET
+      password_hash = EXCLUDED.password_hash,
+      role = EXCLUDED.role,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(sql, [orgId, username, user.passwordHash, user.role, user.oidcSubject || null]);
+  return parseUserRow(rows[0]);
+}
+
+async function recordUserLogin(orgId, username) {
+  await pool.query(
+    'UPDATE users SET last_login_at = NOW() WHERE org_id = $1 AND username = $2',
+    [orgId, username]
+  );
+}
+
+async function deleteUser(orgId, username) {
+  const result = await pool.query('DELETE FROM users WHERE org_id = $1 AND username = $2', [orgId, username]);
+  return { deleted: result.rowCount > 0 };
+}
+
+// ============================================================================
+// User TOTP
+// ============================================================================
+
+async function getUserTotp(orgId, username) {
+  const { rows } = await pool.query(
+    'SELECT * FROM user_totp WHERE org_id = $1 AND username = $2',
+    [orgId, username]
+  );
+  return rows.length > 0 ? parseUserTotpRow(rows[0]) : null;
+}
+
+/**
+ * Create or replace a user's TOTP settings (createdAt is kept)
+ */
+async function setUserTotp(orgId, username, totp) {
+  const sql = `
+    INSERT INTO user_totp (
+      org_id, username, secret, enabled_at, last_used_step, recovery_code_hashes, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    ON CONFLICT (org_id, username) DO UPDATE SET
+      secret = EXCLUDED.secret,
+      enabled_at = EXCLUDED.enabled_at,
+      last_used_step = EXCLUDED.last_used_step,
+      recovery_code_hashes = EXCLUDED.recovery_code_hashes,
+      updated_at = NOW()
+  `;
+
+  await pool.query(sql, [
+    orgId,
+    username,
+    totp.secret,
+    totp.enabledAt || null,
+    totp.lastUsedStep ?? null,
+    JSON.stringify(totp.recoveryCodeHashes || []),
+  ]);
+
+  return getUserTotp(orgId, username);
+}
+
+async function deleteUserTotp(orgId, username) {
+  const result = await pool.query('DELETE FROM user_totp WHERE org_id = $1 AND username = $2', [orgId, username]);
+  return { deleted: result.rowCount > 0 };
+}
+
+/**
+ * Record a TOTP step as used unless it or a later one already was, as one
+ * conditional update so concurrent logins can't both use a code. Creates a
+ * record without a secret when there is none (the deployment admin's).
+ * Resolves to whether the step was recorded.
+ */
+async function useTotpStep(orgId, username, step) {
+  await pool.query(`
+    INSERT INTO user_totp (org_id, username, secret) VALUES ($1, $2, '')
+    ON CONFLICT (org_id, username) DO NOTHING
+  `, [orgId, username]);
+
+  const result = await pool.query(`
+    UPDATE user_totp SET last_used_step = $3, updated_at = NOW()
+    WHERE org_id = $1 AND username = $2 AND (last_used_step IS NULL OR last_used_step < $3)
+  `, [orgId, username, step]);
+
+  return result.rowCount > 0;
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+async function getApiKey(orgId, id) {
+  const { rows } = await pool.query('SELECT * FROM api_keys WHERE org_id = $1 AND id = $2', [orgId, id]);
+  return rows.length > 0 ? parseApiKeyRow(rows[0]) : null;
+}
+
+/**
+ * Find a key by its hash in any organization
+ */
+async function findApiKeyByHash(keyHash) {
+  const { rows } = await pool.query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+  return rows.length > 0 ? parseApiKeyRow(rows[0]) : null;
+}
+
+async function listApiKeys(orgId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM api_keys WHERE org_id = $1 ORDER BY created_at DESC',
+    [orgId]
+  );
+  return rows.map(parseApiKeyRow);
+}
+
+/**
+ * Create or replace an API key (createdAt and lastUsedAt are kept)
+ */
+async function setApiKey(orgId, id, apiKey) {
+  const sql = `
+    INSERT INTO api_keys (
+      org_id, id, name, key_prefix, key_hash, scopes, marker_ids, campaign_ids,
+      created_by, revoked_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    ON CONFLICT (org_id, id) DO UPDATE SET
+      name = EXCLUDED.name,
+      key_prefix = EXCLUDED.key_prefix,
+      key_hash = EXCLUDED.key_hash,
+      scopes = EXCLUDED.scopes,
+      marker_ids = EXCLUDED.marker_ids,
+      campaign_ids = EXCLUDED.campaign_ids,
+      created_by = EXCLUDED.created_by,
+      revoked_at = EXCLUDED.revoked_at,
+      updated_at = NOW()
+  `;
+
+  await pool.query(sql, [
+    orgId,
+    id,
+    apiKey.name,
+    apiKey.keyPrefix,
+    apiKey.keyHash,
+    JSON.stringify(apiKey.scopes),
+    apiKey.markerIds ? JSON.stringify(apiKey.markerIds) : null,
+    apiKey.campaignIds ? JSON.stringify(apiKey.campaignIds) : null,
+    apiKey.createdBy || null,
+    apiKey.revokedAt || null,
+  ]);
+
+  return getApiKey(orgId, id);
+}
+
+async function recordApiKeyUse(orgId, id) {
+  await pool.query(
+    'UPDATE api_keys SET last_used_at = NOW() WHERE org_id = $1 AND id = $2',
+    [orgId, id]
+  );
+}
+
+// ============================================================================
+// Auth Sessions
+// ============================================================================
+
+async function getAuthSession(id) {
+  const { rows } = await pool.query('SELECT * FROM auth_sessions WHERE id = $1', [id]);
+  return rows.length > 0 ? parseAuthSessionRow(rows[0]) : null;
+}
+
+async function listAuthSessions(orgId, username) {
+  const { rows } = await pool.query(
+    'SELECT * FROM auth_sessions WHERE org_id = $1 AND username = $2 ORDER BY created_at DESC',
+    [orgId, username]
+  );
+  return rows.map(parseAuthSessionRow);
+}
+
+/**
+ * Create or replace a session (createdAt is kept)
+ */
+async function setAuthSession(id, session) {
+  const sql = `
+    INSERT INTO auth_sessions (
+      id, org_id, username, refresh_token_hash, access_expires_at, expires_at,
+      last_used_at, revoked_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+    ON CONFLICT (id) DO UPDATE SET
+      org_id = EXCLUDED.org_id,
+      username = EXCLUDED.username,
+      refresh_token_hash = EXCLUDED.refresh_token_hash,
+      access_expires_at = EXCLUDED.access_expires_at,
+      expires_at = EXCLUDED.expires_at,
+      last_used_at = EXCLUDED.last_used_at,
+      revoked_at = EXCLUDED.revoked_at,
+      updated_at = NOW()
+  `;
+
+  await pool.query(sql, [
+    id,
+    session.orgId,
+    session.username,
+    session.refreshTokenHash,
+    session.accessExpiresAt,
+    session.expiresAt,
+    session.lastUsedAt || null,
+    session.revokedAt || null,
+  ]);
+
+  return getAuthSession(id);
+}
+
+/**
+ * Replace a session's refresh token hash and expiry times, only while it is
+ * unrevoked and its hash is still `refreshTokenHash` (one conditional
+ * update, so a refresh token rotates once). Resolves to whether it did.
+ */
+async function rotateAuthSession(id, refreshTokenHash, session) {
+  const result = await pool.query(`
+    UPDATE auth_sessions SET
+      refresh_token_hash = $3, access_expires_at = $4, expires_at = $5, last_used_at = $6, updated_at = NOW()
+    WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+  `, [
+    id,
+    refreshTokenHash,
+    session.refreshTokenHash,
+    session.accessExpiresAt,
+    session.expiresAt,
+    session.lastUsedAt || null,
+  ]);
+
+  return result.rowCount > 0;
+}
+
+async function addTokenRevocation(sessionId, expiresAt) {
+  await pool.query(
+    `INSERT INTO token_revocations (session_id, expires_at) VALUES ($1, $2)
+     ON CONFLICT (session_id) DO UPDATE SET expires_at = EXCLUDED.expires_at`,
+    [sessionId, expiresAt]
+  );
+}
+
+async function isTokenRevoked(sessionId) {
+  const { rows } = await pool.query('SELECT 1 FROM token_revocations WHERE session_id = $1', [sessionId]);
+  return rows.length > 0;
+}
+
+/**
+ * Drop revocations that expired before a date
+ */
+async function purgeTokenRevocations(before) {
+  const result = await pool.query('DELETE FROM token_revocations WHERE expires_at < $1', [before]);
+  return { deleted: result.rowCount };
 }
 
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+/**
+ * Append an entry (the log is append-only; see purgeAuditEntries)
+ */
+async function addAuditEntry(orgId, entry) {
+  const sql = `
+    INSERT INTO audit_log (
+      id, org_id, action, actor, actor_role, target_type, target_id, marker_id,
+      before_state, after_state, ip_address, request_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(sql, [
+    crypto.randomUUID(),
+    orgId,
+    entry.action,
+    entry.actor,
+    entry.actorRole || null,
+    entry.targetType,
+    entry.targetId ?? null,
+    entry.markerId || null,
+    entry.before == null ? null : JSON.stringify(entry.before),
+    entry.after == null ? null : JSON.stringify(entry.after),
+    entry.ipAddress || null,
+    entry.requestId || null,
+  ]);
+
+  return parseAuditRow(rows[0]);
+}
+
+/**
+ * An organization's entries, newest first
+ */
+async function listAuditEntries(orgId, options = {}) {
+  const { actor, action, targetType, targetId, markerId, startDate, endDate, limit = 100 } = options;
+
+  let sql = 'SELECT * FROM audit_log WHERE org_id = $1';
+  const params = [orgId];
+
+  const filters = {
+    actor,
+    action,
+    target_type: targetType,
+    target_id: targetId,
+    marker_id: markerId,
+  };
+
+  Object.entries(filters).forEach(([column, value]) => {
+    if (value) {
+      params.push(value);
+      sql += ` AND ${column} = $${params.length}`;
+    }
+  });
+
+  if (startDate) {
+    params.push(startDate);
+    sql += ` AND created_at >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    sql += ` AND created_at <= $${params.length}`;
+  }
+
+  params.push(limit);
+  sql += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+  const { rows } = await pool.query(sql, params);
+  return rows.map(parseAuditRow);
+}
+
+/**
+ * Delete entries (of every organization) created before a date
+ */
+async function purgeAuditEntries(before) {
+  const result = await pool.query('DELETE FROM audit_log WHERE created_at < $1', [before]);
+  return { deleted: result.rowCount };
+}
+
+// ============================================================================
+// Analytics Operations
+// ============================================================================
+
+async function recordAnalyticsEvent(orgId, event) {
+  const {
+    markerId,
+    eventType,
+    sessionId,
+    timestamp,
+    duration,
+    userAgent,
+    ipAddress,
+    metadata,
+    variantId,
+    ruleId,
+    visitorId,
+  } = event;
+
+  const sql = `
+    INSERT INTO analytics (
+      org_id, marker_id, event_type, session_id, timestamp, duration,
+      user_agent, ip_address, metadata, variant_id, rule_id, visitor_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING id
+  `;
+
+  const { rows } = await pool.query(sql, [
+    orgId,
+    markerId,
+    eventType,
+    sessionId || null,
+    timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+    duration || null,
+    userAgent || null,
+    ipAddress || null,
+    metadata ? JSON.stringify(metadata) : null,
+    variantId || null,
+    ruleId || null,
+    visitorId || null,
+  ]);
+
+  return { id: rows[0].id, ...event };
+}
+
+async function getAnalytics(orgId, markerId, options = {}) {
+  const { startDate, endDate, eventType, limit = 1000 } = options;
+
+  let sql = 'SELECT * FROM analytics WHERE org_id = $1 AND marker_id = $2';
+  const params = [orgId, markerId];
+
+  if (startDate) {
+    params.push(startDate);
+    sql += ` AND timestamp >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    sql += ` AND timestamp <= $${params.length}`;
+  }
+
+  if (eventType) {
+    params.push(eventType);
+    sql += ` AND event_type = $${params.length}`;
+  }
+
+  params.push(limit);
+  sql += ` ORDER BY timestamp DESC LIMIT $${params.length}`;
+
+  const { rows } = await pool.query(sql, params);
+  return rows.map(parseAnalyticsRow);
+}
+
+async function getAnalyticsSummary(orgId, markerId) {
+  const sql = `
+    SELECT
+      marker_id,
+      COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+      COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+      AVG(CASE WHEN event_type = 'viewDuration' THEN duration END) as avg_duration,
+      MAX(CASE WHEN event_type = 'scan' THEN timestamp END) as last_scan
+    FROM analytics
+    WHERE org_id = $1 AND marker_id = $2
+    GROUP BY marker_id
+  `;
+
+  const { rows } = await pool.query(sql, [orgId, markerId]);
+  const row = rows[0];
+
+  if (!row) {
+    return {
+      markerId,
+      totalScans: 0,
+      totalClicks: 0,
+      avgDuration: 0,
+      lastScan: null,
+    };
+  }
+
+  return parseSummaryRow(row);
+}
+
+async function getAllAnalyticsSummaries(orgId) {
+  const sql = `
+    SELECT
+      marker_id,
+      COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+      COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+      AVG(CASE WHEN event_type = 'viewDuration' THEN duration END) as avg_duration,
+      MAX(CASE WHEN event_type = 'scan' THEN timestamp END) as last_scan
+    FROM analytics
+    WHERE org_id = $1
+    GROUP BY marker_id
+    ORDER BY total_scans DESC
+  `;
+
+  const { rows } = await pool.query(sql, [orgId]);
+  return rows.map(parseSummaryRow);
+}
+
+/**
+ * Per-variant scan and click counts for a marker's experiment
+ * Sessions are counted once per variant (events without a session are not)
+ */
+async function getVariantSummaries(orgId, markerId) {
+  const sql = `
+    SELECT
+      variant_id,
+      COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+      COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+      COUNT(DISTINCT CASE WHEN event_type = 'scan' THEN session_id END) as scan_sessions,
+      COUNT(DISTINCT CASE WHEN event_type = 'click' THEN session_id END) as click_sessions
+    FROM analytics
+    WHERE org_id = $1 AND marker_id = $2 AND variant_id IS NOT NULL
+    GROUP BY variant_id
+    ORDER BY variant_id
+  `;
+
+  const { rows } = await pool.query(sql, [orgId, markerId]);
+
+  return rows.map(row => ({
+    variantId: row.variant_id,
+    totalScans: parseInt(row.total_scans, 10) || 0,
+    totalClicks: parseInt(row.total_clicks, 10) || 0,
+    scanSessions: parseInt(row.scan_sessions, 10) || 0,
+    clickSessions: parseInt(row.click_sessions, 10) || 0,
+  }));
+}
+
+/**
+ * Totals over every marker currently in a campaign
+ */
+async function getCampaignAnalyticsSummary(orgId, campaignId) {
+  const sql = `
+    SELECT
+      COUNT(DISTINCT c.marker_id) as marker_count,
+      COUNT(CASE WHEN a.event_type = 'scan' THEN 1 END) as total_scans,
+      COUNT(CASE WHEN a.event_type = 'click' THEN 1 END) as total_clicks,
+      AVG(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END) as avg_duration,
+      MAX(CASE WHEN a.event_type = 'scan' THEN a.timestamp END) as last_scan
+    FROM content c
+    LEFT JOIN analytics a ON a.org_id = c.org_id AND a.marker_id = c.marker_id
+    WHERE c.org_id = $1 AND c.campaign_id = $2
+  `;
+
+  const { rows } = await pool.query(sql, [orgId, campaignId]);
+  const row = rows[0];
+
+  return {
+    campaignId,
+    markerCount: parseInt(row.marker_count, 10) || 0,
+    totalScans: parseInt(row.total_scans, 10) || 0,
+    totalClicks: parseInt(row.total_clicks, 10) || 0,
+    avgDuration: parseFloat(row.avg_duration) || 0,
+    lastScan: toISOString(row.last_scan),
+  };
+}
+
+/**
+ * Per-rule scan and click counts for a marker's targeting rules
+ * Events served without a rule are grouped under ruleId null (listed last)
+ */
+async function getRuleSummaries(orgId, markerId) {
+  const sql = `
+    SELECT
+      rule_id,
+      COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+      COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+      COUNT(DISTINCT CASE WHEN event_type = 'scan' THEN session_id END) as scan_sessions,
+      COUNT(DISTINCT CASE WHEN event_type = 'click' THEN session_id END) as click_sessions
+    FROM analytics
+    WHERE org_id = $1 AND marker_id = $2
+    GROUP BY rule_id
+    ORDER BY rule_id IS NULL, rule_id
+  `;
+
+  const { rows } = await pool.query(sql, [orgId, markerId]);
+
+  return rows.map(row => ({
+    ruleId: row.rule_id,
+    totalScans: parseInt(row.total_scans, 10) || 0,
+    totalClicks: parseInt(row.total_clicks, 10) || 0,
+    scanSessions: parseInt(row.scan_sessions, 10) || 0,
+    clickSessions: parseInt(row.click_sessions, 10) || 0,
+  }));
+}
+
+/**
+ * Event counts, unique sessions and average view duration per time bucket
+ * ([{ start, end }] from database/timeBuckets.js), for one marker or, with
+ * markerId null, every marker of the organization
+ */
+async function getAnalyticsTimeseries(orgId, markerId, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  const params = [orgId];
+  let markerFilter = '';
+  if (markerId) {
+    params.push(markerId);
+    markerFilter = ` AND a.marker_id = $${params.length}`;
+  }
+
+  const values = buckets.map(({ start, end }) => {
+    params.push(start, end);
+    return `($${params.length - 1}::timestamptz, $${params.length}::timestamptz)`;
+  }).join(', ');
+
+  const sql = `
+    SELECT
+      b.bucket_start,
+      b.bucket_end,
+      COUNT(CASE WHEN a.event_type = 'scan' THEN 1 END) as scans,
+      COUNT(CASE WHEN a.event_type = 'click' THEN 1 END) as clicks,
+      COUNT(CASE WHEN a.event_type = 'viewDuration' THEN 1 END) as views,
+      COUNT(CASE WHEN a.event_type = 'share' THEN 1 END) as shares,
+      COUNT(DISTINCT a.session_id) as unique_sessions,
+      AVG(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END) as avg_duration
+    FROM (VALUES ${values}) AS b (bucket_start, bucket_end)
+    LEFT JOIN analytics a
+      ON a.org_id = $1${markerFilter}
+      AND a.timestamp >= b.bucket_start AND a.timestamp < b.bucket_end
+    GROUP BY b.bucket_start, b.bucket_end
+    ORDER BY b.bucket_start
+  `;
+
+  const { rows } = await pool.query(sql, params);
+
+  return rows.map(row => ({
+    start: toISOString(row.bucket_start),
+    end: toISOString(row.bucket_end),
+    scans: parseInt(row.scans, 10) || 0,
+    clicks: parseInt(row.clicks, 10) || 0,
+    views: parseInt(row.views, 10) || 0,
+    shares: parseInt(row.shares, 10) || 0,
+    uniqueSessions: parseInt(row.unique_sessions, 10) || 0,
+    avgDuration: parseFloat(row.avg_duration) || 0,
+  }));
+}
+
+/**
+ * Session and visitor counts per marker (one marker, or every marker with
+ * markerId null), from events with a session id in the optional date range.
+ * Sessions without a visitor id count as a visitor each; a bounce is a
+ * session with a scan but no detection.
+ */
+async function getSessionSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate } = options;
+
+  let filters = '';
+  const params = [orgId];
+
+  if (markerId) {
+    params.push(markerId);
+    filters += ` AND marker_id = $${params.length}`;
+  }
+
+  if (startDate) {
+    params.push(startDate);
+    filters += ` AND timestamp >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    filters += ` AND timestamp <= $${params.length}`;
+  }
+
+  const sql = `
+    SELECT
+      marker_id,
+      SUM(session_count) as sessions,
+      COUNT(*) as unique_visitors,
+      SUM(CASE WHEN session_count > 1 THEN 1 ELSE 0 END) as repeat_visitors,
+      SUM(scans) as scans,
+      SUM(scan_sessions) as scan_sessions,
+      SUM(bounces) as bounces
+    FROM (
+      SELECT
+        marker_id,
+        visitor,
+        COUNT(*) as session_count,
+        SUM(scans) as scans,
+        SUM(CASE WHEN scans > 0 THEN 1 ELSE 0 END) as scan_sessions,
+        SUM(CASE WHEN scans > 0 AND detections = 0 THEN 1 ELSE 0 END) as bounces
+      FROM (
+        SELECT
+          marker_id,
+          session_id,
+          COALESCE(MAX(visitor_id), session_id) as visitor,
+          COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as scans,
+          COUNT(CASE WHEN event_type = 'detection' THEN 1 END) as detections
+        FROM analytics
+        WHERE org_id = $1 AND session_id IS NOT NULL${filters}
+        GROUP BY marker_id, session_id
+      ) s
+      GROUP BY marker_id, visitor
+    ) v
+    GROUP BY marker_id
+    ORDER BY sessions DESC, marker_id
+  `;
+
+  const { rows } = await pool.query(sql, params);
+
+  return rows.map(row => ({
+    markerId: row.marker_id,
+    sessions: parseInt(row.sessions) || 0,
+    uniqueVisitors: parseInt(row.unique_visitors) || 0,
+    repeatVisitors: parseInt(row.repeat_visitors) || 0,
+    scans: parseInt(row.scans) || 0,
+    scanSessions: parseInt(row.scan_sessions) || 0,
+    bounces: parseInt(row.bounces) || 0,
+  }));
+}
+
+/**
+ * Funnel step counts per marker (one marker, or every marker with markerId
+ * null): sessions with a scan in the optional date range, and how many of
+ * them also reached detection, a view of at least `minViewSeconds`, a click
+ * and a share, each requiring the steps before (services/engagementFunnel.js)
+ */
+async function getFunnelSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate, minViewSeconds } = options;
+
+  let filters = '';
+  const params = [minViewSeconds, orgId];
+
+  if (markerId) {
+    params.push(markerId);
+    filters += ` AND marker_id = $${params.length}`;
+  }
+
+  if (startDate) {
+    params.push(startDate);
+    filters += ` AND timestamp >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    filters += ` AND timestamp <= $${params.length}`;
+  }
+
+  const sql = `
+    SELECT
+      marker_id,
+      COUNT(*) as scan_sessions,
+      SUM(CASE WHEN detected = 1 THEN 1 ELSE 0 END) as detection_sessions,
+      SUM(CASE WHEN detected = 1 AND viewed = 1 THEN 1 ELSE 0 END) as view_sessions,
+      SUM(CASE WHEN detected = 1 AND viewed = 1 AND clicked = 1 THEN 1 ELSE 0 END) as click_sessions,
+      SUM(CASE WHEN detected = 1 AND viewed = 1 AND clicked = 1 AND shared = 1 THEN 1 ELSE 0 END) as share_sessions
+    FROM (
+      SELECT
+        marker_id,
+        session_id,
+        MAX(CASE WHEN event_type = 'scan' THEN 1 ELSE 0 END) as scanned,
+        MAX(CASE WHEN event_type = 'detection' THEN 1 ELSE 0 END) as detected,
+        MAX(CASE WHEN event_type = 'viewDuration' AND duration >= $1 THEN 1 ELSE 0 END) as viewed,
+        MAX(CASE WHEN event_type = 'click' THEN 1 ELSE 0 END) as clicked,
+        MAX(CASE WHEN event_type = 'share' THEN 1 ELSE 0 END) as shared
+      FROM analytics
+      WHERE org_id = $2 AND session_id IS NOT NULL${filters}
+      GROUP BY marker_id, session_id
+    ) s
+    WHERE scanned = 1
+    GROUP BY marker_id
+    ORDER BY scan_sessions DESC, marker_id
+  `;
+
+  const { rows } = await pool.query(sql, params);
+
+  return rows.map(row => ({
+    markerId: row.marker_id,
+    scanSessions: parseInt(row.scan_sessions) || 0,
+    detectionSessions: parseInt(row.detection_sessions) || 0,
+    viewSessions: parseInt(row.view_sessions) || 0,
+    clickSessions: parseInt(row.click_sessions) || 0,
+    shareSessions: parseInt(row.share_sessions) || 0,
+  }));
+}
+
+// ============================================================================
+// Analytics Rollups
+// ============================================================================
+
+/**
+ * Recompute the `period` ('hour' or 'day') rollups of the given buckets
+ * from raw events, for every organization or just `orgId`
+ */
+async function rollupAnalytics(period, buckets, orgId = null) {
+  if (buckets.length === 0) {
+    return;
+  }
+
+  const params = [period];
+  let orgFilter = '';
+  if (orgId) {
+    params.push(orgId);
+    orgFilter = `WHERE a.org_id = $${params.length}`;
+  }
+
+  const values = buckets.map(({ start, end }) => {
+    params.push(start, end);
+    return `($${params.length - 1}::timestamptz, $${params.length}::timestamptz)`;
+  }).join(', ');
+
+  await pool.query(`
+    INSERT INTO analytics_rollups (
+      org_id, marker_id, variant_id, device_type, period, bucket_start,
+      scans, clicks, views, shares, total_duration, duration_count, last_scan
+    )
+    SELECT
+      a.org_id,
+      a.marker_id,
+      COALESCE(a.variant_id, ''),
+      COALESCE(a.metadata->>'deviceType', ''),
+      $1,
+      b.bucket_start,
+      COUNT(CASE WHEN a.event_type = 'scan' THEN 1 END),
+      COUNT(CASE WHEN a.event_type = 'click' THEN 1 END),
+      COUNT(CASE WHEN a.event_type = 'viewDuration' THEN 1 END),
+      COUNT(CASE WHEN a.event_type = 'share' THEN 1 END),
+      COALESCE(SUM(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END), 0),
+      COUNT(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END),
+      MAX(CASE WHEN a.event_type = 'scan' THEN a.timestamp END)
+    FROM (VALUES ${values}) AS b (bucket_start, bucket_end)
+    JOIN analytics a ON a.timestamp >= b.bucket_start AND a.timestamp < b.bucket_end
+    ${orgFilter}
+    GROUP BY a.org_id, a.marker_id, COALESCE(a.variant_id, ''), COALESCE(a.metadata->>'deviceType', ''), b.bucket_start
+    ON CONFLICT (org_id, marker_id, variant_id, device_type, period, bucket_start) DO UPDATE SET
+      scans = EXCLUDED.scans,
+      clicks = EXCLUDED.clicks,
+      views = EXCLUDED.views,
+      shares = EXCLUDED.shares,
+      total_duration = EXCLUDED.total_duration,
+      duration_count = EXCLUDED.duration_count,
+      last_scan = EXCLUDED.last_scan
+  `, params);
+
+  await pool.query(`
+    INSERT INTO analytics_session_rollups (org_id, marker_id, period, bucket_start, sessions)
+    SELECT a.org_id, a.marker_id, $1, b.bucket_start, COUNT(DISTINCT a.session_id)
+    FROM (VALUES ${values}) AS b (bucket_start, bucket_end)
+    JOIN analytics a ON a.timestamp >= b.bucket_start AND a.timestamp < b.bucket_end
+    ${orgFilter}
+    GROUP BY a.org_id, a.marker_id, b.bucket_start
+    ON CONFLICT (org_id, marker_id, period, bucket_start) DO UPDATE SET
+      sessions = EXCLUDED.sessions
+  `, params);
+}
+
+/**
+ * The rollup watermark (ISO timestamp), or null before the first rollup
+ */
+async function getAnalyticsRollupState() {
+  const { rows } = await pool.query(
+    "SELECT rolled_up_until FROM analytics_rollup_state WHERE id = 'analytics'"
+  );
+
+  return rows.length > 0 ? toISOString(rows[0].rolled_up_until) : null;
+}
+
+/**
+ * Move the watermark forward (never back; see resetAnalyticsRollups)
+ */
+async function setAnalyticsRollupState(rolledUpUntil) {
+  await pool.query(`
+    INSERT INTO analytics_rollup_state (id, rolled_up_until) VALUES ('analytics', $1)
+    ON CONFLICT (id) DO UPDATE SET rolled_up_until = EXCLUDED.rolled_up_until
+    WHERE EXCLUDED.rolled_up_until > analytics_rollup_state.rolled_up_until
+  `, [rolledUpUntil]);
+}
+
+/**
+ * Delete every rollup and the watermark (before a full backfill)
+ */
+async function resetAnalyticsRollups() {
+  await pool.query('DELETE FROM analytics_rollups');
+  await pool.query('DELETE FROM analytics_session_rollups');
+  await pool.query('DELETE FROM analytics_rollup_state');
+}
+
+/**
+ * Timestamp of the oldest event of any organization, or null
+ */
+async function getFirstAnalyticsTimestamp() {
+  const { rows } = await pool.query('SELECT MIN(timestamp) as first FROM analytics');
+  return toISOString(rows[0].first);
+}
+
+/**
+ * Queue UTC hours (ISO starts) of an organization for a rollup recompute
+ */
+async function queueAnalyticsRollups(orgId, hourStarts) {
+  if (hourStarts.length === 0) {
+    return;
+  }
+
+  const params = [orgId];
+  const values = hourStarts.map((hourStart) => {
+    params.push(hourStart);
+    return `($1, $${params.length}::timestamptz)`;
+  }).join(', ');
+
+  await pool.query(`
+    INSERT INTO analytics_rollup_queue (org_id, hour_start)
+    VALUES ${values}
+    ON CONFLICT (org_id, hour_start) DO NOTHING
+  `, params);
+}
+
+/**
+ * Remove and return every queued hour ([{ orgId, hourStart }])
+ */
+async function takeQueuedAnalyticsRollups() {
+  const { rows } = await pool.query('DELETE FROM analytics_rollup_queue RETURNING org_id, hour_start');
+  return rows.map(row => ({ orgId: row.org_id, hourStart: toISOString(row.hour_start) }));
+}
+
+/**
+ * Per-marker summaries (as getAllAnalyticsSummaries, most scanned first)
+ * from daily rollups before `dailyUntil`, hourly rollups up to
+ * `hourlyUntil` and raw events after that; markerId null for every marker
+ */
+async function getRolledUpSummaries(orgId, markerId, { dailyUntil, hourlyUntil }) {
+  const params = [orgId, dailyUntil, hourlyUntil];
+  let markerFilter = '';
+  if (markerId) {
+    params.push(markerId);
+    markerFilter = ' AND marker_id = $4';
+  }
+
+  const { rows } = await pool.query(`
+    SELECT
+      marker_id,
+      SUM(scans) as total_scans,
+      SUM(clicks) as total_clicks,
+      SUM(total_duration) as total_duration,
+      SUM(duration_count) as duration_count,
+      MAX(last_scan) as last_scan
+    FROM (
+      SELECT marker_id, scans, clicks, total_duration, duration_count, last_scan
+      FROM analytics_rollups
+      WHERE org_id = $1${markerFilter}
+        AND ((period = 'day' AND bucket_start < $2)
+          OR (period = 'hour' AND bucket_start >= $2 AND bucket_start < $3))
+      UNION ALL
+      SELECT
+        marker_id,
+        CASE WHEN event_type = 'scan' THEN 1 ELSE 0 END,
+        CASE WHEN event_type = 'click' THEN 1 ELSE 0 END,
+        CASE WHEN event_type = 'viewDuration' THEN COALESCE(duration, 0) ELSE 0 END,
+        CASE WHEN event_type = 'viewDuration' AND duration IS NOT NULL THEN 1 ELSE 0 END,
+        CASE WHEN event_type = 'scan' THEN timestamp END
+      FROM analytics
+      WHERE org_id = $1${markerFilter} AND timestamp >= $3
+    ) AS events
+    GROUP BY marker_id
+    ORDER BY total_scans DESC
+  `, params);
+
+  return rows.map((row) => {
+    const durationCount = parseInt(row.duration_count, 10) || 0;
+
+    return {
+      markerId: row.marker_id,
+      totalScans: parseInt(row.total_scans, 10) || 0,
+      totalClicks: parseInt(row.total_clicks, 10) || 0,
+      avgDuration: durationCount > 0 ? parseFloat(row.total_duration) / durationCount : 0,
+      lastScan: toISOString(row.last_scan),
+    };
+  });
+}
+
+/**
+ * getAnalyticsTimeseries from the `period` rollups: each bucket sums the
+ * rollups starting inside it, unique sessions included (per marker, so a
+ * session spanning several hours or days counts once in each)
+ */
+async function getRollupTimeseries(orgId, markerId, period, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  const params = [orgId, period];
+  let markerFilter = '';
+  let sessionMarkerFilter = '';
+  if (markerId) {
+    params.push(markerId);
+    markerFilter = ' AND r.marker_id = $3';
+    sessionMarkerFilter = ' AND s.marker_id = $3';
+  }
+
+  const values = buckets.map(({ start, end }) => {
+    params.push(start, end);
+    return `($${params.length - 1}::timestamptz, $${params.length}::timestamptz)`;
+  }).join(', ');
+
+  const { rows } = await pool.query(`
+    SELECT
+      b.bucket_start,
+      b.bucket_end,
+      SUM(r.scans) as scans,
+      SUM(r.clicks) as clicks,
+      SUM(r.views) as views,
+      SUM(r.shares) as shares,
+      s.unique_sessions,
+      SUM(r.total_duration) as total_duration,
+      SUM(r.duration_count) as duration_count
+    FROM (VALUES ${values}) AS b (bucket_start, bucket_end)
+    JOIN (
+      SELECT sb.bucket_start, SUM(s.sessions) as unique_sessions
+      FROM (VALUES ${values}) AS sb (bucket_start, bucket_end)
+      LEFT JOIN analytics_session_rollups s
+        ON s.org_id = $1 AND s.period = $2${sessionMarkerFilter}
+        AND s.bucket_start >= sb.bucket_start AND s.bucket_start < sb.bucket_end
+      GROUP BY sb.bucket_start
+    ) s ON s.bucket_start = b.bucket_start
+    LEFT JOIN analytics_rollups r
+      ON r.org_id = $1 AND r.period = $2${markerFilter}
+      AND r.bucket_start >= b.bucket_start AND r.bucket_start < b.bucket_end
+    GROUP BY b.bucket_start, b.bucket_end, s.unique_sessions
+    ORDER BY b.bucket_start
+  `, params);
+
+  return rows.map((row) => {
+    const durationCount = parseInt(row.duration_count, 10) || 0;
+
+    return {
+      start: toISOString(row.bucket_start),
+      end: toISOString(row.bucket_end),
+      scans: parseInt(row.scans, 10) || 0,
+      clicks: parseInt(row.clicks, 10) || 0,
+      views: parseInt(row.views, 10) || 0,
+      shares: parseInt(row.shares, 10) || 0,
+      uniqueSessions: parseInt(row.unique_sessions, 10) || 0,
+      avgDuration: durationCount > 0 ? parseFloat(row.total_duration) / durationCount : 0,
+    };
+  });
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Convert a pg Date (or null) to an ISO string to match the other adapters
+ */
+function toISOString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function parseContentRow(row) {
+  return {
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    type: row.type,
+    title: row.title,
+    summary: row.summary,
+    url: row.url,
+    videoUrl: row.video_url,
+    posterUrl: row.poster_url,
+    modelUrl: row.model_url,
+    imageUrl: row.image_url,
+    ctaText: row.cta_text,
+    ctaUrl: row.cta_url,
+    style: row.style || null,
+    schedule: row.schedule || null,
+    variants: row.variants || null,
+    rules: row.rules || null,
+    translations: row.translations || null,
+    campaignId: row.campaign_id,
+    expiresAt: toISOString(row.expires_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseDraftRow(row) {
+  return {
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    content: row.content,
+    author: row.author,
+    approvedBy: row.approved_by,
+    approvedAt: toISOString(row.approved_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseRevisionRow(row) {
+  return {
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    revision: row.revision,
+    content: row.content,
+    diff: row.diff || null,
+    author: row.author,
+    restoredFrom: row.restored_from,
+    createdAt: toISOString(row.created_at),
+  };
+}
+
+function parseAnalyticsRow(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    eventType: row.event_type,
+    sessionId: row.session_id,
+    timestamp: toISOString(row.timestamp),
+    duration: row.duration,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    metadata: row.metadata || null,
+    variantId: row.variant_id,
+    ruleId: row.rule_id,
+    visitorId: row.visitor_id,
+  };
+}
+
+function parseCampaignRow(row) {
+  return {
+    orgId: row.org_id,
+    id: row.id,
+    name: row.name,
+    client: row.client,
+    startsAt: toISOString(row.starts_at),
+    endsAt: toISOString(row.ends_at),
+    defaultStyle: row.default_style || null,
+    tags: row.tags || [],
+    status: row.status,
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseOrganizationRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseUserRow(row) {
+  return {
+    orgId: row.org_id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    oidcSubject: row.oidc_subject,
+    lastLoginAt: toISOString(row.last_login_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseUserTotpRow(row) {
+  return {
+    orgId: row.org_id,
+    username: row.username,
+    secret: row.secret,
+    enabledAt: toISOString(row.enabled_at),
+    // BIGINT comes back as a string
+    lastUsedStep: row.last_used_step === null ? null : Number(row.last_used_step),
+    recoveryCodeHashes: row.recovery_code_hashes || [],
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseApiKeyRow(row) {
+  return {
+    orgId: row.org_id,
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    keyHash: row.key_hash,
+    scopes: row.scopes,
+    markerIds: row.marker_ids || null,
+    campaignIds: row.campaign_ids || null,
+    createdBy: row.created_by,
+    lastUsedAt: toISOString(row.last_used_at),
+    revokedAt: toISOString(row.revoked_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseAuthSessionRow(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    username: row.username,
+    refreshTokenHash: row.refresh_token_hash,
+    accessExpiresAt: toISOString(row.access_expires_at),
+    expiresAt: toISOString(row.expires_at),
+    lastUsedAt: toISOString(row.last_used_at),
+    revokedAt: toISOString(row.revoked_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at),
+  };
+}
+
+function parseAuditRow(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    action: row.action,
+    actor: row.actor,
+    actorRole: row.actor_role,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    markerId: row.marker_id,
+    before: row.before_state,
+    after: row.after_state,
+    ipAddress: row.ip_address,
+    requestId: row.request_id,
+    createdAt: toISOString(row.created_at),
+  };
+}
+
+/**
+ * pg returns COUNT as bigint strings and AVG as numeric strings
+ */
+function parseSummaryRow(row) {
+  return {
+    markerId: row.marker_id,
+    totalScans: parseInt(row.total_scans) || 0,
+    totalClicks: parseInt(row.total_clicks) || 0,
+    avgDuration: parseFloat(row.avg_duration) || 0,
+    lastScan: toISOString(row.last_scan),
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
 module.exports = {
-  async initialize() {
-    notImplemented();
-  },
-  async close() {
-    // Nothing to close in placeholder implementation
-  },
-  async getContent() {
-    notImplemented();
-  },
-  async setContent() {
-    notImplemented();
-  },
-  async deleteContent() {
-    notImplemented();
-  },
-  async listAllContent() {
-    notImplemented();
-  },
-  async recordAnalyticsEvent() {
-    notImplemented();
-  },
-  async getAnalytics() {
-    notImplemented();
-  },
-  async getAnalyticsSummary() {
-    notImplemented();
-  },
-  async getAllAnalyticsSummaries() {
-    notImplemented();
-  },
+  initialize,
+  close,
+  getAppliedMigrations,
+  runMigration,
+  getContent,
+  setContent,
+  deleteContent,
+  listAllContent,
+  getDraft,
+  setDraft,
+  approveDraft,
+  deleteDraft,
+  takeDraft,
+  addContentRevision,
+  listContentRevisions,
+  getContentRevision,
+  getCampaign,
+  listCampaigns,
+  setCampaign,
+  deleteCampaign,
+  getOrganization,
+  listOrganizations,
+  setOrganization,
+  getUser,
+  getUserByOidcSubject,
+  listUsers,
+  setUser,
+  recordUserLogin,
+  deleteUser,
+  getUserTotp,
+  setUserTotp,
+  deleteUserTotp,
+  useTotpStep,
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  setApiKey,
+  recordApiKeyUse,
+  getAuthSession,
+  listAuthSessions,
+  setAuthSession,
+  rotateAuthSession,
+  addTokenRevocation,
+  isTokenRevoked,
+  purgeTokenRevocations,
+  addAuditEntry,
+  listAuditEntries,
+  purgeAuditEntries,
+  recordAnalyticsEvent,
+  getAnalytics,
+  getAnalyticsSummary,
+  getAllAnalyticsSummaries,
+  getVariantSummaries,
+  getRuleSummaries,
+  getCampaignAnalyticsSummary,
+  getAnalyticsTimeseries,
+  getSessionSummaries,
+  getFunnelSummaries,
+  rollupAnalytics,
+  getAnalyticsRollupState,
+  setAnalyticsRollupState,
+  resetAnalyticsRollups,
+  getFirstAnalyticsTimestamp,
+  queueAnalyticsRollups,
+  takeQueuedAnalyticsRollups,
+  getRolledUpSummaries,
+  getRollupTimeseries,
 };
@@ -16,6 +16,7 @@
  * - Write concurrency limited
  */
 
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
@@ -23,7 +24,8 @@ const fs = require('fs');
 let db;
 
 /**
- * Initialize SQLite database and create tables
+ * Initialize SQLite database connection
+ * Tables are created by migrations (see database/migrations/)
  */
 async function initialize() {
   const dbPath = process.env.SQLITE_PATH || path.join(__dirname, '..', 'database', 'portalAR.db');
@@ -40,74 +42,12 @@ async function initialize() {
         reject(err);
       } else {
         console.log(`SQLite database connected: ${dbPath}`);
-        createTables()
-          .then(resolve)
-          .catch(reject);
+        resolve();
       }
     });
   });
 }
 
-/**
- * Create database tables if they don't exist
- */
-async function createTables() {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Content table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS content (
-          marker_id TEXT PRIMARY KEY,
-          type TEXT NOT NULL,
-          title TEXT,
-          summary TEXT,
-          url TEXT,
-          video_url TEXT,
-          poster_url TEXT,
-          model_url TEXT,
-          image_url TEXT,
-          cta_text TEXT,
-          cta_url TEXT,
-          style TEXT,
-          expires_at TEXT,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) console.error('Error creating content table:', err);
-      });
-
-      // Analytics table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS analytics (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          marker_id TEXT NOT NULL,
-          event_type TEXT NOT NULL,
-          session_id TEXT,
-          timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-          duration REAL,
-          user_agent TEXT,
-          ip_address TEXT,
-          metadata TEXT
-        )
-      `, (err) => {
-        if (err) console.error('Error creating analytics table:', err);
-      });
-
-      // Create indexes for better query performance
-      db.run('CREATE INDEX IF NOT EXISTS idx_analytics_marker ON analytics(marker_id)');
-      db.run('CREATE INDEX IF NOT EXISTS idx_analytics_timestamp ON analytics(timestamp)');
-      db.run('CREATE INDEX IF NOT EXISTS idx_analytics_event_type ON analytics(event_type)', (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve();
-        }
-      });
-    });
-  });
-}
-
 /**
  * Close database connection
  */
@@ -124,13 +64,69 @@ async function close() {
   });
 }
 
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+async function getAppliedMigrations() {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM schema_migrations ORDER BY version', [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          version: row.version,
+          name: row.name,
+          appliedAt: row.applied_at,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * Run one migration step and record it in a single transaction
+ */
+async function runMigration(migration, direction) {
+  const step = migration.sqlite && migration.sqlite[direction];
+
+  await exec('BEGIN');
+  try {
+    if (step) {
+      await exec(step);
+    }
+
+    if (direction === 'up') {
+      await run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    } else {
+      await run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+
+    await exec('COMMIT');
+  } catch (error) {
+    await exec('ROLLBACK');
+    throw error;
+  }
+}
+
 // ============================================================================
 // Content Operations
 // ============================================================================
 
-async function getContent(markerId) {
+async function getContent(orgId, markerId) {
   return new Promise((resolve, reject) => {
-    db.get('SELECT * FROM content WHERE marker_id = ?', [markerId], (err, row) => {
+    db.get('SELECT * FROM content WHERE org_id = ? AND marker_id = ?', [orgId, markerId], (err, row) => {
       if (err) {
         reject(err);
       } else if (!row) {
@@ -142,7 +138,7 @@ async function getContent(markerId) {
   });
 }
 
-async function setContent(markerId, content) {
+async function setContent(orgId, markerId, content) {
   const {
     type,
     title,
@@ -155,16 +151,26 @@ async function setContent(markerId, content) {
     ctaText,
     ctaUrl,
     style,
+    schedule,
+    variants,
+    rules,
+    translations,
+    campaignId,
     expiresAt,
   } = content;
 
+  // ISO timestamps (rather than CURRENT_TIMESTAMP) keep millisecond ordering
+  // and match the format returned by the other adapters
+  const now = new Date().toISOString();
+
   return new Promise((resolve, reject) => {
     const sql = `
       INSERT INTO content (
-        marker_id, type, title, summary, url, video_url, poster_url,
-        model_url, image_url, cta_text, cta_url, style, expires_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      ON CONFLICT(marker_id) DO UPDATE SET
+        org_id, marker_id, type, title, summary, url, video_url, poster_url,
+        model_url, image_url, cta_text, cta_url, style, schedule, variants, rules, translations,
+        campaign_id, expires_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(org_id, marker_id) DO UPDATE SET
         type = excluded.type,
         title = excluded.title,
         summary = excluded.summary,
@@ -176,11 +182,17 @@ async function setContent(markerId, content) {
         cta_text = excluded.cta_text,
         cta_url = excluded.cta_url,
         style = excluded.style,
+        schedule = excluded.schedule,
+        variants = excluded.variants,
+        rules = excluded.rules,
+        translations = excluded.translations,
+        campaign_id = excluded.campaign_id,
         expires_at = excluded.expires_at,
-        updated_at = CURRENT_TIMESTAMP
+        updated_at = excluded.updated_at
     `;
 
     db.run(sql, [
+      orgId,
       markerId,
       type,
       title || null,
@@ -193,7 +205,14 @@ async function setContent(markerId, content) {
       ctaText || null,
       ctaUrl || null,
       style ? JSON.stringify(style) : null,
+      schedule ? JSON.stringify(schedule) : null,
+      variants ? JSON.stringify(variants) : null,
+      rules ? JSON.stringify(rules) : null,
+      translations ? JSON.stringify(translations) : null,
+      campaignId || null,
       expiresAt || null,
+      now,
+      now,
     ], function(err) {
       if (err) {
         reject(err);
@@ -204,9 +223,9 @@ async function setContent(markerId, content) {
   });
 }
 
-async function deleteContent(markerId) {
+async function deleteContent(orgId, markerId) {
   return new Promise((resolve, reject) => {
-    db.run('DELETE FROM content WHERE marker_id = ?', [markerId], function(err) {
+    db.run('DELETE FROM content WHERE org_id = ? AND marker_id = ?', [orgId, markerId], function(err) {
       if (err) {
         reject(err);
       } else {
@@ -216,9 +235,20 @@ async function deleteContent(markerId) {
   });
 }
 
-async function listAllContent() {
+/**
+ * List content, newest first
+ * Options:
+ * - campaignId: only markers in this campaign
+ */
+async function listAllContent(orgId, options = {}) {
+  const { campaignId } = options;
+
+  const sql = campaignId
+    ? 'SELECT * FROM content WHERE org_id = ? AND campaign_id = ? ORDER BY updated_at DESC'
+    : 'SELECT * FROM content WHERE org_id = ? ORDER BY updated_at DESC';
+
   return new Promise((resolve, reject) => {
-    db.all('SELECT * FROM content ORDER BY updated_at DESC', [], (err, rows) => {
+    db.all(sql, campaignId ? [orgId, campaignId] : [orgId], (err, rows) => {
       if (err) {
         reject(err);
       } else {
@@ -229,178 +259,1617 @@ async function listAllContent() {
 }
 
 // ============================================================================
-// Analytics Operations
+// Content Drafts
 // ============================================================================
 
-async function recordAnalyticsEvent(event) {
-  const {
+async function getDraft(orgId, markerId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM content_drafts WHERE org_id = ? AND marker_id = ?', [orgId, markerId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseDraftRow(row) : null);
+    });
+  });
+}
+
+/**
+ * Create or replace a draft; any previous approval is cleared
+ */
+async function setDraft(orgId, markerId, draft) {
+  const { content, author } = draft;
+  const now = new Date().toISOString();
+
+  const sql = `
+    INSERT INTO content_drafts (
+      org_id, marker_id, content, author, approved_by, approved_at, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, NULL, NULL, ?, ?)
+    ON CONFLICT(org_id, marker_id) DO UPDATE SET
+      content = excluded.content,
+      author = excluded.author,
+      approved_by = NULL,
+      approved_at = NULL,
+      updated_at = excluded.updated_at
+  `;
+
+  await run(sql, [orgId, markerId, JSON.stringify(content), author || null, now, now]);
+  return getDraft(orgId, markerId);
+}
+
+async function approveDraft(orgId, markerId, approver) {
+  const result = await run(
+    'UPDATE content_drafts SET approved_by = ?, approved_at = ? WHERE org_id = ? AND marker_id = ?',
+    [approver, new Date().toISOString(), orgId, markerId]
+  );
+
+  return result.changes > 0 ? getDraft(orgId, markerId) : null;
+}
+
+async function deleteDraft(orgId, markerId) {
+  const result = await run('DELETE FROM content_drafts WHERE org_id = ? AND marker_id = ?', [orgId, markerId]);
+  return { deleted: result.changes > 0 };
+}
+
+/**
+ * Remove a draft and return it (null if there is none or, with `approved`,
+ * if it isn't approved) in one step, so it is published at most once and
+ * only as approved
+ */
+async function takeDraft(orgId, markerId, { approved = false } = {}) {
+  const sql = `
+    DELETE FROM content_drafts
+    WHERE org_id = ? AND marker_id = ? ${approved ? 'AND approved_by IS NOT NULL' : ''}
+    RETURNING *
+  `;
+
+  return new Promise((resolve, reject) => {
+    db.get(sql, [orgId, markerId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseDraftRow(row) : null);
+    });
+  });
+}
+
+// ============================================================================
+// Content Revisions
+// ============================================================================
+
+/**
+ * Append an immutable revision, numbered after the marker's latest one
+ */
+async function addContentRevision(orgId, markerId, revision) {
+  const { content, diff, author, restoredFrom } = revision;
+
+  const sql = `
+    INSERT INTO content_revisions (
+      org_id, marker_id, revision, content, diff, author, restored_from, created_at
+    )
+    SELECT ?, ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?
+    FROM content_revisions
+    WHERE org_id = ? AND marker_id = ?
+  `;
+
+  const result = await run(sql, [
+    orgId,
     markerId,
-    eventType,
-    sessionId,
-    timestamp,
-    duration,
-    userAgent,
-    ipAddress,
-    metadata,
-  } = event;
+    JSON.stringify(content),
+    diff ? JSON.stringify(diff) : null,
+    author || null,
+    restoredFrom || null,
+    new Date().toISOString(),
+    orgId,
+    markerId,
+  ]);
 
   return new Promise((resolve, reject) => {
-    const sql = `
-      INSERT INTO analytics (
-        marker_id, event_type, session_id, timestamp, duration,
-        user_agent, ip_address, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+    db.get('SELECT * FROM content_revisions WHERE id = ?', [result.lastID], (err, row) => {
+      if (err) reject(err);
+      else resolve(parseRevisionRow(row));
+    });
+  });
+}
 
-    db.run(sql, [
-      markerId,
-      eventType,
-      sessionId || null,
-      timestamp || new Date().toISOString(),
-      duration || null,
-      userAgent || null,
-      ipAddress || null,
-      metadata ? JSON.stringify(metadata) : null,
-    ], function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ id: this.lastID, ...event });
+async function listContentRevisions(orgId, markerId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM content_revisions WHERE org_id = ? AND marker_id = ? ORDER BY revision DESC',
+      [orgId, markerId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(parseRevisionRow));
+      }
+    );
+  });
+}
+
+async function getContentRevision(orgId, markerId, revision) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM content_revisions WHERE org_id = ? AND marker_id = ? AND revision = ?',
+      [orgId, markerId, revision],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? parseRevisionRow(row) : null);
       }
+    );
+  });
+}
+
+// ============================================================================
+// Campaigns
+// ============================================================================
+
+async function getCampaign(orgId, id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM campaigns WHERE org_id = ? AND id = ?', [orgId, id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseCampaignRow(row) : null);
     });
   });
 }
 
-async function getAnalytics(markerId, options = {}) {
-  const { startDate, endDate, eventType, limit = 1000 } = options;
+async function listCampaigns(orgId) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM campaigns WHERE org_id = ? ORDER BY updated_at DESC', [orgId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(parseCampaignRow));
+    });
+  });
+}
 
-  let sql = 'SELECT * FROM analytics WHERE marker_id = ?';
-  const params = [markerId];
+/**
+ * Create or replace a campaign (createdAt is kept)
+ */
+async function setCampaign(orgId, id, campaign) {
+  const { name, client, startsAt, endsAt, defaultStyle, tags, status } = campaign;
+  const now = new Date().toISOString();
 
-  if (startDate) {
-    sql += ' AND timestamp >= ?';
-    params.push(startDate);
-  }
+  const sql = `
+    INSERT INTO campaigns (
+      org_id, id, name, client, starts_at, ends_at, default_style, tags, status, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(org_id, id) DO UPDATE SET
+      name = excluded.name,
+      client = excluded.client,
+      starts_at = excluded.starts_at,
+      ends_at = excluded.ends_at,
+      default_style = excluded.default_style,
+      tags = excluded.tags,
+      status = excluded.status,
+      updated_at = excluded.updated_at
+  `;
 
-  if (endDate) {
-    sql += ' AND timestamp <= ?';
-    params.push(endDate);
-  }
+  await run(sql, [
+    orgId,
+    id,
+    name,
+    client || null,
+    startsAt || null,
+    endsAt || null,
+    defaultStyle ? JSON.stringify(defaultStyle) : null,
+    tags ? JSON.stringify(tags) : null,
+    status || 'active',
+    now,
+    now,
+  ]);
 
-  if (eventType) {
-    sql += ' AND event_type = ?';
-    params.push(eventType);
-  }
+  return getCampaign(orgId, id);
+}
 
-  sql += ' ORDER BY timestamp DESC LIMIT ?';
-  params.push(limit);
+async function deleteCampaign(orgId, id) {
+  const result = await run('DELETE FROM campaigns WHERE org_id = ? AND id = ?', [orgId, id]);
+  return { deleted: result.changes > 0 };
+}
+
+// ============================================================================
+// Organizations
+// ============================================================================
 
+async function getOrganization(id) {
   return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows.map(parseAnalyticsRow));
-      }
+    db.get('SELECT * FROM organizations WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseOrganizationRow(row) : null);
     });
   });
 }
 
-async function getAnalyticsSummary(markerId) {
+async function listOrganizations() {
   return new Promise((resolve, reject) => {
-    const sql = `
-      SELECT 
-        marker_id,
-        COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
-        COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
-        AVG(CASE WHEN event_type = 'viewDuration' THEN duration END) as avg_duration,
-        MAX(timestamp) as last_scan
-      FROM analytics
-      WHERE marker_id = ?
-      GROUP BY marker_id
-    `;
+    db.all('SELECT * FROM organizations ORDER BY name', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(parseOrganizationRow));
+    });
+  });
+}
 
-    db.get(sql, [markerId], (err, row) => {
-      if (err) {
-        reject(err);
-      } else if (!row || !row.total_scans) {
-        resolve({
-          markerId,
-          totalScans: 0,
-          totalClicks: 0,
-          avgDuration: 0,
-          lastScan: null,
-        });
-      } else {
-        resolve({
-          markerId: row.marker_id,
-          totalScans: row.total_scans || 0,
-          totalClicks: row.total_clicks || 0,
-          avgDuration: row.avg_duration || 0,
-          lastScan: row.last_scan,
-        });
-      }
+/**
+ * Create or rename an organization (createdAt is kept)
+ */
+async function setOrganization(id, organization) {
+  const now = new Date().toISOString();
+
+  const sql = `
+    INSERT INTO organizations (id, name, created_at, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      updated_at = excluded.updated_at
+  `;
+
+  await run(sql, [id, organization.name, now, now]);
+  return getOrganization(id);
+}
+
+// ============================================================================
+// Users
+// ============================================================================
+
+async function getUser(orgId, username) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM users WHERE org_id = ? AND username = ?', [orgId, username], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseUserRow(row) : null);
     });
   });
 }
 
-async function getAllAnalyticsSummaries() {
+/**
+ * The user created by single sign-on for an identity provider subject
+ */
+async function getUserByOidcSubject(orgId, subject) {
   return new Promise((resolve, reject) => {
-    const sql = `
-      SELECT 
-        marker_id,
-        COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
-        COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
-        AVG(CASE WHEN event_type = 'viewDuration' THEN duration END) as avg_duration,
-        MAX(timestamp) as last_scan
-      FROM analytics
-      GROUP BY marker_id
-      ORDER BY total_scans DESC
-    `;
+    db.get('SELECT * FROM users WHERE org_id = ? AND oidc_subject = ?', [orgId, subject], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseUserRow(row) : null);
+    });
+  });
+}
 
-    db.all(sql, [], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows.map(row => ({
-          markerId: row.marker_id,
-          totalScans: row.total_scans || 0,
-          totalClicks: row.total_clicks || 0,
-          avgDuration: row.avg_duration || 0,
-          lastScan: row.last_scan,
-        })));
-      }
+async function listUsers(orgId) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM users WHERE org_id = ? ORDER BY username', [orgId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(parseUserRow));
     });
   });
 }
 
+/**
+ * Create or replace a user (createdAt, lastLoginAt and the oidcSubject it
+ * was created with are kept)
+ */
+async function setUser(orgId, username, user) {
+  const now = new Date().toISOString();
+
+  const sql = `
+    INSERT INTO users (org_id, username, password_hash, role, oidc_subject, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(org_id, username) DO UPDATE SET
+      password_hash = excluded.password_hash,
+      role = excluded.role,
+      updated_at = excluded.updated_at
+  `;
+
+  await run(sql, [orgId, username, user.passwordHash, user.role, user.oidcSubject || null, now, now]);
+  return getUser(orgId, username);
+}
+
+async function recordUserLogin(orgId, username) {
+  await run(
+    'UPDATE users SET last_login_at = ? WHERE org_id = ? AND username = ?',
+    [new Date().toISOString(), orgId, username]
+  );
+}
+
+async function deleteUser(orgId, username) {
+  const result = await run('DELETE FROM users WHERE org_id = ? AND username = ?', [orgId, username]);
+  return { deleted: result.changes > 0 };
+}
+
 // ============================================================================
-// Helper Functions
+// User TOTP
 // ============================================================================
 
-function parseContentRow(row) {
-  return {
-    markerId: row.marker_id,
-    type: row.type,
-    title: row.title,
-    summary: row.summary,
-    url: row.url,
-    videoUrl: row.video_url,
-    posterUrl: row.poster_url,
-    modelUrl: row.model_url,
-    imageUrl: row.image_url,
-    ctaText: row.cta_text,
-    ctaUrl: row.cta_url,
-    style: row.style ? JSON.parse(row.style) : null,
-    expiresAt: row.expires_at,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at,
+async function getUserTotp(orgId, username) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM user_totp WHERE org_id = ? AND username = ?', [orgId, username], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseUserTotpRow(row) : null);
+    });
+  });
+}
+
+/**
+ * Create or replace a user's TOTP settings (createdAt is kept)
+ */
+async function setUserTotp(orgId, username, totp) {
+  const now = new Date().toISOString();
+
+  const sql = `
+    INSERT INTO user_totp (
+      org_id, username, secret, enabled_at, last_used_step, recovery_code_hashes,
+      created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(org_id, username) DO UPDATE SET
+      secret = excluded.secret,
+      enabled_at = excluded.enabled_at,
+      last_used_step = excluded.last_used_step,
+      recovery_code_hashes = excluded.recovery_code_hashes,
+      updated_at = excluded.updated_at
+  `;
+
+  await run(sql, [
+    orgId,
+    username,
+    totp.secret,
+    totp.enabledAt || null,
+    totp.lastUsedStep ?? null,
+    JSON.stringify(totp.recoveryCodeHashes || []),
+    now,
+    now,
+  ]);
+
+  return getUserTotp(orgId, username);
+}
+
+async function deleteUserTotp(orgId, username) {
+  const result = await run('DELETE FROM user_totp WHERE org_id = ? AND username = ?', [orgId, username]);
+  return { deleted: result.changes > 0 };
+}
+
+/**
+ * Record a TOTP step as used unless it or a later one already was, as one
+ * conditional update so concurrent logins can't both use a code. Creates a
+ * record without a secret when there is none (the deployment admin's).
+ * Resolves to whether the step was recorded.
+ */
+async function useTotpStep(orgId, username, step) {
+  const now = new Date().toISOString();
+
+  await run(`
+    INSERT INTO user_totp (org_id, username, secret, created_at, updated_at) VALUES (?, ?, '', ?, ?)
+    ON CONFLICT(org_id, username) DO NOTHING
+  `, [orgId, username, now, now]);
+
+  const result = await run(`
+    UPDATE user_totp SET last_used_step = ?, updated_at = ?
+    WHERE org_id = ? AND username = ? AND (last_used_step IS NULL OR last_used_step < ?)
+  `, [step, now, orgId, username, step]);
+
+  return result.changes > 0;
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+async function getApiKey(orgId, id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM api_keys WHERE org_id = ? AND id = ?', [orgId, id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseApiKeyRow(row) : null);
+    });
+  });
+}
+
+/**
+ * Find a key by its hash in any organization
+ */
+async function findApiKeyByHash(keyHash) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseApiKeyRow(row) : null);
+    });
+  });
+}
+
+async function listApiKeys(orgId) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM api_keys WHERE org_id = ? ORDER BY created_at DESC', [orgId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(parseApiKeyRow));
+    });
+  });
+}
+
+/**
+ * Create or replace an API key (createdAt and lastUsedAt are kept)
+ */
+async function setApiKey(orgId, id, apiKey) {
+  const now = new Date().toISOString();
+
+  const sql = `
+    INSERT INTO api_keys (
+      org_id, id, name, key_prefix, key_hash, scopes, marker_ids, campaign_ids,
+      created_by, revoked_at, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(org_id, id) DO UPDATE SET
+      name = excluded.name,
+      key_prefix = excluded.key_prefix,
+      key_hash = excluded.key_hash,
+      scopes = excluded.scopes,
+      marker_ids = excluded.marker_ids,
+      campaign_ids = excluded.campaign_ids,
+      created_by = excluded.created_by,
+      revoked_at = excluded.revoked_at,
+      updated_at = excluded.updated_at
+  `;
+
+  await run(sql, [
+    orgId,
+    id,
+    apiKey.name,
+    apiKey.keyPrefix,
+    apiKey.keyHash,
+    JSON.stringify(apiKey.scopes),
+    apiKey.markerIds ? JSON.stringify(apiKey.markerIds) : null,
+    apiKey.campaignIds ? JSON.stringify(apiKey.campaignIds) : null,
+    apiKey.createdBy || null,
+    apiKey.revokedAt || null,
+    now,
+    now,
+  ]);
+
+  return getApiKey(orgId, id);
+}
+
+async function recordApiKeyUse(orgId, id) {
+  await run(
+    'UPDATE api_keys SET last_used_at = ? WHERE org_id = ? AND id = ?',
+    [new Date().toISOString(), orgId, id]
+  );
+}
+
+// ============================================================================
+// Auth Sessions
+// ============================================================================
+
+async function getAuthSession(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM auth_sessions WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? parseAuthSessionRow(row) : null);
+    });
+  });
+}
+
+async function listAuthSessions(orgId, username) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM auth_sessions WHERE org_id = ? AND username = ? ORDER BY created_at DESC',
+      [orgId, username],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(parseAuthSessionRow));
+      }
+    );
+  });
+}
+
+/**
+ * Create or replace a session (createdAt is kept)
+ */
+async function setAuthSession(id, session) {
+  const now = new Date().toISOString();
+
+  const sql = `
+    INSERT INTO auth_sessions (
+      id, org_id, username, refresh_token_hash, access_expires_at, expires_at,
+      last_used_at, revoked_at, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      org_id = excluded.org_id,
+      username = excluded.username,
+      refresh_token_hash = excluded.refresh_token_hash,
+      access_expires_at = excluded.access_expires_at,
+      expires_at = excluded.expires_at,
+      last_used_at = excluded.last_used_at,
+      revoked_at = excluded.revoked_at,
+      updated_at = excluded.updated_at
+  `;
+
+  await run(sql, [
+    id,
+    session.orgId,
+    session.username,
+    session.refreshTokenHash,
+    session.accessExpiresAt,
+    session.expiresAt,
+    session.lastUsedAt || null,
+    session.revokedAt || null,
+    now,
+    now,
+  ]);
+
+  return getAuthSession(id);
+}
+
+/**
+ * Replace a session's refresh token hash and expiry times, only while it is
+ * unrevoked and its hash is still `refreshTokenHash` (one conditional
+ * update, so a refresh token rotates once). Resolves to whether it did.
+ */
+async function rotateAuthSession(id, refreshTokenHash, session) {
+  const result = await run(`
+    UPDATE auth_sessions SET
+      refresh_token_hash = ?, access_expires_at = ?, expires_at = ?, last_used_at = ?, updated_at = ?
+    WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `, [
+    session.refreshTokenHash,
+    session.accessExpiresAt,
+    session.expiresAt,
+    session.lastUsedAt || null,
+    new Date().toISOString(),
+    id,
+    refreshTokenHash,
+  ]);
+
+  return result.changes > 0;
+}
+
+async function addTokenRevocation(sessionId, expiresAt) {
+  await run(
+    `INSERT INTO token_revocations (session_id, expires_at, created_at) VALUES (?, ?, ?)
+     ON CONFLICT(session_id) DO UPDATE SET expires_at = excluded.expires_at`,
+    [sessionId, expiresAt, new Date().toISOString()]
+  );
+}
+
+async function isTokenRevoked(sessionId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT 1 FROM token_revocations WHERE session_id = ?', [sessionId], (err, row) => {
+      if (err) reject(err);
+      else resolve(Boolean(row));
+    });
+  });
+}
+
+/**
+ * Drop revocations that expired before a date
+ */
+async function purgeTokenRevocations(before) {
+  const result = await run('DELETE FROM token_revocations WHERE expires_at < ?', [before]);
+  return { deleted: result.changes };
+}
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+/**
+ * Append an entry (the log is append-only; see purgeAuditEntries)
+ */
+async function addAuditEntry(orgId, entry) {
+  const id = crypto.randomUUID();
+
+  const sql = `
+    INSERT INTO audit_log (
+      id, org_id, action, actor, actor_role, target_type, target_id, marker_id,
+      before_state, after_state, ip_address, request_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  await run(sql, [
+    id,
+    orgId,
+    entry.action,
+    entry.actor,
+    entry.actorRole || null,
+    entry.targetType,
+    entry.targetId ?? null,
+    entry.markerId || null,
+    entry.before == null ? null : JSON.stringify(entry.before),
+    entry.after == null ? null : JSON.stringify(entry.after),
+    entry.ipAddress || null,
+    entry.requestId || null,
+    new Date().toISOString(),
+  ]);
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM audit_log WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(parseAuditRow(row));
+    });
+  });
+}
+
+/**
+ * An organization's entries, newest first
+ */
+async function listAuditEntries(orgId, options = {}) {
+  const { actor, action, targetType, targetId, markerId, startDate, endDate, limit = 100 } = options;
+
+  let sql = 'SELECT * FROM audit_log WHERE org_id = ?';
+  const params = [orgId];
+
+  const filters = {
+    actor,
+    action,
+    target_type: targetType,
+    target_id: targetId,
+    marker_id: markerId,
+  };
+
+  Object.entries(filters).forEach(([column, value]) => {
+    if (value) {
+      sql += ` AND ${column} = ?`;
+      params.push(value);
+    }
+  });
+
+  if (startDate) {
+    sql += ' AND created_at >= ?';
+    params.push(new Date(startDate).toISOString());
+  }
+
+  if (endDate) {
+    sql += ' AND created_at <= ?';
+    params.push(new Date(endDate).toISOString());
+  }
+
+  sql += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(limit);
+
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(parseAuditRow));
+    });
+  });
+}
+
+/**
+ * Delete entries (of every organization) created before a date
+ */
+async function purgeAuditEntries(before) {
+  const result = await run('DELETE FROM audit_log WHERE created_at < ?', [new Date(before).toISOString()]);
+  return { deleted: result.changes };
+}
+
+// ============================================================================
+// Analytics Operations
+// ============================================================================
+
+async function recordAnalyticsEvent(orgId, event) {
+  const {
+    markerId,
+    eventType,
+    sessionId,
+    timestamp,
+    duration,
+    userAgent,
+    ipAddress,
+    metadata,
+    variantId,
+    ruleId,
+    visitorId,
+  } = event;
+
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO analytics (
+        org_id, marker_id, event_type, session_id, timestamp, duration,
+        user_agent, ip_address, metadata, variant_id, rule_id, visitor_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [
+      orgId,
+      markerId,
+      eventType,
+      sessionId || null,
+      timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+      duration || null,
+      userAgent || null,
+      ipAddress || null,
+      metadata ? JSON.stringify(metadata) : null,
+      variantId || null,
+      ruleId || null,
+      visitorId || null,
+    ], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ id: this.lastID, ...event });
+      }
+    });
+  });
+}
+
+async function getAnalytics(orgId, markerId, options = {}) {
+  const { startDate, endDate, eventType, limit = 1000 } = options;
+
+  let sql = 'SELECT * FROM analytics WHERE org_id = ? AND marker_id = ?';
+  const params = [orgId, markerId];
+
+  if (startDate) {
+    sql += ' AND timestamp >= ?';
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    sql += ' AND timestamp <= ?';
+    params.push(endDate);
+  }
+
+  if (eventType) {
+    sql += ' AND event_type = ?';
+    params.push(eventType);
+  }
+
+  sql += ' ORDER BY timestamp DESC LIMIT ?';
+  params.push(limit);
+
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(parseAnalyticsRow));
+      }
+    });
+  });
+}
+
+async function getAnalyticsSummary(orgId, markerId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT 
+        marker_id,
+        COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+        COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+        AVG(CASE WHEN event_type = 'viewDuration' THEN duration END) as avg_duration,
+        MAX(CASE WHEN event_type = 'scan' THEN timestamp END) as last_scan
+      FROM analytics
+      WHERE org_id = ? AND marker_id = ?
+      GROUP BY marker_id
+    `;
+
+    db.get(sql, [orgId, markerId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        resolve({
+          markerId,
+          totalScans: 0,
+          totalClicks: 0,
+          avgDuration: 0,
+          lastScan: null,
+        });
+      } else {
+        resolve({
+          markerId: row.marker_id,
+          totalScans: row.total_scans || 0,
+          totalClicks: row.total_clicks || 0,
+          avgDuration: row.avg_duration || 0,
+          lastScan: row.last_scan,
+        });
+      }
+    });
+  });
+}
+
+async function getAllAnalyticsSummaries(orgId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT 
+        marker_id,
+        COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+        COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+        AVG(CASE WHEN event_type = 'viewDuration' THEN duration END) as avg_duration,
+        MAX(CASE WHEN event_type = 'scan' THEN timestamp END) as last_scan
+      FROM analytics
+      WHERE org_id = ?
+      GROUP BY marker_id
+      ORDER BY total_scans DESC
+    `;
+
+    db.all(sql, [orgId], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          markerId: row.marker_id,
+          totalScans: row.total_scans || 0,
+          totalClicks: row.total_clicks || 0,
+          avgDuration: row.avg_duration || 0,
+          lastScan: row.last_scan,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * Per-variant scan and click counts for a marker's experiment
+ * Sessions are counted once per variant (events without a session are not)
+ */
+async function getVariantSummaries(orgId, markerId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        variant_id,
+        COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+        COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+        COUNT(DISTINCT CASE WHEN event_type = 'scan' THEN session_id END) as scan_sessions,
+        COUNT(DISTINCT CASE WHEN event_type = 'click' THEN session_id END) as click_sessions
+      FROM analytics
+      WHERE org_id = ? AND marker_id = ? AND variant_id IS NOT NULL
+      GROUP BY variant_id
+      ORDER BY variant_id
+    `;
+
+    db.all(sql, [orgId, markerId], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          variantId: row.variant_id,
+          totalScans: row.total_scans || 0,
+          totalClicks: row.total_clicks || 0,
+          scanSessions: row.scan_sessions || 0,
+          clickSessions: row.click_sessions || 0,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * Totals over every marker currently in a campaign
+ */
+async function getCampaignAnalyticsSummary(orgId, campaignId) {
+  const sql = `
+    SELECT
+      COUNT(DISTINCT c.marker_id) as marker_count,
+      COUNT(CASE WHEN a.event_type = 'scan' THEN 1 END) as total_scans,
+      COUNT(CASE WHEN a.event_type = 'click' THEN 1 END) as total_clicks,
+      AVG(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END) as avg_duration,
+      MAX(CASE WHEN a.event_type = 'scan' THEN a.timestamp END) as last_scan
+    FROM content c
+    LEFT JOIN analytics a ON a.org_id = c.org_id AND a.marker_id = c.marker_id
+    WHERE c.org_id = ? AND c.campaign_id = ?
+  `;
+
+  return new Promise((resolve, reject) => {
+    db.get(sql, [orgId, campaignId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          campaignId,
+          markerCount: row.marker_count || 0,
+          totalScans: row.total_scans || 0,
+          totalClicks: row.total_clicks || 0,
+          avgDuration: row.avg_duration || 0,
+          lastScan: row.last_scan || null,
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Per-rule scan and click counts for a marker's targeting rules
+ * Events served without a rule are grouped under ruleId null (listed last)
+ */
+async function getRuleSummaries(orgId, markerId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        rule_id,
+        COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as total_scans,
+        COUNT(CASE WHEN event_type = 'click' THEN 1 END) as total_clicks,
+        COUNT(DISTINCT CASE WHEN event_type = 'scan' THEN session_id END) as scan_sessions,
+        COUNT(DISTINCT CASE WHEN event_type = 'click' THEN session_id END) as click_sessions
+      FROM analytics
+      WHERE org_id = ? AND marker_id = ?
+      GROUP BY rule_id
+      ORDER BY rule_id IS NULL, rule_id
+    `;
+
+    db.all(sql, [orgId, markerId], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          ruleId: row.rule_id,
+          totalScans: row.total_scans || 0,
+          totalClicks: row.total_clicks || 0,
+          scanSessions: row.scan_sessions || 0,
+          clickSessions: row.click_sessions || 0,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * Event counts, unique sessions and average view duration per time bucket
+ * ([{ start, end }] from database/timeBuckets.js), for one marker or, with
+ * markerId null, every marker of the organization
+ */
+async function getAnalyticsTimeseries(orgId, markerId, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  const params = [];
+  const values = buckets.map(({ start, end }) => {
+    params.push(start, end);
+    return '(?, ?)';
+  }).join(', ');
+
+  params.push(orgId);
+  let markerFilter = '';
+  if (markerId) {
+    markerFilter = ' AND a.marker_id = ?';
+    params.push(markerId);
+  }
+
+  return new Promise((resolve, reject) => {
+    const sql = `
+      WITH buckets (bucket_start, bucket_end) AS (VALUES ${values})
+      SELECT
+        b.bucket_start,
+        b.bucket_end,
+        COUNT(CASE WHEN a.event_type = 'scan' THEN 1 END) as scans,
+        COUNT(CASE WHEN a.event_type = 'click' THEN 1 END) as clicks,
+        COUNT(CASE WHEN a.event_type = 'viewDuration' THEN 1 END) as views,
+        COUNT(CASE WHEN a.event_type = 'share' THEN 1 END) as shares,
+        COUNT(DISTINCT a.session_id) as unique_sessions,
+        AVG(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END) as avg_duration
+      FROM buckets b
+      LEFT JOIN analytics a
+        ON a.org_id = ?${markerFilter}
+        AND a.timestamp >= b.bucket_start AND a.timestamp < b.bucket_end
+      GROUP BY b.bucket_start, b.bucket_end
+      ORDER BY b.bucket_start
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          start: row.bucket_start,
+          end: row.bucket_end,
+          scans: row.scans || 0,
+          clicks: row.clicks || 0,
+          views: row.views || 0,
+          shares: row.shares || 0,
+          uniqueSessions: row.unique_sessions || 0,
+          avgDuration: row.avg_duration || 0,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * Session and visitor counts per marker (one marker, or every marker with
+ * markerId null), from events with a session id in the optional date range.
+ * Sessions without a visitor id count as a visitor each; a bounce is a
+ * session with a scan but no detection.
+ */
+async function getSessionSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate } = options;
+
+  let filters = '';
+  const params = [orgId];
+
+  if (markerId) {
+    filters += ' AND marker_id = ?';
+    params.push(markerId);
+  }
+
+  if (startDate) {
+    filters += ' AND timestamp >= ?';
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    filters += ' AND timestamp <= ?';
+    params.push(endDate);
+  }
+
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        marker_id,
+        SUM(session_count) as sessions,
+        COUNT(*) as unique_visitors,
+        SUM(CASE WHEN session_count > 1 THEN 1 ELSE 0 END) as repeat_visitors,
+        SUM(scans) as scans,
+        SUM(scan_sessions) as scan_sessions,
+        SUM(bounces) as bounces
+      FROM (
+        SELECT
+          marker_id,
+          visitor,
+          COUNT(*) as session_count,
+          SUM(scans) as scans,
+          SUM(CASE WHEN scans > 0 THEN 1 ELSE 0 END) as scan_sessions,
+          SUM(CASE WHEN scans > 0 AND detections = 0 THEN 1 ELSE 0 END) as bounces
+        FROM (
+          SELECT
+            marker_id,
+            session_id,
+            COALESCE(MAX(visitor_id), session_id) as visitor,
+            COUNT(CASE WHEN event_type = 'scan' THEN 1 END) as scans,
+            COUNT(CASE WHEN event_type = 'detection' THEN 1 END) as detections
+          FROM analytics
+          WHERE org_id = ? AND session_id IS NOT NULL${filters}
+          GROUP BY marker_id, session_id
+        ) s
+        GROUP BY marker_id, visitor
+      ) v
+      GROUP BY marker_id
+      ORDER BY sessions DESC, marker_id
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          markerId: row.marker_id,
+          sessions: row.sessions || 0,
+          uniqueVisitors: row.unique_visitors || 0,
+          repeatVisitors: row.repeat_visitors || 0,
+          scans: row.scans || 0,
+          scanSessions: row.scan_sessions || 0,
+          bounces: row.bounces || 0,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * Funnel step counts per marker (one marker, or every marker with markerId
+ * null): sessions with a scan in the optional date range, and how many of
+ * them also reached detection, a view of at least `minViewSeconds`, a click
+ * and a share, each requiring the steps before (services/engagementFunnel.js)
+ */
+async function getFunnelSummaries(orgId, markerId, options = {}) {
+  const { startDate, endDate, minViewSeconds } = options;
+
+  let filters = '';
+  const params = [minViewSeconds, orgId];
+
+  if (markerId) {
+    filters += ' AND marker_id = ?';
+    params.push(markerId);
+  }
+
+  if (startDate) {
+    filters += ' AND timestamp >= ?';
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    filters += ' AND timestamp <= ?';
+    params.push(endDate);
+  }
+
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        marker_id,
+        COUNT(*) as scan_sessions,
+        SUM(CASE WHEN detected = 1 THEN 1 ELSE 0 END) as detection_sessions,
+        SUM(CASE WHEN detected = 1 AND viewed = 1 THEN 1 ELSE 0 END) as view_sessions,
+        SUM(CASE WHEN detected = 1 AND viewed = 1 AND clicked = 1 THEN 1 ELSE 0 END) as click_sessions,
+        SUM(CASE WHEN detected = 1 AND viewed = 1 AND clicked = 1 AND shared = 1 THEN 1 ELSE 0 END) as share_sessions
+      FROM (
+        SELECT
+          marker_id,
+          session_id,
+          MAX(CASE WHEN event_type = 'scan' THEN 1 ELSE 0 END) as scanned,
+          MAX(CASE WHEN event_type = 'detection' THEN 1 ELSE 0 END) as detected,
+          MAX(CASE WHEN event_type = 'viewDuration' AND duration >= ? THEN 1 ELSE 0 END) as viewed,
+          MAX(CASE WHEN event_type = 'click' THEN 1 ELSE 0 END) as clicked,
+          MAX(CASE WHEN event_type = 'share' THEN 1 ELSE 0 END) as shared
+        FROM analytics
+        WHERE org_id = ? AND session_id IS NOT NULL${filters}
+        GROUP BY marker_id, session_id
+      ) s
+      WHERE scanned = 1
+      GROUP BY marker_id
+      ORDER BY scan_sessions DESC, marker_id
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          markerId: row.marker_id,
+          scanSessions: row.scan_sessions || 0,
+          detectionSessions: row.detection_sessions || 0,
+          viewSessions: row.view_sessions || 0,
+          clickSessions: row.click_sessions || 0,
+          shareSessions: row.share_sessions || 0,
+        })));
+      }
+    });
+  });
+}
+
+// ============================================================================
+// Analytics Rollups
+// ============================================================================
+
+/**
+ * Recompute the `period` ('hour' or 'day') rollups of the given buckets
+ * from raw events, for every organization or just `orgId`
+ */
+async function rollupAnalytics(period, buckets, orgId = null) {
+  if (buckets.length === 0) {
+    return;
+  }
+
+  const params = [];
+  const values = buckets.map(({ start, end }) => {
+    params.push(start, end);
+    return '(?, ?)';
+  }).join(', ');
+
+  params.push(period);
+  let orgFilter = '';
+  if (orgId) {
+    orgFilter = 'WHERE a.org_id = ?';
+    params.push(orgId);
+  }
+
+  await run(`
+    WITH buckets (bucket_start, bucket_end) AS (VALUES ${values})
+    INSERT INTO analytics_rollups (
+      org_id, marker_id, variant_id, device_type, period, bucket_start,
+      scans, clicks, views, shares, total_duration, duration_count, last_scan
+    )
+    SELECT
+      a.org_id,
+      a.marker_id,
+      COALESCE(a.variant_id, '') as variant,
+      COALESCE(json_extract(a.metadata, '$.deviceType'), '') as device,
+      ?,
+      b.bucket_start,
+      COUNT(CASE WHEN a.event_type = 'scan' THEN 1 END),
+      COUNT(CASE WHEN a.event_type = 'click' THEN 1 END),
+      COUNT(CASE WHEN a.event_type = 'viewDuration' THEN 1 END),
+      COUNT(CASE WHEN a.event_type = 'share' THEN 1 END),
+      COALESCE(SUM(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END), 0),
+      COUNT(CASE WHEN a.event_type = 'viewDuration' THEN a.duration END),
+      MAX(CASE WHEN a.event_type = 'scan' THEN a.timestamp END)
+    FROM buckets b
+    JOIN analytics a ON a.timestamp >= b.bucket_start AND a.timestamp < b.bucket_end
+    ${orgFilter}
+    GROUP BY a.org_id, a.marker_id, variant, device, b.bucket_start
+    ON CONFLICT (org_id, marker_id, variant_id, device_type, period, bucket_start) DO UPDATE SET
+      scans = excluded.scans,
+      clicks = excluded.clicks,
+      views = excluded.views,
+      shares = excluded.shares,
+      total_duration = excluded.total_duration,
+      duration_count = excluded.duration_count,
+      last_scan = excluded.last_scan
+  `, params);
+
+  await run(`
+    WITH buckets (bucket_start, bucket_end) AS (VALUES ${values})
+    INSERT INTO analytics_session_rollups (org_id, marker_id, period, bucket_start, sessions)
+    SELECT a.org_id, a.marker_id, ?, b.bucket_start, COUNT(DISTINCT a.session_id)
+    FROM buckets b
+    JOIN analytics a ON a.timestamp >= b.bucket_start AND a.timestamp < b.bucket_end
+    ${orgFilter}
+    GROUP BY a.org_id, a.marker_id, b.bucket_start
+    ON CONFLICT (org_id, marker_id, period, bucket_start) DO UPDATE SET
+      sessions = excluded.sessions
+  `, params);
+}
+
+/**
+ * The rollup watermark (ISO timestamp), or null before the first rollup
+ */
+async function getAnalyticsRollupState() {
+  return new Promise((resolve, reject) => {
+    db.get(
+      "SELECT rolled_up_until FROM analytics_rollup_state WHERE id = 'analytics'",
+      [],
+      (err, row) => (err ? reject(err) : resolve(row ? row.rolled_up_until : null))
+    );
+  });
+}
+
+/**
+ * Move the watermark forward (never back; see resetAnalyticsRollups)
+ */
+async function setAnalyticsRollupState(rolledUpUntil) {
+  await run(`
+    INSERT INTO analytics_rollup_state (id, rolled_up_until) VALUES ('analytics', ?)
+    ON CONFLICT (id) DO UPDATE SET rolled_up_until = excluded.rolled_up_until
+    WHERE excluded.rolled_up_until > analytics_rollup_state.rolled_up_until
+  `, [new Date(rolledUpUntil).toISOString()]);
+}
+
+/**
+ * Delete every rollup and the watermark (before a full backfill)
+ */
+async function resetAnalyticsRollups() {
+  await exec(`
+    DELETE FROM analytics_rollups;
+    DELETE FROM analytics_session_rollups;
+    DELETE FROM analytics_rollup_state;
+  `);
+}
+
+/**
+ * Timestamp of the oldest event of any organization, or null
+ */
+async function getFirstAnalyticsTimestamp() {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT MIN(timestamp) as first FROM analytics',
+      [],
+      (err, row) => (err ? reject(err) : resolve(row && row.first ? new Date(row.first).toISOString() : null))
+    );
+  });
+}
+
+/**
+ * Queue UTC hours (ISO starts) of an organization for a rollup recompute
+ */
+async function queueAnalyticsRollups(orgId, hourStarts) {
+  if (hourStarts.length === 0) {
+    return;
+  }
+
+  await run(`
+    INSERT INTO analytics_rollup_queue (org_id, hour_start)
+    VALUES ${hourStarts.map(() => '(?, ?)').join(', ')}
+    ON CONFLICT (org_id, hour_start) DO NOTHING
+  `, hourStarts.flatMap(hourStart => [orgId, new Date(hourStart).toISOString()]));
+}
+
+/**
+ * Remove and return every queued hour ([{ orgId, hourStart }])
+ */
+async function takeQueuedAnalyticsRollups() {
+  return new Promise((resolve, reject) => {
+    db.all('DELETE FROM analytics_rollup_queue RETURNING org_id, hour_start', [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({ orgId: row.org_id, hourStart: row.hour_start })));
+      }
+    });
+  });
+}
+
+/**
+ * Per-marker summaries (as getAllAnalyticsSummaries, most scanned first)
+ * from daily rollups before `dailyUntil`, hourly rollups up to
+ * `hourlyUntil` and raw events after that; markerId null for every marker
+ */
+async function getRolledUpSummaries(orgId, markerId, { dailyUntil, hourlyUntil }) {
+  const markerFilter = markerId ? ' AND marker_id = ?' : '';
+  const markerParams = markerId ? [markerId] : [];
+
+  const params = [
+    orgId, ...markerParams, dailyUntil, dailyUntil, hourlyUntil,
+    orgId, ...markerParams, hourlyUntil,
+  ];
+
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        marker_id,
+        SUM(scans) as total_scans,
+        SUM(clicks) as total_clicks,
+        SUM(total_duration) as total_duration,
+        SUM(duration_count) as duration_count,
+        MAX(last_scan) as last_scan
+      FROM (
+        SELECT marker_id, scans, clicks, total_duration, duration_count, last_scan
+        FROM analytics_rollups
+        WHERE org_id = ?${markerFilter}
+          AND ((period = 'day' AND bucket_start < ?)
+            OR (period = 'hour' AND bucket_start >= ? AND bucket_start < ?))
+        UNION ALL
+        SELECT
+          marker_id,
+          CASE WHEN event_type = 'scan' THEN 1 ELSE 0 END,
+          CASE WHEN event_type = 'click' THEN 1 ELSE 0 END,
+          CASE WHEN event_type = 'viewDuration' THEN COALESCE(duration, 0) ELSE 0 END,
+          CASE WHEN event_type = 'viewDuration' AND duration IS NOT NULL THEN 1 ELSE 0 END,
+          CASE WHEN event_type = 'scan' THEN timestamp END
+        FROM analytics
+        WHERE org_id = ?${markerFilter} AND timestamp >= ?
+      )
+      GROUP BY marker_id
+      ORDER BY total_scans DESC
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          markerId: row.marker_id,
+          totalScans: row.total_scans || 0,
+          totalClicks: row.total_clicks || 0,
+          avgDuration: row.duration_count > 0 ? row.total_duration / row.duration_count : 0,
+          lastScan: row.last_scan,
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * getAnalyticsTimeseries from the `period` rollups: each bucket sums the
+ * rollups starting inside it, unique sessions included (per marker, so a
+ * session spanning several hours or days counts once in each)
+ */
+async function getRollupTimeseries(orgId, markerId, period, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  const params = [];
+  const values = buckets.map(({ start, end }) => {
+    params.push(start, end);
+    return '(?, ?)';
+  }).join(', ');
+
+  params.push(orgId, period);
+  let sessionMarkerFilter = '';
+  if (markerId) {
+    sessionMarkerFilter = ' AND s.marker_id = ?';
+    params.push(markerId);
+  }
+
+  params.push(orgId, period);
+  let markerFilter = '';
+  if (markerId) {
+    markerFilter = ' AND r.marker_id = ?';
+    params.push(markerId);
+  }
+
+  return new Promise((resolve, reject) => {
+    const sql = `
+      WITH buckets (bucket_start, bucket_end) AS (VALUES ${values}),
+      sessions AS (
+        SELECT b.bucket_start, SUM(s.sessions) as unique_sessions
+        FROM buckets b
+        LEFT JOIN analytics_session_rollups s
+          ON s.org_id = ? AND s.period = ?${sessionMarkerFilter}
+          AND s.bucket_start >= b.bucket_start AND s.bucket_start < b.bucket_end
+        GROUP BY b.bucket_start
+      )
+      SELECT
+        b.bucket_start,
+        b.bucket_end,
+        SUM(r.scans) as scans,
+        SUM(r.clicks) as clicks,
+        SUM(r.views) as views,
+        SUM(r.shares) as shares,
+        s.unique_sessions,
+        SUM(r.total_duration) as total_duration,
+        SUM(r.duration_count) as duration_count
+      FROM buckets b
+      JOIN sessions s ON s.bucket_start = b.bucket_start
+      LEFT JOIN analytics_rollups r
+        ON r.org_id = ? AND r.period = ?${markerFilter}
+        AND r.bucket_start >= b.bucket_start AND r.bucket_start < b.bucket_end
+      GROUP BY b.bucket_start, b.bucket_end, s.unique_sessions
+      ORDER BY b.bucket_start
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(row => ({
+          start: row.bucket_start,
+          end: row.bucket_end,
+          scans: row.scans || 0,
+          clicks: row.clicks || 0,
+          views: row.views || 0,
+          shares: row.shares || 0,
+          uniqueSessions: row.unique_sessions || 0,
+          avgDuration: row.duration_count > 0 ? row.total_duration / row.duration_count : 0,
+        })));
+      }
+    });
+  });
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Execute one or more SQL statements without parameters
+ */
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Execute a single parameterized statement
+ */
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function parseContentRow(row) {
+  return {
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    type: row.type,
+    title: row.title,
+    summary: row.summary,
+    url: row.url,
+    videoUrl: row.video_url,
+    posterUrl: row.poster_url,
+    modelUrl: row.model_url,
+    imageUrl: row.image_url,
+    ctaText: row.cta_text,
+    ctaUrl: row.cta_url,
+    style: row.style ? JSON.parse(row.style) : null,
+    schedule: row.schedule ? JSON.parse(row.schedule) : null,
+    variants: row.variants ? JSON.parse(row.variants) : null,
+    rules: row.rules ? JSON.parse(row.rules) : null,
+    translations: row.translations ? JSON.parse(row.translations) : null,
+    campaignId: row.campaign_id,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseDraftRow(row) {
+  return {
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    content: JSON.parse(row.content),
+    author: row.author,
+    approvedBy: row.approved_by,
+    approvedAt: row.approved_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseRevisionRow(row) {
+  return {
+    orgId: row.org_id,
+    markerId: row.marker_id,
+    revision: row.revision,
+    content: JSON.parse(row.content),
+    diff: row.diff ? JSON.parse(row.diff) : null,
+    author: row.author,
+    restoredFrom: row.restored_from,
+    createdAt: row.created_at,
+  };
+}
+
+function parseCampaignRow(row) {
+  return {
+    orgId: row.org_id,
+    id: row.id,
+    name: row.name,
+    client: row.client,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    defaultStyle: row.default_style ? JSON.parse(row.default_style) : null,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseOrganizationRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseUserRow(row) {
+  return {
+    orgId: row.org_id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    oidcSubject: row.oidc_subject,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseUserTotpRow(row) {
+  return {
+    orgId: row.org_id,
+    username: row.username,
+    secret: row.secret,
+    enabledAt: row.enabled_at,
+    lastUsedStep: row.last_used_step,
+    recoveryCodeHashes: JSON.parse(row.recovery_code_hashes),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseApiKeyRow(row) {
+  return {
+    orgId: row.org_id,
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    keyHash: row.key_hash,
+    scopes: JSON.parse(row.scopes),
+    markerIds: row.marker_ids ? JSON.parse(row.marker_ids) : null,
+    campaignIds: row.campaign_ids ? JSON.parse(row.campaign_ids) : null,
+    createdBy: row.created_by,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseAuthSessionRow(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    username: row.username,
+    refreshTokenHash: row.refresh_token_hash,
+    accessExpiresAt: row.access_expires_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseAuditRow(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    action: row.action,
+    actor: row.actor,
+    actorRole: row.actor_role,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    markerId: row.marker_id,
+    before: row.before_state ? JSON.parse(row.before_state) : null,
+    after: row.after_state ? JSON.parse(row.after_state) : null,
+    ipAddress: row.ip_address,
+    requestId: row.request_id,
+    createdAt: row.created_at,
   };
 }
 
 function parseAnalyticsRow(row) {
   return {
     id: row.id,
+    orgId: row.org_id,
     markerId: row.marker_id,
     eventType: row.event_type,
     sessionId: row.session_id,
@@ -409,6 +1878,9 @@ function parseAnalyticsRow(row) {
     userAgent: row.user_agent,
     ipAddress: row.ip_address,
     metadata: row.metadata ? JSON.parse(row.metadata) : null,
+    variantId: row.variant_id,
+    ruleId: row.rule_id,
+    visitorId: row.visitor_id,
   };
 }
 
@@ -419,12 +1891,69 @@ function parseAnalyticsRow(row) {
 module.exports = {
   initialize,
   close,
+  getAppliedMigrations,
+  runMigration,
   getContent,
   setContent,
   deleteContent,
   listAllContent,
+  getDraft,
+  setDraft,
+  approveDraft,
+  deleteDraft,
+  takeDraft,
+  addContentRevision,
+  listContentRevisions,
+  getContentRevision,
+  getCampaign,
+  listCampaigns,
+  setCampaign,
+  deleteCampaign,
+  getOrganization,
+  listOrganizations,
+  setOrganization,
+  getUser,
+  getUserByOidcSubject,
+  listUsers,
+  setUser,
+  recordUserLogin,
+  deleteUser,
+  getUserTotp,
+  setUserTotp,
+  deleteUserTotp,
+  useTotpStep,
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  setApiKey,
+  recordApiKeyUse,
+  getAuthSession,
+  listAuthSessions,
+  setAuthSession,
+  rotateAuthSession,
+  addTokenRevocation,
+  isTokenRevoked,
+  purgeTokenRevocations,
+  addAuditEntry,
+  listAuditEntries,
+  purgeAuditEntries,
   recordAnalyticsEvent,
   getAnalytics,
   getAnalyticsSummary,
   getAllAnalyticsSummaries,
+  getVariantSummaries,
+  getRuleSummaries,
+  getCampaignAnalyticsSummary,
+  getAnalyticsTimeseries,
+  getSessionSummaries,
+  getFunnelSummaries,
+  rollupAnalytics,
+  getAnalyticsRollupState,
+  setAnalyticsRollupState,
+  resetAnalyticsRollups,
+  getFirstAnalyticsTimestamp,
+  queueAnalyticsRollups,
+  takeQueuedAnalyticsRollups,
+  getRolledUpSummaries,
+  getRollupTimeseries,
 };
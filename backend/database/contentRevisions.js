@@ -0,0 +1,67 @@
+/**
+ * Content Revision Helpers
+ *
+ * Adapter-independent helpers for content versioning. Every save stores an
+ * immutable revision holding a snapshot of the editable fields and a diff
+ * against the previous state.
+ */
+
+// Fields captured in a revision snapshot (markerId and timestamps are not editable)
+const REVISION_FIELDS = [
+  'type',
+  'title',
+  'summary',
+  'url',
+  'videoUrl',
+  'posterUrl',
+  'modelUrl',
+  'imageUrl',
+  'ctaText',
+  'ctaUrl',
+  'style',
+  'schedule',
+  'variants',
+  'rules',
+  'translations',
+  'campaignId',
+  'expiresAt',
+];
+
+/**
+ * Extract the editable fields of a content record, with null for unset ones
+ */
+function snapshotContent(content) {
+  const snapshot = {};
+
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = content && content[field] !== undefined && content[field] !== ''
+      ? content[field]
+      : null;
+  });
+
+  return snapshot;
+}
+
+/**
+ * Diff two content records as { field: { from, to } } for changed fields
+ * `before` may be null for newly created content
+ */
+function diffContent(before, after) {
+  const previous = snapshotContent(before);
+  const next = snapshotContent(after);
+  const diff = {};
+
+  REVISION_FIELDS.forEach((field) => {
+    if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+      diff[field] = { from: previous[field], to: next[field] };
+    }
+  });
+
+  return diff;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotContent,
+  diffContent,
+};
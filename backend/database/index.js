@@ -5,38 +5,76 @@
  * - SQLite (default, no external dependencies)
  * - Firebase Firestore (cloud-hosted, real-time)
  * - PostgreSQL (production-grade SQL)
+ * - In-memory (pure JavaScript, for tests and ephemeral demos)
  * 
  * The adapter pattern allows switching databases via DATABASE_TYPE env var
- * without changing application code.
+ * without changing application code. Adapters are loaded lazily so that a
+ * missing native module (e.g. sqlite3 on a kiosk) only matters if selected.
+ *
+ * Schema changes are applied through versioned migrations (see migrator.js).
+ * Startup refuses to continue while migrations are pending or the database
+ * holds versions this code doesn't know about.
+ *
+ * Everything except organizations themselves belongs to an organization
+ * (tenant): each function takes the orgId first, and marker and campaign IDs
+ * are only unique within one organization.
  */
 
-const sqliteAdapter = require('./adapters/sqlite');
-const firebaseAdapter = require('./adapters/firebase');
-const postgresAdapter = require('./adapters/postgres');
+const migrator = require('./migrator');
+const { snapshotContent, diffContent } = require('./contentRevisions');
+const { buildTimeBuckets, floorToUtc, getRollupPeriod } = require('./timeBuckets');
+
+// Created by migration 009; holds all data from before organizations existed
+const DEFAULT_ORG_ID = 'default';
 
 let currentAdapter;
 
 /**
  * Initialize database connection based on DATABASE_TYPE
+ *
+ * Options:
+ * - autoMigrate: apply pending migrations before the schema check
+ *   (defaults to DATABASE_AUTO_MIGRATE=true, always on for memory)
+ * - skipSchemaCheck: connect without verifying the schema version
+ *   (used by the migration CLI)
  */
-async function initialize() {
+async function initialize(options = {}) {
   const dbType = process.env.DATABASE_TYPE || 'sqlite';
 
+  const {
+    // An in-memory store starts empty, so there is nothing to check it against
+    autoMigrate = process.env.DATABASE_AUTO_MIGRATE === 'true' || dbType === 'memory',
+    skipSchemaCheck = false,
+  } = options;
+
   switch (dbType) {
     case 'firebase':
-      currentAdapter = firebaseAdapter;
+      currentAdapter = require('./adapters/firebase');
       break;
     case 'postgres':
-      currentAdapter = postgresAdapter;
+      currentAdapter = require('./adapters/postgres');
+      break;
+    case 'memory':
+      currentAdapter = require('./adapters/memory');
       break;
     case 'sqlite':
     default:
-      currentAdapter = sqliteAdapter;
+      currentAdapter = require('./adapters/sqlite');
       break;
   }
 
   await currentAdapter.initialize();
   console.log(`Database adapter loaded: ${dbType}`);
+
+  if (skipSchemaCheck) {
+    return;
+  }
+
+  if (autoMigrate) {
+    await migrator.migrate(currentAdapter);
+  }
+
+  await migrator.verifySchema(currentAdapter);
 }
 
 /**
@@ -48,44 +86,472 @@ async function close() {
   }
 }
 
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+async function getMigrationStatus() {
+  return migrator.getStatus(currentAdapter);
+}
+
+async function migrate() {
+  return migrator.migrate(currentAdapter);
+}
+
+async function rollbackMigrations(steps = 1) {
+  return migrator.rollback(currentAdapter, steps);
+}
+
 // ============================================================================
 // Content Management
 // ============================================================================
 
-async function getContent(markerId) {
-  return currentAdapter.getContent(markerId);
+async function getContent(orgId, markerId) {
+  return currentAdapter.getContent(orgId, markerId);
+}
+
+/**
+ * Save content and append an immutable revision of the result
+ *
+ * Options:
+ * - author: username recorded on the revision
+ * - restoredFrom: revision number this save restores
+ */
+async function setContent(orgId, markerId, content, options = {}) {
+  const previous = await currentAdapter.getContent(orgId, markerId);
+
+  // Content saved before versioning existed gets a baseline revision first,
+  // so its original state can still be restored
+  if (previous && !(await currentAdapter.getContentRevision(orgId, markerId, 1))) {
+    await currentAdapter.addContentRevision(orgId, markerId, {
+      content: snapshotContent(previous),
+      diff: null,
+      author: null,
+    });
+  }
+
+  const saved = await currentAdapter.setContent(orgId, markerId, content);
+  const current = await currentAdapter.getContent(orgId, markerId);
+
+  const revision = await currentAdapter.addContentRevision(orgId, markerId, {
+    content: snapshotContent(current),
+    diff: diffContent(previous, current),
+    author: options.author,
+    restoredFrom: options.restoredFrom,
+  });
+
+  return { ...saved, revision: revision.revision };
+}
+
+async function deleteContent(orgId, markerId) {
+  return currentAdapter.deleteContent(orgId, markerId);
+}
+
+async function listAllContent(orgId, options = {}) {
+  return currentAdapter.listAllContent(orgId, options);
+}
+
+// ============================================================================
+// Content Drafts
+// ============================================================================
+
+async function getDraft(orgId, markerId) {
+  return currentAdapter.getDraft(orgId, markerId);
+}
+
+/**
+ * Save unpublished changes for a marker, replacing any existing draft
+ * Saving a draft clears a previous approval
+ */
+async function saveDraft(orgId, markerId, content, options = {}) {
+  return currentAdapter.setDraft(orgId, markerId, {
+    content: snapshotContent(content),
+    author: options.author,
+  });
+}
+
+async function approveDraft(orgId, markerId, approver) {
+  return currentAdapter.approveDraft(orgId, markerId, approver);
+}
+
+/**
+ * Make the draft live: removes the draft and saves it as content (creating
+ * a revision). With `requireApproval` the approval is checked as the draft
+ * is removed, so a draft saved after the approval isn't published. Returns
+ * null if there is no (approved) draft
+ */
+async function publishDraft(orgId, markerId, options = {}) {
+  const draft = await currentAdapter.takeDraft(orgId, markerId, { approved: Boolean(options.requireApproval) });
+
+  if (!draft) {
+    return null;
+  }
+
+  try {
+    return await setContent(orgId, markerId, draft.content, { author: options.author });
+  } catch (error) {
+    // Put the draft back (unapproved) rather than lose it
+    await currentAdapter.setDraft(orgId, markerId, { content: draft.content, author: draft.author });
+    throw error;
+  }
+}
+
+async function deleteDraft(orgId, markerId) {
+  return currentAdapter.deleteDraft(orgId, markerId);
+}
+
+// ============================================================================
+// Content Revisions
+// ============================================================================
+
+async function listContentRevisions(orgId, markerId) {
+  return currentAdapter.listContentRevisions(orgId, markerId);
+}
+
+async function getContentRevision(orgId, markerId, revision) {
+  return currentAdapter.getContentRevision(orgId, markerId, revision);
+}
+
+/**
+ * Restore a previous revision by saving its snapshot as a new revision
+ * Returns null if the revision doesn't exist
+ */
+async function restoreContentRevision(orgId, markerId, revision, options = {}) {
+  const target = await currentAdapter.getContentRevision(orgId, markerId, revision);
+
+  if (!target) {
+    return null;
+  }
+
+  return setContent(orgId, markerId, target.content, {
+    author: options.author,
+    restoredFrom: target.revision,
+  });
+}
+
+// ============================================================================
+// Organizations
+// ============================================================================
+
+async function getOrganization(id) {
+  return currentAdapter.getOrganization(id);
+}
+
+async function listOrganizations() {
+  return currentAdapter.listOrganizations();
+}
+
+async function setOrganization(id, organization) {
+  return currentAdapter.setOrganization(id, organization);
+}
+
+// ============================================================================
+// Users
+// ============================================================================
+
+async function getUser(orgId, username) {
+  return currentAdapter.getUser(orgId, username);
+}
+
+async function getUserByOidcSubject(orgId, subject) {
+  return currentAdapter.getUserByOidcSubject(orgId, subject);
+}
+
+async function listUsers(orgId) {
+  return currentAdapter.listUsers(orgId);
+}
+
+async function setUser(orgId, username, user) {
+  return currentAdapter.setUser(orgId, username, user);
+}
+
+async function recordUserLogin(orgId, username) {
+  return currentAdapter.recordUserLogin(orgId, username);
+}
+
+async function deleteUser(orgId, username) {
+  return currentAdapter.deleteUser(orgId, username);
+}
+
+// ============================================================================
+// User TOTP
+// ============================================================================
+
+async function getUserTotp(orgId, username) {
+  return currentAdapter.getUserTotp(orgId, username);
+}
+
+async function setUserTotp(orgId, username, totp) {
+  return currentAdapter.setUserTotp(orgId, username, totp);
+}
+
+async function deleteUserTotp(orgId, username) {
+  return currentAdapter.deleteUserTotp(orgId, username);
+}
+
+async function useTotpStep(orgId, username, step) {
+  return currentAdapter.useTotpStep(orgId, username, step);
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+async function getApiKey(orgId, id) {
+  return currentAdapter.getApiKey(orgId, id);
+}
+
+async function findApiKeyByHash(keyHash) {
+  return currentAdapter.findApiKeyByHash(keyHash);
+}
+
+async function listApiKeys(orgId) {
+  return currentAdapter.listApiKeys(orgId);
+}
+
+async function setApiKey(orgId, id, apiKey) {
+  return currentAdapter.setApiKey(orgId, id, apiKey);
+}
+
+async function recordApiKeyUse(orgId, id) {
+  return currentAdapter.recordApiKeyUse(orgId, id);
+}
+
+// ============================================================================
+// Auth Sessions
+// ============================================================================
+
+async function getAuthSession(id) {
+  return currentAdapter.getAuthSession(id);
+}
+
+async function listAuthSessions(orgId, username) {
+  return currentAdapter.listAuthSessions(orgId, username);
+}
+
+async function setAuthSession(id, session) {
+  return currentAdapter.setAuthSession(id, session);
+}
+
+async function rotateAuthSession(id, refreshTokenHash, session) {
+  return currentAdapter.rotateAuthSession(id, refreshTokenHash, session);
+}
+
+async function addTokenRevocation(sessionId, expiresAt) {
+  return currentAdapter.addTokenRevocation(sessionId, expiresAt);
+}
+
+async function isTokenRevoked(sessionId) {
+  return currentAdapter.isTokenRevoked(sessionId);
+}
+
+async function purgeTokenRevocations(before) {
+  return currentAdapter.purgeTokenRevocations(before);
 }
 
-async function setContent(markerId, content) {
-  return currentAdapter.setContent(markerId, content);
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+/**
+ * Append an audit entry; returns it with its id and createdAt
+ */
+async function addAuditEntry(orgId, entry) {
+  return currentAdapter.addAuditEntry(orgId, entry);
+}
+
+/**
+ * An organization's audit entries, newest first. Options: actor, action,
+ * targetType, targetId, markerId, startDate, endDate, limit
+ */
+async function listAuditEntries(orgId, options = {}) {
+  return currentAdapter.listAuditEntries(orgId, options);
+}
+
+/**
+ * Delete audit entries created before a date (retention)
+ */
+async function purgeAuditEntries(before) {
+  return currentAdapter.purgeAuditEntries(before);
 }
 
-async function deleteContent(markerId) {
-  return currentAdapter.deleteContent(markerId);
+// ============================================================================
+// Campaigns
+// ============================================================================
+
+async function getCampaign(orgId, id) {
+  return currentAdapter.getCampaign(orgId, id);
+}
+
+async function listCampaigns(orgId) {
+  return currentAdapter.listCampaigns(orgId);
+}
+
+async function setCampaign(orgId, id, campaign) {
+  return currentAdapter.setCampaign(orgId, id, campaign);
 }
 
-async function listAllContent() {
-  return currentAdapter.listAllContent();
+async function deleteCampaign(orgId, id) {
+  return currentAdapter.deleteCampaign(orgId, id);
 }
 
 // ============================================================================
 // Analytics
 // ============================================================================
 
-async function recordAnalyticsEvent(event) {
-  return currentAdapter.recordAnalyticsEvent(event);
+async function recordAnalyticsEvent(orgId, event) {
+  return currentAdapter.recordAnalyticsEvent(orgId, event);
+}
+
+async function getAnalytics(orgId, markerId, options = {}) {
+  return currentAdapter.getAnalytics(orgId, markerId, options);
+}
+
+/**
+ * A marker's all-time totals; read from rollups plus the events since the
+ * last rollup once rollups exist
+ */
+async function getAnalyticsSummary(orgId, markerId) {
+  const rollups = await getRollupRanges();
+
+  if (!rollups) {
+    return currentAdapter.getAnalyticsSummary(orgId, markerId);
+  }
+
+  const [summary] = await currentAdapter.getRolledUpSummaries(orgId, markerId, rollups);
+
+  return summary || {
+    markerId,
+    totalScans: 0,
+    totalClicks: 0,
+    avgDuration: 0,
+    lastScan: null,
+  };
+}
+
+async function getAllAnalyticsSummaries(orgId) {
+  const rollups = await getRollupRanges();
+
+  return rollups
+    ? currentAdapter.getRolledUpSummaries(orgId, null, rollups)
+    : currentAdapter.getAllAnalyticsSummaries(orgId);
+}
+
+async function getVariantSummaries(orgId, markerId) {
+  return currentAdapter.getVariantSummaries(orgId, markerId);
+}
+
+async function getRuleSummaries(orgId, markerId) {
+  return currentAdapter.getRuleSummaries(orgId, markerId);
+}
+
+async function getCampaignAnalyticsSummary(orgId, campaignId) {
+  return currentAdapter.getCampaignAnalyticsSummary(orgId, campaignId);
+}
+
+/**
+ * Session and visitor counts per marker, for one marker or (with markerId
+ * null) the whole organization; options: startDate, endDate
+ */
+async function getSessionSummaries(orgId, markerId, options = {}) {
+  return currentAdapter.getSessionSummaries(orgId, markerId, options);
+}
+
+/**
+ * Engagement funnel step counts per marker, for one marker or (with markerId
+ * null) the whole organization; options: startDate, endDate, minViewSeconds
+ */
+async function getFunnelSummaries(orgId, markerId, options) {
+  return currentAdapter.getFunnelSummaries(orgId, markerId, options);
+}
+
+/**
+ * Event counts per hour, day or week in a time zone, for one marker or (with
+ * markerId null) the whole organization. Every bucket in the range is listed,
+ * including empty ones. Throws a RangeError for an unusable range; see
+ * timeBuckets.js for the defaults.
+ */
+async function getAnalyticsTimeseries(orgId, markerId, options = {}) {
+  const { interval = 'day', timeZone = 'UTC' } = options;
+  const buckets = buildTimeBuckets({ ...options, interval, timeZone });
+  const rollups = await getRollupRanges();
+
+  // Whole rolled-up UTC hours and days come from rollups, the rest (the
+  // current bucket, zones with half-hour offsets) from raw events
+  const bySource = { day: [], hour: [], raw: [] };
+  buckets.forEach((bucket, index) => {
+    const period = rollups ? getRollupPeriod(bucket, rollups) : null;
+    bySource[period || 'raw'].push(index);
+  });
+
+  const [daily, hourly, raw] = await Promise.all([
+    currentAdapter.getRollupTimeseries(orgId, markerId || null, 'day', bySource.day.map(index => buckets[index])),
+    currentAdapter.getRollupTimeseries(orgId, markerId || null, 'hour', bySource.hour.map(index => buckets[index])),
+    currentAdapter.getAnalyticsTimeseries(orgId, markerId || null, bySource.raw.map(index => buckets[index])),
+  ]);
+
+  const results = [];
+  [[bySource.day, daily], [bySource.hour, hourly], [bySource.raw, raw]].forEach(([indexes, series]) => {
+    indexes.forEach((bucketIndex, i) => {
+      results[bucketIndex] = series[i];
+    });
+  });
+
+  return {
+    interval,
+    timeZone,
+    buckets: results,
+  };
+}
+
+// ============================================================================
+// Analytics Rollups
+// ============================================================================
+
+/**
+ * How far rollups reach (see migrations/015_analytics_rollups.js): daily
+ * rollups cover the days before `dailyUntil`, hourly rollups the hours
+ * before `hourlyUntil`; null until the first rollup
+ */
+async function getRollupRanges() {
+  const rolledUpUntil = await currentAdapter.getAnalyticsRollupState();
+
+  if (!rolledUpUntil) {
+    return null;
+  }
+
+  return {
+    dailyUntil: floorToUtc(rolledUpUntil, 'day'),
+    hourlyUntil: rolledUpUntil,
+  };
 }
 
-async function getAnalytics(markerId, options = {}) {
-  return currentAdapter.getAnalytics(markerId, options);
+async function rollupAnalytics(period, buckets, orgId = null) {
+  return currentAdapter.rollupAnalytics(period, buckets, orgId);
 }
 
-async function getAnalyticsSummary(markerId) {
-  return currentAdapter.getAnalyticsSummary(markerId);
+async function getAnalyticsRollupState() {
+  return currentAdapter.getAnalyticsRollupState();
 }
 
-async function getAllAnalyticsSummaries() {
-  return currentAdapter.getAllAnalyticsSummaries();
+async function setAnalyticsRollupState(rolledUpUntil) {
+  return currentAdapter.setAnalyticsRollupState(rolledUpUntil);
+}
+
+async function resetAnalyticsRollups() {
+  return currentAdapter.resetAnalyticsRollups();
+}
+
+async function getFirstAnalyticsTimestamp() {
+  return currentAdapter.getFirstAnalyticsTimestamp();
+}
+
+async function queueAnalyticsRollups(orgId, hourStarts) {
+  return currentAdapter.queueAnalyticsRollups(orgId, hourStarts);
+}
+
+async function takeQueuedAnalyticsRollups() {
+  return currentAdapter.takeQueuedAnalyticsRollups();
 }
 
 // ============================================================================
@@ -93,16 +559,90 @@ async function getAllAnalyticsSummaries() {
 // ============================================================================
 
 module.exports = {
+  DEFAULT_ORG_ID,
   initialize,
   close,
+  // Migrations
+  getMigrationStatus,
+  migrate,
+  rollbackMigrations,
   // Content
   getContent,
   setContent,
   deleteContent,
   listAllContent,
+  // Content drafts
+  getDraft,
+  saveDraft,
+  approveDraft,
+  publishDraft,
+  deleteDraft,
+  // Content revisions
+  listContentRevisions,
+  getContentRevision,
+  restoreContentRevision,
+  // Organizations
+  getOrganization,
+  listOrganizations,
+  setOrganization,
+  // Users
+  getUser,
+  getUserByOidcSubject,
+  listUsers,
+  setUser,
+  recordUserLogin,
+  deleteUser,
+
+  // User TOTP
+  getUserTotp,
+  setUserTotp,
+  deleteUserTotp,
+  useTotpStep,
+
+  // API Keys
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  setApiKey,
+  recordApiKeyUse,
+
+  // Auth Sessions
+  getAuthSession,
+  listAuthSessions,
+  setAuthSession,
+  rotateAuthSession,
+  addTokenRevocation,
+  isTokenRevoked,
+  purgeTokenRevocations,
+
+  // Audit Log
+  addAuditEntry,
+  listAuditEntries,
+  purgeAuditEntries,
+
+  // Campaigns
+  getCampaign,
+  listCampaigns,
+  setCampaign,
+  deleteCampaign,
   // Analytics
   recordAnalyticsEvent,
   getAnalytics,
   getAnalyticsSummary,
   getAllAnalyticsSummaries,
+  getVariantSummaries,
+  getRuleSummaries,
+  getCampaignAnalyticsSummary,
+  getAnalyticsTimeseries,
+  getSessionSummaries,
+  getFunnelSummaries,
+  // Analytics Rollups
+  getRollupRanges,
+  rollupAnalytics,
+  getAnalyticsRollupState,
+  setAnalyticsRollupState,
+  resetAnalyticsRollups,
+  getFirstAnalyticsTimestamp,
+  queueAnalyticsRollups,
+  takeQueuedAnalyticsRollups,
 };
@@ -0,0 +1,98 @@
+/**
+ * Database Migration CLI
+ *
+ * Usage:
+ *   npm run migrate                    Apply all pending migrations
+ *   npm run migrate:status             Show applied and pending migrations
+ *   npm run migrate:rollback           Roll back the latest migration
+ *   npm run migrate:rollback -- --steps=3
+ *
+ * Uses the adapter selected by DATABASE_TYPE.
+ */
+
+require('dotenv').config();
+const database = require('./index');
+const { formatMigration } = require('./migrator');
+
+/**
+ * Parse --key=value arguments
+ */
+function parseArgs(argv) {
+  const args = { command: 'up' };
+
+  argv.forEach((arg) => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value === undefined ? true : value;
+    } else {
+      args.command = arg;
+    }
+  });
+
+  return args;
+}
+
+async function printStatus() {
+  const status = await database.getMigrationStatus();
+
+  console.log(`Current version: ${status.currentVersion}`);
+  console.log(`Latest version:  ${status.latestVersion}\n`);
+
+  status.applied.forEach((migration) => {
+    const marker = status.unknown.includes(migration) ? '?' : '✓';
+    console.log(`   ${marker} ${formatMigration(migration)}  (applied ${migration.appliedAt})`);
+  });
+
+  status.pending.forEach((migration) => {
+    console.log(`   · ${formatMigration(migration)}  (pending)`);
+  });
+
+  if (status.unknown.length > 0) {
+    console.log('\n⚠️  Database contains migrations unknown to this code (marked ?)');
+  }
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await database.initialize({ skipSchemaCheck: true });
+
+    switch (args.command) {
+      case 'up': {
+        console.log('🗄️  Applying migrations...\n');
+        const applied = await database.migrate();
+        console.log(applied.length > 0
+          ? `\n✅ Applied ${applied.length} migration(s)\n`
+          : '✅ Database is up to date\n');
+        break;
+      }
+      case 'status':
+        console.log('🗄️  Migration status\n');
+        await printStatus();
+        break;
+      case 'rollback': {
+        const steps = parseInt(args.steps, 10) || 1;
+        console.log(`🗄️  Rolling back ${steps} migration(s)...\n`);
+        const rolledBack = await database.rollbackMigrations(steps);
+        console.log(`\n✅ Rolled back ${rolledBack.length} migration(s)\n`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${args.command} (expected up, status or rollback)`);
+    }
+
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { run, parseArgs };
@@ -0,0 +1,94 @@
+/**
+ * Migration 001: Initial schema
+ *
+ * Creates the content and analytics tables. Uses IF NOT EXISTS so databases
+ * created before migrations were introduced can adopt this as their baseline.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE IF NOT EXISTS content (
+        marker_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        title TEXT,
+        summary TEXT,
+        url TEXT,
+        video_url TEXT,
+        poster_url TEXT,
+        model_url TEXT,
+        image_url TEXT,
+        cta_text TEXT,
+        cta_url TEXT,
+        style TEXT,
+        expires_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS analytics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        marker_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        session_id TEXT,
+        timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+        duration REAL,
+        user_agent TEXT,
+        ip_address TEXT,
+        metadata TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_analytics_marker ON analytics(marker_id);
+      CREATE INDEX IF NOT EXISTS idx_analytics_timestamp ON analytics(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_analytics_event_type ON analytics(event_type);
+    `,
+    down: `
+      DROP TABLE IF EXISTS analytics;
+      DROP TABLE IF EXISTS content;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS content (
+        marker_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        title TEXT,
+        summary TEXT,
+        url TEXT,
+        video_url TEXT,
+        poster_url TEXT,
+        model_url TEXT,
+        image_url TEXT,
+        cta_text TEXT,
+        cta_url TEXT,
+        style JSONB,
+        expires_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS analytics (
+        id SERIAL PRIMARY KEY,
+        marker_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        session_id TEXT,
+        timestamp TIMESTAMPTZ DEFAULT NOW(),
+        duration DOUBLE PRECISION,
+        user_agent TEXT,
+        ip_address TEXT,
+        metadata JSONB
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_analytics_marker ON analytics(marker_id);
+      CREATE INDEX IF NOT EXISTS idx_analytics_timestamp ON analytics(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_analytics_event_type ON analytics(event_type);
+    `,
+    down: `
+      DROP TABLE IF EXISTS analytics;
+      DROP TABLE IF EXISTS content;
+    `,
+  },
+
+  // Firestore is schemaless: collections are created on first write
+};
@@ -0,0 +1,58 @@
+/**
+ * Migration 002: Content revisions
+ *
+ * Adds an append-only history of content saves. Content saved before this
+ * migration gets a baseline revision on its first edit (see database/index.js).
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE content_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        marker_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        diff TEXT,
+        author TEXT,
+        restored_from INTEGER,
+        created_at TEXT NOT NULL,
+        UNIQUE (marker_id, revision)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS content_revisions;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE content_revisions (
+        id SERIAL PRIMARY KEY,
+        marker_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content JSONB NOT NULL,
+        diff JSONB,
+        author TEXT,
+        restored_from INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (marker_id, revision)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS content_revisions;
+    `,
+  },
+
+  // Firestore: revisions live in content_history/{markerId}/revisions/{revision}
+  // and need no setup
+
+  memory: {
+    up: async (store) => {
+      store.contentRevisions = [];
+    },
+    down: async (store) => {
+      delete store.contentRevisions;
+    },
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration 003: Content drafts
+ *
+ * Unpublished changes per marker. The draft holds a snapshot of the editable
+ * content fields and is removed once it is published.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE content_drafts (
+        marker_id TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        author TEXT,
+        approved_by TEXT,
+        approved_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS content_drafts;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE content_drafts (
+        marker_id TEXT PRIMARY KEY,
+        content JSONB NOT NULL,
+        author TEXT,
+        approved_by TEXT,
+        approved_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS content_drafts;
+    `,
+  },
+
+  // Firestore: drafts live in the content_drafts collection and need no setup
+
+  memory: {
+    up: async (store) => {
+      store.contentDrafts = {};
+    },
+    down: async (store) => {
+      delete store.contentDrafts;
+    },
+  },
+};
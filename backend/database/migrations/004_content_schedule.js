@@ -0,0 +1,41 @@
+/**
+ * Migration 004: Content schedule
+ *
+ * Adds a JSON schedule of time-windowed content entries per marker. The
+ * marker's own fields remain the fallback shown outside every window.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      ALTER TABLE content ADD COLUMN schedule TEXT;
+    `,
+    down: `
+      ALTER TABLE content DROP COLUMN schedule;
+    `,
+  },
+
+  postgres: {
+    up: `
+      ALTER TABLE content ADD COLUMN schedule JSONB;
+    `,
+    down: `
+      ALTER TABLE content DROP COLUMN schedule;
+    `,
+  },
+
+  // Firestore: documents without a schedule field read back as null
+
+  memory: {
+    up: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        row.schedule = null;
+      });
+    },
+    down: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        delete row.schedule;
+      });
+    },
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Migration 005: Content variants
+ *
+ * Adds weighted content variants per marker (A/B and multivariate tests) and
+ * tags analytics events with the variant they were recorded for.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      ALTER TABLE content ADD COLUMN variants TEXT;
+      ALTER TABLE analytics ADD COLUMN variant_id TEXT;
+      CREATE INDEX idx_analytics_marker_variant ON analytics(marker_id, variant_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_marker_variant;
+      ALTER TABLE analytics DROP COLUMN variant_id;
+      ALTER TABLE content DROP COLUMN variants;
+    `,
+  },
+
+  postgres: {
+    up: `
+      ALTER TABLE content ADD COLUMN variants JSONB;
+      ALTER TABLE analytics ADD COLUMN variant_id TEXT;
+      CREATE INDEX idx_analytics_marker_variant ON analytics(marker_id, variant_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_marker_variant;
+      ALTER TABLE analytics DROP COLUMN variant_id;
+      ALTER TABLE content DROP COLUMN variants;
+    `,
+  },
+
+  // Firestore: documents without variants / variantId read back as null
+
+  memory: {
+    up: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        row.variants = null;
+      });
+      store.analytics.forEach((event) => {
+        event.variantId = null;
+      });
+    },
+    down: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        delete row.variants;
+      });
+      store.analytics.forEach((event) => {
+        delete event.variantId;
+      });
+    },
+  },
+};
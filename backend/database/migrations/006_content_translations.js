@@ -0,0 +1,40 @@
+/**
+ * Migration 006: Content translations
+ *
+ * Adds per-locale translations of a marker's title, summary and CTA text.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      ALTER TABLE content ADD COLUMN translations TEXT;
+    `,
+    down: `
+      ALTER TABLE content DROP COLUMN translations;
+    `,
+  },
+
+  postgres: {
+    up: `
+      ALTER TABLE content ADD COLUMN translations JSONB;
+    `,
+    down: `
+      ALTER TABLE content DROP COLUMN translations;
+    `,
+  },
+
+  // Firestore: documents without translations read back as null
+
+  memory: {
+    up: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        row.translations = null;
+      });
+    },
+    down: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        delete row.translations;
+      });
+    },
+  },
+};
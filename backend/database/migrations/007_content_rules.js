@@ -0,0 +1,55 @@
+/**
+ * Migration 007: Content targeting rules
+ *
+ * Adds context-targeted content rules per marker (location, device, time of
+ * day, QR URL parameters) and tags analytics events with the rule that fired.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      ALTER TABLE content ADD COLUMN rules TEXT;
+      ALTER TABLE analytics ADD COLUMN rule_id TEXT;
+      CREATE INDEX idx_analytics_marker_rule ON analytics(marker_id, rule_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_marker_rule;
+      ALTER TABLE analytics DROP COLUMN rule_id;
+      ALTER TABLE content DROP COLUMN rules;
+    `,
+  },
+
+  postgres: {
+    up: `
+      ALTER TABLE content ADD COLUMN rules JSONB;
+      ALTER TABLE analytics ADD COLUMN rule_id TEXT;
+      CREATE INDEX idx_analytics_marker_rule ON analytics(marker_id, rule_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_marker_rule;
+      ALTER TABLE analytics DROP COLUMN rule_id;
+      ALTER TABLE content DROP COLUMN rules;
+    `,
+  },
+
+  // Firestore: documents without rules / ruleId read back as null
+
+  memory: {
+    up: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        row.rules = null;
+      });
+      store.analytics.forEach((event) => {
+        event.ruleId = null;
+      });
+    },
+    down: async (store) => {
+      Object.values(store.content).forEach((row) => {
+        delete row.rules;
+      });
+      store.analytics.forEach((event) => {
+        delete event.ruleId;
+      });
+    },
+  },
+};
@@ -0,0 +1,74 @@
+/**
+ * Migration 008: Campaigns
+ *
+ * Groups markers into campaigns (client, date range, default style, tags) so
+ * they can be paused, expired, restyled and reported on as a unit.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE campaigns (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        client TEXT,
+        starts_at TEXT,
+        ends_at TEXT,
+        default_style TEXT,
+        tags TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      ALTER TABLE content ADD COLUMN campaign_id TEXT;
+      CREATE INDEX idx_content_campaign ON content(campaign_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_content_campaign;
+      ALTER TABLE content DROP COLUMN campaign_id;
+      DROP TABLE IF EXISTS campaigns;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE campaigns (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        client TEXT,
+        starts_at TIMESTAMPTZ,
+        ends_at TIMESTAMPTZ,
+        default_style JSONB,
+        tags JSONB,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      ALTER TABLE content ADD COLUMN campaign_id TEXT;
+      CREATE INDEX idx_content_campaign ON content(campaign_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_content_campaign;
+      ALTER TABLE content DROP COLUMN campaign_id;
+      DROP TABLE IF EXISTS campaigns;
+    `,
+  },
+
+  // Firestore: campaigns live in the campaigns collection; content documents
+  // without campaignId read back as null
+
+  memory: {
+    up: async (store) => {
+      store.campaigns = {};
+      Object.values(store.content).forEach((row) => {
+        row.campaignId = null;
+      });
+    },
+    down: async (store) => {
+      delete store.campaigns;
+      Object.values(store.content).forEach((row) => {
+        delete row.campaignId;
+      });
+    },
+  },
+};
@@ -0,0 +1,410 @@
+/**
+ * Migration 009: Organizations
+ *
+ * Scopes every marker, draft, revision, campaign and analytics event to an
+ * organization (tenant). Marker and campaign IDs become unique per
+ * organization, so two clients can both own a `poster-1`. Existing data is
+ * moved into the `default` organization.
+ *
+ * Rolling back requires marker and campaign IDs to be unique across
+ * organizations again.
+ */
+
+const FIRESTORE_BATCH_SIZE = 500;
+
+/**
+ * Move every document of a Firestore collection to another collection,
+ * including the given subcollection of each document
+ */
+async function moveCollection(db, source, target, subcollection = null) {
+  const snapshot = await source.get();
+
+  if (subcollection) {
+    for (const doc of snapshot.docs) {
+      await moveCollection(db, doc.ref.collection(subcollection), target.doc(doc.id).collection(subcollection));
+    }
+  }
+
+  for (let i = 0; i < snapshot.docs.length; i += FIRESTORE_BATCH_SIZE) {
+    const batch = db.batch();
+
+    snapshot.docs.slice(i, i + FIRESTORE_BATCH_SIZE).forEach((doc) => {
+      batch.set(target.doc(doc.id), doc.data());
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+  }
+}
+
+// Collection name → subcollection moved along with each document
+const FIRESTORE_COLLECTIONS = {
+  content: null,
+  content_drafts: null,
+  content_history: 'revisions',
+  campaigns: null,
+  analytics: null,
+};
+
+module.exports = {
+  // SQLite can't change a primary key in place, so keyed tables are rebuilt
+  sqlite: {
+    up: `
+      CREATE TABLE organizations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      INSERT INTO organizations (id, name, created_at, updated_at)
+      VALUES (
+        'default',
+        'Default organization',
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      );
+
+      CREATE TABLE content_new (
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        title TEXT,
+        summary TEXT,
+        url TEXT,
+        video_url TEXT,
+        poster_url TEXT,
+        model_url TEXT,
+        image_url TEXT,
+        cta_text TEXT,
+        cta_url TEXT,
+        style TEXT,
+        schedule TEXT,
+        variants TEXT,
+        rules TEXT,
+        translations TEXT,
+        campaign_id TEXT,
+        expires_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (org_id, marker_id)
+      );
+      INSERT INTO content_new (
+        org_id, marker_id, type, title, summary, url, video_url, poster_url, model_url,
+        image_url, cta_text, cta_url, style, schedule, variants, rules, translations,
+        campaign_id, expires_at, created_at, updated_at
+      )
+      SELECT
+        'default', marker_id, type, title, summary, url, video_url, poster_url, model_url,
+        image_url, cta_text, cta_url, style, schedule, variants, rules, translations,
+        campaign_id, expires_at, created_at, updated_at
+      FROM content;
+      DROP TABLE content;
+      ALTER TABLE content_new RENAME TO content;
+      CREATE INDEX idx_content_campaign ON content(org_id, campaign_id);
+
+      CREATE TABLE content_drafts_new (
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        author TEXT,
+        approved_by TEXT,
+        approved_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (org_id, marker_id)
+      );
+      INSERT INTO content_drafts_new
+      SELECT 'default', marker_id, content, author, approved_by, approved_at, created_at, updated_at
+      FROM content_drafts;
+      DROP TABLE content_drafts;
+      ALTER TABLE content_drafts_new RENAME TO content_drafts;
+
+      CREATE TABLE content_revisions_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        diff TEXT,
+        author TEXT,
+        restored_from INTEGER,
+        created_at TEXT NOT NULL,
+        UNIQUE (org_id, marker_id, revision)
+      );
+      INSERT INTO content_revisions_new
+      SELECT id, 'default', marker_id, revision, content, diff, author, restored_from, created_at
+      FROM content_revisions;
+      DROP TABLE content_revisions;
+      ALTER TABLE content_revisions_new RENAME TO content_revisions;
+
+      CREATE TABLE campaigns_new (
+        org_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        client TEXT,
+        starts_at TEXT,
+        ends_at TEXT,
+        default_style TEXT,
+        tags TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (org_id, id)
+      );
+      INSERT INTO campaigns_new
+      SELECT 'default', id, name, client, starts_at, ends_at, default_style, tags, status, created_at, updated_at
+      FROM campaigns;
+      DROP TABLE campaigns;
+      ALTER TABLE campaigns_new RENAME TO campaigns;
+
+      ALTER TABLE analytics ADD COLUMN org_id TEXT NOT NULL DEFAULT 'default';
+      CREATE INDEX idx_analytics_org_marker ON analytics(org_id, marker_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_org_marker;
+      ALTER TABLE analytics DROP COLUMN org_id;
+
+      CREATE TABLE campaigns_old (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        client TEXT,
+        starts_at TEXT,
+        ends_at TEXT,
+        default_style TEXT,
+        tags TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      INSERT INTO campaigns_old
+      SELECT id, name, client, starts_at, ends_at, default_style, tags, status, created_at, updated_at
+      FROM campaigns;
+      DROP TABLE campaigns;
+      ALTER TABLE campaigns_old RENAME TO campaigns;
+
+      CREATE TABLE content_revisions_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        marker_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        diff TEXT,
+        author TEXT,
+        restored_from INTEGER,
+        created_at TEXT NOT NULL,
+        UNIQUE (marker_id, revision)
+      );
+      INSERT INTO content_revisions_old
+      SELECT id, marker_id, revision, content, diff, author, restored_from, created_at
+      FROM content_revisions;
+      DROP TABLE content_revisions;
+      ALTER TABLE content_revisions_old RENAME TO content_revisions;
+
+      CREATE TABLE content_drafts_old (
+        marker_id TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        author TEXT,
+        approved_by TEXT,
+        approved_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      INSERT INTO content_drafts_old
+      SELECT marker_id, content, author, approved_by, approved_at, created_at, updated_at
+      FROM content_drafts;
+      DROP TABLE content_drafts;
+      ALTER TABLE content_drafts_old RENAME TO content_drafts;
+
+      CREATE TABLE content_old (
+        marker_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        title TEXT,
+        summary TEXT,
+        url TEXT,
+        video_url TEXT,
+        poster_url TEXT,
+        model_url TEXT,
+        image_url TEXT,
+        cta_text TEXT,
+        cta_url TEXT,
+        style TEXT,
+        expires_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        schedule TEXT,
+        variants TEXT,
+        translations TEXT,
+        rules TEXT,
+        campaign_id TEXT
+      );
+      INSERT INTO content_old (
+        marker_id, type, title, summary, url, video_url, poster_url, model_url,
+        image_url, cta_text, cta_url, style, expires_at, created_at, updated_at,
+        schedule, variants, translations, rules, campaign_id
+      )
+      SELECT
+        marker_id, type, title, summary, url, video_url, poster_url, model_url,
+        image_url, cta_text, cta_url, style, expires_at, created_at, updated_at,
+        schedule, variants, translations, rules, campaign_id
+      FROM content;
+      DROP TABLE content;
+      ALTER TABLE content_old RENAME TO content;
+      CREATE INDEX idx_content_campaign ON content(campaign_id);
+
+      DROP TABLE IF EXISTS organizations;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE organizations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      INSERT INTO organizations (id, name) VALUES ('default', 'Default organization');
+
+      ALTER TABLE content ADD COLUMN org_id TEXT NOT NULL DEFAULT 'default';
+      ALTER TABLE content ALTER COLUMN org_id DROP DEFAULT;
+      ALTER TABLE content DROP CONSTRAINT content_pkey;
+      ALTER TABLE content ADD PRIMARY KEY (org_id, marker_id);
+      DROP INDEX IF EXISTS idx_content_campaign;
+      CREATE INDEX idx_content_campaign ON content(org_id, campaign_id);
+
+      ALTER TABLE content_drafts ADD COLUMN org_id TEXT NOT NULL DEFAULT 'default';
+      ALTER TABLE content_drafts ALTER COLUMN org_id DROP DEFAULT;
+      ALTER TABLE content_drafts DROP CONSTRAINT content_drafts_pkey;
+      ALTER TABLE content_drafts ADD PRIMARY KEY (org_id, marker_id);
+
+      ALTER TABLE campaigns ADD COLUMN org_id TEXT NOT NULL DEFAULT 'default';
+      ALTER TABLE campaigns ALTER COLUMN org_id DROP DEFAULT;
+      ALTER TABLE campaigns DROP CONSTRAINT campaigns_pkey;
+      ALTER TABLE campaigns ADD PRIMARY KEY (org_id, id);
+
+      -- The generated name of the (marker_id, revision) constraint isn't
+      -- portable, so the revisions table is rebuilt instead
+      CREATE TABLE content_revisions_new (
+        id SERIAL PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content JSONB NOT NULL,
+        diff JSONB,
+        author TEXT,
+        restored_from INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (org_id, marker_id, revision)
+      );
+      INSERT INTO content_revisions_new (org_id, marker_id, revision, content, diff, author, restored_from, created_at)
+      SELECT 'default', marker_id, revision, content, diff, author, restored_from, created_at
+      FROM content_revisions
+      ORDER BY id;
+      DROP TABLE content_revisions;
+      ALTER TABLE content_revisions_new RENAME TO content_revisions;
+
+      ALTER TABLE analytics ADD COLUMN org_id TEXT NOT NULL DEFAULT 'default';
+      ALTER TABLE analytics ALTER COLUMN org_id DROP DEFAULT;
+      CREATE INDEX idx_analytics_org_marker ON analytics(org_id, marker_id);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_org_marker;
+      ALTER TABLE analytics DROP COLUMN org_id;
+
+      CREATE TABLE content_revisions_old (
+        id SERIAL PRIMARY KEY,
+        marker_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content JSONB NOT NULL,
+        diff JSONB,
+        author TEXT,
+        restored_from INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (marker_id, revision)
+      );
+      INSERT INTO content_revisions_old (marker_id, revision, content, diff, author, restored_from, created_at)
+      SELECT marker_id, revision, content, diff, author, restored_from, created_at
+      FROM content_revisions
+      ORDER BY id;
+      DROP TABLE content_revisions;
+      ALTER TABLE content_revisions_old RENAME TO content_revisions;
+
+      ALTER TABLE campaigns DROP CONSTRAINT campaigns_pkey;
+      ALTER TABLE campaigns ADD PRIMARY KEY (id);
+      ALTER TABLE campaigns DROP COLUMN org_id;
+
+      ALTER TABLE content_drafts DROP CONSTRAINT content_drafts_pkey;
+      ALTER TABLE content_drafts ADD PRIMARY KEY (marker_id);
+      ALTER TABLE content_drafts DROP COLUMN org_id;
+
+      DROP INDEX IF EXISTS idx_content_campaign;
+      ALTER TABLE content DROP CONSTRAINT content_pkey;
+      ALTER TABLE content ADD PRIMARY KEY (marker_id);
+      ALTER TABLE content DROP COLUMN org_id;
+      CREATE INDEX idx_content_campaign ON content(campaign_id);
+
+      DROP TABLE IF EXISTS organizations;
+    `,
+  },
+
+  // Firestore: each organization's data moves under organizations/{orgId}/
+  firebase: {
+    up: async (db) => {
+      const org = db.collection('organizations').doc('default');
+
+      for (const [name, subcollection] of Object.entries(FIRESTORE_COLLECTIONS)) {
+        await moveCollection(db, db.collection(name), org.collection(name), subcollection);
+      }
+
+      await org.set({
+        name: 'Default organization',
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    },
+    down: async (db) => {
+      const org = db.collection('organizations').doc('default');
+
+      for (const [name, subcollection] of Object.entries(FIRESTORE_COLLECTIONS)) {
+        await moveCollection(db, org.collection(name), db.collection(name), subcollection);
+      }
+
+      await org.delete();
+    },
+  },
+
+  memory: {
+    up: async (store) => {
+      const now = new Date().toISOString();
+
+      store.organizations = {
+        default: { id: 'default', name: 'Default organization', createdAt: now, updatedAt: now },
+      };
+
+      // Keyed collections are grouped by organization
+      ['content', 'contentDrafts', 'campaigns'].forEach((collection) => {
+        Object.values(store[collection]).forEach((row) => {
+          row.orgId = 'default';
+        });
+        store[collection] = { default: store[collection] };
+      });
+
+      [...store.contentRevisions, ...store.analytics].forEach((row) => {
+        row.orgId = 'default';
+      });
+    },
+    down: async (store) => {
+      delete store.organizations;
+
+      ['content', 'contentDrafts', 'campaigns'].forEach((collection) => {
+        store[collection] = Object.assign({}, ...Object.values(store[collection]));
+        Object.values(store[collection]).forEach((row) => {
+          delete row.orgId;
+        });
+      });
+
+      [...store.contentRevisions, ...store.analytics].forEach((row) => {
+        delete row.orgId;
+      });
+    },
+  },
+};
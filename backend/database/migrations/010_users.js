@@ -0,0 +1,56 @@
+/**
+ * Migration 010: Users
+ *
+ * Per-organization user accounts with their own bcrypt password hash and a
+ * role (owner, editor, analyst, viewer), replacing the shared admin password
+ * for day-to-day work.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE users (
+        org_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        last_login_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (org_id, username)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS users;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE users (
+        org_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        last_login_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (org_id, username)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS users;
+    `,
+  },
+
+  // Firestore: users live in organizations/{orgId}/users, keyed by username
+
+  memory: {
+    up: async (store) => {
+      store.users = {};
+    },
+    down: async (store) => {
+      delete store.users;
+    },
+  },
+};
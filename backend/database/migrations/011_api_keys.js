@@ -0,0 +1,73 @@
+/**
+ * Migration 011: API Keys
+ *
+ * Keys for machine clients (CMS, build pipelines), stored as SHA-256 hashes
+ * with their scopes and optional marker/campaign restrictions. Keys are
+ * looked up by hash across organizations, hence the unique index.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE api_keys (
+        org_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        marker_ids TEXT,
+        campaign_ids TEXT,
+        created_by TEXT,
+        last_used_at TEXT,
+        revoked_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (org_id, id)
+      );
+      CREATE UNIQUE INDEX idx_api_keys_hash ON api_keys(key_hash);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_api_keys_hash;
+      DROP TABLE IF EXISTS api_keys;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE api_keys (
+        org_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        scopes JSONB NOT NULL,
+        marker_ids JSONB,
+        campaign_ids JSONB,
+        created_by TEXT,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (org_id, id)
+      );
+      CREATE UNIQUE INDEX idx_api_keys_hash ON api_keys(key_hash);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_api_keys_hash;
+      DROP TABLE IF EXISTS api_keys;
+    `,
+  },
+
+  // Firestore: keys live in organizations/{orgId}/api_keys and are found by
+  // hash with a collection group query on keyHash
+
+  memory: {
+    up: async (store) => {
+      store.apiKeys = {};
+    },
+    down: async (store) => {
+      delete store.apiKeys;
+    },
+  },
+};
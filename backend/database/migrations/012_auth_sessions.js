@@ -0,0 +1,82 @@
+/**
+ * Migration 012: Auth Sessions
+ *
+ * Server-side sign-in sessions holding the hash of their current (rotating)
+ * refresh token, and the revocation list of sessions whose access tokens
+ * must be rejected before they expire. Revocations are only kept until the
+ * session's last access token expires.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE auth_sessions (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        access_expires_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_auth_sessions_user ON auth_sessions(org_id, username);
+
+      CREATE TABLE token_revocations (
+        session_id TEXT PRIMARY KEY,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS token_revocations;
+      DROP INDEX IF EXISTS idx_auth_sessions_user;
+      DROP TABLE IF EXISTS auth_sessions;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE auth_sessions (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        access_expires_at TIMESTAMPTZ NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX idx_auth_sessions_user ON auth_sessions(org_id, username);
+
+      CREATE TABLE token_revocations (
+        session_id TEXT PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS token_revocations;
+      DROP INDEX IF EXISTS idx_auth_sessions_user;
+      DROP TABLE IF EXISTS auth_sessions;
+    `,
+  },
+
+  // Firestore: sessions live in auth_sessions/{id} and revocations in
+  // token_revocations/{sessionId}; both are created on first write
+
+  memory: {
+    up: async (store) => {
+      store.authSessions = {};
+      store.tokenRevocations = {};
+    },
+    down: async (store) => {
+      delete store.authSessions;
+      delete store.tokenRevocations;
+    },
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Migration 013: User TOTP
+ *
+ * Two-factor authentication for user accounts: each user's TOTP secret
+ * (RFC 6238), when it was confirmed, the last time step used (codes can't
+ * be replayed) and hashes of the unused recovery codes.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE user_totp (
+        org_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        enabled_at TEXT,
+        last_used_step INTEGER,
+        recovery_code_hashes TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (org_id, username)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS user_totp;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE user_totp (
+        org_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        enabled_at TIMESTAMPTZ,
+        last_used_step BIGINT,
+        recovery_code_hashes JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (org_id, username)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS user_totp;
+    `,
+  },
+
+  // Firestore: stored in organizations/{orgId}/user_totp/{username}, created
+  // on first write
+
+  memory: {
+    up: async (store) => {
+      store.userTotp = {};
+    },
+    down: async (store) => {
+      delete store.userTotp;
+    },
+  },
+};
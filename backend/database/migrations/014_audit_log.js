@@ -0,0 +1,80 @@
+/**
+ * Migration 014: Audit Log
+ *
+ * Append-only record of administrative actions: who did what to which
+ * marker (or campaign, user, API key, organization), the state before and
+ * after, and the request's IP address and ID. Entries are never updated;
+ * only the retention purge deletes them.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE audit_log (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        actor_role TEXT,
+        target_type TEXT NOT NULL,
+        target_id TEXT,
+        marker_id TEXT,
+        before_state TEXT,
+        after_state TEXT,
+        ip_address TEXT,
+        request_id TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_audit_log_org_created ON audit_log(org_id, created_at);
+      CREATE INDEX idx_audit_log_org_marker ON audit_log(org_id, marker_id);
+      CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_audit_log_created;
+      DROP INDEX IF EXISTS idx_audit_log_org_marker;
+      DROP INDEX IF EXISTS idx_audit_log_org_created;
+      DROP TABLE IF EXISTS audit_log;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE audit_log (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        actor_role TEXT,
+        target_type TEXT NOT NULL,
+        target_id TEXT,
+        marker_id TEXT,
+        before_state JSONB,
+        after_state JSONB,
+        ip_address TEXT,
+        request_id TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX idx_audit_log_org_created ON audit_log(org_id, created_at);
+      CREATE INDEX idx_audit_log_org_marker ON audit_log(org_id, marker_id);
+      CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_audit_log_created;
+      DROP INDEX IF EXISTS idx_audit_log_org_marker;
+      DROP INDEX IF EXISTS idx_audit_log_org_created;
+      DROP TABLE IF EXISTS audit_log;
+    `,
+  },
+
+  // Firestore: entries live in organizations/{orgId}/audit_log, created on
+  // first write; filters are applied client-side to avoid composite indexes
+
+  memory: {
+    up: async (store) => {
+      store.auditLog = [];
+    },
+    down: async (store) => {
+      delete store.auditLog;
+    },
+  },
+};
@@ -0,0 +1,97 @@
+/**
+ * Migration 015: Analytics Rollups
+ *
+ * Pre-aggregated event counts per marker, variant and device type for each
+ * UTC hour and day, so summaries and timeseries don't scan every raw event.
+ * Distinct sessions don't add up across variants or device types, so they
+ * are kept per marker (migrations/018_analytics_session_rollups.js).
+ * Rows are recomputed from raw events (services/analyticsRollups.js) and
+ * upserted, so rolling up a range twice is harmless; events without a
+ * variant or device type are grouped under ''.
+ *
+ * analytics_rollup_state holds the watermark: hourly rollups are complete
+ * before `rolled_up_until`, daily rollups before the start of its day.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE analytics_rollups (
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        variant_id TEXT NOT NULL,
+        device_type TEXT NOT NULL,
+        period TEXT NOT NULL,
+        bucket_start TEXT NOT NULL,
+        scans INTEGER NOT NULL DEFAULT 0,
+        clicks INTEGER NOT NULL DEFAULT 0,
+        views INTEGER NOT NULL DEFAULT 0,
+        shares INTEGER NOT NULL DEFAULT 0,
+        total_duration REAL NOT NULL DEFAULT 0,
+        duration_count INTEGER NOT NULL DEFAULT 0,
+        last_scan TEXT,
+        PRIMARY KEY (org_id, marker_id, variant_id, device_type, period, bucket_start)
+      );
+      CREATE INDEX idx_analytics_rollups_org_period ON analytics_rollups(org_id, period, bucket_start);
+      CREATE TABLE analytics_rollup_state (
+        id TEXT PRIMARY KEY,
+        rolled_up_until TEXT NOT NULL
+      );
+      CREATE INDEX idx_analytics_org_timestamp ON analytics(org_id, timestamp);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_org_timestamp;
+      DROP TABLE IF EXISTS analytics_rollup_state;
+      DROP INDEX IF EXISTS idx_analytics_rollups_org_period;
+      DROP TABLE IF EXISTS analytics_rollups;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE analytics_rollups (
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        variant_id TEXT NOT NULL,
+        device_type TEXT NOT NULL,
+        period TEXT NOT NULL,
+        bucket_start TIMESTAMPTZ NOT NULL,
+        scans INTEGER NOT NULL DEFAULT 0,
+        clicks INTEGER NOT NULL DEFAULT 0,
+        views INTEGER NOT NULL DEFAULT 0,
+        shares INTEGER NOT NULL DEFAULT 0,
+        total_duration DOUBLE PRECISION NOT NULL DEFAULT 0,
+        duration_count INTEGER NOT NULL DEFAULT 0,
+        last_scan TIMESTAMPTZ,
+        PRIMARY KEY (org_id, marker_id, variant_id, device_type, period, bucket_start)
+      );
+      CREATE INDEX idx_analytics_rollups_org_period ON analytics_rollups(org_id, period, bucket_start);
+      CREATE TABLE analytics_rollup_state (
+        id TEXT PRIMARY KEY,
+        rolled_up_until TIMESTAMPTZ NOT NULL
+      );
+      CREATE INDEX idx_analytics_org_timestamp ON analytics(org_id, timestamp);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_org_timestamp;
+      DROP TABLE IF EXISTS analytics_rollup_state;
+      DROP INDEX IF EXISTS idx_analytics_rollups_org_period;
+      DROP TABLE IF EXISTS analytics_rollups;
+    `,
+  },
+
+  // Firestore: rollups live in organizations/{orgId}/analytics_hourly and
+  // analytics_daily, the watermark in analytics_rollup_state/analytics, all
+  // created on first write
+
+  memory: {
+    up: async (store) => {
+      store.analyticsRollups = {};
+      store.analyticsRollupState = null;
+    },
+    down: async (store) => {
+      delete store.analyticsRollups;
+      delete store.analyticsRollupState;
+    },
+  },
+};
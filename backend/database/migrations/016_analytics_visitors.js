@@ -0,0 +1,43 @@
+/**
+ * Migration 016: Analytics visitors
+ *
+ * Tags analytics events with the anonymous visitor (browser) that sent them,
+ * so sessions can be grouped into unique and repeat visitors. The ID is a
+ * per-organization hash of a random ID the browser keeps
+ * (services/sessionMetrics.js); events recorded before have none.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      ALTER TABLE analytics ADD COLUMN visitor_id TEXT;
+    `,
+    down: `
+      ALTER TABLE analytics DROP COLUMN visitor_id;
+    `,
+  },
+
+  postgres: {
+    up: `
+      ALTER TABLE analytics ADD COLUMN visitor_id TEXT;
+    `,
+    down: `
+      ALTER TABLE analytics DROP COLUMN visitor_id;
+    `,
+  },
+
+  // Firestore: events without visitorId read back as null
+
+  memory: {
+    up: async (store) => {
+      store.analytics.forEach((event) => {
+        event.visitorId = null;
+      });
+    },
+    down: async (store) => {
+      store.analytics.forEach((event) => {
+        delete event.visitorId;
+      });
+    },
+  },
+};
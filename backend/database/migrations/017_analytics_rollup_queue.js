@@ -0,0 +1,48 @@
+/**
+ * Migration 017: Analytics rollup queue
+ *
+ * The UTC hours per organization that late events (timestamped in an hour
+ * that has already closed) were recorded in, waiting for the rollup job
+ * (services/analyticsRollups.js) to recompute them. Kept in the database so
+ * a restart or another server instance doesn't lose them.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE analytics_rollup_queue (
+        org_id TEXT NOT NULL,
+        hour_start TEXT NOT NULL,
+        PRIMARY KEY (org_id, hour_start)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS analytics_rollup_queue;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE analytics_rollup_queue (
+        org_id TEXT NOT NULL,
+        hour_start TIMESTAMPTZ NOT NULL,
+        PRIMARY KEY (org_id, hour_start)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS analytics_rollup_queue;
+    `,
+  },
+
+  // Firestore: queued hours live in analytics_rollup_queue, created on first
+  // write
+
+  memory: {
+    up: async (store) => {
+      store.analyticsRollupQueue = {};
+    },
+    down: async (store) => {
+      delete store.analyticsRollupQueue;
+    },
+  },
+};
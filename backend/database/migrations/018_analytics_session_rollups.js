@@ -0,0 +1,60 @@
+/**
+ * Migration 018: Analytics session rollups
+ *
+ * Distinct sessions per marker for each UTC hour and day, next to the event
+ * counts of migrations/015_analytics_rollups.js. They are kept per marker
+ * only (not per variant or device type) because distinct counts of finer
+ * groups don't add up: a session switching device types would count twice.
+ * Recomputed and upserted together with the event counts.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      CREATE TABLE analytics_session_rollups (
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        period TEXT NOT NULL,
+        bucket_start TEXT NOT NULL,
+        sessions INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (org_id, marker_id, period, bucket_start)
+      );
+      CREATE INDEX idx_analytics_session_rollups_org_period ON analytics_session_rollups(org_id, period, bucket_start);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_session_rollups_org_period;
+      DROP TABLE IF EXISTS analytics_session_rollups;
+    `,
+  },
+
+  postgres: {
+    up: `
+      CREATE TABLE analytics_session_rollups (
+        org_id TEXT NOT NULL,
+        marker_id TEXT NOT NULL,
+        period TEXT NOT NULL,
+        bucket_start TIMESTAMPTZ NOT NULL,
+        sessions INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (org_id, marker_id, period, bucket_start)
+      );
+      CREATE INDEX idx_analytics_session_rollups_org_period ON analytics_session_rollups(org_id, period, bucket_start);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_analytics_session_rollups_org_period;
+      DROP TABLE IF EXISTS analytics_session_rollups;
+    `,
+  },
+
+  // Firestore: session rollups live in organizations/{orgId}/
+  // analytics_hourly_sessions and analytics_daily_sessions, created on first
+  // write
+
+  memory: {
+    up: async (store) => {
+      store.analyticsSessionRollups = {};
+    },
+    down: async (store) => {
+      delete store.analyticsSessionRollups;
+    },
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * Migration 019: User OIDC subject
+ *
+ * Marks the accounts created by single sign-on with the identity provider's
+ * subject (`sub` claim), which SSO logins are matched on (services/oidc.js).
+ * Accounts created with a password have none, so an SSO login can't take
+ * them over.
+ */
+
+module.exports = {
+  sqlite: {
+    up: `
+      ALTER TABLE users ADD COLUMN oidc_subject TEXT;
+      CREATE UNIQUE INDEX idx_users_oidc_subject ON users(org_id, oidc_subject);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_users_oidc_subject;
+      ALTER TABLE users DROP COLUMN oidc_subject;
+    `,
+  },
+
+  postgres: {
+    up: `
+      ALTER TABLE users ADD COLUMN oidc_subject TEXT;
+      CREATE UNIQUE INDEX idx_users_oidc_subject ON users(org_id, oidc_subject);
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_users_oidc_subject;
+      ALTER TABLE users DROP COLUMN oidc_subject;
+    `,
+  },
+
+  // Firestore: users without oidcSubject read back as null
+
+  memory: {
+    up: async (store) => {
+      Object.values(store.users).forEach((records) => {
+        Object.values(records).forEach((user) => {
+          user.oidcSubject = null;
+        });
+      });
+    },
+    down: async (store) => {
+      Object.values(store.users).forEach((records) => {
+        Object.values(records).forEach((user) => {
+          delete user.oidcSubject;
+        });
+      });
+    },
+  },
+};
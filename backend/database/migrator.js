@@ -0,0 +1,163 @@
+/**
+ * Schema Migration Runner
+ *
+ * Applies numbered migrations from database/migrations/ to the active adapter
+ * and tracks applied versions in a `schema_migrations` table (or collection).
+ *
+ * Migration files are named `NNN_description.js` and export one entry per
+ * adapter type, each with an `up` and `down` step:
+ *
+ *   module.exports = {
+ *     sqlite:   { up: 'ALTER TABLE ...', down: '...' },   // SQL string
+ *     postgres: { up: 'ALTER TABLE ...', down: '...' },   // SQL string
+ *     firebase: { up: async (db) => {}, down: async (db) => {} },
+ *   };
+ *
+ * Adapters without an entry in a migration only record the version, which
+ * keeps every backend on the same version numbering.
+ *
+ * Adapters must implement:
+ * - getAppliedMigrations() → [{ version, name, appliedAt }]
+ * - runMigration(migration, direction) where direction is 'up' or 'down'
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load migration definitions sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      return {
+        ...require(path.join(dir, file)),
+        version: parseInt(match[1], 10),
+        name: match[2],
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Duplicate numbers would make the applied order ambiguous
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version} in ${dir}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Compare applied versions against migration files
+ */
+async function getStatus(adapter, migrations = loadMigrations()) {
+  const applied = await adapter.getAppliedMigrations();
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const currentVersion = applied.reduce((max, m) => Math.max(max, m.version), 0);
+
+  return {
+    currentVersion,
+    latestVersion,
+    applied,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)),
+    unknown: applied.filter(m => !knownVersions.has(m.version)),
+  };
+}
+
+/**
+ * Apply all pending migrations in version order
+ * Returns the list of applied migrations
+ */
+async function migrate(adapter, migrations = loadMigrations()) {
+  const status = await getStatus(adapter, migrations);
+
+  if (status.unknown.length > 0) {
+    throw new Error(
+      `Database has unknown migration versions: ${status.unknown.map(m => m.version).join(', ')}. ` +
+      'Deploy the matching code before migrating.'
+    );
+  }
+
+  for (const migration of status.pending) {
+    await adapter.runMigration(migration, 'up');
+    console.log(`   ↑ ${formatMigration(migration)}`);
+  }
+
+  return status.pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * Returns the list of rolled back migrations
+ */
+async function rollback(adapter, steps = 1, migrations = loadMigrations()) {
+  const status = await getStatus(adapter, migrations);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  const toRollBack = status.applied
+    .map(m => m.version)
+    .sort((a, b) => b - a)
+    .slice(0, steps);
+
+  const rolledBack = [];
+
+  for (const version of toRollBack) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Cannot roll back migration ${version}: migration file not found`);
+    }
+
+    await adapter.runMigration(migration, 'down');
+    console.log(`   ↓ ${formatMigration(migration)}`);
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Refuse to run against a database whose schema doesn't match the code
+ */
+async function verifySchema(adapter, migrations = loadMigrations()) {
+  const status = await getStatus(adapter, migrations);
+
+  if (status.unknown.length > 0) {
+    throw new Error(
+      `Database schema is newer than this code (unknown migrations: ${status.unknown.map(m => m.version).join(', ')}). ` +
+      'Deploy the matching code or roll back the database.'
+    );
+  }
+
+  if (status.pending.length > 0) {
+    throw new Error(
+      `Database schema is out of date (pending migrations: ${status.pending.map(formatMigration).join(', ')}). ` +
+      'Run `npm run migrate` or set DATABASE_AUTO_MIGRATE=true.'
+    );
+  }
+
+  return status;
+}
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  verifySchema,
+  formatMigration,
+};
@@ -158,20 +158,20 @@ async function seed() {
   try {
     console.log('🌱 Starting database seed...\n');
 
-    // Initialize database
-    await database.initialize();
+    // Initialize database (bringing the schema up to date first)
+    await database.initialize({ autoMigrate: true });
 
     // Seed content
     console.log('📝 Seeding content...');
     for (const content of SEED_DATA.content) {
-      await database.setContent(content.markerId, content);
+      await database.setContent(database.DEFAULT_ORG_ID, content.markerId, content, { author: 'seed' });
       console.log(`   ✓ Created content for ${content.markerId}`);
     }
 
     // Seed analytics
     console.log('\n📊 Seeding analytics...');
     for (const event of SEED_DATA.analytics) {
-      await database.recordAnalyticsEvent(event);
+      await database.recordAnalyticsEvent(database.DEFAULT_ORG_ID, event);
     }
     console.log(`   ✓ Created ${SEED_DATA.analytics.length} analytics events`);
 
@@ -0,0 +1,208 @@
+/**
+ * Time Bucket Helpers
+ *
+ * Adapter-independent boundaries for time-bucketed analytics. Buckets start
+ * on local hour, day or week (Monday) boundaries in an IANA time zone, so a
+ * "day" is a calendar day where the marker's audience is (23 or 25 hours
+ * long across daylight saving changes). Adapters aggregate events into the
+ * [start, end) ranges given here.
+ *
+ * Analytics rollups are kept per UTC hour and day; buckets made of whole
+ * rolled-up hours or days are read from them instead of raw events.
+ */
+
+const TIME_BUCKET_INTERVALS = ['hour', 'day', 'week'];
+
+// Upper bound on buckets per request (e.g. 41 days of hours)
+const MAX_TIME_BUCKETS = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Range used when startDate is not given, counted back from endDate
+const DEFAULT_SPAN_MS = {
+  hour: DAY_MS,
+  day: 30 * DAY_MS,
+  week: 12 * 7 * DAY_MS,
+};
+
+const formatters = new Map();
+
+/**
+ * Whether the runtime knows an IANA time zone name (e.g. Europe/Berlin)
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Buckets covering startDate..endDate (inclusive), oldest first:
+ * [{ start, end }] as ISO 8601 UTC strings, `end` exclusive. The first
+ * bucket is the one containing startDate, so it may begin earlier.
+ * Throws a RangeError when there would be more than MAX_TIME_BUCKETS.
+ */
+function buildTimeBuckets({ interval = 'day', timeZone = 'UTC', startDate, endDate } = {}) {
+  if (!TIME_BUCKET_INTERVALS.includes(interval)) {
+    throw new RangeError(`Invalid interval: ${interval}`);
+  }
+
+  const end = endDate ? new Date(endDate).getTime() : Date.now();
+  const start = startDate ? new Date(startDate).getTime() : end - DEFAULT_SPAN_MS[interval];
+
+  if (start > end) {
+    throw new RangeError('startDate must be before endDate');
+  }
+
+  const buckets = [];
+  let bucketStart = floorToInterval(start, interval, timeZone);
+
+  while (bucketStart <= end) {
+    if (buckets.length === MAX_TIME_BUCKETS) {
+      throw new RangeError(`Too many ${interval} buckets (max ${MAX_TIME_BUCKETS}); shorten the date range`);
+    }
+
+    const bucketEnd = nextBoundary(bucketStart, interval, timeZone);
+    buckets.push({ start: new Date(bucketStart).toISOString(), end: new Date(bucketEnd).toISOString() });
+    bucketStart = bucketEnd;
+  }
+
+  return buckets;
+}
+
+/**
+ * The start of the UTC hour or day containing an instant, as ISO 8601
+ */
+function floorToUtc(time, period) {
+  const unit = period === 'day' ? DAY_MS : HOUR_MS;
+  return new Date(Math.floor(new Date(time).getTime() / unit) * unit).toISOString();
+}
+
+/**
+ * Which rollups can answer a bucket (see database.getRollupRanges): 'day'
+ * when it spans whole UTC days before `dailyUntil`, 'hour' when it spans
+ * whole UTC hours before `hourlyUntil`, otherwise null (raw events)
+ */
+function getRollupPeriod({ start, end }, { dailyUntil, hourlyUntil }) {
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+
+  if (endTime <= new Date(dailyUntil).getTime() && startTime % DAY_MS === 0 && endTime % DAY_MS === 0) {
+    return 'day';
+  }
+
+  if (endTime <= new Date(hourlyUntil).getTime() && startTime % HOUR_MS === 0 && endTime % HOUR_MS === 0) {
+    return 'hour';
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+
+  return formatters.get(timeZone);
+}
+
+/**
+ * Local wall-clock fields of an instant in a time zone
+ */
+function getLocalParts(time, timeZone) {
+  const parts = {};
+
+  getFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday),
+  };
+}
+
+/**
+ * The zone's UTC offset at an instant, in milliseconds
+ */
+function getOffset(time, timeZone) {
+  const local = getLocalParts(time, timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * The instant of a local midnight; when it falls in a daylight saving gap,
+ * the first instant after it
+ */
+function localMidnight(year, month, day, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day);
+  let time = wallTime - getOffset(wallTime, timeZone);
+
+  // The offset may differ on the other side of a transition
+  time = wallTime - getOffset(time, timeZone);
+
+  const local = getLocalParts(time, timeZone);
+  if (local.day !== new Date(wallTime).getUTCDate()) {
+    time += HOUR_MS;
+  }
+
+  return time;
+}
+
+function floorToInterval(time, interval, timeZone) {
+  if (interval === 'hour') {
+    const { minute, second } = getLocalParts(time, timeZone);
+    return Math.floor(time / 1000) * 1000 - (minute * 60 + second) * 1000;
+  }
+
+  const local = getLocalParts(time, timeZone);
+  const dayOffset = interval === 'week' ? local.weekday : 0;
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day - dayOffset));
+
+  return localMidnight(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), timeZone);
+}
+
+function nextBoundary(time, interval, timeZone) {
+  if (interval === 'hour') {
+    return time + HOUR_MS;
+  }
+
+  const local = getLocalParts(time, timeZone);
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day + (interval === 'week' ? 7 : 1)));
+
+  return localMidnight(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), timeZone);
+}
+
+module.exports = {
+  TIME_BUCKET_INTERVALS,
+  MAX_TIME_BUCKETS,
+  isValidTimeZone,
+  buildTimeBuckets,
+  floorToUtc,
+  getRollupPeriod,
+};
@@ -3,15 +3,43 @@
  * 
  * Verifies JWT tokens for protected admin routes.
  * Extracts user information from token and attaches to req.user
+ *
+ * Tokens carry the organization they were issued for; it is set as
+ * req.orgId and scopes every database call the request makes.
+ *
+ * Tokens issued at sign-in carry their session ID (`sid`); tokens of a
+ * revoked session (see services/authSessions.js) are rejected.
+ *
+ * Machine clients may send an `X-API-Key` header instead; the key's
+ * organization becomes req.orgId and its scopes and restrictions are set
+ * as req.user.apiKey for requirePermission to check.
  */
 
 const jwt = require('jsonwebtoken');
 const { AppError } = require('./errorHandler');
+const database = require('../database');
+const { hashApiKey } = require('../services/apiKeys');
+
+const { DEFAULT_ORG_ID } = database;
+
+// lastUsedAt is only written once per interval to spare the database
+const API_KEY_USE_INTERVAL_MS = 60 * 1000;
 
 /**
- * Verify JWT token and authenticate request
+ * Verify JWT token (or API key) and authenticate request
  */
 const authenticateToken = (req, res, next) => {
+  const apiKeyHeader = req.headers['x-api-key'];
+
+  if (apiKeyHeader) {
+    return authenticateApiKey(apiKeyHeader)
+      .then((user) => {
+        req.user = user;
+        req.orgId = user.orgId;
+        next();
+      }, next);
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Format: "Bearer TOKEN"
 
@@ -27,8 +55,16 @@ const authenticateToken = (req, res, next) => {
       return next(new AppError('Invalid token', 403));
     }
 
-    req.user = user;
-    next();
+    isRevoked(user)
+      .then((revoked) => {
+        if (revoked) {
+          return next(new AppError('Token revoked', 401));
+        }
+
+        req.user = withOrganization(user);
+        req.orgId = req.user.orgId;
+        next();
+      }, next);
   });
 };
 
@@ -46,11 +82,62 @@ const optionalAuth = (req, res, next) => {
   }
 
   jwt.verify(token, process.env.ADMIN_JWT_SECRET, (err, user) => {
-    req.user = err ? null : user;
-    next();
+    if (err) {
+      req.user = null;
+      return next();
+    }
+
+    isRevoked(user)
+      .then((revoked) => {
+        req.user = revoked ? null : withOrganization(user);
+        next();
+      }, next);
   });
 };
 
+/**
+ * Resolve an API key to the request user it acts as
+ */
+async function authenticateApiKey(key) {
+  const apiKey = await database.findApiKeyByHash(hashApiKey(key));
+
+  if (!apiKey || apiKey.revokedAt) {
+    throw new AppError('Invalid API key', 401);
+  }
+
+  const lastUsedAt = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsedAt >= API_KEY_USE_INTERVAL_MS) {
+    await database.recordApiKeyUse(apiKey.orgId, apiKey.id);
+  }
+
+  return {
+    username: `api-key:${apiKey.name}`,
+    role: 'apikey',
+    orgId: apiKey.orgId,
+    apiKey: {
+      id: apiKey.id,
+      scopes: apiKey.scopes,
+      markerIds: apiKey.markerIds,
+      campaignIds: apiKey.campaignIds,
+    },
+  };
+}
+
+/**
+ * Whether a token's session has been revoked (tokens from before sessions
+ * existed have no session and simply expire)
+ */
+async function isRevoked(user) {
+  return Boolean(user.sid) && database.isTokenRevoked(user.sid);
+}
+
+/**
+ * Tokens issued before organizations existed belong to the default one
+ */
+function withOrganization(user) {
+  return { ...user, orgId: user.orgId || DEFAULT_ORG_ID };
+}
+
 module.exports = {
   authenticateToken,
   optionalAuth,
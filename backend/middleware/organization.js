@@ -0,0 +1,39 @@
+/**
+ * Organization (Tenant) Middleware
+ *
+ * Every request acts on exactly one organization, set as req.orgId:
+ * - Admin requests use the organization in their JWT (see middleware/auth.js),
+ *   so a token can never reach another organization's data
+ * - Public scan requests name it with ?org=<id> (content) or an `orgId` body
+ *   field (analytics), defaulting to the default organization
+ */
+
+const database = require('../database');
+const { AppError, asyncHandler } = require('./errorHandler');
+
+// Organization IDs appear in scan URLs, so they are lowercase slugs
+const ORG_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+/**
+ * Resolve the organization of a public request; unknown organizations get
+ * a 404 so events can't be recorded for them
+ */
+const resolvePublicOrganization = asyncHandler(async (req, res, next) => {
+  const orgId = req.query.org || (req.body && req.body.orgId) || database.DEFAULT_ORG_ID;
+
+  if (typeof orgId !== 'string' || !ORG_ID_PATTERN.test(orgId)) {
+    throw new AppError('Invalid organization ID', 400);
+  }
+
+  if (!(await database.getOrganization(orgId))) {
+    throw new AppError(`Organization not found: ${orgId}`, 404);
+  }
+
+  req.orgId = orgId;
+  next();
+});
+
+module.exports = {
+  ORG_ID_PATTERN,
+  resolvePublicOrganization,
+};
@@ -0,0 +1,126 @@
+/**
+ * Role-Based Access Control
+ *
+ * Users have one role per organization; each role grants a fixed set of
+ * permissions. Routes declare what they need after authenticateToken:
+ *
+ *   router.post('/:markerId', authenticateToken, requirePermission('content:write'), ...)
+ *
+ * Roles:
+ * - owner:   everything, including managing the organization's users and API
+ *            keys and reading the audit log
+ * - editor:  edit, publish and delete content and campaigns; read analytics
+ * - analyst: read content and analytics
+ * - viewer:  read content
+ *
+ * The deployment admin (ADMIN_PASSWORD_HASH, role `admin`) has every permission.
+ *
+ * Requests made with an API key (req.user.apiKey) are granted the
+ * permissions of the key's scopes instead, and restricted keys may only act
+ * on their markers (see services/apiKeys.js). Campaign routes name the route
+ * param holding the campaign ID, which restricted keys are checked against
+ * instead of a marker:
+ *
+ *   router.put('/:id', authenticateToken, requirePermission('content:publish', { campaignParam: 'id' }), ...)
+ *
+ * Routes saving a marker with the body's `campaignId` set `assignsCampaign`,
+ * so campaign-restricted keys are also checked against the campaign assigned
+ * (none when it's missing or null).
+ */
+
+const { AppError } = require('./errorHandler');
+const {
+  scopesGrant,
+  checkMarkerRestriction,
+  checkCampaignRestriction,
+  MARKER_PERMISSIONS,
+} = require('../services/apiKeys');
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'content:read',
+    'content:write',
+    'content:publish',
+    'analytics:read',
+    'perplexity:use',
+    'users:manage',
+    'apikeys:manage',
+    'audit:read',
+  ],
+  editor: [
+    'content:read',
+    'content:write',
+    'content:publish',
+    'analytics:read',
+    'perplexity:use',
+  ],
+  analyst: [
+    'content:read',
+    'analytics:read',
+  ],
+  viewer: [
+    'content:read',
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Whether a role grants a permission
+ */
+function hasPermission(role, permission) {
+  if (role === 'admin') {
+    return true;
+  }
+
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Reject requests whose user lacks the permission (use after authenticateToken)
+ * Options: campaignParam, the route param of the campaign the route acts on;
+ * assignsCampaign, whether the route saves the marker with the body's campaignId
+ */
+function requirePermission(permission, options = {}) {
+  return (req, res, next) => {
+    if (req.user && req.user.apiKey) {
+      return requireApiKeyPermission(req, permission, options).then(() => next(), next);
+    }
+
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return next(new AppError(`Permission denied: ${permission} required`, 403));
+    }
+    next();
+  };
+}
+
+async function requireApiKeyPermission(req, permission, { campaignParam, assignsCampaign } = {}) {
+  const { apiKey } = req.user;
+
+  if (!scopesGrant(apiKey.scopes, permission)) {
+    throw new AppError(`Permission denied: ${permission} required`, 403);
+  }
+
+  if (campaignParam) {
+    const denied = checkCampaignRestriction(apiKey, req.params[campaignParam]);
+
+    if (denied) {
+      throw new AppError(denied, 403);
+    }
+  } else if (MARKER_PERMISSIONS.includes(permission)) {
+    const markerId = req.params.markerId || (req.body && req.body.markerId);
+    const campaignId = assignsCampaign ? (req.body && req.body.campaignId) || null : undefined;
+    const denied = await checkMarkerRestriction(apiKey, req.orgId, markerId, campaignId);
+
+    if (denied) {
+      throw new AppError(denied, 403);
+    }
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission,
+};
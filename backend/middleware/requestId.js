@@ -0,0 +1,22 @@
+/**
+ * Request ID Middleware
+ *
+ * Gives every request an ID (req.id), returned in the X-Request-Id response
+ * header and stored with audit log entries, so a log line, a client error
+ * report and an audit entry can be matched up. An X-Request-Id set by a
+ * reverse proxy is kept when it looks like an ID.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
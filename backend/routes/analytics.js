@@ -3,17 +3,152 @@
  * 
  * Handles collection and retrieval of AR engagement analytics.
  * Public endpoint for recording events, protected endpoints for viewing analytics.
+ * Public events name their organization with an `orgId` body field (default:
+ * the default organization); admin reads are scoped to the token's organization.
  */
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const database = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const { analyticsLimiter } = require('../middleware/rateLimiter');
+const { resolvePublicOrganization } = require('../middleware/organization');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { buildVariantReport } = require('../services/contentVariants');
+const { buildRuleReport } = require('../services/contentRules');
+const { queueLateEvents } = require('../services/analyticsRollups');
+const { anonymizeVisitorId, buildSessionReport } = require('../services/sessionMetrics');
+const { DEFAULT_MIN_VIEW_SECONDS, buildFunnelReport } = require('../services/engagementFunnel');
+const { TIME_BUCKET_INTERVALS, isValidTimeZone } = require('../database/timeBuckets');
 
 const router = express.Router();
 
+// `detection` is sent when the camera first finds the marker in a session
+const EVENT_TYPES = ['scan', 'detection', 'viewDuration', 'click', 'share'];
+
+// Events timestamped further back are rejected, which also bounds the
+// rollup hours a late event can make the rollup job recompute
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Client clocks may run this far ahead; later timestamps are rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const timeseriesValidators = [
+  query('interval').optional().isIn(TIME_BUCKET_INTERVALS).withMessage(`Interval must be one of: ${TIME_BUCKET_INTERVALS.join(', ')}`),
+  query('tz').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+];
+
+const sessionValidators = [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+];
+
+const funnelValidators = [
+  ...sessionValidators,
+  query('minViewSeconds').optional().isFloat({ min: 0, max: 3600 }).toFloat(),
+];
+
+/**
+ * Shared handler for the marker and organization-wide timeseries endpoints
+ */
+const sendTimeseries = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, errors.array());
+  }
+
+  const markerId = req.params.markerId || null;
+  const { interval, tz, startDate, endDate } = req.query;
+
+  let timeseries;
+
+  try {
+    timeseries = await database.getAnalyticsTimeseries(req.orgId, markerId, {
+      interval,
+      timeZone: tz,
+      startDate,
+      endDate,
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new AppError(error.message, 400);
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    markerId,
+    interval: timeseries.interval,
+    timeZone: timeseries.timeZone,
+    count: timeseries.buckets.length,
+    data: timeseries.buckets,
+  });
+});
+
+/**
+ * Shared handler for the marker and organization-wide session endpoints
+ */
+const sendSessions = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, errors.array());
+  }
+
+  const markerId = req.params.markerId || null;
+  const { startDate, endDate } = req.query;
+
+  const summaries = await database.getSessionSummaries(req.orgId, markerId, { startDate, endDate });
+
+  res.json({
+    success: true,
+    markerId,
+    filters: {
+      startDate,
+      endDate,
+    },
+    data: markerId
+      ? buildSessionReport(markerId, summaries[0])
+      : summaries.map(summary => buildSessionReport(summary.markerId, summary)),
+  });
+});
+
+/**
+ * Shared handler for the marker and organization-wide funnel endpoints
+ */
+const sendFunnel = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, errors.array());
+  }
+
+  const markerId = req.params.markerId || null;
+  const { startDate, endDate } = req.query;
+  const minViewSeconds = req.query.minViewSeconds ?? DEFAULT_MIN_VIEW_SECONDS;
+
+  const summaries = await database.getFunnelSummaries(req.orgId, markerId, {
+    startDate,
+    endDate,
+    minViewSeconds,
+  });
+
+  res.json({
+    success: true,
+    markerId,
+    filters: {
+      startDate,
+      endDate,
+      minViewSeconds,
+    },
+    data: markerId
+      ? buildFunnelReport(markerId, summaries[0], minViewSeconds)
+      : summaries.map(summary => buildFunnelReport(summary.markerId, summary, minViewSeconds)),
+  });
+});
+
 /**
  * POST /api/analytics
  * Record an analytics event (PUBLIC)
@@ -21,13 +156,17 @@ const router = express.Router();
  */
 router.post('/',
   analyticsLimiter,
+  resolvePublicOrganization,
   [
     body('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
-    body('eventType').isIn(['scan', 'viewDuration', 'click', 'share']).withMessage('Invalid event type'),
+    body('eventType').isIn(EVENT_TYPES).withMessage('Invalid event type'),
     body('sessionId').optional().isUUID(),
-    body('timestamp').optional().isISO8601(),
+    body('visitorId').optional().isUUID(),
+    body('timestamp').optional().isISO8601().bail().custom(isRecentTimestamp).withMessage('Timestamp must be within the last 7 days and not in the future'),
     body('duration').optional().isFloat({ min: 0 }),
     body('metadata').optional().isObject(),
+    body('variantId').optional({ values: 'null' }).isString().isLength({ max: 64 }),
+    body('ruleId').optional({ values: 'null' }).isString().isLength({ max: 64 }),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -42,6 +181,9 @@ router.post('/',
       timestamp,
       duration,
       metadata,
+      variantId,
+      ruleId,
+      visitorId,
     } = req.body;
 
     // Capture request metadata
@@ -57,9 +199,13 @@ router.post('/',
       userAgent,
       ipAddress,
       metadata,
+      variantId,
+      ruleId,
+      visitorId: anonymizeVisitorId(req.orgId, visitorId),
     };
 
-    const savedEvent = await database.recordAnalyticsEvent(event);
+    const savedEvent = await database.recordAnalyticsEvent(req.orgId, event);
+    await queueLateEvents(req.orgId, [event]);
 
     res.json({
       success: true,
@@ -69,17 +215,58 @@ router.post('/',
   })
 );
 
+/**
+ * GET /api/analytics/timeseries
+ * Event counts per hour, day or week across all markers (ADMIN)
+ * Query: interval (hour|day|week, default day), tz (IANA name, default UTC),
+ * startDate, endDate. Registered before /:markerId so it isn't a marker ID.
+ * Rolled-up buckets add up unique sessions per marker (see
+ * /:markerId/timeseries), so a session scanning two markers counts twice.
+ */
+router.get('/timeseries',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  timeseriesValidators,
+  sendTimeseries
+);
+
+/**
+ * GET /api/analytics/sessions
+ * Unique visitors, sessions, repeat visitors, scans per session and bounces
+ * per marker (ADMIN). Query: startDate, endDate. Registered before /:markerId.
+ */
+router.get('/sessions',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  sessionValidators,
+  sendSessions
+);
+
+/**
+ * GET /api/analytics/funnel
+ * Sessions reaching each engagement funnel step (scan, detection, view,
+ * click, share) per marker, with step conversion (ADMIN). Query: startDate,
+ * endDate, minViewSeconds (default 5). Registered before /:markerId.
+ */
+router.get('/funnel',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  funnelValidators,
+  sendFunnel
+);
+
 /**
  * GET /api/analytics/:markerId
  * Get analytics for a specific marker (ADMIN)
  */
 router.get('/:markerId',
   authenticateToken,
+  requirePermission('analytics:read'),
   [
     param('markerId').isString().trim().notEmpty(),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
-    query('eventType').optional().isIn(['scan', 'viewDuration', 'click', 'share']),
+    query('eventType').optional().isIn(EVENT_TYPES),
     query('limit').optional().isInt({ min: 1, max: 10000 }).toInt(),
   ],
   asyncHandler(async (req, res) => {
@@ -91,7 +278,7 @@ router.get('/:markerId',
     const { markerId } = req.params;
     const { startDate, endDate, eventType, limit } = req.query;
 
-    const events = await database.getAnalytics(markerId, {
+    const events = await database.getAnalytics(req.orgId, markerId, {
       startDate,
       endDate,
       eventType,
@@ -112,19 +299,68 @@ router.get('/:markerId',
   })
 );
 
+/**
+ * GET /api/analytics/:markerId/timeseries
+ * Scans, clicks, views, shares, unique sessions and average view duration
+ * per hour, day or week for a marker, empty buckets included (ADMIN).
+ * Rolled-up buckets count unique sessions per UTC hour or day and add them
+ * up, so a week (or a day in Europe/Berlin) counts a session spanning
+ * several days (or hours) once in each.
+ */
+router.get('/:markerId/timeseries',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  [
+    param('markerId').isString().trim().notEmpty(),
+    ...timeseriesValidators,
+  ],
+  sendTimeseries
+);
+
+/**
+ * GET /api/analytics/:markerId/sessions
+ * Unique visitors, sessions, repeat visitors, scans per session and bounces
+ * for a marker (ADMIN)
+ */
+router.get('/:markerId/sessions',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  [
+    param('markerId').isString().trim().notEmpty(),
+    ...sessionValidators,
+  ],
+  sendSessions
+);
+
+/**
+ * GET /api/analytics/:markerId/funnel
+ * Sessions reaching each engagement funnel step for a marker, with step
+ * conversion (ADMIN)
+ */
+router.get('/:markerId/funnel',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  [
+    param('markerId').isString().trim().notEmpty(),
+    ...funnelValidators,
+  ],
+  sendFunnel
+);
+
 /**
  * GET /api/analytics/:markerId/summary
  * Get aggregated analytics summary for a marker (ADMIN)
  */
 router.get('/:markerId/summary',
   authenticateToken,
+  requirePermission('analytics:read'),
   [
     param('markerId').isString().trim().notEmpty(),
   ],
   asyncHandler(async (req, res) => {
     const { markerId } = req.params;
 
-    const summary = await database.getAnalyticsSummary(markerId);
+    const summary = await database.getAnalyticsSummary(req.orgId, markerId);
 
     res.json({
       success: true,
@@ -133,14 +369,69 @@ router.get('/:markerId/summary',
   })
 );
 
+/**
+ * GET /api/analytics/:markerId/variants
+ * Per-variant scans, clicks, CTR and significance for a marker's A/B test (ADMIN)
+ * The first variant of the marker is the control the others are compared to
+ */
+router.get('/:markerId/variants',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  [
+    param('markerId').isString().trim().notEmpty(),
+  ],
+  asyncHandler(async (req, res) => {
+    const { markerId } = req.params;
+
+    const [summaries, content] = await Promise.all([
+      database.getVariantSummaries(req.orgId, markerId),
+      database.getContent(req.orgId, markerId),
+    ]);
+
+    res.json({
+      success: true,
+      markerId,
+      data: buildVariantReport(summaries, content ? content.variants : null),
+    });
+  })
+);
+
+/**
+ * GET /api/analytics/:markerId/rules
+ * Per-rule scans, clicks and CTR for a marker's targeting rules (ADMIN)
+ * The last row (ruleId null) counts scans served the marker's own content
+ */
+router.get('/:markerId/rules',
+  authenticateToken,
+  requirePermission('analytics:read'),
+  [
+    param('markerId').isString().trim().notEmpty(),
+  ],
+  asyncHandler(async (req, res) => {
+    const { markerId } = req.params;
+
+    const [summaries, content] = await Promise.all([
+      database.getRuleSummaries(req.orgId, markerId),
+      database.getContent(req.orgId, markerId),
+    ]);
+
+    res.json({
+      success: true,
+      markerId,
+      data: buildRuleReport(summaries, content ? content.rules : null),
+    });
+  })
+);
+
 /**
  * GET /api/analytics
  * Get analytics summary for all markers (ADMIN)
  */
 router.get('/',
   authenticateToken,
+  requirePermission('analytics:read'),
   asyncHandler(async (req, res) => {
-    const summaries = await database.getAllAnalyticsSummaries();
+    const summaries = await database.getAllAnalyticsSummaries(req.orgId);
 
     res.json({
       success: true,
@@ -157,10 +448,15 @@ router.get('/',
  */
 router.post('/batch',
   analyticsLimiter,
+  resolvePublicOrganization,
   [
     body('events').isArray({ min: 1, max: 100 }).withMessage('Events must be an array (1-100 items)'),
     body('events.*.markerId').isString().trim().notEmpty(),
-    body('events.*.eventType').isIn(['scan', 'viewDuration', 'click', 'share']),
+    body('events.*.eventType').isIn(EVENT_TYPES),
+    body('events.*.visitorId').optional().isUUID(),
+    body('events.*.timestamp').optional().isISO8601().bail().custom(isRecentTimestamp).withMessage('Timestamp must be within the last 7 days and not in the future'),
+    body('events.*.variantId').optional({ values: 'null' }).isString().isLength({ max: 64 }),
+    body('events.*.ruleId').optional({ values: 'null' }).isString().isLength({ max: 64 }),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -175,13 +471,15 @@ router.post('/batch',
     // Record all events
     const savedEvents = await Promise.all(
       events.map(event =>
-        database.recordAnalyticsEvent({
+        database.recordAnalyticsEvent(req.orgId, {
           ...event,
           userAgent,
           ipAddress,
+          visitorId: anonymizeVisitorId(req.orgId, event.visitorId),
         })
       )
     );
+    await queueLateEvents(req.orgId, events);
 
     res.json({
       success: true,
@@ -191,4 +489,13 @@ router.post('/batch',
   })
 );
 
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function isRecentTimestamp(timestamp) {
+  const age = Date.now() - new Date(timestamp).getTime();
+  return age <= MAX_EVENT_AGE_MS && age >= -MAX_CLOCK_SKEW_MS;
+}
+
 module.exports = router;
@@ -0,0 +1,195 @@
+/**
+ * API Key Routes
+ *
+ * Keys of the token's organization for machine clients, which send them in
+ * an `X-API-Key` header (see middleware/auth.js). Owners (and the deployment
+ * admin) create, rotate and revoke keys; the plaintext key is only returned
+ * by create and rotate.
+ *
+ * Scopes: content:write, content:publish, analytics:read, perplexity:use.
+ * `markerIds` and `campaignIds` optionally restrict content and analytics
+ * access to those markers and the markers of those campaigns.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const database = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { API_KEY_SCOPES, generateApiKey, toPublicApiKey } = require('../services/apiKeys');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+const idParam = param('id').isUUID().withMessage('Invalid API key ID');
+
+const idListField = (field, message) => [
+  body(field).optional({ values: 'null' }).isArray({ min: 1, max: 500 })
+    .withMessage(`${field} must be a non-empty array or null`),
+  body(`${field}.*`).matches(/^[\w-]{1,64}$/).withMessage(message),
+];
+
+/**
+ * GET /api/api-keys
+ * List the organization's API keys, newest first (OWNER)
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('apikeys:manage'),
+  asyncHandler(async (req, res) => {
+    const apiKeys = await database.listApiKeys(req.orgId);
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(toPublicApiKey),
+    });
+  })
+);
+
+/**
+ * POST /api/api-keys
+ * Create an API key; the response is the only time the key is shown (OWNER)
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('apikeys:manage'),
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required'),
+    body('scopes').isArray({ min: 1 }).withMessage(`scopes must list at least one of: ${API_KEY_SCOPES.join(', ')}`),
+    body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+    ...idListField('markerIds', 'Invalid marker ID'),
+    ...idListField('campaignIds', 'Invalid campaign ID'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { name, scopes, markerIds = null, campaignIds = null } = req.body;
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const apiKey = await database.setApiKey(req.orgId, crypto.randomUUID(), {
+      name,
+      keyPrefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      markerIds,
+      campaignIds,
+      createdBy: req.user.username,
+    });
+
+    await recordAudit(req, {
+      action: 'apikey.create',
+      targetType: 'apiKey',
+      targetId: apiKey.id,
+      after: toPublicApiKey(apiKey),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `API key created: ${name}. Store it now; it will not be shown again.`,
+      data: { ...toPublicApiKey(apiKey), key },
+    });
+  })
+);
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Replace a key with a new one; the old key stops working immediately (OWNER)
+ */
+router.post('/:id/rotate',
+  authenticateToken,
+  requirePermission('apikeys:manage'),
+  [idParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findApiKey(req.orgId, req.params.id);
+
+    if (existing.revokedAt) {
+      throw new AppError(`API key is revoked: ${existing.name}`, 409);
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = await database.setApiKey(req.orgId, existing.id, { ...existing, keyPrefix, keyHash });
+
+    await recordAudit(req, {
+      action: 'apikey.rotate',
+      targetType: 'apiKey',
+      targetId: apiKey.id,
+      before: toPublicApiKey(existing),
+      after: toPublicApiKey(apiKey),
+    });
+
+    res.json({
+      success: true,
+      message: `API key rotated: ${apiKey.name}. Store it now; it will not be shown again.`,
+      data: { ...toPublicApiKey(apiKey), key },
+    });
+  })
+);
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key; it is kept (with revokedAt set) for the record (OWNER)
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('apikeys:manage'),
+  [idParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findApiKey(req.orgId, req.params.id);
+
+    if (existing.revokedAt) {
+      return res.json({
+        success: true,
+        message: `API key revoked: ${existing.name}`,
+        data: toPublicApiKey(existing),
+      });
+    }
+
+    const apiKey = await database.setApiKey(req.orgId, existing.id, { ...existing, revokedAt: new Date().toISOString() });
+
+    await recordAudit(req, {
+      action: 'apikey.revoke',
+      targetType: 'apiKey',
+      targetId: apiKey.id,
+      before: toPublicApiKey(existing),
+      after: toPublicApiKey(apiKey),
+    });
+
+    res.json({
+      success: true,
+      message: `API key revoked: ${apiKey.name}`,
+      data: toPublicApiKey(apiKey),
+    });
+  })
+);
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+async function findApiKey(orgId, id) {
+  const apiKey = await database.getApiKey(orgId, id);
+
+  if (!apiKey) {
+    throw new AppError(`API key not found: ${id}`, 404);
+  }
+
+  return apiKey;
+}
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Audit Log Routes
+ *
+ * Read access to the organization's audit log (see services/auditLog.js).
+ * The log is append-only: there are no routes to change or delete entries;
+ * old entries are removed by the AUDIT_LOG_RETENTION_DAYS purge.
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const database = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { AUDIT_TARGET_TYPES, getRetentionDays } = require('../services/auditLog');
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * List audit entries, newest first (OWNER)
+ * Filters: actor, action, targetType, targetId, markerId, startDate, endDate;
+ * limit (default 100, max 1000)
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('audit:read'),
+  [
+    query('actor').optional().isString().trim().notEmpty(),
+    query('action').optional().isString().trim().notEmpty(),
+    query('targetType').optional().isIn(AUDIT_TARGET_TYPES)
+      .withMessage(`targetType must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`),
+    query('targetId').optional().isString().trim().notEmpty(),
+    query('markerId').optional().isString().trim().notEmpty(),
+    query('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { actor, action, targetType, targetId, markerId, startDate, endDate, limit = 100 } = req.query;
+
+    const entries = await database.listAuditEntries(req.orgId, {
+      actor,
+      action,
+      targetType,
+      targetId,
+      markerId,
+      startDate,
+      endDate,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      retentionDays: getRetentionDays(),
+      data: entries,
+    });
+  })
+);
+
+module.exports = router;
@@ -1,27 +1,77 @@
 /**
  * Authentication Routes
  * 
- * Handles admin login and JWT token generation.
- * Simple password-based auth for MVP; recommend OAuth for production.
+ * Handles login, token refresh and logout.
+ *
+ * Team members sign in with their own account (see routes/users.js); the
+ * token carries their username and role. The username `admin` (or no
+ * username) signs in the deployment admin with ADMIN_PASSWORD_HASH, used to
+ * set up organizations and their first owners.
+ *
+ * Tokens are issued for one organization (the default one unless the login
+ * names another) and only grant access to that organization's data.
+ *
+ * Login returns a short-lived access token and a rotating refresh token for
+ * a server-side session (see services/authSessions.js). Refreshing picks up
+ * role changes; logging out revokes the session's tokens immediately.
+ *
+ * Accounts with two-factor authentication (see services/twoFactor.js) get a
+ * challenge token instead, exchanged with a code at /api/auth/login/2fa.
+ * With REQUIRE_TWO_FACTOR, accounts without it get an enrollment challenge
+ * for /api/auth/2fa/setup and /api/auth/2fa/enable.
+ *
+ * With OIDC_* configured, users can also sign in through the company identity
+ * provider (/api/auth/oidc/*, see services/oidc.js); they get the same tokens
+ * and two-factor challenges.
  */
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const database = require('../database');
 const { authLimiter } = require('../middleware/rateLimiter');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { ORG_ID_PATTERN } = require('../middleware/organization');
+const { RESERVED_USERNAME, verifyPassword } = require('../services/users');
+const {
+  completeSignIn,
+  findRefreshSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require('../services/authSessions');
+const {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require('../services/twoFactor');
+const {
+  isOidcEnabled,
+  getOidcConfig,
+  createAuthorizationRequest,
+  completeAuthorization,
+  getUsername,
+  mapClaimsToRole,
+  syncUser,
+} = require('../services/oidc');
 
 const router = express.Router();
 
 /**
  * POST /api/auth/login
- * Authenticate admin and return JWT token
+ * Authenticate a user (or the deployment admin) and return an access token
+ * and a refresh token
  */
 router.post('/login',
   authLimiter,
   [
+    body('username').optional().isString().trim().toLowerCase(),
     body('password').notEmpty().withMessage('Password is required'),
+    body('organization').optional().matches(ORG_ID_PATTERN).withMessage('Invalid organization ID'),
   ],
   asyncHandler(async (req, res) => {
     // Validate request
@@ -30,46 +80,269 @@ router.post('/login',
       throw new AppError('Validation failed', 400, errors.array());
     }
 
-    const { password } = req.body;
+    const {
+      username = RESERVED_USERNAME,
+      password,
+      organization: orgId = database.DEFAULT_ORG_ID,
+    } = req.body;
 
-    // Verify password against hashed password in env
-    const storedHash = process.env.ADMIN_PASSWORD_HASH;
-    
-    if (!storedHash) {
-      throw new AppError('Admin authentication not configured', 500);
+    let role;
+
+    if (username === RESERVED_USERNAME) {
+      // Verify password against hashed password in env
+      const storedHash = process.env.ADMIN_PASSWORD_HASH;
+
+      if (!storedHash) {
+        throw new AppError('Admin authentication not configured', 500);
+      }
+
+      if (!(await bcrypt.compare(password, storedHash))) {
+        throw new AppError('Invalid credentials', 401);
+      }
+
+      role = 'admin';
+    } else {
+      const user = await database.getUser(orgId, username);
+
+      if (!(await verifyPassword(user, password))) {
+        throw new AppError('Invalid credentials', 401);
+      }
+
+      role = user.role;
     }
 
-    const isValid = await bcrypt.compare(password, storedHash);
+    const organization = await database.getOrganization(orgId);
 
-    if (!isValid) {
-      throw new AppError('Invalid credentials', 401);
+    if (!organization) {
+      throw new AppError(`Organization not found: ${orgId}`, 404);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        username: 'admin',
-        role: 'admin',
-        iat: Math.floor(Date.now() / 1000),
-      },
-      process.env.ADMIN_JWT_SECRET,
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h',
-      }
-    );
+    res.json({
+      success: true,
+      ...(await signIn(organization, username, role)),
+    });
+  })
+);
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: exchange a challenge token and a TOTP or recovery code
+ * for a session
+ */
+router.post('/login/2fa',
+  authLimiter,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('challengeToken is required'),
+    body('code').isString().trim().notEmpty().withMessage('code is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken, 'verify');
+
+    if (!challenge) {
+      throw new AppError('Login expired, please sign in again', 401);
+    }
+
+    const { orgId, username, role } = challenge;
+    const method = await verifySecondFactor(orgId, username, role, req.body.code);
+
+    if (!method) {
+      throw new AppError('Invalid code', 401);
+    }
+
+    const organization = await database.getOrganization(orgId);
+
+    if (!organization) {
+      throw new AppError(`Organization not found: ${orgId}`, 404);
+    }
+
+    res.json({
+      success: true,
+      ...(await completeSignIn(organization, username, role)),
+      usedRecoveryCode: method === 'recovery',
+    });
+  })
+);
+
+/**
+ * GET /api/auth/oidc
+ * Whether single sign-on is available, for the login form
+ */
+router.get('/oidc', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: isOidcEnabled(),
+      providerName: getOidcConfig().providerName,
+    },
+  });
+});
+
+/**
+ * POST /api/auth/oidc/start
+ * Begin a single sign-on login: the identity provider URL to redirect to and
+ * a login token to keep until the provider redirects back
+ */
+router.post('/oidc/start',
+  authLimiter,
+  asyncHandler(async (req, res) => {
+    assertOidcEnabled();
+
+    res.json({
+      success: true,
+      ...(await createAuthorizationRequest()),
+    });
+  })
+);
+
+/**
+ * POST /api/auth/oidc/callback
+ * Exchange the code the identity provider redirected back with for an
+ * access token and a refresh token (or a two-factor challenge, as at login)
+ */
+router.post('/oidc/callback',
+  authLimiter,
+  [
+    body('code').isString().notEmpty().withMessage('code is required'),
+    body('state').isString().notEmpty().withMessage('state is required'),
+    body('loginToken').isString().notEmpty().withMessage('loginToken is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    assertOidcEnabled();
+
+    const claims = await completeAuthorization(req.body.code, req.body.state, req.body.loginToken);
+    const username = getUsername(claims);
+    const role = mapClaimsToRole(claims);
+
+    if (!role) {
+      throw new AppError('Your account has no PortalAR role; ask an administrator to add you to a mapped group', 403);
+    }
+
+    const { orgId } = getOidcConfig();
+    const organization = await database.getOrganization(orgId);
+
+    if (!organization) {
+      throw new AppError(`Organization not found: ${orgId}`, 404);
+    }
+
+    const user = await syncUser(organization.id, claims.sub, username, role);
 
     res.json({
       success: true,
-      token,
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+      ...(await signIn(organization, user.username, role)),
+    });
+  })
+);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh',
+  authLimiter,
+  [
+    body('refreshToken').isString().notEmpty().withMessage('refreshToken is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const session = await findRefreshSession(req.body.refreshToken);
+
+    if (!session) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    // The role may have changed (or the user been removed) since sign-in
+    const role = await findCurrentRole(session.orgId, session.username);
+
+    if (!role) {
+      await revokeSession(session);
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    const tokens = await rotateSession(session, role);
+
+    if (!tokens) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    res.json({
+      success: true,
+      ...tokens,
       user: {
-        username: 'admin',
-        role: 'admin',
+        username: session.username,
+        role,
+        orgId: session.orgId,
       },
     });
   })
 );
 
+/**
+ * POST /api/auth/logout
+ * End a session, given its refresh token or one of its access tokens
+ */
+router.post('/logout',
+  optionalAuth,
+  [
+    body('refreshToken').optional().isString(),
+  ],
+  asyncHandler(async (req, res) => {
+    let session;
+
+    if (req.body.refreshToken) {
+      session = await findRefreshSession(req.body.refreshToken);
+    } else if (req.user && req.user.sid) {
+      session = await database.getAuthSession(req.user.sid);
+    } else {
+      throw new AppError('refreshToken or a valid access token is required', 400);
+    }
+
+    // Already signed out (or expired) sessions need nothing more
+    if (session) {
+      await revokeSession(session);
+    }
+
+    res.json({
+      success: true,
+      message: 'Signed out',
+    });
+  })
+);
+
+/**
+ * POST /api/auth/logout-all
+ * Sign out every session of the signed-in user, including this one
+ */
+router.post('/logout-all',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (req.user.apiKey) {
+      throw new AppError('API keys have no sessions; revoke the key instead', 400);
+    }
+
+    const revoked = await revokeUserSessions(req.orgId, req.user.username);
+
+    res.json({
+      success: true,
+      message: `Signed out ${revoked} session(s)`,
+      revoked,
+    });
+  })
+);
+
 /**
  * GET /api/auth/verify
  * Verify if current token is valid
@@ -83,19 +356,76 @@ router.get('/verify',
       throw new AppError('No token provided', 401);
     }
 
+    let decoded;
+
     try {
-      const decoded = jwt.verify(token, process.env.ADMIN_JWT_SECRET);
-      res.json({
-        valid: true,
-        user: {
-          username: decoded.username,
-          role: decoded.role,
-        },
-      });
+      decoded = jwt.verify(token, process.env.ADMIN_JWT_SECRET);
     } catch (error) {
       throw new AppError('Invalid or expired token', 401);
     }
+
+    if (decoded.sid && await database.isTokenRevoked(decoded.sid)) {
+      throw new AppError('Token revoked', 401);
+    }
+
+    res.json({
+      valid: true,
+      user: {
+        username: decoded.username,
+        role: decoded.role,
+        orgId: decoded.orgId || database.DEFAULT_ORG_ID,
+      },
+    });
   })
 );
 
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * The response to a verified password or SSO login: a two-factor challenge
+ * for accounts with it, an enrollment challenge with REQUIRE_TWO_FACTOR,
+ * otherwise a session
+ */
+async function signIn(organization, username, role) {
+  if (await isTwoFactorEnabled(organization.id, username, role)) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(organization.id, username, role, 'verify'),
+    };
+  }
+
+  if (isTwoFactorRequired()) {
+    if (role === 'admin') {
+      throw new AppError('Two-factor authentication is required: set ADMIN_TOTP_SECRET (npm run generate-totp-secret)', 403);
+    }
+
+    return {
+      twoFactorEnrollmentRequired: true,
+      challengeToken: createChallengeToken(organization.id, username, role, 'enroll'),
+    };
+  }
+
+  return completeSignIn(organization, username, role);
+}
+
+function assertOidcEnabled() {
+  if (!isOidcEnabled()) {
+    throw new AppError('Single sign-on is not configured', 404);
+  }
+}
+
+/**
+ * The role a session's user has now (null if they were removed)
+ */
+async function findCurrentRole(orgId, username) {
+  if (username === RESERVED_USERNAME) {
+    return 'admin';
+  }
+
+  const user = await database.getUser(orgId, username);
+  return user ? user.role : null;
+}
+
 module.exports = router;
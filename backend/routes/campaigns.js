@@ -0,0 +1,452 @@
+/**
+ * Campaign Routes
+ *
+ * Groups of markers managed as a unit (ADMIN). Markers join a campaign by
+ * saving their content with a `campaignId`.
+ *
+ * Pausing and expiring act on the campaign itself and take effect on the next
+ * scan; restyling rewrites every marker's style. Restyles are published
+ * directly (one revision per marker) unless CONTENT_PUBLISH_REQUIRES_APPROVAL
+ * is set, in which case they are saved as drafts awaiting approval.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const database = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { getCampaignState, restyleContent } = require('../services/campaigns');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+const campaignIdParam = param('id').matches(/^[\w-]{1,64}$/).withMessage('Invalid campaign ID');
+
+const campaignFieldValidators = [
+  body('client').optional({ values: 'null' }).isString().isLength({ max: 200 }),
+  body('startsAt').optional({ values: 'null' }).isISO8601(),
+  body('endsAt').optional({ values: 'null' }).isISO8601(),
+  body('defaultStyle').optional({ values: 'null' }).isObject(),
+  body('tags').optional({ values: 'null' }).isArray({ max: 20 }),
+  body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }),
+  body('endsAt').custom((endsAt, { req }) => {
+    if (endsAt && req.body.startsAt && Date.parse(endsAt) <= Date.parse(req.body.startsAt)) {
+      throw new Error('endsAt must be after startsAt');
+    }
+    return true;
+  }),
+];
+
+/**
+ * GET /api/campaigns
+ * List campaigns, optionally filtered by ?client= or ?tag=
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('content:read'),
+  [
+    query('client').optional().isString(),
+    query('tag').optional().isString(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { client, tag } = req.query;
+
+    const campaigns = (await database.listCampaigns(req.orgId))
+      .filter(campaign => !client || campaign.client === client)
+      .filter(campaign => !tag || campaign.tags.includes(tag))
+      .map(withState);
+
+    res.json({
+      success: true,
+      count: campaigns.length,
+      data: campaigns,
+    });
+  })
+);
+
+/**
+ * POST /api/campaigns
+ * Create a campaign; the id is generated unless one is given
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('content:publish'),
+  [
+    body('id').optional().matches(/^[\w-]{1,64}$/).withMessage('id must be 1-64 letters, digits, "-" or "_"'),
+    body('name').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required'),
+    ...campaignFieldValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const id = req.body.id || crypto.randomUUID();
+
+    if (await database.getCampaign(req.orgId, id)) {
+      throw new AppError(`Campaign already exists: ${id}`, 409);
+    }
+
+    const campaign = await database.setCampaign(req.orgId, id, { ...pickCampaignFields(req.body), status: 'active' });
+
+    await recordAudit(req, { action: 'campaign.create', targetType: 'campaign', targetId: id, after: campaign });
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign created: ${campaign.name}`,
+      data: withState(campaign),
+    });
+  })
+);
+
+/**
+ * GET /api/campaigns/:id
+ * Get a campaign and the markers in it
+ */
+router.get('/:id',
+  authenticateToken,
+  requirePermission('content:read', { campaignParam: 'id' }),
+  [campaignIdParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const campaign = await findCampaign(req.orgId, req.params.id);
+    const markers = await database.listAllContent(req.orgId, { campaignId: campaign.id });
+
+    res.json({
+      success: true,
+      data: {
+        ...withState(campaign),
+        markers: markers.map(marker => ({
+          markerId: marker.markerId,
+          type: marker.type,
+          title: marker.title,
+          expiresAt: marker.expiresAt,
+          updatedAt: marker.updatedAt,
+        })),
+      },
+    });
+  })
+);
+
+/**
+ * PUT /api/campaigns/:id
+ * Update a campaign; fields that are left out keep their value
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('content:publish', { campaignParam: 'id' }),
+  [
+    campaignIdParam,
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+    ...campaignFieldValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findCampaign(req.orgId, req.params.id);
+    const updated = { ...existing, ...pickCampaignFields(req.body) };
+
+    if (updated.startsAt && updated.endsAt && Date.parse(updated.endsAt) <= Date.parse(updated.startsAt)) {
+      throw new AppError('endsAt must be after startsAt', 400);
+    }
+
+    const campaign = await database.setCampaign(req.orgId, existing.id, updated);
+
+    await recordAudit(req, {
+      action: 'campaign.update',
+      targetType: 'campaign',
+      targetId: existing.id,
+      before: existing,
+      after: campaign,
+    });
+
+    res.json({
+      success: true,
+      message: `Campaign updated: ${campaign.name}`,
+      data: withState(campaign),
+    });
+  })
+);
+
+/**
+ * DELETE /api/campaigns/:id
+ * Delete a campaign; it must not contain markers anymore
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('content:publish', { campaignParam: 'id' }),
+  [campaignIdParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const campaign = await findCampaign(req.orgId, req.params.id);
+    const markers = await database.listAllContent(req.orgId, { campaignId: campaign.id });
+
+    if (markers.length > 0) {
+      throw new AppError('Move or delete the campaign\'s markers before deleting it', 409, {
+        markerIds: markers.map(marker => marker.markerId),
+      });
+    }
+
+    await database.deleteCampaign(req.orgId, campaign.id);
+
+    await recordAudit(req, { action: 'campaign.delete', targetType: 'campaign', targetId: campaign.id, before: campaign });
+
+    res.json({
+      success: true,
+      message: `Campaign deleted: ${campaign.name}`,
+    });
+  })
+);
+
+/**
+ * POST /api/campaigns/:id/pause
+ * POST /api/campaigns/:id/resume
+ * Stop or resume serving every marker in the campaign
+ */
+['pause', 'resume'].forEach((action) => {
+  router.post(`/:id/${action}`,
+    authenticateToken,
+    requirePermission('content:publish', { campaignParam: 'id' }),
+    [campaignIdParam],
+    asyncHandler(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new AppError('Validation failed', 400, errors.array());
+      }
+
+      const existing = await findCampaign(req.orgId, req.params.id);
+      const campaign = await database.setCampaign(req.orgId, existing.id, {
+        ...existing,
+        status: action === 'pause' ? 'paused' : 'active',
+      });
+
+      await recordAudit(req, {
+        action: `campaign.${action}`,
+        targetType: 'campaign',
+        targetId: existing.id,
+        before: existing,
+        after: campaign,
+      });
+
+      res.json({
+        success: true,
+        message: `Campaign ${action === 'pause' ? 'paused' : 'resumed'}: ${campaign.name}`,
+        data: withState(campaign),
+      });
+    })
+  );
+});
+
+/**
+ * POST /api/campaigns/:id/expire
+ * End the campaign at `at` (default: now); its markers stop being served
+ * regardless of their own schedules
+ */
+router.post('/:id/expire',
+  authenticateToken,
+  requirePermission('content:publish', { campaignParam: 'id' }),
+  [
+    campaignIdParam,
+    body('at').optional().isISO8601(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findCampaign(req.orgId, req.params.id);
+    const endsAt = req.body.at ? new Date(req.body.at) : new Date();
+
+    if (existing.startsAt && endsAt.getTime() <= Date.parse(existing.startsAt)) {
+      throw new AppError('Expiry must be after the campaign start', 400);
+    }
+
+    const campaign = await database.setCampaign(req.orgId, existing.id, {
+      ...existing,
+      endsAt: endsAt.toISOString(),
+    });
+
+    await recordAudit(req, {
+      action: 'campaign.expire',
+      targetType: 'campaign',
+      targetId: existing.id,
+      before: existing,
+      after: campaign,
+    });
+
+    res.json({
+      success: true,
+      message: `Campaign expires at ${campaign.endsAt}: ${campaign.name}`,
+      data: withState(campaign),
+    });
+  })
+);
+
+/**
+ * POST /api/campaigns/:id/restyle
+ * Merge style properties into every marker of the campaign
+ * Pending drafts are restyled too, so publishing them doesn't undo the change
+ */
+router.post('/:id/restyle',
+  authenticateToken,
+  requirePermission('content:publish', { campaignParam: 'id' }),
+  [
+    campaignIdParam,
+    body('style').isObject().withMessage('style must be an object')
+      .custom(style => Object.keys(style).length > 0).withMessage('style must not be empty'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const campaign = await findCampaign(req.orgId, req.params.id);
+    const markers = await database.listAllContent(req.orgId, { campaignId: campaign.id });
+    const requiresApproval = process.env.CONTENT_PUBLISH_REQUIRES_APPROVAL === 'true';
+    const { style } = req.body;
+
+    const published = [];
+    const drafted = [];
+
+    // Sequential: each save also appends a revision
+    for (const marker of markers) {
+      const draft = await database.getDraft(req.orgId, marker.markerId);
+
+      const audit = {
+        action: 'campaign.restyle',
+        targetType: 'content',
+        targetId: marker.markerId,
+        markerId: marker.markerId,
+      };
+
+      if (requiresApproval) {
+        const restyledDraft = await database.saveDraft(req.orgId, marker.markerId, restyleContent(draft ? draft.content : marker, style), {
+          author: req.user.username,
+        });
+        drafted.push(marker.markerId);
+        await recordAudit(req, { ...audit, before: draft, after: restyledDraft });
+        continue;
+      }
+
+      const restyled = await database.setContent(req.orgId, marker.markerId, restyleContent(marker, style), {
+        author: req.user.username,
+      });
+      published.push(marker.markerId);
+      await recordAudit(req, { ...audit, before: marker, after: restyled });
+
+      if (draft) {
+        await database.saveDraft(req.orgId, marker.markerId, restyleContent(draft.content, style), {
+          author: draft.author,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: requiresApproval
+        ? `Restyle saved as drafts for ${drafted.length} markers`
+        : `Restyled ${published.length} markers`,
+      data: { published, drafted },
+    });
+  })
+);
+
+/**
+ * GET /api/campaigns/:id/analytics
+ * Campaign totals plus the summary of each marker in it
+ */
+router.get('/:id/analytics',
+  authenticateToken,
+  requirePermission('analytics:read', { campaignParam: 'id' }),
+  [campaignIdParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const campaign = await findCampaign(req.orgId, req.params.id);
+
+    const [totals, markers, summaries] = await Promise.all([
+      database.getCampaignAnalyticsSummary(req.orgId, campaign.id),
+      database.listAllContent(req.orgId, { campaignId: campaign.id }),
+      database.getAllAnalyticsSummaries(req.orgId),
+    ]);
+
+    const byMarker = new Map(summaries.map(summary => [summary.markerId, summary]));
+
+    res.json({
+      success: true,
+      campaignId: campaign.id,
+      data: {
+        ...totals,
+        ctr: totals.totalScans > 0 ? Math.round((totals.totalClicks / totals.totalScans) * 10000) / 10000 : 0,
+        markers: markers
+          .map(marker => byMarker.get(marker.markerId) || {
+            markerId: marker.markerId,
+            totalScans: 0,
+            totalClicks: 0,
+            avgDuration: 0,
+            lastScan: null,
+          })
+          .sort((a, b) => b.totalScans - a.totalScans),
+      },
+    });
+  })
+);
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+async function findCampaign(orgId, id) {
+  const campaign = await database.getCampaign(orgId, id);
+
+  if (!campaign) {
+    throw new AppError(`Campaign not found: ${id}`, 404);
+  }
+
+  return campaign;
+}
+
+/**
+ * The editable campaign fields present in a request body
+ */
+function pickCampaignFields(source) {
+  const fields = {};
+
+  ['name', 'client', 'startsAt', 'endsAt', 'defaultStyle', 'tags'].forEach((field) => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+
+  return fields;
+}
+
+function withState(campaign) {
+  return { ...campaign, state: getCampaignState(campaign) };
+}
+
+module.exports = router;
@@ -3,24 +3,92 @@
  * 
  * Handles AR marker content CRUD operations.
  * Public endpoint for reading content (GET), protected endpoints for writing (POST/PUT/DELETE).
+ *
+ * Changes are saved as a per-marker draft and only become visible to the
+ * public GET once published. Set CONTENT_PUBLISH_REQUIRES_APPROVAL=true to
+ * require a second user to approve a draft before it can be published.
+ *
+ * Marker IDs are unique per organization: the public GET names the
+ * organization with ?org=<id> (default: the default organization), admin
+ * routes act on the token's organization.
  */
 
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const database = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { resolvePublicOrganization } = require('../middleware/organization');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { createPreviewToken, verifyPreviewToken } = require('../services/previewTokens');
+const { checkMarkerRestriction } = require('../services/apiKeys');
+const { recordAudit } = require('../services/auditLog');
+const { validateSchedule, resolveScheduledContent } = require('../services/contentSchedule');
+const { validateVariants, resolveVariantContent } = require('../services/contentVariants');
+const { getCampaignState, applyCampaignDefaults } = require('../services/campaigns');
+const {
+  DEVICE_TYPES,
+  validateRules,
+  buildRuleContext,
+  resolveRuleContent,
+} = require('../services/contentRules');
+const {
+  validateTranslations,
+  getRequestLocaleChain,
+  localizeContent,
+} = require('../services/contentLocalization');
 
 const router = express.Router();
 
+const CAMPAIGN_STATE_MESSAGES = {
+  paused: 'This campaign is paused',
+  scheduled: 'This campaign has not started yet',
+  ended: 'This campaign has ended',
+};
+
 /**
  * GET /api/content/:markerId
  * Get AR content for a specific marker (PUBLIC)
  * Called by frontend when marker is detected
+ *
+ * Scheduled markers return the currently active schedule entry (see
+ * services/contentSchedule.js); `scheduleEntryId` is null for the fallback.
+ * Only the fallback can expire (410), so a marker whose schedule covers
+ * the current time never does.
+ *
+ * Targeting rules (see services/contentRules.js) are evaluated in order on
+ * top of the schedule against the request's location, device type, time and
+ * query parameters (e.g. ?src=flyer from the QR URL); `ruleId` names the
+ * rule that fired (null when none matched).
+ *
+ * Markers with variants (A/B tests) assign one per ?sessionId=<uuid>, applied
+ * on top of the rules; `variantId` tells the client which one it got so
+ * analytics events can be tagged with it.
+ *
+ * Text fields are translated for ?lang=<tag> or the Accept-Language header,
+ * falling back per field (pt-BR → pt → default); `locale` names the
+ * translation used (null for the default text).
+ *
+ * Markers in a campaign get the campaign's default style underneath their
+ * own, and return 410 while the campaign is paused or outside its dates.
+ *
+ * With ?preview=<token> the marker's draft is returned instead (falling back
+ * to the published content when there is no draft); previews accept
+ * ?at=<ISO date> to check the schedule and rules at another time,
+ * ?device=<type> and ?region=<ISO 3166 code> to simulate a scanner, and
+ * ?variant=<id> to show a specific variant
  */
 router.get('/:markerId',
+  resolvePublicOrganization,
   [
     param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+    query('sessionId').optional().isUUID(),
+    query('preview').optional().isString(),
+    query('at').optional().isISO8601(),
+    query('variant').optional().isString(),
+    query('lang').optional().isString().isLength({ max: 100 }),
+    query('device').optional().isIn(DEVICE_TYPES),
+    query('region').optional().matches(/^[A-Za-z]{2}(-[A-Za-z0-9]{1,3})?$/),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -29,23 +97,112 @@ router.get('/:markerId',
     }
 
     const { markerId } = req.params;
+    const localeChain = getRequestLocaleChain(req.query.lang, req.headers['accept-language']);
+
+    res.set('Vary', 'Accept-Language');
+
+    if (req.query.preview !== undefined) {
+      if (!verifyPreviewToken(req.query.preview, req.orgId, markerId)) {
+        throw new AppError('Invalid or expired preview token', 403);
+      }
+
+      const draft = await database.getDraft(req.orgId, markerId);
+      const previewContent = draft
+        ? { markerId, ...draft.content, updatedAt: draft.updatedAt }
+        : await database.getContent(req.orgId, markerId);
+
+      if (!previewContent) {
+        throw new AppError(`Content not found for marker: ${markerId}`, 404);
+      }
+
+      // Previews ignore the campaign's state, but show its default style
+      const previewCampaign = previewContent.campaignId
+        ? await database.getCampaign(req.orgId, previewContent.campaignId)
+        : null;
+
+      const at = req.query.at ? new Date(req.query.at) : new Date();
+      const { content: scheduled, scheduleEntryId } = resolveScheduledContent(
+        applyCampaignDefaults(previewContent, previewCampaign),
+        at
+      );
+      const { content: targeted, ruleId } = resolveRuleContent(scheduled, buildRuleContext({
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        query: req.query,
+        now: at,
+        device: req.query.device,
+        region: req.query.region,
+      }));
+      const { content: varied, variantId } = resolveVariantContent(targeted, markerId, {
+        sessionId: req.query.sessionId,
+        variantId: req.query.variant,
+      });
+      const { content: resolved, locale } = localizeContent(varied, localeChain);
 
-    const content = await database.getContent(markerId);
+      // Drafts must never end up in a shared cache
+      res.set('Cache-Control', 'no-store');
+
+      return res.json({
+        success: true,
+        preview: true,
+        draft: Boolean(draft),
+        data: { ...resolved, scheduleEntryId, ruleId, variantId, locale },
+      });
+    }
+
+    const content = await database.getContent(req.orgId, markerId);
 
     if (!content) {
       throw new AppError(`Content not found for marker: ${markerId}`, 404);
     }
 
-    // Check if content is expired
-    if (content.expiresAt && new Date(content.expiresAt) < new Date()) {
+    const campaign = content.campaignId ? await database.getCampaign(req.orgId, content.campaignId) : null;
+
+    if (campaign) {
+      const campaignState = getCampaignState(campaign);
+
+      if (campaignState !== 'active') {
+        throw new AppError(CAMPAIGN_STATE_MESSAGES[campaignState], 410, {
+          campaignState,
+          startsAt: campaign.startsAt,
+          endsAt: campaign.endsAt,
+        });
+      }
+    }
+
+    const { content: scheduled, scheduleEntryId } = resolveScheduledContent(
+      applyCampaignDefaults(content, campaign)
+    );
+    const { content: targeted, ruleId } = resolveRuleContent(scheduled, buildRuleContext({
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      query: req.query,
+    }));
+    const { content: varied, variantId } = resolveVariantContent(targeted, markerId, {
+      sessionId: req.query.sessionId,
+    });
+    const { content: resolved, locale } = localizeContent(varied, localeChain);
+
+    // Check if the fallback content is expired
+    if (!scheduleEntryId && content.expiresAt && new Date(content.expiresAt) < new Date()) {
       throw new AppError('Content has expired', 410, {
         expiresAt: content.expiresAt,
       });
     }
 
+    // Scheduled content changes over time
+    if (content.schedule && content.schedule.length > 0) {
+      res.set('Cache-Control', 'no-cache');
+    }
+
+    // Targeted content depends on who is asking
+    if (content.rules && content.rules.length > 0) {
+      res.set('Cache-Control', 'private, no-cache');
+    }
+
     res.json({
       success: true,
-      data: content,
+      data: { ...resolved, scheduleEntryId, ruleId, variantId, locale },
     });
   })
 );
@@ -53,11 +210,21 @@ router.get('/:markerId',
 /**
  * GET /api/content
  * List all marker content (ADMIN)
+ * ?campaignId=<id> lists only the markers of one campaign
  */
 router.get('/',
   authenticateToken,
+  requirePermission('content:read'),
+  [
+    query('campaignId').optional().isString(),
+  ],
   asyncHandler(async (req, res) => {
-    const contentList = await database.listAllContent();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const contentList = await database.listAllContent(req.orgId, { campaignId: req.query.campaignId });
 
     res.json({
       success: true,
@@ -69,10 +236,12 @@ router.get('/',
 
 /**
  * POST /api/content/:markerId
- * Create or update content for a marker (ADMIN)
+ * Save a draft of a marker's content (ADMIN)
+ * The draft replaces any previous draft and is not visible until published
  */
 router.post('/:markerId',
   authenticateToken,
+  requirePermission('content:write', { assignsCampaign: true }),
   [
     param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
     body('type').isIn(['video', 'news', '3d', 'image']).withMessage('Invalid content type'),
@@ -86,6 +255,38 @@ router.post('/:markerId',
     body('ctaText').optional().isString().isLength({ max: 50 }),
     body('ctaUrl').optional().isURL(),
     body('expiresAt').optional().isISO8601(),
+    body('campaignId').optional({ values: 'null' }).matches(/^[\w-]{1,64}$/).withMessage('Invalid campaign ID'),
+    body('translations').optional({ values: 'null' }).custom((translations) => {
+      const translationErrors = validateTranslations(translations);
+      if (translationErrors.length > 0) {
+        throw new Error(translationErrors.join('; '));
+      }
+      return true;
+    }),
+    body('schedule').optional({ values: 'null' }).custom((schedule) => {
+      const scheduleErrors = validateSchedule(schedule);
+      if (scheduleErrors.length > 0) {
+        throw new Error(scheduleErrors.join('; '));
+      }
+      return true;
+    }),
+    ...overrideContentValidators('schedule'),
+    body('variants').optional({ values: 'null' }).custom((variants) => {
+      const variantErrors = validateVariants(variants);
+      if (variantErrors.length > 0) {
+        throw new Error(variantErrors.join('; '));
+      }
+      return true;
+    }),
+    ...overrideContentValidators('variants'),
+    body('rules').optional({ values: 'null' }).custom((rules) => {
+      const ruleErrors = validateRules(rules);
+      if (ruleErrors.length > 0) {
+        throw new Error(ruleErrors.join('; '));
+      }
+      return true;
+    }),
+    ...overrideContentValidators('rules'),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -96,25 +297,56 @@ router.post('/:markerId',
     const { markerId } = req.params;
     const contentData = req.body;
 
-    // Type-specific validation
-    if (contentData.type === 'video' && !contentData.videoUrl) {
-      throw new AppError('videoUrl is required for video content', 400);
+    if (contentData.campaignId && !(await database.getCampaign(req.orgId, contentData.campaignId))) {
+      throw new AppError(`Campaign not found: ${contentData.campaignId}`, 400);
     }
 
-    if (contentData.type === '3d' && !contentData.modelUrl) {
-      throw new AppError('modelUrl is required for 3D content', 400);
+    // Type-specific validation
+    const typeError = getContentTypeError(contentData);
+    if (typeError) {
+      throw new AppError(typeError, 400);
     }
 
-    if (contentData.type === 'news' && !contentData.title) {
-      throw new AppError('title is required for news content', 400);
-    }
+    // Every schedule entry must also be complete once applied over the fallback
+    (contentData.schedule || []).forEach((entry) => {
+      const entryError = getContentTypeError({ ...contentData, ...entry.content });
+      if (entryError) {
+        throw new AppError(`Schedule entry "${entry.id}": ${entryError}`, 400);
+      }
+    });
+
+    (contentData.variants || []).forEach((variant) => {
+      const variantError = getContentTypeError({ ...contentData, ...variant.content });
+      if (variantError) {
+        throw new AppError(`Variant "${variant.id}": ${variantError}`, 400);
+      }
+    });
+
+    (contentData.rules || []).forEach((rule) => {
+      const ruleError = getContentTypeError({ ...contentData, ...rule.content });
+      if (ruleError) {
+        throw new AppError(`Rule "${rule.id}": ${ruleError}`, 400);
+      }
+    });
+
+    const previousDraft = await database.getDraft(req.orgId, markerId);
+    const draft = await database.saveDraft(req.orgId, markerId, contentData, {
+      author: req.user.username,
+    });
 
-    const savedContent = await database.setContent(markerId, contentData);
+    await recordAudit(req, {
+      action: 'content.draft.save',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: previousDraft,
+      after: draft,
+    });
 
     res.json({
       success: true,
-      message: 'Content saved successfully',
-      data: savedContent,
+      message: 'Draft saved. Publish it to make the changes live.',
+      data: draft,
     });
   })
 );
@@ -125,9 +357,10 @@ router.post('/:markerId',
  */
 router.put('/:markerId',
   authenticateToken,
+  requirePermission('content:write', { assignsCampaign: true }),
   asyncHandler(async (req, res) => {
     // Check if content exists
-    const existing = await database.getContent(req.params.markerId);
+    const existing = await database.getContent(req.orgId, req.params.markerId);
     if (!existing) {
       throw new AppError('Content not found', 404);
     }
@@ -138,24 +371,382 @@ router.put('/:markerId',
   })
 );
 
+/**
+ * GET /api/content/:markerId/draft
+ * Get the unpublished draft of a marker (ADMIN)
+ */
+router.get('/:markerId/draft',
+  authenticateToken,
+  requirePermission('content:read'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId } = req.params;
+    const draft = await database.getDraft(req.orgId, markerId);
+
+    if (!draft) {
+      throw new AppError(`No draft for marker: ${markerId}`, 404);
+    }
+
+    res.json({
+      success: true,
+      data: draft,
+    });
+  })
+);
+
+/**
+ * DELETE /api/content/:markerId/draft
+ * Discard the draft of a marker; published content is unchanged (ADMIN)
+ */
+router.delete('/:markerId/draft',
+  authenticateToken,
+  requirePermission('content:write'),
+  [
+    param('markerId').isString().trim().notEmpty(),
+  ],
+  asyncHandler(async (req, res) => {
+    const { markerId } = req.params;
+
+    const draft = await database.getDraft(req.orgId, markerId);
+    const result = await database.deleteDraft(req.orgId, markerId);
+
+    if (!result.deleted) {
+      throw new AppError(`No draft for marker: ${markerId}`, 404);
+    }
+
+    await recordAudit(req, {
+      action: 'content.draft.discard',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: draft,
+    });
+
+    res.json({
+      success: true,
+      message: `Draft discarded for marker: ${markerId}`,
+    });
+  })
+);
+
+/**
+ * POST /api/content/:markerId/draft/approve
+ * Approve a draft for publishing (ADMIN)
+ * The approver must be a different user than the draft's author
+ */
+router.post('/:markerId/draft/approve',
+  authenticateToken,
+  requirePermission('content:publish'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId } = req.params;
+    const draft = await database.getDraft(req.orgId, markerId);
+
+    if (!draft) {
+      throw new AppError(`No draft for marker: ${markerId}`, 404);
+    }
+
+    if (draft.author && draft.author === req.user.username) {
+      throw new AppError('Drafts must be approved by someone other than their author', 403);
+    }
+
+    const approved = await database.approveDraft(req.orgId, markerId, req.user.username);
+
+    await recordAudit(req, {
+      action: 'content.draft.approve',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: draft,
+      after: approved,
+    });
+
+    res.json({
+      success: true,
+      message: `Draft approved for marker: ${markerId}`,
+      data: approved,
+    });
+  })
+);
+
+/**
+ * POST /api/content/:markerId/publish
+ * Publish the draft of a marker, making it live (ADMIN)
+ * Requires an approval when CONTENT_PUBLISH_REQUIRES_APPROVAL=true
+ */
+router.post('/:markerId/publish',
+  authenticateToken,
+  requirePermission('content:publish'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId } = req.params;
+    const requireApproval = process.env.CONTENT_PUBLISH_REQUIRES_APPROVAL === 'true';
+    const draft = await database.getDraft(req.orgId, markerId);
+
+    if (!draft) {
+      throw new AppError(`No draft for marker: ${markerId}`, 404);
+    }
+
+    if (requireApproval && !draft.approvedBy) {
+      throw new AppError('Draft must be approved before it can be published', 409, {
+        author: draft.author,
+      });
+    }
+
+    const previous = await database.getContent(req.orgId, markerId);
+    const published = await database.publishDraft(req.orgId, markerId, {
+      author: req.user.username,
+      requireApproval,
+    });
+
+    // Saved again (clearing the approval) or published since it was read
+    if (!published) {
+      throw new AppError('The draft changed while publishing; review it and try again', 409);
+    }
+
+    await recordAudit(req, {
+      action: 'content.publish',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: previous,
+      after: published,
+    });
+
+    res.json({
+      success: true,
+      message: `Content published for marker: ${markerId}`,
+      data: published,
+    });
+  })
+);
+
+/**
+ * POST /api/content/:markerId/preview-token
+ * Create a token for previewing the draft on the scan page (ADMIN)
+ */
+router.post('/:markerId/preview-token',
+  authenticateToken,
+  requirePermission('content:read'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId } = req.params;
+    const { token, expiresIn } = createPreviewToken(req.orgId, markerId);
+
+    res.json({
+      success: true,
+      token,
+      expiresIn,
+      previewPath: `${getScanPathPrefix(req.orgId)}/scan/${encodeURIComponent(markerId)}?preview=${token}`,
+    });
+  })
+);
+
+/**
+ * GET /api/content/:markerId/revisions
+ * List the revision history of a marker, newest first (ADMIN)
+ * History is kept after content is deleted so it can still be restored
+ */
+router.get('/:markerId/revisions',
+  authenticateToken,
+  requirePermission('content:read'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId } = req.params;
+    const revisions = await database.listContentRevisions(req.orgId, markerId);
+
+    res.json({
+      success: true,
+      markerId,
+      count: revisions.length,
+      data: revisions,
+    });
+  })
+);
+
+/**
+ * GET /api/content/:markerId/revisions/:revision
+ * Get a single revision of a marker (ADMIN)
+ */
+router.get('/:markerId/revisions/:revision',
+  authenticateToken,
+  requirePermission('content:read'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+    param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer').toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId, revision } = req.params;
+    const record = await database.getContentRevision(req.orgId, markerId, revision);
+
+    if (!record) {
+      throw new AppError(`Revision ${revision} not found for marker: ${markerId}`, 404);
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  })
+);
+
+/**
+ * POST /api/content/:markerId/revisions/:revision/restore
+ * Restore a previous revision (ADMIN)
+ * Creates a new revision with the restored content; history is never rewritten.
+ * When CONTENT_PUBLISH_REQUIRES_APPROVAL=true the revision is saved as a
+ * draft instead, so restores go through the same approval as edits
+ */
+router.post('/:markerId/revisions/:revision/restore',
+  authenticateToken,
+  requirePermission('content:publish'),
+  [
+    param('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
+    param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer').toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { markerId, revision } = req.params;
+    const target = await database.getContentRevision(req.orgId, markerId, revision);
+
+    if (!target) {
+      throw new AppError(`Revision ${revision} not found for marker: ${markerId}`, 404);
+    }
+
+    // The revision brings back its campaign, which a campaign-restricted key
+    // may only assign within its campaigns
+    if (req.user.apiKey) {
+      const denied = await checkMarkerRestriction(
+        req.user.apiKey, req.orgId, markerId, target.content.campaignId || null
+      );
+
+      if (denied) {
+        throw new AppError(denied, 403);
+      }
+    }
+
+    if (process.env.CONTENT_PUBLISH_REQUIRES_APPROVAL === 'true') {
+      const previousDraft = await database.getDraft(req.orgId, markerId);
+      const draft = await database.saveDraft(req.orgId, markerId, target.content, {
+        author: req.user.username,
+      });
+
+      await recordAudit(req, {
+        action: 'content.revision.restore',
+        targetType: 'content',
+        targetId: markerId,
+        markerId,
+        before: previousDraft,
+        after: draft,
+      });
+
+      return res.json({
+        success: true,
+        message: `Revision ${revision} saved as draft for marker: ${markerId}`,
+        data: draft,
+      });
+    }
+
+    const previous = await database.getContent(req.orgId, markerId);
+    const restored = await database.restoreContentRevision(req.orgId, markerId, revision, {
+      author: req.user.username,
+    });
+
+    if (!restored) {
+      throw new AppError(`Revision ${revision} not found for marker: ${markerId}`, 404);
+    }
+
+    await recordAudit(req, {
+      action: 'content.revision.restore',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: previous,
+      after: restored,
+    });
+
+    res.json({
+      success: true,
+      message: `Restored revision ${revision} of marker: ${markerId}`,
+      data: restored,
+    });
+  })
+);
+
 /**
  * DELETE /api/content/:markerId
- * Delete marker content (ADMIN)
+ * Delete marker content and any pending draft (ADMIN)
  */
 router.delete('/:markerId',
   authenticateToken,
+  requirePermission('content:publish'),
   [
     param('markerId').isString().trim().notEmpty(),
   ],
   asyncHandler(async (req, res) => {
     const { markerId } = req.params;
 
-    const result = await database.deleteContent(markerId);
+    const content = await database.getContent(req.orgId, markerId);
+    const draft = await database.getDraft(req.orgId, markerId);
+    const result = await database.deleteContent(req.orgId, markerId);
+    const draftResult = await database.deleteDraft(req.orgId, markerId);
 
-    if (!result.deleted) {
+    if (!result.deleted && !draftResult.deleted) {
       throw new AppError('Content not found', 404);
     }
 
+    await recordAudit(req, {
+      action: 'content.delete',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: { content, draft },
+    });
+
     res.json({
       success: true,
       message: `Content deleted for marker: ${markerId}`,
@@ -163,4 +754,54 @@ router.delete('/:markerId',
   })
 );
 
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Check the fields each content type requires; returns an error message or null
+ */
+function getContentTypeError(content) {
+  if (content.type === 'video' && !content.videoUrl) {
+    return 'videoUrl is required for video content';
+  }
+
+  if (content.type === '3d' && !content.modelUrl) {
+    return 'modelUrl is required for 3D content';
+  }
+
+  if (content.type === 'news' && !content.title) {
+    return 'title is required for news content';
+  }
+
+  return null;
+}
+
+/**
+ * URL and length checks for the content overrides of schedule entries,
+ * variants and rules (the same limits as the marker's own fields)
+ */
+function overrideContentValidators(listField) {
+  const prefix = `${listField}.*.content`;
+
+  return [
+    body(`${prefix}.title`).optional().isString().isLength({ max: 200 }),
+    body(`${prefix}.summary`).optional().isString().isLength({ max: 500 }),
+    body(`${prefix}.url`).optional().isURL(),
+    body(`${prefix}.videoUrl`).optional().isURL(),
+    body(`${prefix}.posterUrl`).optional().isURL(),
+    body(`${prefix}.modelUrl`).optional().isURL(),
+    body(`${prefix}.imageUrl`).optional().isURL(),
+    body(`${prefix}.ctaText`).optional().isString().isLength({ max: 50 }),
+    body(`${prefix}.ctaUrl`).optional().isURL(),
+  ];
+}
+
+/**
+ * Scan pages of other organizations live under /o/<orgId>/scan/<markerId>
+ */
+function getScanPathPrefix(orgId) {
+  return orgId === database.DEFAULT_ORG_ID ? '' : `/o/${encodeURIComponent(orgId)}`;
+}
+
 module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Organization Routes
+ *
+ * Organizations (tenants) own markers, campaigns and analytics. Any token can
+ * read its own organization; creating, listing and renaming organizations is
+ * reserved for the deployment's admin (role `admin`). Admins sign in to an
+ * organization with `organization` in the login request.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const database = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { ORG_ID_PATTERN } = require('../middleware/organization');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+/**
+ * GET /api/organizations/current
+ * Get the organization the token was issued for
+ */
+router.get('/current',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const organization = await database.getOrganization(req.orgId);
+
+    if (!organization) {
+      throw new AppError(`Organization not found: ${req.orgId}`, 404);
+    }
+
+    res.json({
+      success: true,
+      data: organization,
+    });
+  })
+);
+
+/**
+ * GET /api/organizations
+ * List all organizations (ADMIN)
+ */
+router.get('/',
+  authenticateToken,
+  requireDeploymentAdmin,
+  asyncHandler(async (req, res) => {
+    const organizations = await database.listOrganizations();
+
+    res.json({
+      success: true,
+      count: organizations.length,
+      data: organizations,
+    });
+  })
+);
+
+/**
+ * POST /api/organizations
+ * Create an organization (ADMIN)
+ */
+router.post('/',
+  authenticateToken,
+  requireDeploymentAdmin,
+  [
+    body('id').matches(ORG_ID_PATTERN)
+      .withMessage('id must be 1-63 lowercase letters, digits or "-", starting with a letter or digit'),
+    body('name').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { id, name } = req.body;
+
+    if (await database.getOrganization(id)) {
+      throw new AppError(`Organization already exists: ${id}`, 409);
+    }
+
+    const organization = await database.setOrganization(id, { name });
+
+    // Recorded in the new organization's log, where its owners can see it
+    await recordAudit(req, {
+      action: 'organization.create',
+      targetType: 'organization',
+      targetId: id,
+      after: organization,
+      orgId: id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Organization created: ${organization.name}`,
+      data: organization,
+    });
+  })
+);
+
+/**
+ * PUT /api/organizations/:id
+ * Rename an organization (ADMIN)
+ */
+router.put('/:id',
+  authenticateToken,
+  requireDeploymentAdmin,
+  [
+    param('id').matches(ORG_ID_PATTERN).withMessage('Invalid organization ID'),
+    body('name').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await database.getOrganization(req.params.id);
+
+    if (!existing) {
+      throw new AppError(`Organization not found: ${req.params.id}`, 404);
+    }
+
+    const organization = await database.setOrganization(req.params.id, { name: req.body.name });
+
+    await recordAudit(req, {
+      action: 'organization.update',
+      targetType: 'organization',
+      targetId: organization.id,
+      before: existing,
+      after: organization,
+      orgId: organization.id,
+    });
+
+    res.json({
+      success: true,
+      message: `Organization updated: ${organization.name}`,
+      data: organization,
+    });
+  })
+);
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function requireDeploymentAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Only the deployment admin can manage organizations', 403));
+  }
+  next();
+}
+
+module.exports = router;
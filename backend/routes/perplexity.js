@@ -11,7 +11,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const perplexityService = require('../services/perplexity');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditLog');
 
 const router = express.Router();
 
@@ -21,6 +23,7 @@ const router = express.Router();
  */
 router.post('/summary',
   authenticateToken,
+  requirePermission('perplexity:use'),
   [
     body('url').optional().isURL().withMessage('Invalid URL format'),
     body('query').optional().isString().isLength({ min: 3, max: 500 }),
@@ -63,11 +66,14 @@ router.post('/summary',
 
 /**
  * POST /api/perplexity/summarize-and-save
- * Generate summary and save directly to marker content (ADMIN)
- * Combines summarization + content update in one operation
+ * Generate summary and save it as the marker's draft (ADMIN)
+ * Combines summarization + content update in one operation; publish the
+ * draft via POST /api/content/:markerId/publish
  */
 router.post('/summarize-and-save',
   authenticateToken,
+  requirePermission('perplexity:use'),
+  requirePermission('content:write'),
   [
     body('markerId').isString().trim().notEmpty().withMessage('Marker ID is required'),
     body('url').isURL().withMessage('Valid article URL is required'),
@@ -89,9 +95,10 @@ router.post('/summarize-and-save',
     // Generate summary
     const summary = await perplexityService.summarizeArticle(url, maxLength || 200);
 
-    // Save to database
+    // Save as draft
     const database = require('../database');
-    const content = await database.setContent(markerId, {
+    const previousDraft = await database.getDraft(req.orgId, markerId);
+    const draft = await database.saveDraft(req.orgId, markerId, {
       type: 'news',
       title: summary.headline,
       summary: summary.summary,
@@ -102,15 +109,26 @@ router.post('/summarize-and-save',
         textColor: '#ffffff',
         accentColor: '#00ff88',
       },
+    }, {
+      author: req.user.username,
+    });
+
+    await recordAudit(req, {
+      action: 'content.summarize',
+      targetType: 'content',
+      targetId: markerId,
+      markerId,
+      before: previousDraft,
+      after: draft,
     });
 
     res.json({
       success: true,
-      message: 'Article summarized and saved',
+      message: 'Article summarized and saved as draft',
       data: {
         markerId,
         summary,
-        content,
+        draft,
       },
     });
   })
@@ -123,6 +141,7 @@ router.post('/summarize-and-save',
  */
 router.post('/extract-metadata',
   authenticateToken,
+  requirePermission('perplexity:use'),
   [
     body('url').isURL().withMessage('Valid URL is required'),
   ],
@@ -149,6 +168,7 @@ router.post('/extract-metadata',
  */
 router.get('/status',
   authenticateToken,
+  requirePermission('perplexity:use'),
   asyncHandler(async (req, res) => {
     const isConfigured = !!process.env.PERPLEXITY_API_KEY;
     const isEnabled = process.env.ENABLE_PERPLEXITY !== 'false';
@@ -0,0 +1,284 @@
+/**
+ * Two-Factor Authentication Routes
+ *
+ * Enrollment and management of the signed-in user's TOTP second factor
+ * (see services/twoFactor.js). Setup and enable also accept the enrollment
+ * challenge token login returns when REQUIRE_TWO_FACTOR is on; enabling then
+ * completes the sign-in.
+ *
+ * The deployment admin's second factor is configured with ADMIN_TOTP_SECRET
+ * instead, and API keys have none.
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditLog');
+const { completeSignIn } = require('../services/authSessions');
+const {
+  isTwoFactorRequired,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  verifyChallengeToken,
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+const codeField = body('code').isString().trim().notEmpty().withMessage('code is required');
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the signed-in account
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (req.user.role === 'admin') {
+      return res.json({
+        success: true,
+        data: {
+          enabled: Boolean(process.env.ADMIN_TOTP_SECRET),
+          required: isTwoFactorRequired(),
+          configuredWith: 'ADMIN_TOTP_SECRET',
+        },
+      });
+    }
+
+    assertUserAccount(req);
+
+    const totp = await database.getUserTotp(req.orgId, req.user.username);
+    const enabled = Boolean(totp && totp.enabledAt);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        required: isTwoFactorRequired(),
+        enabledAt: enabled ? totp.enabledAt : null,
+        recoveryCodesRemaining: enabled ? totp.recoveryCodeHashes.length : 0,
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: a new secret and its otpauth:// URL for a QR code
+ */
+router.post('/setup',
+  authenticateForEnrollment,
+  asyncHandler(async (req, res) => {
+    assertUserAccount(req);
+
+    const existing = await database.getUserTotp(req.orgId, req.user.username);
+
+    if (existing && existing.enabledAt) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = generateTotpSecret();
+    await database.setUserTotp(req.orgId, req.user.username, { secret });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, `${req.user.username}@${req.orgId}`),
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a first code; returns the recovery codes (shown
+ * once) and, when enrolling during login, the session
+ */
+router.post('/enable',
+  authenticateForEnrollment,
+  [codeField],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    assertUserAccount(req);
+
+    const totp = await database.getUserTotp(req.orgId, req.user.username);
+
+    if (!totp) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    if (totp.enabledAt) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+
+    const step = verifyTotp(totp.secret, req.body.code);
+
+    if (step === null) {
+      throw new AppError('Invalid code', 400);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await database.setUserTotp(req.orgId, req.user.username, {
+      ...totp,
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: step,
+      recoveryCodeHashes: hashes,
+    });
+
+    await recordAudit(req, {
+      action: 'user.2fa.enable',
+      targetType: 'user',
+      targetId: req.user.username,
+    });
+
+    let signIn = {};
+
+    if (req.enrolling) {
+      const organization = await database.getOrganization(req.orgId);
+
+      if (!organization) {
+        throw new AppError(`Organization not found: ${req.orgId}`, 404);
+      }
+
+      signIn = await completeSignIn(organization, req.user.username, req.user.role);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes now; they will not be shown again.',
+      recoveryCodes: codes,
+      ...signIn,
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (a current code is required)
+ */
+router.post('/recovery-codes',
+  authenticateToken,
+  [codeField],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    assertUserAccount(req);
+    await assertSecondFactor(req);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const totp = await database.getUserTotp(req.orgId, req.user.username);
+
+    await database.setUserTotp(req.orgId, req.user.username, { ...totp, recoveryCodeHashes: hashes });
+
+    await recordAudit(req, {
+      action: 'user.2fa.recovery_codes',
+      targetType: 'user',
+      targetId: req.user.username,
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes: codes,
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off (a current code is required)
+ */
+router.post('/disable',
+  authenticateToken,
+  [codeField],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    assertUserAccount(req);
+
+    if (isTwoFactorRequired()) {
+      throw new AppError('Two-factor authentication is required for every account', 403);
+    }
+
+    await assertSecondFactor(req);
+    await database.deleteUserTotp(req.orgId, req.user.username);
+
+    await recordAudit(req, {
+      action: 'user.2fa.disable',
+      targetType: 'user',
+      targetId: req.user.username,
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  })
+);
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Authenticate with an access token, or with the enrollment challenge token
+ * of a login that must set up two-factor first (sets req.enrolling)
+ */
+function authenticateForEnrollment(req, res, next) {
+  const challengeToken = req.body && req.body.challengeToken;
+
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const challenge = verifyChallengeToken(challengeToken, 'enroll');
+
+  if (!challenge) {
+    return next(new AppError('Login expired, please sign in again', 401));
+  }
+
+  req.user = { username: challenge.username, role: challenge.role, orgId: challenge.orgId };
+  req.orgId = challenge.orgId;
+  req.enrolling = true;
+  next();
+}
+
+function assertUserAccount(req) {
+  if (req.user.apiKey) {
+    throw new AppError('API keys have no second factor', 400);
+  }
+
+  if (req.user.role === 'admin') {
+    throw new AppError('The admin account\'s second factor is set with ADMIN_TOTP_SECRET', 400);
+  }
+}
+
+async function assertSecondFactor(req) {
+  const totp = await database.getUserTotp(req.orgId, req.user.username);
+
+  if (!totp || !totp.enabledAt) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifySecondFactor(req.orgId, req.user.username, req.user.role, req.body.code))) {
+    throw new AppError('Invalid code', 400);
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,348 @@
+/**
+ * User Management Routes
+ *
+ * Accounts of the token's organization. Owners (and the deployment admin)
+ * manage users; everyone can read their own account and change their own
+ * password. An organization always keeps at least one owner.
+ *
+ * Role changes apply when the user's access token is next refreshed.
+ * Removing a user or resetting their password signs out all their sessions.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const database = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, ROLES } = require('../middleware/permissions');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  USERNAME_PATTERN,
+  RESERVED_USERNAME,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+} = require('../services/users');
+const { revokeUserSessions } = require('../services/authSessions');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+const usernameParam = param('username').trim().toLowerCase()
+  .matches(USERNAME_PATTERN).withMessage('Invalid username');
+
+const passwordField = (field) => body(field).isString()
+  .isLength({ min: MIN_PASSWORD_LENGTH, max: 200 })
+  .withMessage(`${field} must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+/**
+ * GET /api/users/me
+ * Get the signed-in account
+ */
+router.get('/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await findSelf(req);
+
+    res.json({
+      success: true,
+      data: user ? toPublicUser(user) : { username: req.user.username, role: req.user.role, orgId: req.orgId },
+    });
+  })
+);
+
+/**
+ * PUT /api/users/me/password
+ * Change the signed-in user's password
+ */
+router.put('/me/password',
+  authenticateToken,
+  [
+    body('currentPassword').isString().notEmpty().withMessage('currentPassword is required'),
+    passwordField('newPassword'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    if (req.user.apiKey) {
+      throw new AppError('API keys have no password; rotate the key instead', 400);
+    }
+
+    const user = await findSelf(req);
+
+    if (!user) {
+      throw new AppError('The admin password is set with ADMIN_PASSWORD_HASH', 400);
+    }
+
+    if (!(await verifyPassword(user, req.body.currentPassword))) {
+      throw new AppError('Current password is incorrect', 401);
+    }
+
+    await database.setUser(req.orgId, user.username, {
+      ...user,
+      passwordHash: await hashPassword(req.body.newPassword),
+    });
+
+    // Keep this session, sign out the others
+    await revokeUserSessions(req.orgId, user.username, req.user.sid);
+
+    await recordAudit(req, { action: 'user.password.change', targetType: 'user', targetId: user.username });
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+    });
+  })
+);
+
+/**
+ * GET /api/users
+ * List the organization's users (OWNER)
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('users:manage'),
+  asyncHandler(async (req, res) => {
+    const users = await database.listUsers(req.orgId);
+
+    const data = await Promise.all(users.map(async (user) => {
+      const totp = await database.getUserTotp(req.orgId, user.username);
+      return { ...toPublicUser(user), twoFactorEnabled: Boolean(totp && totp.enabledAt) };
+    }));
+
+    res.json({
+      success: true,
+      count: users.length,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/users
+ * Create a user (OWNER)
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('users:manage'),
+  [
+    body('username').isString().trim().toLowerCase()
+      .matches(USERNAME_PATTERN).withMessage('username must be lowercase letters, digits or . _ @ + -')
+      .not().equals(RESERVED_USERNAME).withMessage(`"${RESERVED_USERNAME}" is reserved for the deployment admin`),
+    passwordField('password'),
+    body('role').isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const { username, password, role } = req.body;
+
+    if (await database.getUser(req.orgId, username)) {
+      throw new AppError(`User already exists: ${username}`, 409);
+    }
+
+    const user = await database.setUser(req.orgId, username, {
+      passwordHash: await hashPassword(password),
+      role,
+    });
+
+    await recordAudit(req, { action: 'user.create', targetType: 'user', targetId: username, after: toPublicUser(user) });
+
+    res.status(201).json({
+      success: true,
+      message: `User created: ${username}`,
+      data: toPublicUser(user),
+    });
+  })
+);
+
+/**
+ * PUT /api/users/:username
+ * Change a user's role and/or reset their password (OWNER)
+ */
+router.put('/:username',
+  authenticateToken,
+  requirePermission('users:manage'),
+  [
+    usernameParam,
+    body('role').optional().isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+    passwordField('password').optional(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findUser(req.orgId, req.params.username);
+    const { role = existing.role, password } = req.body;
+
+    if (existing.role === 'owner' && role !== 'owner') {
+      await assertNotLastOwner(req.orgId);
+    }
+
+    const user = await database.setUser(req.orgId, existing.username, {
+      role,
+      passwordHash: password ? await hashPassword(password) : existing.passwordHash,
+    });
+
+    if (password) {
+      await revokeUserSessions(req.orgId, user.username);
+    }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user.username,
+      before: toPublicUser(existing),
+      after: { ...toPublicUser(user), passwordReset: Boolean(password) },
+    });
+
+    res.json({
+      success: true,
+      message: `User updated: ${user.username}`,
+      data: toPublicUser(user),
+    });
+  })
+);
+
+/**
+ * DELETE /api/users/:username
+ * Remove a user (OWNER)
+ */
+router.delete('/:username',
+  authenticateToken,
+  requirePermission('users:manage'),
+  [usernameParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findUser(req.orgId, req.params.username);
+
+    if (existing.role === 'owner') {
+      await assertNotLastOwner(req.orgId);
+    }
+
+    await database.deleteUser(req.orgId, existing.username);
+    await database.deleteUserTotp(req.orgId, existing.username);
+    await revokeUserSessions(req.orgId, existing.username);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: existing.username,
+      before: toPublicUser(existing),
+    });
+
+    res.json({
+      success: true,
+      message: `User removed: ${existing.username}`,
+    });
+  })
+);
+
+/**
+ * DELETE /api/users/:username/sessions
+ * Sign out all of a user's sessions (OWNER)
+ */
+router.delete('/:username/sessions',
+  authenticateToken,
+  requirePermission('users:manage'),
+  [usernameParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findUser(req.orgId, req.params.username);
+    const revoked = await revokeUserSessions(req.orgId, existing.username);
+
+    await recordAudit(req, {
+      action: 'user.sessions.revoke',
+      targetType: 'user',
+      targetId: existing.username,
+      after: { revoked },
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out ${revoked} session(s) of ${existing.username}`,
+      revoked,
+    });
+  })
+);
+
+/**
+ * DELETE /api/users/:username/2fa
+ * Turn off a user's two-factor authentication, e.g. after a lost phone (OWNER)
+ */
+router.delete('/:username/2fa',
+  authenticateToken,
+  requirePermission('users:manage'),
+  [usernameParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, errors.array());
+    }
+
+    const existing = await findUser(req.orgId, req.params.username);
+    const { deleted } = await database.deleteUserTotp(req.orgId, existing.username);
+
+    if (deleted) {
+      await recordAudit(req, { action: 'user.2fa.reset', targetType: 'user', targetId: existing.username });
+    }
+
+    res.json({
+      success: true,
+      message: deleted
+        ? `Two-factor authentication reset for ${existing.username}`
+        : `${existing.username} has no two-factor authentication`,
+    });
+  })
+);
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+async function findUser(orgId, username) {
+  const user = await database.getUser(orgId, username);
+
+  if (!user) {
+    throw new AppError(`User not found: ${username}`, 404);
+  }
+
+  return user;
+}
+
+/**
+ * The signed-in user's record (null for the deployment admin and API keys)
+ */
+async function findSelf(req) {
+  if (req.user.role === 'admin' || req.user.apiKey) {
+    return null;
+  }
+
+  return findUser(req.orgId, req.user.username);
+}
+
+async function assertNotLastOwner(orgId) {
+  const owners = (await database.listUsers(orgId)).filter(user => user.role === 'owner');
+
+  if (owners.length <= 1) {
+    throw new AppError('An organization needs at least one owner', 409);
+  }
+}
+
+module.exports = router;
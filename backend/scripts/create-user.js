@@ -0,0 +1,99 @@
+/**
+ * User Account Creator
+ *
+ * Creates (or resets the password and role of) a user, e.g. the first owner
+ * of an organization.
+ * Run: npm run create-user -- --username=alice@example.com --role=owner [--org=acme]
+ *
+ * Uses the database selected by DATABASE_TYPE.
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const database = require('../database');
+const { ROLES } = require('../middleware/permissions');
+const {
+  USERNAME_PATTERN,
+  RESERVED_USERNAME,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+} = require('../services/users');
+
+/**
+ * Parse --key=value arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  argv.forEach((arg) => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value === undefined ? true : value;
+    }
+  });
+
+  return args;
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const username = String(args.username || '').trim().toLowerCase();
+  const orgId = args.org || database.DEFAULT_ORG_ID;
+  const role = args.role || 'owner';
+
+  console.log('\n👤 PortalAR User Creator\n');
+
+  if (!USERNAME_PATTERN.test(username) || username === RESERVED_USERNAME) {
+    console.error('❌ Pass a valid --username (lowercase letters, digits or . _ @ + -; not "admin")');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`❌ --role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const password = await prompt(`Password for ${username}: `);
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`\n❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    process.exit(1);
+  }
+
+  try {
+    await database.initialize();
+
+    if (!(await database.getOrganization(orgId))) {
+      throw new Error(`Organization not found: ${orgId}`);
+    }
+
+    const existing = await database.getUser(orgId, username);
+    await database.setUser(orgId, username, {
+      passwordHash: await hashPassword(password),
+      role,
+    });
+
+    console.log(`\n✅ User ${existing ? 'updated' : 'created'}: ${username} (${role}) in organization ${orgId}\n`);
+  } catch (error) {
+    console.error('\n❌ Failed to create user:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+run();
@@ -0,0 +1,22 @@
+/**
+ * Admin TOTP Secret Generator
+ *
+ * Generates the two-factor secret of the deployment admin account and the
+ * otpauth:// URL to add it to an authenticator app.
+ * Run: npm run generate-totp-secret
+ */
+
+const { generateTotpSecret, buildOtpauthUrl } = require('../services/twoFactor');
+
+console.log('\n🔐 PortalAR Admin TOTP Secret Generator\n');
+
+const secret = generateTotpSecret();
+
+console.log('Add this to your backend/.env file:');
+console.log('─'.repeat(70));
+console.log(`ADMIN_TOTP_SECRET=${secret}`);
+console.log('─'.repeat(70));
+console.log('\nThen add it to your authenticator app, either by entering the secret');
+console.log('or by turning this URL into a QR code:\n');
+console.log(buildOtpauthUrl(secret, 'admin'));
+console.log('\n✅ Secret generated! Keep this secure and never commit to Git.\n');
@@ -0,0 +1,173 @@
+/**
+ * Mock OpenID Connect Provider
+ *
+ * A minimal identity provider for trying out single sign-on locally (and
+ * for the tests): discovery, an authorize endpoint that signs in a
+ * configured user without asking, a token endpoint that checks PKCE, and
+ * userinfo. ID tokens are RS256-signed with a key generated at startup.
+ *
+ * Run: npm run mock-oidc
+ *
+ * Then start the backend with:
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=portal-ar
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_REDIRECT_URI=http://localhost:3000/admin
+ *   OIDC_SCOPES=openid email profile groups
+ *
+ * Options (environment): MOCK_OIDC_PORT (default 4000), MOCK_OIDC_EMAIL
+ * (default owner@example.com), MOCK_OIDC_GROUPS (comma-separated, default
+ * owner). A `login_hint` on the authorize request overrides the email.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Start a provider; resolves to { issuer, close() }.
+ * `user` is the account every authorize request signs in
+ * ({ sub, email, name, groups, ...claims }).
+ */
+function startMockOidcProvider({
+  port = 0,
+  host = '127.0.0.1',
+  clientId = 'portal-ar',
+  clientSecret = null,
+  user = { sub: 'mock-user', email: 'owner@example.com', groups: ['owner'] },
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== clientId || response_type !== 'code' || !redirect_uri) {
+      return res.status(400).send('invalid_request');
+    }
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('PKCE with S256 is required');
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    const account = req.query.login_hint ? { ...user, email: req.query.login_hint } : user;
+
+    codes.set(code, { clientId: client_id, redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, account });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const [basicId, basicSecret] = parseBasicAuth(req.headers.authorization);
+    const requestClientId = basicId || req.body.client_id;
+    const requestSecret = basicSecret || req.body.client_secret;
+    const grant = codes.get(req.body.code);
+
+    // Codes are single-use
+    codes.delete(req.body.code);
+
+    if (requestClientId !== clientId || (clientSecret && requestSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('base64url');
+    accessTokens.set(accessToken, grant.account);
+
+    const idToken = jwt.sign(
+      { ...grant.account, email_verified: true, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const account = accessTokens.get(String(req.headers.authorization || '').replace(/^Bearer /, ''));
+
+    if (!account) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json({ ...account, email_verified: true });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, host, () => {
+      issuer = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+      resolve({
+        issuer,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+function parseBasicAuth(header) {
+  if (!header || !header.startsWith('Basic ')) {
+    return [];
+  }
+
+  return Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+}
+
+module.exports = { startMockOidcProvider };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+  const email = process.env.MOCK_OIDC_EMAIL || 'owner@example.com';
+  const groups = (process.env.MOCK_OIDC_GROUPS || 'owner').split(',').map(group => group.trim());
+
+  startMockOidcProvider({
+    port,
+    host: '0.0.0.0',
+    clientSecret: 'mock-secret',
+    user: { sub: `mock-${email}`, email, name: email, groups },
+  }).then(({ issuer }) => {
+    console.log('\n🔑 PortalAR Mock OIDC Provider\n');
+    console.log(`Issuer:        ${issuer}`);
+    console.log('Client ID:     portal-ar');
+    console.log('Client secret: mock-secret');
+    console.log(`Signs in:      ${email} (groups: ${groups.join(', ')})\n`);
+  });
+}
@@ -6,7 +6,7 @@
  * 
  * Architecture:
  * - RESTful API with Express.js
- * - Multiple database adapters (SQLite, Firebase, PostgreSQL)
+ * - Multiple database adapters (SQLite, Firebase, PostgreSQL, in-memory)
  * - JWT-based admin authentication
  * - Rate limiting and security middleware
  * - CORS configuration for WebAR client access
@@ -25,15 +25,25 @@ const contentRoutes = require('./routes/content');
 const analyticsRoutes = require('./routes/analytics');
 const perplexityRoutes = require('./routes/perplexity');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const campaignRoutes = require('./routes/campaigns');
+const organizationRoutes = require('./routes/organizations');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
 
 // Import middleware
 const rateLimiter = require('./middleware/rateLimiter');
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
 const { validateOrigin } = require('./middleware/cors');
 
 // Import database
 const database = require('./database');
 
+// Import background jobs
+const { startAnalyticsRollupJob, stopAnalyticsRollupJob } = require('./services/analyticsRollups');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -43,6 +53,15 @@ const HOST = process.env.HOST || '0.0.0.0';
 // Middleware Configuration
 // ============================================================================
 
+// Behind a reverse proxy, client IPs (rate limiting, location rules) come from
+// X-Forwarded-For; TRUST_PROXY is the number of proxy hops to trust
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
+// Request IDs (X-Request-Id), recorded in the audit log
+app.use(requestId);
+
 // Security headers (Helmet)
 if (process.env.ENABLE_HELMET !== 'false') {
   app.use(helmet({
@@ -86,7 +105,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
 }));
 
 // Body parsing
@@ -106,11 +126,12 @@ app.use(rateLimiter);
 
 /**
  * Initialize database connection on startup
- * Supports SQLite, Firebase, and PostgreSQL based on DATABASE_TYPE env var
+ * Supports SQLite, Firebase, PostgreSQL and in-memory based on DATABASE_TYPE env var
  */
 database.initialize()
   .then(() => {
     console.log(`✅ Database initialized (${process.env.DATABASE_TYPE || 'sqlite'})`);
+    startAnalyticsRollupJob();
   })
   .catch((error) => {
     console.error('❌ Database initialization failed:', error);
@@ -140,6 +161,11 @@ app.get('/api', (req, res) => {
     endpoints: {
       content: '/api/content/:markerId',
       analytics: '/api/analytics',
+      campaigns: '/api/campaigns',
+      organizations: '/api/organizations',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
+      audit: '/api/audit',
       perplexity: '/api/perplexity/summary',
       auth: '/api/auth/login',
       health: '/health',
@@ -150,8 +176,14 @@ app.get('/api', (req, res) => {
 
 // Mount API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/perplexity', perplexityRoutes);
 
 // ============================================================================
@@ -170,8 +202,17 @@ app.use((req, res) => {
       'POST /api/content/:markerId',
       'POST /api/analytics',
       'GET /api/analytics/:markerId',
+      'GET /api/campaigns',
+      'GET /api/organizations/current',
+      'GET /api/users/me',
+      'GET /api/api-keys',
+      'GET /api/audit',
       'POST /api/perplexity/summary',
       'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/2fa',
+      'POST /api/auth/oidc/start',
     ],
   });
 });
@@ -195,9 +236,10 @@ const server = app.listen(PORT, HOST, () => {
   console.log('================================\n');
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received. Shutting down gracefully...');
+// Graceful shutdown (closing the database also writes the in-memory snapshot)
+function shutdown(signal) {
+  console.log(`📴 ${signal} received. Shutting down gracefully...`);
+  stopAnalyticsRollupJob();
   server.close(() => {
     console.log('✅ Server closed');
     database.close()
@@ -210,7 +252,10 @@ process.on('SIGTERM', () => {
         process.exit(1);
       });
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,244 @@
+/**
+ * Analytics Rollup Service
+ *
+ * Keeps the hourly and daily rollups (migrations/015_analytics_rollups.js)
+ * current, so summaries and timeseries read pre-aggregated counts for
+ * everything before the watermark and raw events only after it. The work
+ * runs in a scheduled job (started by server.js), never in the requests
+ * that record events:
+ *
+ * - Every few minutes the UTC hours closed since the watermark are rolled
+ *   up, a week of hours at a time (a database with years of events catches
+ *   up over several runs). A day is rolled up once its last hour is.
+ * - Recording events queues the hours of events timestamped in hours that
+ *   have already closed (offline queues sent late) in the database
+ *   (migrations/017_analytics_rollup_queue.js), so restarts don't lose them;
+ *   the next run recomputes those hours and days for their organization if
+ *   they were rolled up.
+ * - `npm run rollups:backfill` rebuilds every rollup from raw events.
+ *
+ * Rollups are recomputed from raw events rather than incremented, so
+ * rolling up the same hour twice (e.g. from two server instances) is safe.
+ * A failed run is logged and the next one carries on.
+ */
+
+const database = require('../database');
+const { floorToUtc } = require('../database/timeBuckets');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// An hour is rolled up this long after it ends, so events sent a little
+// late (slow networks, client clocks) usually don't need a recompute
+const GRACE_MS = 5 * 60 * 1000;
+
+const MAX_HOURS_PER_REFRESH = 7 * 24;
+
+let jobTimer = null;
+let jobRunning = false;
+
+/**
+ * Queue the closed hours that an organization's recorded events fall into
+ * for a recompute by the next run. Never throws; the events are recorded
+ * by then.
+ */
+async function queueLateEvents(orgId, events) {
+  const closedUntil = floorToUtc(Date.now() - GRACE_MS, 'hour');
+  const hours = new Set();
+
+  events.forEach(({ timestamp }) => {
+    // Events without a timestamp are recorded now
+    if (!timestamp) return;
+
+    const hour = floorToUtc(new Date(timestamp).toISOString(), 'hour');
+    if (hour < closedUntil) hours.add(hour);
+  });
+
+  try {
+    await database.queueAnalyticsRollups(orgId, [...hours]);
+  } catch (error) {
+    console.error(`❌ Queueing late analytics events failed (organization ${orgId}):`, error.message);
+  }
+}
+
+/**
+ * One run of the job: recompute the queued late hours, then roll up the
+ * hours closed since the watermark. Hours whose recompute fails are queued
+ * again. Never throws.
+ */
+async function runAnalyticsRollups() {
+  if (jobRunning) {
+    return;
+  }
+
+  jobRunning = true;
+
+  try {
+    const hoursByOrg = new Map();
+    (await database.takeQueuedAnalyticsRollups()).forEach(({ orgId, hourStart }) => {
+      if (!hoursByOrg.has(orgId)) {
+        hoursByOrg.set(orgId, []);
+      }
+      hoursByOrg.get(orgId).push(hourStart);
+    });
+
+    for (const [orgId, hours] of hoursByOrg) {
+      try {
+        await rollupLateEvents(orgId, hours.map(timestamp => ({ timestamp })));
+      } catch (error) {
+        console.error(`❌ Analytics rollup of late events failed (organization ${orgId}):`, error.message);
+        await database.queueAnalyticsRollups(orgId, hours);
+      }
+    }
+
+    await refreshAnalyticsRollups();
+  } catch (error) {
+    console.error('❌ Analytics rollup failed:', error.message);
+  } finally {
+    jobRunning = false;
+  }
+}
+
+/**
+ * Run the job now and every few minutes until stopAnalyticsRollupJob();
+ * the timer doesn't keep the process alive. Resolves after the first run.
+ */
+async function startAnalyticsRollupJob() {
+  if (jobTimer) {
+    return;
+  }
+
+  jobTimer = setInterval(runAnalyticsRollups, REFRESH_INTERVAL_MS);
+  jobTimer.unref();
+  await runAnalyticsRollups();
+}
+
+function stopAnalyticsRollupJob() {
+  clearInterval(jobTimer);
+  jobTimer = null;
+}
+
+/**
+ * Roll up the closed hours (and days) after the watermark, at most
+ * `maxHours` of them. Returns the new watermark and whether it reached the
+ * last closed hour.
+ */
+async function refreshAnalyticsRollups({ maxHours = MAX_HOURS_PER_REFRESH } = {}) {
+  const now = Date.now();
+  const closedUntil = floorToUtc(now - GRACE_MS, 'hour');
+  let from = await database.getAnalyticsRollupState();
+
+  if (!from) {
+    const first = await database.getFirstAnalyticsTimestamp();
+    from = first && first < closedUntil ? floorToUtc(first, 'hour') : closedUntil;
+  }
+
+  const until = new Date(Math.min(
+    new Date(closedUntil).getTime(),
+    new Date(from).getTime() + maxHours * HOUR_MS
+  )).toISOString();
+
+  if (until > from) {
+    await database.rollupAnalytics('hour', buildUtcBuckets(from, until, HOUR_MS));
+
+    const dayFrom = floorToUtc(from, 'day');
+    const dayUntil = floorToUtc(until, 'day');
+    if (dayUntil > dayFrom) {
+      await database.rollupAnalytics('day', buildUtcBuckets(dayFrom, dayUntil, DAY_MS));
+    }
+  }
+
+  await database.setAnalyticsRollupState(until);
+
+  return { rolledUpUntil: until, complete: until >= closedUntil };
+}
+
+/**
+ * Recompute the already rolled-up hours and days that events recorded for
+ * an organization fall into
+ */
+async function rollupLateEvents(orgId, events) {
+  const rolledUpUntil = await database.getAnalyticsRollupState();
+
+  if (!rolledUpUntil) {
+    return;
+  }
+
+  const dailyUntil = floorToUtc(rolledUpUntil, 'day');
+  const hours = new Set();
+  const days = new Set();
+
+  events.forEach(({ timestamp }) => {
+    // Events without a timestamp are recorded now
+    if (!timestamp) return;
+
+    const time = new Date(timestamp).toISOString();
+    if (time >= rolledUpUntil) return;
+
+    hours.add(floorToUtc(time, 'hour'));
+
+    const day = floorToUtc(time, 'day');
+    if (day < dailyUntil) days.add(day);
+  });
+
+  if (hours.size > 0) {
+    await database.rollupAnalytics('hour', [...hours].map(start => toBucket(start, HOUR_MS)), orgId);
+  }
+
+  if (days.size > 0) {
+    await database.rollupAnalytics('day', [...days].map(start => toBucket(start, DAY_MS)), orgId);
+  }
+}
+
+/**
+ * Delete every rollup and roll up all events again, a week at a time;
+ * `onProgress` gets the watermark after each week
+ */
+async function rebuildAnalyticsRollups({ onProgress = () => {} } = {}) {
+  await database.resetAnalyticsRollups();
+
+  let result;
+  do {
+    result = await refreshAnalyticsRollups();
+    onProgress(result.rolledUpUntil);
+  } while (!result.complete);
+
+  return result.rolledUpUntil;
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function toBucket(start, length) {
+  return { start, end: new Date(new Date(start).getTime() + length).toISOString() };
+}
+
+/**
+ * Consecutive UTC hours or days from `from` (inclusive) to `until`
+ */
+function buildUtcBuckets(from, until, length) {
+  const buckets = [];
+
+  for (let start = new Date(from).getTime(); start < new Date(until).getTime(); start += length) {
+    buckets.push(toBucket(new Date(start).toISOString(), length));
+  }
+
+  return buckets;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  queueLateEvents,
+  runAnalyticsRollups,
+  startAnalyticsRollupJob,
+  stopAnalyticsRollupJob,
+  refreshAnalyticsRollups,
+  rollupLateEvents,
+  rebuildAnalyticsRollups,
+};
@@ -0,0 +1,163 @@
+/**
+ * API Key Service
+ *
+ * Keys let machine clients (a CMS, a build pipeline) call the admin API with
+ * an `X-API-Key` header instead of signing in. Only a SHA-256 hash of each
+ * key is stored; the plaintext is shown once, when the key is created or
+ * rotated.
+ *
+ * Each key has scopes and may be restricted to some markers and/or the
+ * markers of some campaigns:
+ * - content:write:   read content and save drafts
+ * - content:publish: read content, approve and publish drafts, restore
+ *   revisions, delete content and manage campaigns (apart from
+ *   content:write, so a key that saves drafts can't also publish them)
+ * - analytics:read:  read analytics
+ * - perplexity:use:  AI summaries and metadata extraction
+ */
+
+const crypto = require('crypto');
+const database = require('../database');
+
+const KEY_PREFIX = 'par_';
+const API_KEY_SCOPES = ['content:write', 'content:publish', 'analytics:read', 'perplexity:use'];
+
+// Permissions (see middleware/permissions.js) granted by each scope
+const SCOPE_PERMISSIONS = {
+  'content:write': ['content:read', 'content:write'],
+  'content:publish': ['content:read', 'content:publish'],
+  'analytics:read': ['analytics:read'],
+  'perplexity:use': ['perplexity:use'],
+};
+
+// Permissions that act on a marker, and so are subject to key restrictions
+const MARKER_PERMISSIONS = ['content:read', 'content:write', 'content:publish', 'analytics:read'];
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new key: the plaintext, a short prefix to recognize it by and
+ * the hash to store
+ */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    key,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+  };
+}
+
+/**
+ * Whether a key's scopes grant a permission
+ */
+function scopesGrant(scopes, permission) {
+  return (scopes || []).some(scope => (SCOPE_PERMISSIONS[scope] || []).includes(permission));
+}
+
+function isRestricted(apiKey) {
+  return Boolean(apiKey.markerIds || apiKey.campaignIds);
+}
+
+/**
+ * Check a restricted key against the marker a request acts on.
+ * `campaignId` is the campaign a request saving the marker assigns it to
+ * (null for none), undefined for other requests. Campaign-restricted keys
+ * may only assign their own campaigns, so they can't move a marker out of
+ * them or detach it, and only markers without content or a draft yet are
+ * judged by it (an existing marker outside the key's campaigns can't be
+ * claimed by sending one).
+ * Returns an error message, or null when the request is allowed.
+ */
+async function checkMarkerRestriction(apiKey, orgId, markerId, campaignId) {
+  if (!isRestricted(apiKey)) {
+    return null;
+  }
+
+  if (!markerId) {
+    return 'API key is restricted to specific markers';
+  }
+
+  if (apiKey.markerIds && apiKey.markerIds.includes(markerId)) {
+    return null;
+  }
+
+  if (apiKey.campaignIds) {
+    if (campaignId !== undefined && !apiKey.campaignIds.includes(campaignId)) {
+      return campaignId
+        ? `API key is not allowed to use campaign: ${campaignId}`
+        : 'API key may only save markers in its campaigns';
+    }
+
+    const marker = await findMarkerCampaign(orgId, markerId);
+    const markerCampaignId = marker.exists ? marker.campaignId : campaignId;
+    if (markerCampaignId && apiKey.campaignIds.includes(markerCampaignId)) {
+      return null;
+    }
+  }
+
+  return `API key is not allowed to access marker: ${markerId}`;
+}
+
+/**
+ * Check a restricted key against the campaign a campaign route acts on:
+ * only keys restricted to that campaign may use it.
+ * Returns an error message, or null when the request is allowed.
+ */
+function checkCampaignRestriction(apiKey, campaignId) {
+  if (!isRestricted(apiKey)) {
+    return null;
+  }
+
+  if (campaignId && apiKey.campaignIds && apiKey.campaignIds.includes(campaignId)) {
+    return null;
+  }
+
+  return campaignId
+    ? `API key is not allowed to access campaign: ${campaignId}`
+    : 'API key is restricted to specific markers';
+}
+
+/**
+ * Whether a marker has published content or a draft, and the campaign of its
+ * published content, else of its draft
+ */
+async function findMarkerCampaign(orgId, markerId) {
+  const content = await database.getContent(orgId, markerId);
+  if (content && content.campaignId) {
+    return { exists: true, campaignId: content.campaignId };
+  }
+
+  const draft = await database.getDraft(orgId, markerId);
+  return {
+    exists: Boolean(content || draft),
+    campaignId: (draft && draft.content && draft.content.campaignId) || null,
+  };
+}
+
+/**
+ * An API key record without its hash
+ */
+function toPublicApiKey(apiKey) {
+  const { keyHash, ...publicApiKey } = apiKey;
+  return publicApiKey;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  API_KEY_SCOPES,
+  SCOPE_PERMISSIONS,
+  MARKER_PERMISSIONS,
+  hashApiKey,
+  generateApiKey,
+  scopesGrant,
+  checkMarkerRestriction,
+  checkCampaignRestriction,
+  toPublicApiKey,
+};
@@ -0,0 +1,121 @@
+/**
+ * Audit Log Service
+ *
+ * Records administrative actions (content edits, publishing, deletions,
+ * Perplexity summaries, campaign, user, API key and organization changes)
+ * in the append-only audit log: the actor, the action, its target marker or
+ * record, the state before and after, and the request's IP address and ID
+ * (see middleware/requestId.js).
+ *
+ * Secrets (password hashes, API key hashes, TOTP secrets) are stripped from
+ * the stored states. Writing an entry never fails the request it records;
+ * the action has already happened by then.
+ *
+ * Configuration:
+ * - AUDIT_LOG_RETENTION_DAYS: days entries are kept (default: 365; 0 keeps
+ *   them forever). Older entries are purged at most once an hour.
+ */
+
+const database = require('../database');
+
+const AUDIT_TARGET_TYPES = ['content', 'campaign', 'user', 'apiKey', 'organization'];
+
+// Never stored, at any depth of a before/after state
+const SECRET_FIELDS = [
+  'password',
+  'passwordHash',
+  'keyHash',
+  'secret',
+  'refreshTokenHash',
+  'recoveryCodeHashes',
+];
+
+// Also never stored for a target type (`key` is an API key's plaintext but
+// an ordinary field elsewhere)
+const TARGET_SECRET_FIELDS = {
+  apiKey: ['key'],
+};
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurgeAt = 0;
+
+function getRetentionDays() {
+  const days = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 365 : days;
+}
+
+/**
+ * Record an action of the request's user. `orgId` defaults to the request's
+ * organization; `before`/`after` are the target's state around the change
+ * (null when it didn't exist).
+ */
+async function recordAudit(req, { action, targetType, targetId = null, markerId = null, before = null, after = null, orgId = req.orgId }) {
+  try {
+    await database.addAuditEntry(orgId, {
+      action,
+      actor: req.user.username,
+      actorRole: req.user.role,
+      targetType,
+      targetId: targetId === null ? null : String(targetId),
+      markerId,
+      before: stripSecrets(before, targetType),
+      after: stripSecrets(after, targetType),
+      ipAddress: req.ip,
+      requestId: req.id,
+    });
+
+    await purgeExpiredAuditEntries();
+  } catch (error) {
+    console.error(`❌ Audit log write failed (${action}, request ${req.id}):`, error.message);
+  }
+}
+
+/**
+ * Delete entries older than the retention period, at most once an hour
+ * (`force` skips the interval). Returns the number deleted.
+ */
+async function purgeExpiredAuditEntries({ force = false } = {}) {
+  const retentionDays = getRetentionDays();
+  const now = Date.now();
+
+  if (retentionDays === 0 || (!force && now - lastPurgeAt < PURGE_INTERVAL_MS)) {
+    return 0;
+  }
+
+  lastPurgeAt = now;
+
+  const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const { deleted } = await database.purgeAuditEntries(cutoff);
+
+  return deleted;
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * A JSON copy of a state without the secret fields of its target type
+ */
+function stripSecrets(value, targetType) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const secretFields = new Set([...SECRET_FIELDS, ...(TARGET_SECRET_FIELDS[targetType] || [])]);
+
+  return JSON.parse(JSON.stringify(value, (key, field) => (secretFields.has(key) ? undefined : field)));
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  AUDIT_TARGET_TYPES,
+  getRetentionDays,
+  recordAudit,
+  purgeExpiredAuditEntries,
+  stripSecrets,
+};
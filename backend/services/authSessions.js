@@ -0,0 +1,195 @@
+/**
+ * Auth Session Service
+ *
+ * A sign-in creates a server-side session and returns two tokens:
+ * - a short-lived access token (JWT carrying the session ID as `sid`)
+ * - a refresh token (`<sessionId>.<secret>`, only its hash is stored) that
+ *   is exchanged for a new pair at /api/auth/refresh. Each refresh rotates
+ *   it with one conditional update; presenting an already-rotated token
+ *   (even in a concurrent refresh) revokes the whole session.
+ *
+ * Revoking a session (logout, "sign out all sessions", a removed user) adds
+ * it to the revocation list checked by authenticateToken, so its access
+ * tokens stop working before they expire.
+ *
+ * Configuration:
+ * - JWT_EXPIRES_IN: access token lifetime (default: 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: days a session stays valid without a refresh (default: 30)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('../database');
+
+function getAccessTokenExpiresIn() {
+  return process.env.JWT_EXPIRES_IN || '15m';
+}
+
+function getRefreshTokenTtlMs() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function hashRefreshToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Start a session for a signed-in user and issue its first tokens
+ */
+async function createSession(orgId, username, role) {
+  const { tokens, session } = signTokens({ id: crypto.randomUUID(), orgId, username }, role);
+
+  await database.setAuthSession(session.id, session);
+  return tokens;
+}
+
+/**
+ * Finish a sign-in (after the password and any second factor were checked):
+ * record it and start a session. Returns the login response body.
+ */
+async function completeSignIn(organization, username, role) {
+  if (role !== 'admin') {
+    await database.recordUserLogin(organization.id, username);
+  }
+
+  const tokens = await createSession(organization.id, username, role);
+
+  return {
+    ...tokens,
+    user: {
+      username,
+      role,
+      orgId: organization.id,
+    },
+    organization,
+  };
+}
+
+/**
+ * Find the active session a refresh token belongs to (null if invalid).
+ * A token that was already rotated revokes its session: either it leaked
+ * or the client is replaying it.
+ */
+async function findRefreshSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const session = sessionId && secret ? await database.getAuthSession(sessionId) : null;
+
+  if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const expected = Buffer.from(session.refreshTokenHash);
+  const actual = Buffer.from(hashRefreshToken(secret));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    await revokeSession(session);
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Replace a session's refresh token and issue a new access token. Returns
+ * null, and revokes the session, when its token was rotated since
+ * `session` was read: another request used it first.
+ */
+async function rotateSession(session, role) {
+  const { tokens, session: rotated } = signTokens({ ...session, lastUsedAt: new Date().toISOString() }, role);
+
+  if (!(await database.rotateAuthSession(session.id, session.refreshTokenHash, rotated))) {
+    // Read again so the revocation covers the access token the other
+    // request was issued
+    await revokeSession((await database.getAuthSession(session.id)) || session);
+    return null;
+  }
+
+  return tokens;
+}
+
+/**
+ * Revoke a session: its refresh token stops working and its access tokens
+ * are rejected until they would have expired anyway
+ */
+async function revokeSession(session) {
+  if (session.revokedAt) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+
+  await database.setAuthSession(session.id, { ...session, revokedAt: now });
+  await database.addTokenRevocation(session.id, session.accessExpiresAt);
+  await database.purgeTokenRevocations(now);
+}
+
+/**
+ * Revoke every active session of a user, except `exceptSessionId` if given.
+ * Returns the number of sessions revoked.
+ */
+async function revokeUserSessions(orgId, username, exceptSessionId = null) {
+  const sessions = (await database.listAuthSessions(orgId, username))
+    .filter(session => !session.revokedAt && session.id !== exceptSessionId);
+
+  for (const session of sessions) {
+    await revokeSession(session);
+  }
+
+  return sessions.length;
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * A new access token and refresh token for a session, and the session
+ * record holding them (not yet stored)
+ */
+function signTokens(session, role) {
+  const expiresIn = getAccessTokenExpiresIn();
+
+  const token = jwt.sign(
+    {
+      username: session.username,
+      role,
+      orgId: session.orgId,
+      sid: session.id,
+      iat: Math.floor(Date.now() / 1000),
+    },
+    process.env.ADMIN_JWT_SECRET,
+    { expiresIn }
+  );
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs()).toISOString();
+
+  return {
+    tokens: {
+      token,
+      expiresIn,
+      refreshToken: `${session.id}.${secret}`,
+      refreshExpiresAt: expiresAt,
+    },
+    session: {
+      ...session,
+      refreshTokenHash: hashRefreshToken(secret),
+      accessExpiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+      expiresAt,
+    },
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  createSession,
+  completeSignIn,
+  findRefreshSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,83 @@
+/**
+ * Campaign Service
+ *
+ * A campaign groups markers (through their `campaignId`) so they can be
+ * managed as a unit:
+ *
+ *   {
+ *     id: 'summer-2025',
+ *     name: 'Summer sale 2025',
+ *     client: 'Acme Retail',                 // optional
+ *     startsAt: '2025-06-01T00:00:00Z',      // optional serving window
+ *     endsAt: '2025-09-01T00:00:00Z',
+ *     defaultStyle: { accentColor: '#ffcc00' },
+ *     tags: ['retail', 'outdoor'],
+ *     status: 'active',                      // or 'paused'
+ *   }
+ *
+ * Markers are only served while their campaign is active and inside its
+ * window. The default style sits underneath each marker's own style.
+ */
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Serving state of a campaign at the given time:
+ * 'active', 'paused', 'scheduled' (before startsAt) or 'ended' (after endsAt)
+ */
+function getCampaignState(campaign, now = new Date()) {
+  if (campaign.status === 'paused') {
+    return 'paused';
+  }
+
+  if (campaign.startsAt && now.getTime() < Date.parse(campaign.startsAt)) {
+    return 'scheduled';
+  }
+
+  if (campaign.endsAt && now.getTime() >= Date.parse(campaign.endsAt)) {
+    return 'ended';
+  }
+
+  return 'active';
+}
+
+/**
+ * Apply a campaign's default style underneath the marker's own style
+ */
+function applyCampaignDefaults(content, campaign) {
+  if (!campaign || !campaign.defaultStyle) {
+    return content;
+  }
+
+  return {
+    ...content,
+    style: { ...campaign.defaultStyle, ...(content.style || {}) },
+  };
+}
+
+// ============================================================================
+// Bulk Actions
+// ============================================================================
+
+/**
+ * Merge style properties into a marker's own style
+ * Style overrides of schedule entries, rules and variants are left alone
+ */
+function restyleContent(content, style) {
+  return {
+    ...content,
+    style: { ...(content.style || {}), ...style },
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  getCampaignState,
+  applyCampaignDefaults,
+  restyleContent,
+};
@@ -0,0 +1,226 @@
+/**
+ * Content Localization Service
+ *
+ * Per-locale translations of a marker's text fields. A marker may hold
+ * `translations` keyed by BCP 47 language tag:
+ *
+ *   translations: {
+ *     'pt-BR': { title: 'Promoção de verão', ctaText: 'Comprar' },
+ *     pt: { title: 'Promoção de verão', summary: '...' },
+ *     de: { title: 'Sommerschlussverkauf' },
+ *   }
+ *
+ * The marker's own fields are the default. Each field falls back separately
+ * along the requested locales: for `pt-BR, en` the chain is
+ * pt-BR → pt → en → default.
+ */
+
+const TRANSLATABLE_FIELDS = {
+  title: 200,
+  summary: 500,
+  ctaText: 50,
+};
+
+const MAX_LOCALES = 50;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate a translations map; returns a list of error messages (empty when valid)
+ */
+function validateTranslations(translations, prefix = 'translations') {
+  if (translations === null || translations === undefined) {
+    return [];
+  }
+
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    return [`${prefix} must be an object keyed by locale`];
+  }
+
+  const locales = Object.keys(translations);
+
+  if (locales.length > MAX_LOCALES) {
+    return [`${prefix} can have at most ${MAX_LOCALES} locales`];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  locales.forEach((locale) => {
+    const fields = translations[locale];
+
+    if (!LOCALE_PATTERN.test(locale)) {
+      errors.push(`${prefix}: "${locale}" is not a language tag (e.g. pt-BR)`);
+      return;
+    }
+
+    if (seen.has(locale.toLowerCase())) {
+      errors.push(`${prefix}: "${locale}" is listed more than once`);
+      return;
+    }
+    seen.add(locale.toLowerCase());
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push(`${prefix}.${locale} must be an object`);
+      return;
+    }
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!TRANSLATABLE_FIELDS[field]) {
+        errors.push(`${prefix}.${locale}.${field} cannot be translated`);
+      } else if (value !== null && typeof value !== 'string') {
+        errors.push(`${prefix}.${locale}.${field} must be a string`);
+      } else if (value && value.length > TRANSLATABLE_FIELDS[field]) {
+        errors.push(`${prefix}.${locale}.${field} must be at most ${TRANSLATABLE_FIELDS[field]} characters`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// Negotiation
+// ============================================================================
+
+/**
+ * Parse an Accept-Language header into language tags ordered by preference
+ */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(({ tag, quality }) => quality > 0 && LOCALE_PATTERN.test(tag))
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Expand preferred locales into a fallback chain: each tag is followed by
+ * its shorter prefixes (pt-BR → pt) before the next preference
+ */
+function buildLocaleChain(locales) {
+  const chain = [];
+
+  locales.forEach((locale) => {
+    const parts = locale.toLowerCase().split('-');
+
+    for (let length = parts.length; length > 0; length--) {
+      const candidate = parts.slice(0, length).join('-');
+      if (!chain.includes(candidate)) {
+        chain.push(candidate);
+      }
+    }
+  });
+
+  return chain;
+}
+
+/**
+ * Locale chain for a request: ?lang= (may be comma-separated) takes
+ * precedence over the Accept-Language header
+ */
+function getRequestLocaleChain(lang, acceptLanguage) {
+  const requested = lang
+    ? String(lang).split(',').map(tag => tag.trim()).filter(tag => LOCALE_PATTERN.test(tag))
+    : [];
+
+  return buildLocaleChain(requested.length > 0 ? requested : parseAcceptLanguage(acceptLanguage));
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Merge translations under content overrides (schedule entries, variants)
+ *
+ * A translatable field set by the override hides the inherited translations
+ * of that field, so a variant's title is never replaced by the base
+ * marker's translated title. Translations supplied with the override win.
+ */
+function mergeTranslations(baseTranslations, overrides) {
+  const result = {};
+
+  Object.entries(baseTranslations || {}).forEach(([locale, fields]) => {
+    const kept = {};
+
+    Object.entries(fields || {}).forEach(([field, value]) => {
+      if (overrides[field] === undefined) {
+        kept[field] = value;
+      }
+    });
+
+    if (Object.keys(kept).length > 0) {
+      result[locale] = kept;
+    }
+  });
+
+  Object.entries(overrides.translations || {}).forEach(([locale, fields]) => {
+    result[locale] = { ...(result[locale] || {}), ...fields };
+  });
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Apply the best translation for each text field
+ *
+ * Returns the content without the translations map, plus `locale`: the
+ * locale that supplied the title (or the first translated field), null when
+ * only default text is used
+ */
+function localizeContent(content, localeChain) {
+  const { translations, ...base } = content;
+
+  if (!translations || localeChain.length === 0) {
+    return { content: base, locale: null };
+  }
+
+  const byLocale = {};
+  Object.entries(translations).forEach(([locale, fields]) => {
+    byLocale[locale.toLowerCase()] = { tag: locale, fields: fields || {} };
+  });
+
+  const localized = { ...base };
+  let locale = null;
+
+  Object.keys(TRANSLATABLE_FIELDS).forEach((field) => {
+    const match = localeChain
+      .map(candidate => byLocale[candidate])
+      .find(entry => entry && entry.fields[field]);
+
+    if (match) {
+      localized[field] = match.fields[field];
+      locale = locale || match.tag;
+    }
+  });
+
+  return { content: localized, locale };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  TRANSLATABLE_FIELDS,
+  validateTranslations,
+  parseAcceptLanguage,
+  buildLocaleChain,
+  getRequestLocaleChain,
+  mergeTranslations,
+  localizeContent,
+};
@@ -0,0 +1,323 @@
+/**
+ * Content Rules Service
+ *
+ * Context-targeted content per marker. A marker may hold `rules`: an ordered
+ * list of conditions on the scanning request, each overriding some of the
+ * marker's fields when it matches. The first matching rule wins.
+ *
+ * Rule format:
+ *   {
+ *     id: 'berlin-evening',                 // unique within the marker
+ *     label: 'Berlin, phones, evenings',    // optional, for the admin UI
+ *     match: {                              // every condition given must hold
+ *       regions: ['DE-BE', 'AT'],           // ISO 3166 country or subdivision
+ *       deviceTypes: ['mobile', 'tablet'],  // mobile | tablet | desktop
+ *       timeOfDay: {                        // same format as schedule recurrence
+ *         startTime: '18:00',
+ *         endTime: '02:00',
+ *         timezone: 'Europe/Berlin',
+ *       },
+ *       query: { src: 'flyer' },            // parameters encoded in the QR URL
+ *     },
+ *     content: { title: 'Good evening, Berlin!' },
+ *   }
+ *
+ * Regions come from the offline geo database (services/geoLookup.js); without
+ * one, region conditions never match.
+ */
+
+const { lookupRegion } = require('./geoLookup');
+const {
+  CONTENT_TYPES,
+  OVERRIDE_FIELDS,
+  validateRecurrence,
+  isRecurrenceActive,
+  applyContentOverrides,
+} = require('./contentSchedule');
+const { validateTranslations } = require('./contentLocalization');
+
+// Same categories as the frontend's getDeviceType()
+const DEVICE_TYPES = ['mobile', 'tablet', 'desktop'];
+
+// Query parameters the content endpoint uses itself
+const RESERVED_QUERY_PARAMS = ['sessionId', 'preview', 'at', 'variant', 'lang', 'device', 'region', 'org'];
+
+const MAX_RULES = 50;
+const MAX_QUERY_VALUE_LENGTH = 200;
+const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function validateMatch(match, prefix) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const errors = [];
+  const { regions, deviceTypes, timeOfDay, query } = match;
+
+  Object.keys(match).forEach((condition) => {
+    if (!['regions', 'deviceTypes', 'timeOfDay', 'query'].includes(condition)) {
+      errors.push(`${prefix}.${condition} is not a supported condition`);
+    }
+  });
+
+  if (regions === undefined && deviceTypes === undefined && timeOfDay === undefined && query === undefined) {
+    errors.push(`${prefix} needs at least one condition`);
+  }
+
+  if (regions !== undefined && (
+    !Array.isArray(regions)
+    || regions.length === 0
+    || !regions.every(region => typeof region === 'string' && REGION_PATTERN.test(region))
+  )) {
+    errors.push(`${prefix}.regions must be a non-empty list of ISO 3166 codes (e.g. DE or US-CA)`);
+  }
+
+  if (deviceTypes !== undefined && (
+    !Array.isArray(deviceTypes)
+    || deviceTypes.length === 0
+    || !deviceTypes.every(type => DEVICE_TYPES.includes(type))
+  )) {
+    errors.push(`${prefix}.deviceTypes must be a non-empty list of ${DEVICE_TYPES.join(', ')}`);
+  }
+
+  if (timeOfDay !== undefined) {
+    errors.push(...validateRecurrence(timeOfDay, `${prefix}.timeOfDay`));
+  }
+
+  if (query !== undefined) {
+    if (!query || typeof query !== 'object' || Array.isArray(query) || Object.keys(query).length === 0) {
+      errors.push(`${prefix}.query must be an object of parameter values`);
+    } else {
+      Object.entries(query).forEach(([name, expected]) => {
+        const values = Array.isArray(expected) ? expected : [expected];
+
+        if (!/^[\w-]{1,64}$/.test(name)) {
+          errors.push(`${prefix}.query: "${name}" is not a valid parameter name`);
+        } else if (RESERVED_QUERY_PARAMS.includes(name)) {
+          errors.push(`${prefix}.query.${name} is reserved`);
+        } else if (values.length === 0 || !values.every(value => (
+          typeof value === 'string' && value.length <= MAX_QUERY_VALUE_LENGTH
+        ))) {
+          errors.push(`${prefix}.query.${name} must be a string or a list of strings`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rule list; returns a list of error messages (empty when valid)
+ */
+function validateRules(rules) {
+  if (rules === null || rules === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(rules)) {
+    return ['rules must be an array'];
+  }
+
+  if (rules.length > MAX_RULES) {
+    return [`rules can have at most ${MAX_RULES} entries`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  rules.forEach((rule, index) => {
+    const prefix = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    if (typeof rule.id !== 'string' || !/^[\w-]{1,64}$/.test(rule.id)) {
+      errors.push(`${prefix}.id must be 1-64 letters, digits, "-" or "_"`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${prefix}.id "${rule.id}" is not unique`);
+    } else {
+      ids.add(rule.id);
+    }
+
+    errors.push(...validateMatch(rule.match, `${prefix}.match`));
+
+    if (!rule.content || typeof rule.content !== 'object' || Array.isArray(rule.content)) {
+      errors.push(`${prefix}.content must be an object`);
+      return;
+    }
+
+    Object.keys(rule.content).forEach((field) => {
+      if (!OVERRIDE_FIELDS.includes(field)) {
+        errors.push(`${prefix}.content.${field} cannot be targeted`);
+      }
+    });
+
+    if (rule.content.type !== undefined && !CONTENT_TYPES.includes(rule.content.type)) {
+      errors.push(`${prefix}.content.type is invalid`);
+    }
+
+    errors.push(...validateTranslations(rule.content.translations, `${prefix}.content.translations`));
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// Request Context
+// ============================================================================
+
+/**
+ * Device category from a User-Agent header, matching the frontend's
+ * getDeviceType()
+ */
+function detectDeviceType(userAgent) {
+  const ua = userAgent || '';
+
+  if (/iPad|tablet/i.test(ua)) {
+    return 'tablet';
+  } else if (/mobile/i.test(ua)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
+/**
+ * Build the context rules are evaluated against
+ *
+ * Options:
+ * - ipAddress / userAgent: the scanning request
+ * - query: the request's query parameters
+ * - now: evaluation time (default: now)
+ * - device / region: explicit values (previews), instead of detection
+ */
+function buildRuleContext(options = {}) {
+  const { ipAddress, userAgent, query = {}, now = new Date(), device, region } = options;
+
+  let location = null;
+  if (region) {
+    const [country, subdivision] = region.toUpperCase().split('-');
+    location = { country, region: subdivision || null };
+  } else {
+    location = lookupRegion(ipAddress);
+  }
+
+  return {
+    location,
+    deviceType: DEVICE_TYPES.includes(device) ? device : detectDeviceType(userAgent),
+    query,
+    now,
+  };
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+function matchesRegion(regions, location) {
+  if (!location) {
+    return false;
+  }
+
+  return regions.some((code) => {
+    const [country, subdivision] = code.split('-');
+    return country === location.country && (!subdivision || subdivision === location.region);
+  });
+}
+
+function matchesQuery(expected, query) {
+  return Object.entries(expected).every(([name, values]) => {
+    const actual = query[name];
+    return typeof actual === 'string' && [].concat(values).includes(actual);
+  });
+}
+
+/**
+ * Whether a rule's conditions all hold for a request context
+ */
+function isRuleMatch(rule, context) {
+  const { regions, deviceTypes, timeOfDay, query } = rule.match || {};
+
+  if (regions && !matchesRegion(regions, context.location)) return false;
+  if (deviceTypes && !deviceTypes.includes(context.deviceType)) return false;
+  if (timeOfDay && !isRecurrenceActive(timeOfDay, context.now)) return false;
+  if (query && !matchesQuery(query, context.query || {})) return false;
+
+  return true;
+}
+
+/**
+ * Apply the first rule matching the request context
+ *
+ * Returns the content without the rule list, plus the id of the rule that
+ * fired (null when none matched)
+ */
+function resolveRuleContent(content, context) {
+  const { rules, ...base } = content;
+  const rule = (rules || []).find(candidate => isRuleMatch(candidate, context));
+
+  if (!rule) {
+    return { content: base, ruleId: null };
+  }
+
+  return {
+    content: applyContentOverrides(base, rule.content),
+    ruleId: rule.id,
+  };
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+/**
+ * Per-rule scans, clicks and CTR from adapter counts
+ *
+ * Events served the marker's own content (no rule fired) are reported with
+ * ruleId null; rules with events but no definition are still reported.
+ */
+function buildRuleReport(summaries, rules) {
+  const definitions = rules || [];
+  const byId = new Map(summaries.map(summary => [summary.ruleId, summary]));
+
+  const ids = [
+    ...definitions.map(rule => rule.id),
+    ...summaries.map(summary => summary.ruleId).filter(id => id !== null && !definitions.some(r => r.id === id)),
+    null,
+  ];
+
+  return ids.map((id) => {
+    const definition = definitions.find(rule => rule.id === id);
+    const summary = byId.get(id) || { totalScans: 0, totalClicks: 0, scanSessions: 0 };
+
+    return {
+      ruleId: id,
+      label: definition ? definition.label || null : null,
+      totalScans: summary.totalScans,
+      totalClicks: summary.totalClicks,
+      ctr: summary.totalScans > 0 ? Math.round((summary.totalClicks / summary.totalScans) * 10000) / 10000 : 0,
+      sessions: summary.scanSessions,
+    };
+  });
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  DEVICE_TYPES,
+  RESERVED_QUERY_PARAMS,
+  validateRules,
+  detectDeviceType,
+  buildRuleContext,
+  isRuleMatch,
+  resolveRuleContent,
+  buildRuleReport,
+};
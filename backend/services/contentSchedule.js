@@ -0,0 +1,302 @@
+/**
+ * Content Schedule Service
+ *
+ * Resolves which content a marker shows right now. A marker may hold a
+ * `schedule`: an ordered list of entries, each overriding some of the
+ * marker's fields while it is active. The first active entry wins; outside
+ * every window the marker's own fields are shown (the fallback entry).
+ *
+ * Entry format:
+ *   {
+ *     id: 'breakfast',                       // unique within the schedule
+ *     label: 'Breakfast promo',              // optional, for the admin UI
+ *     startsAt: '2025-06-01T00:00:00Z',      // optional absolute window
+ *     endsAt: '2025-09-01T00:00:00Z',
+ *     recurrence: {                          // optional recurring window
+ *       daysOfWeek: [1, 2, 3, 4, 5],         // 0 = Sunday (default: every day)
+ *       startTime: '06:00',                  // local time, 24h
+ *       endTime: '11:00',                    // earlier than startTime = overnight
+ *       timezone: 'Europe/Berlin',           // IANA zone (default: UTC)
+ *     },
+ *     content: { title: 'Good morning!', style: { accentColor: '#ffcc00' } },
+ *   }
+ *
+ * An entry with neither window is always active (useful as a temporary
+ * override that is removed later).
+ */
+
+const { validateTranslations, mergeTranslations } = require('./contentLocalization');
+
+const CONTENT_TYPES = ['video', 'news', '3d', 'image'];
+
+// Fields an entry (or a variant) may override; schedule, variants and expiry
+// are marker-level
+const OVERRIDE_FIELDS = [
+  'type',
+  'title',
+  'summary',
+  'url',
+  'videoUrl',
+  'posterUrl',
+  'modelUrl',
+  'imageUrl',
+  'ctaText',
+  'ctaUrl',
+  'style',
+  'translations',
+];
+
+const MAX_SCHEDULE_ENTRIES = 50;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a schedule; returns a list of error messages (empty when valid)
+ */
+function validateSchedule(schedule) {
+  if (schedule === null || schedule === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(schedule)) {
+    return ['schedule must be an array of entries'];
+  }
+
+  if (schedule.length > MAX_SCHEDULE_ENTRIES) {
+    return [`schedule can have at most ${MAX_SCHEDULE_ENTRIES} entries`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  schedule.forEach((entry, index) => {
+    const prefix = `schedule[${index}]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    if (typeof entry.id !== 'string' || entry.id.trim() === '') {
+      errors.push(`${prefix}.id is required`);
+    } else if (ids.has(entry.id)) {
+      errors.push(`${prefix}.id "${entry.id}" is not unique`);
+    } else {
+      ids.add(entry.id);
+    }
+
+    ['startsAt', 'endsAt'].forEach((field) => {
+      if (entry[field] !== undefined && entry[field] !== null && !isValidDate(entry[field])) {
+        errors.push(`${prefix}.${field} must be an ISO 8601 date`);
+      }
+    });
+
+    if (isValidDate(entry.startsAt) && isValidDate(entry.endsAt)
+      && Date.parse(entry.startsAt) >= Date.parse(entry.endsAt)) {
+      errors.push(`${prefix}.endsAt must be after startsAt`);
+    }
+
+    if (entry.recurrence !== undefined && entry.recurrence !== null) {
+      errors.push(...validateRecurrence(entry.recurrence, `${prefix}.recurrence`));
+    }
+
+    if (!entry.content || typeof entry.content !== 'object' || Array.isArray(entry.content)) {
+      errors.push(`${prefix}.content must be an object`);
+      return;
+    }
+
+    Object.keys(entry.content).forEach((field) => {
+      if (!OVERRIDE_FIELDS.includes(field)) {
+        errors.push(`${prefix}.content.${field} cannot be scheduled`);
+      }
+    });
+
+    if (entry.content.type !== undefined && !CONTENT_TYPES.includes(entry.content.type)) {
+      errors.push(`${prefix}.content.type is invalid`);
+    }
+
+    errors.push(...validateTranslations(entry.content.translations, `${prefix}.content.translations`));
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a recurring window (also used by targeting rules' timeOfDay)
+ */
+function validateRecurrence(recurrence, prefix) {
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const errors = [];
+  const { daysOfWeek, startTime, endTime, timezone } = recurrence;
+
+  if (daysOfWeek !== undefined && (
+    !Array.isArray(daysOfWeek)
+    || daysOfWeek.length === 0
+    || !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  )) {
+    errors.push(`${prefix}.daysOfWeek must be a non-empty list of days 0-6 (0 = Sunday)`);
+  }
+
+  if ((startTime === undefined) !== (endTime === undefined)) {
+    errors.push(`${prefix} needs both startTime and endTime`);
+  }
+
+  [['startTime', startTime], ['endTime', endTime]].forEach(([field, value]) => {
+    if (value !== undefined && !TIME_PATTERN.test(value)) {
+      errors.push(`${prefix}.${field} must be HH:MM (24h)`);
+    }
+  });
+
+  if (startTime !== undefined && startTime === endTime) {
+    errors.push(`${prefix}.endTime must differ from startTime`);
+  }
+
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    errors.push(`${prefix}.timezone must be an IANA time zone (e.g. Europe/Berlin)`);
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+function parseTime(value) {
+  const [, hours, minutes] = value.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Day of week (0 = Sunday) and minutes since midnight in a time zone
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+  };
+}
+
+/**
+ * Whether a recurring window covers the given time
+ */
+function isRecurrenceActive(recurrence, now) {
+  const { daysOfWeek, startTime, endTime, timezone = 'UTC' } = recurrence;
+  const local = getLocalTime(now, timezone);
+  const onDay = day => !daysOfWeek || daysOfWeek.includes(day);
+
+  if (startTime === undefined) {
+    return onDay(local.dayOfWeek);
+  }
+
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+
+  if (start < end) {
+    return onDay(local.dayOfWeek) && local.minutes >= start && local.minutes < end;
+  }
+
+  // Overnight window (e.g. 22:00-02:00): the part after midnight belongs to
+  // the window that started the previous day
+  if (local.minutes >= start) {
+    return onDay(local.dayOfWeek);
+  }
+
+  return local.minutes < end && onDay((local.dayOfWeek + 6) % 7);
+}
+
+/**
+ * Whether a schedule entry is active at the given time
+ */
+function isEntryActive(entry, now = new Date()) {
+  const time = now.getTime();
+
+  if (entry.startsAt && time < Date.parse(entry.startsAt)) return false;
+  if (entry.endsAt && time >= Date.parse(entry.endsAt)) return false;
+
+  return !entry.recurrence || isRecurrenceActive(entry.recurrence, now);
+}
+
+/**
+ * Apply content overrides: style and translations are merged, other fields
+ * replaced
+ */
+function applyContentOverrides(content, overrides = {}) {
+  const merged = {
+    ...content,
+    ...overrides,
+    style: overrides.style ? { ...(content.style || {}), ...overrides.style } : content.style,
+  };
+
+  if (content.translations || overrides.translations) {
+    merged.translations = mergeTranslations(content.translations, overrides);
+  }
+
+  return merged;
+}
+
+/**
+ * Resolve the content a marker shows at the given time
+ *
+ * Returns the content with the first active entry applied, without the
+ * schedule itself, plus the id of the entry that was applied (null when
+ * showing the fallback)
+ */
+function resolveScheduledContent(content, now = new Date()) {
+  const { schedule, ...base } = content;
+  const entry = (schedule || []).find(candidate => isEntryActive(candidate, now));
+
+  if (!entry) {
+    return { content: base, scheduleEntryId: null };
+  }
+
+  return {
+    content: applyContentOverrides(base, entry.content),
+    scheduleEntryId: entry.id,
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  CONTENT_TYPES,
+  OVERRIDE_FIELDS,
+  validateSchedule,
+  validateRecurrence,
+  isRecurrenceActive,
+  isEntryActive,
+  applyContentOverrides,
+  resolveScheduledContent,
+};
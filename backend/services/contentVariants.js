@@ -0,0 +1,291 @@
+/**
+ * Content Variants Service
+ *
+ * A/B and multivariate experiments per marker. A marker may hold `variants`:
+ * weighted sets of content overrides. Each scanning session is assigned one
+ * variant, and every analytics event from that session is tagged with it.
+ *
+ * Variant format:
+ *   {
+ *     id: 'red-cta',                          // unique within the marker
+ *     label: 'Red call to action',            // optional, for the admin UI
+ *     weight: 50,                             // relative traffic share (0 pauses)
+ *     content: { ctaText: 'Buy now', style: { accentColor: '#ff3b30' } },
+ *   }
+ *
+ * Assignment hashes the marker and session id, so a session always sees the
+ * same variant (as long as the weights don't change) without storing state.
+ * The first variant is the control that the others are compared against.
+ */
+
+const crypto = require('crypto');
+const { CONTENT_TYPES, OVERRIDE_FIELDS, applyContentOverrides } = require('./contentSchedule');
+const { validateTranslations } = require('./contentLocalization');
+
+const MAX_VARIANTS = 10;
+
+// Sessions needed per variant before a difference is reported as significant
+const MIN_SESSIONS_FOR_SIGNIFICANCE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate a variant list; returns a list of error messages (empty when valid)
+ */
+function validateVariants(variants) {
+  if (variants === null || variants === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(variants)) {
+    return ['variants must be an array'];
+  }
+
+  if (variants.length > MAX_VARIANTS) {
+    return [`variants can have at most ${MAX_VARIANTS} entries`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  variants.forEach((variant, index) => {
+    const prefix = `variants[${index}]`;
+
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    if (typeof variant.id !== 'string' || !/^[\w-]{1,64}$/.test(variant.id)) {
+      errors.push(`${prefix}.id must be 1-64 letters, digits, "-" or "_"`);
+    } else if (ids.has(variant.id)) {
+      errors.push(`${prefix}.id "${variant.id}" is not unique`);
+    } else {
+      ids.add(variant.id);
+    }
+
+    if (typeof variant.weight !== 'number' || !Number.isFinite(variant.weight) || variant.weight < 0) {
+      errors.push(`${prefix}.weight must be a number >= 0`);
+    }
+
+    if (!variant.content || typeof variant.content !== 'object' || Array.isArray(variant.content)) {
+      errors.push(`${prefix}.content must be an object`);
+      return;
+    }
+
+    Object.keys(variant.content).forEach((field) => {
+      if (!OVERRIDE_FIELDS.includes(field)) {
+        errors.push(`${prefix}.content.${field} cannot vary between variants`);
+      }
+    });
+
+    if (variant.content.type !== undefined && !CONTENT_TYPES.includes(variant.content.type)) {
+      errors.push(`${prefix}.content.type is invalid`);
+    }
+
+    errors.push(...validateTranslations(variant.content.translations, `${prefix}.content.translations`));
+  });
+
+  if (errors.length === 0 && variants.length > 0 && !variants.some(v => v.weight > 0)) {
+    errors.push('at least one variant needs a weight above 0');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Assignment
+// ============================================================================
+
+/**
+ * Map a marker/session pair to a stable number in [0, 1)
+ */
+function hashToUnit(markerId, sessionId) {
+  const hash = crypto.createHash('sha256').update(`${markerId}:${sessionId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Pick the variant for a session by weight
+ * Without a session id the pick is random (and therefore not sticky)
+ */
+function assignVariant(variants, markerId, sessionId) {
+  const active = (variants || []).filter(variant => variant.weight > 0);
+
+  if (active.length === 0) {
+    return null;
+  }
+
+  const totalWeight = active.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = (sessionId ? hashToUnit(markerId, sessionId) : Math.random()) * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of active) {
+    cumulative += variant.weight;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+
+  return active[active.length - 1];
+}
+
+/**
+ * Apply the session's variant to resolved content
+ *
+ * Options:
+ * - sessionId: scanning session (sticky assignment)
+ * - variantId: force a specific variant (previews)
+ *
+ * Returns the content without the variant list, plus the applied variant id
+ */
+function resolveVariantContent(content, markerId, options = {}) {
+  const { variants, ...base } = content;
+
+  if (!variants || variants.length === 0) {
+    return { content: base, variantId: null };
+  }
+
+  const variant = options.variantId
+    ? variants.find(candidate => candidate.id === options.variantId)
+    : assignVariant(variants, markerId, options.sessionId);
+
+  if (!variant) {
+    return { content: base, variantId: null };
+  }
+
+  return {
+    content: applyContentOverrides(base, variant.content),
+    variantId: variant.id,
+  };
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t
+    + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test; returns the p-value (null if undefined)
+ */
+function twoProportionPValue(successesA, totalA, successesB, totalB) {
+  if (totalA === 0 || totalB === 0) {
+    return null;
+  }
+
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+  if (standardError === 0) {
+    return null;
+  }
+
+  const z = (successesB / totalB - successesA / totalA) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build the per-variant report from adapter counts
+ *
+ * CTR is clicks per scan. Significance compares the share of sessions with
+ * at least one click (conversion rate) against the control variant using a
+ * two-proportion z-test at 95% confidence.
+ *
+ * `variants` is the marker's current definition (may be null when the
+ * experiment was removed); variants with events but no definition are still
+ * reported.
+ */
+function buildVariantReport(summaries, variants) {
+  const definitions = variants || [];
+  const byId = new Map(summaries.map(summary => [summary.variantId, summary]));
+
+  const ids = [
+    ...definitions.map(variant => variant.id),
+    ...summaries.map(summary => summary.variantId).filter(id => !definitions.some(v => v.id === id)),
+  ];
+
+  const rows = ids.map((id) => {
+    const definition = definitions.find(variant => variant.id === id);
+    const summary = byId.get(id) || {
+      totalScans: 0,
+      totalClicks: 0,
+      scanSessions: 0,
+      clickSessions: 0,
+    };
+
+    return {
+      variantId: id,
+      label: definition ? definition.label || null : null,
+      weight: definition ? definition.weight : null,
+      totalScans: summary.totalScans,
+      totalClicks: summary.totalClicks,
+      ctr: summary.totalScans > 0 ? round(summary.totalClicks / summary.totalScans) : 0,
+      sessions: summary.scanSessions,
+      convertedSessions: summary.clickSessions,
+      conversionRate: summary.scanSessions > 0 ? round(summary.clickSessions / summary.scanSessions) : 0,
+    };
+  });
+
+  const control = rows[0] || null;
+
+  rows.forEach((row) => {
+    if (row === control) {
+      row.significance = null;
+      return;
+    }
+
+    const pValue = twoProportionPValue(
+      control.convertedSessions,
+      control.sessions,
+      row.convertedSessions,
+      row.sessions
+    );
+    const enoughData = control.sessions >= MIN_SESSIONS_FOR_SIGNIFICANCE
+      && row.sessions >= MIN_SESSIONS_FOR_SIGNIFICANCE;
+
+    const controlRate = control.sessions > 0 ? control.convertedSessions / control.sessions : 0;
+    const rate = row.sessions > 0 ? row.convertedSessions / row.sessions : 0;
+
+    row.significance = {
+      comparedTo: control.variantId,
+      lift: controlRate > 0 ? round((rate - controlRate) / controlRate) : null,
+      pValue: pValue === null ? null : round(pValue),
+      significant: enoughData && pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+      enoughData,
+    };
+  });
+
+  return {
+    controlVariantId: control ? control.variantId : null,
+    variants: rows,
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  validateVariants,
+  assignVariant,
+  resolveVariantContent,
+  twoProportionPValue,
+  buildVariantReport,
+};
@@ -0,0 +1,66 @@
+/**
+ * Engagement Funnel Service
+ *
+ * The steps a scanning session goes through, in order:
+ *
+ *   scan       the scan page opened and loaded the content
+ *   detection  the camera found the marker
+ *   view       the content was viewed for at least `minViewSeconds`
+ *              (a viewDuration event that long)
+ *   click      the call to action was clicked
+ *   share      the experience was shared
+ *
+ * Only sessions with a scan are counted, and a session reaches a step when
+ * it has an event for it and every step before (in any order, since events
+ * from offline queues arrive late), so each step counts at most as many
+ * sessions as the one before and funnels are comparable across markers.
+ */
+
+const FUNNEL_STEPS = ['scan', 'detection', 'view', 'click', 'share'];
+
+const DEFAULT_MIN_VIEW_SECONDS = 5;
+
+/**
+ * Per-step sessions and conversion for a marker from adapter counts
+ * (getFunnelSummaries); `summary` may be undefined for a marker without
+ * sessions. `conversion` is the share of the previous step's sessions,
+ * `overallConversion` the share of the scanning sessions.
+ */
+function buildFunnelReport(markerId, summary, minViewSeconds) {
+  const counts = FUNNEL_STEPS.map(step => (summary ? summary[`${step}Sessions`] : 0));
+
+  return {
+    markerId,
+    minViewSeconds,
+    sessions: counts[0],
+    steps: FUNNEL_STEPS.map((step, index) => {
+      const previous = index > 0 ? counts[index - 1] : null;
+
+      return {
+        step,
+        sessions: counts[index],
+        conversion: previous === null ? null : rate(counts[index], previous),
+        overallConversion: rate(counts[index], counts[0]),
+        dropOff: previous === null ? 0 : previous - counts[index],
+      };
+    }),
+  };
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : 0;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  FUNNEL_STEPS,
+  DEFAULT_MIN_VIEW_SECONDS,
+  buildFunnelReport,
+};
@@ -0,0 +1,178 @@
+/**
+ * Geo Lookup Service
+ *
+ * Coarse location (country and region) for a client IP from an offline
+ * IP-to-region database; no request ever leaves the server.
+ *
+ * GEOIP_DATABASE_PATH points to a CSV file with one range per line:
+ *
+ *   start_ip,end_ip,country[,region]
+ *   1.0.0.0,1.0.0.255,AU,QLD
+ *   2a00:1450::,2a00:1450:ffff:ffff:ffff:ffff:ffff:ffff,DE,BE
+ *
+ * Country codes are ISO 3166-1 alpha-2, regions ISO 3166-2 subdivision codes
+ * (either "BE" or "DE-BE"). DB-IP's free "IP to Country Lite" CSV works as-is.
+ * Without a database every lookup returns null.
+ */
+
+const fs = require('fs');
+const net = require('net');
+
+// Loaded on first lookup; null when no database is configured
+let database;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Convert an IP address to a comparable BigInt (IPv4-mapped IPv6 addresses
+ * are treated as IPv4); returns null for anything that isn't an address
+ */
+function ipToBigInt(ip) {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return {
+      version,
+      value: address.split('.').reduce((sum, octet) => (sum << 8n) + BigInt(octet), 0n),
+    };
+  }
+
+  if (version === 6) {
+    const [head, tail = ''] = address.split('::');
+
+    // An embedded IPv4 suffix counts as two groups
+    const expand = part => part.split(':').filter(Boolean).flatMap((group) => {
+      if (!group.includes('.')) return [parseInt(group, 16)];
+      const [a, b, c, d] = group.split('.').map(Number);
+      return [(a << 8) + b, (c << 8) + d];
+    });
+
+    const headGroups = expand(head);
+    const tailGroups = expand(tail);
+    const groups = [
+      ...headGroups,
+      ...new Array(8 - headGroups.length - tailGroups.length).fill(0),
+      ...tailGroups,
+    ];
+
+    return {
+      version,
+      value: groups.reduce((sum, group) => (sum << 16n) + BigInt(group), 0n),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse the CSV into sorted IPv4 and IPv6 range tables
+ * Lines that don't parse (headers, comments) are skipped
+ */
+function parseGeoDatabase(text) {
+  const table = { 4: [], 6: [] };
+
+  text.split(/\r?\n/).forEach((line) => {
+    const [startIp, endIp, country, region] = line
+      .split(',')
+      .map(field => field.trim().replace(/^"|"$/g, ''));
+
+    const start = ipToBigInt(startIp);
+    const end = ipToBigInt(endIp);
+
+    if (!start || !end || start.version !== end.version || !/^[A-Z]{2}$/i.test(country || '')) {
+      return;
+    }
+
+    const countryCode = country.toUpperCase();
+    const regionCode = region ? region.toUpperCase().replace(`${countryCode}-`, '') : null;
+
+    table[start.version].push({
+      start: start.value,
+      end: end.value,
+      country: countryCode,
+      region: regionCode || null,
+    });
+  });
+
+  [4, 6].forEach((version) => {
+    table[version].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  });
+
+  return table;
+}
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+/**
+ * Find the range containing an IP (binary search)
+ * Returns { country, region } (region may be null) or null when unknown
+ */
+function findRegion(table, ip) {
+  const address = ipToBigInt(ip);
+
+  if (!table || !address) {
+    return null;
+  }
+
+  const ranges = table[address.version];
+  let low = 0;
+  let high = ranges.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const range = ranges[middle];
+
+    if (address.value < range.start) {
+      high = middle - 1;
+    } else if (address.value > range.end) {
+      low = middle + 1;
+    } else {
+      return { country: range.country, region: range.region };
+    }
+  }
+
+  return null;
+}
+
+function loadDatabase() {
+  const databasePath = process.env.GEOIP_DATABASE_PATH;
+
+  if (!databasePath) {
+    return null;
+  }
+
+  try {
+    const table = parseGeoDatabase(fs.readFileSync(databasePath, 'utf8'));
+    console.log(`🌍 Geo database loaded: ${table[4].length + table[6].length} ranges`);
+    return table;
+  } catch (error) {
+    console.error(`Failed to load geo database from ${databasePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Look up a client IP in the configured database
+ */
+function lookupRegion(ip) {
+  if (database === undefined) {
+    database = loadDatabase();
+  }
+
+  return findRegion(database, ip);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  parseGeoDatabase,
+  findRegion,
+  lookupRegion,
+};
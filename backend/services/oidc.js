@@ -0,0 +1,383 @@
+/**
+ * OpenID Connect Single Sign-On Service
+ *
+ * Authorization code flow with PKCE (S256) against the company identity
+ * provider. The dashboard starts a login, is sent to the provider, and posts
+ * the returned code back; the backend exchanges it, verifies the ID token
+ * against the provider's JWKS and maps its claims to a PortalAR user and role.
+ *
+ * The state, nonce and PKCE verifier of a pending login travel in a login
+ * token (a JWT signed with a key derived from ADMIN_JWT_SECRET) that the
+ * dashboard keeps until the provider redirects back.
+ *
+ * Configuration:
+ * - OIDC_ISSUER: issuer URL (its /.well-known/openid-configuration is used)
+ * - OIDC_CLIENT_ID / OIDC_CLIENT_SECRET: client credentials (the secret is
+ *   optional for public clients)
+ * - OIDC_REDIRECT_URI: the dashboard URL registered with the provider
+ * - OIDC_SCOPES: requested scopes (default: openid email profile)
+ * - OIDC_USERNAME_CLAIM: claim used as the username (default: email)
+ * - OIDC_ROLE_CLAIM: claim holding groups or roles (default: groups); dotted
+ *   paths like realm_access.roles work
+ * - OIDC_ROLE_MAPPING: group=role pairs, e.g. "marketing=editor,it=owner";
+ *   without it, claim values that are role names are used as-is
+ * - OIDC_DEFAULT_ROLE: role for users without a mapped group (default: none,
+ *   they can't sign in)
+ * - OIDC_ORGANIZATION: organization SSO users belong to (default: default)
+ * - OIDC_PROVIDER_NAME: name on the login button (default: SSO)
+ *
+ * SSO users get a PortalAR account on their first sign-in (with an unusable
+ * random password), marked with their subject at the provider; their role
+ * follows the provider on every sign-in. Accounts with two-factor
+ * authentication still go through its challenge.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const database = require('../database');
+const { AppError } = require('../middleware/errorHandler');
+const { ROLES } = require('../middleware/permissions');
+const { USERNAME_PATTERN, RESERVED_USERNAME, hashPassword } = require('./users');
+
+const LOGIN_EXPIRES_IN = '10m';
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+// Seconds of clock difference accepted between the provider and this server
+const CLOCK_TOLERANCE = 60;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Discovery documents and signing keys, by issuer
+const providerCache = new Map();
+
+function isOidcEnabled() {
+  return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_REDIRECT_URI);
+}
+
+function getOidcConfig() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'email',
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+    roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    orgId: process.env.OIDC_ORGANIZATION || database.DEFAULT_ORG_ID,
+  };
+}
+
+// ============================================================================
+// Login Flow
+// ============================================================================
+
+/**
+ * Start a login: the provider URL to send the browser to, and the login
+ * token to present with the code afterwards
+ */
+async function createAuthorizationRequest() {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata(config.issuer);
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}${separator}${params}`,
+    loginToken: jwt.sign({ state, nonce, codeVerifier }, getLoginSecret(), { expiresIn: LOGIN_EXPIRES_IN }),
+  };
+}
+
+/**
+ * Finish a login: check the state, exchange the code and verify the ID
+ * token. Returns the ID token claims (merged with userinfo when the role
+ * claim isn't in the ID token).
+ */
+async function completeAuthorization(code, state, loginToken) {
+  let pending;
+
+  try {
+    pending = jwt.verify(loginToken, getLoginSecret());
+  } catch (error) {
+    throw new AppError('Login expired, please sign in again', 401);
+  }
+
+  if (pending.state !== state) {
+    throw new AppError('Login state mismatch, please sign in again', 401);
+  }
+
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata(config.issuer);
+  const tokens = await exchangeCode(metadata, config, code, pending.codeVerifier);
+  const claims = await verifyIdToken(metadata, config, tokens.id_token, pending.nonce);
+
+  if (getClaim(claims, config.roleClaim) === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchUserinfo(metadata, tokens.access_token);
+
+    if (userinfo.sub === claims.sub) {
+      return { ...userinfo, ...claims };
+    }
+  }
+
+  return claims;
+}
+
+// ============================================================================
+// Claims
+// ============================================================================
+
+/**
+ * The PortalAR username for a set of claims
+ */
+function getUsername(claims) {
+  const config = getOidcConfig();
+  const value = getClaim(claims, config.usernameClaim);
+
+  if (config.usernameClaim === 'email' && claims.email_verified === false) {
+    throw new AppError('Your email address is not verified with the identity provider', 403);
+  }
+
+  const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+  if (!USERNAME_PATTERN.test(username) || username === RESERVED_USERNAME) {
+    throw new AppError(`The identity provider did not return a usable ${config.usernameClaim}`, 403);
+  }
+
+  return username;
+}
+
+/**
+ * The most privileged role the claims' groups map to, the default role, or
+ * null
+ */
+function mapClaimsToRole(claims) {
+  const config = getOidcConfig();
+  const value = getClaim(claims, config.roleClaim);
+  const groups = Array.isArray(value)
+    ? value.map(String)
+    : String(value ?? '').split(/[\s,]+/).filter(Boolean);
+
+  const roles = groups
+    .map(group => (config.roleMapping ? config.roleMapping[group] : group))
+    .filter(role => ROLES.includes(role));
+
+  if (roles.length > 0) {
+    return ROLES.find(role => roles.includes(role));
+  }
+
+  return ROLES.includes(config.defaultRole) ? config.defaultRole : null;
+}
+
+/**
+ * Create or update the account of an SSO user so sessions, refreshes and
+ * user management treat it like any other. Accounts are matched on the
+ * provider's subject; a username taken by an account not created by SSO is
+ * refused rather than taken over.
+ */
+async function syncUser(orgId, subject, username, role) {
+  const existing = await database.getUserByOidcSubject(orgId, subject);
+
+  if (existing) {
+    if (existing.role === role) {
+      return existing;
+    }
+
+    return database.setUser(orgId, existing.username, { passwordHash: existing.passwordHash, role });
+  }
+
+  if (await database.getUser(orgId, username)) {
+    throw new AppError(`An account named ${username} exists that was not created by single sign-on; sign in with its password`, 403);
+  }
+
+  return database.setUser(orgId, username, {
+    passwordHash: await hashPassword(crypto.randomBytes(32).toString('base64url')),
+    role,
+    oidcSubject: subject,
+  });
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function getLoginSecret() {
+  return `${process.env.ADMIN_JWT_SECRET}.oidc`;
+}
+
+/**
+ * "group=role,group=role" as an object (null when unset)
+ */
+function parseRoleMapping(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  return Object.fromEntries(value.split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([group, role]) => group && role));
+}
+
+function getClaim(claims, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+async function getProviderMetadata(issuer) {
+  const cached = providerCache.get(issuer);
+  if (cached) return cached.metadata;
+
+  let metadata;
+
+  try {
+    const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+    metadata = response.data;
+  } catch (error) {
+    throw new AppError(`Identity provider unavailable: ${error.message}`, 502);
+  }
+
+  if (metadata.issuer !== issuer) {
+    throw new AppError('Identity provider issuer does not match OIDC_ISSUER', 502);
+  }
+
+  providerCache.set(issuer, { metadata, keys: new Map() });
+  return metadata;
+}
+
+/**
+ * The provider's signing key with a key ID, fetching the JWKS again once
+ * when it's unknown (the provider rotated its keys)
+ */
+async function getSigningKey(metadata, kid) {
+  const { keys } = providerCache.get(metadata.issuer);
+
+  if (!keys.has(kid)) {
+    let jwks;
+
+    try {
+      jwks = (await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT_MS })).data;
+    } catch (error) {
+      throw new AppError(`Identity provider unavailable: ${error.message}`, 502);
+    }
+
+    keys.clear();
+    for (const jwk of jwks.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+
+  return keys.get(kid) || null;
+}
+
+async function exchangeCode(metadata, config, code, codeVerifier) {
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (config.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      form.set('client_secret', config.clientSecret);
+    }
+  }
+
+  try {
+    const response = await axios.post(metadata.token_endpoint, form.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const reason = error.response.data?.error_description || error.response.data?.error || error.response.status;
+      throw new AppError(`Sign-in was rejected by the identity provider: ${reason}`, 401);
+    }
+
+    throw new AppError(`Identity provider unavailable: ${error.message}`, 502);
+  }
+}
+
+async function verifyIdToken(metadata, config, idToken, nonce) {
+  const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+
+  if (!decoded) {
+    throw new AppError('The identity provider returned no ID token', 401);
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  if (!key) {
+    throw new AppError('ID token signed with an unknown key', 401);
+  }
+
+  let claims;
+
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId,
+      clockTolerance: CLOCK_TOLERANCE,
+    });
+  } catch (error) {
+    throw new AppError(`Invalid ID token: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('Invalid ID token: nonce mismatch', 401);
+  }
+
+  if (claims.azp && claims.azp !== config.clientId) {
+    throw new AppError('Invalid ID token: issued to another client', 401);
+  }
+
+  return claims;
+}
+
+async function fetchUserinfo(metadata, accessToken) {
+  try {
+    const response = await axios.get(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: HTTP_TIMEOUT_MS,
+    });
+    return response.data;
+  } catch (error) {
+    throw new AppError(`Identity provider unavailable: ${error.message}`, 502);
+  }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  isOidcEnabled,
+  getOidcConfig,
+  createAuthorizationRequest,
+  completeAuthorization,
+  getUsername,
+  mapClaimsToRole,
+  syncUser,
+};
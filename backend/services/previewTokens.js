@@ -0,0 +1,64 @@
+/**
+ * Draft Preview Tokens
+ *
+ * Signed, expiring tokens that let a scan page render a marker's draft
+ * (`/scan/:markerId?preview=<token>`) without publishing it.
+ *
+ * Tokens are JWTs scoped to a single marker of one organization. They are signed with a key
+ * derived from ADMIN_JWT_SECRET so a preview link can never be used as an
+ * admin token (and vice versa).
+ *
+ * Configuration:
+ * - PREVIEW_TOKEN_EXPIRES_IN: token lifetime (default: 24h)
+ */
+
+const jwt = require('jsonwebtoken');
+
+const PREVIEW_PURPOSE = 'content-preview';
+
+function getSecret() {
+  return `${process.env.ADMIN_JWT_SECRET}.preview`;
+}
+
+/**
+ * Create a preview token for a marker's draft
+ */
+function createPreviewToken(orgId, markerId) {
+  const expiresIn = process.env.PREVIEW_TOKEN_EXPIRES_IN || '24h';
+
+  const token = jwt.sign(
+    {
+      orgId,
+      markerId,
+      purpose: PREVIEW_PURPOSE,
+    },
+    getSecret(),
+    { expiresIn }
+  );
+
+  return { token, expiresIn };
+}
+
+/**
+ * Check a preview token against the requested organization and marker
+ * Returns false for invalid, expired or mismatched tokens
+ */
+function verifyPreviewToken(token, orgId, markerId) {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.purpose === PREVIEW_PURPOSE
+      && payload.orgId === orgId
+      && payload.markerId === markerId;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  createPreviewToken,
+  verifyPreviewToken,
+};
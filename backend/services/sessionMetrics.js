@@ -0,0 +1,72 @@
+/**
+ * Session Metrics Service
+ *
+ * Unique visitors, sessions, repeat visitors, scans per session and bounces
+ * per marker. A session is every event with the same `sessionId` (one page
+ * load of the scan page); a visitor is the browser that sent it:
+ *
+ * - The frontend keeps a random ID in localStorage (none when Do Not Track is
+ *   on) and sends it as `visitorId`. It is never derived from the device.
+ * - Only a hash of the ID and the organization is stored, so the same browser
+ *   can't be linked across organizations or back to its stored ID.
+ * - Sessions without a visitor ID (Do Not Track, events recorded before
+ *   visitor IDs) count as a visitor each.
+ *
+ * A session bounces when it has a scan (content loaded) but no `detection`
+ * event (the camera never found the marker).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The stored form of a browser's visitor ID for an organization
+ */
+function anonymizeVisitorId(orgId, visitorId) {
+  if (!visitorId) {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(`${orgId}:${visitorId}`).digest('hex');
+}
+
+/**
+ * Session metrics for a marker from adapter counts (getSessionSummaries);
+ * `summary` may be undefined for a marker without sessions
+ */
+function buildSessionReport(markerId, summary) {
+  const counts = summary || {
+    sessions: 0,
+    uniqueVisitors: 0,
+    repeatVisitors: 0,
+    scans: 0,
+    scanSessions: 0,
+    bounces: 0,
+  };
+
+  return {
+    markerId,
+    uniqueVisitors: counts.uniqueVisitors,
+    sessions: counts.sessions,
+    repeatVisitors: counts.repeatVisitors,
+    scansPerSession: counts.sessions > 0 ? round(counts.scans / counts.sessions) : 0,
+    bounces: counts.bounces,
+    bounceRate: counts.scanSessions > 0 ? round(counts.bounces / counts.scanSessions) : 0,
+  };
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  anonymizeVisitorId,
+  buildSessionReport,
+};
@@ -0,0 +1,291 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps) for dashboard
+ * sign-ins, plus single-use recovery codes for a lost authenticator.
+ *
+ * Users enroll from the dashboard (secret shown as an otpauth:// QR code)
+ * and confirm with a first code. The deployment admin's secret is set with
+ * ADMIN_TOTP_SECRET (npm run generate-totp-secret).
+ *
+ * When a password is correct but a code is still needed, login returns a
+ * challenge token instead of a session. Challenge tokens are JWTs signed
+ * with a key derived from ADMIN_JWT_SECRET, so they can't be used as access
+ * tokens.
+ *
+ * Configuration:
+ * - REQUIRE_TWO_FACTOR: "true" makes every account enroll before signing in
+ * - ADMIN_TOTP_SECRET: base32 TOTP secret of the deployment admin
+ * - TOTP_ISSUER: name shown in authenticator apps (default: PortalAR)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('../database');
+const { RESERVED_USERNAME } = require('./users');
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Codes from one step before or after are accepted for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function isTwoFactorRequired() {
+  return process.env.REQUIRE_TWO_FACTOR === 'true';
+}
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+/**
+ * A new random secret (160 bits, base32)
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for a secret at a time step
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Check a code; returns the step it matched, or null. Steps at or before
+ * `lastUsedStep` are rejected so a code can't be used twice.
+ */
+function verifyTotp(secret, code, lastUsedStep = null, time = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (rendered as a QR code)
+ */
+function buildOtpauthUrl(secret, accountName) {
+  const issuer = process.env.TOTP_ISSUER || 'PortalAR';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ============================================================================
+// Recovery Codes
+// ============================================================================
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * New recovery codes (xxxxx-xxxxx) and the hashes to store
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// ============================================================================
+// Account Checks
+// ============================================================================
+
+/**
+ * Whether an account has two-factor authentication turned on
+ */
+async function isTwoFactorEnabled(orgId, username, role) {
+  if (role === 'admin') {
+    return Boolean(process.env.ADMIN_TOTP_SECRET);
+  }
+
+  const totp = await database.getUserTotp(orgId, username);
+  return Boolean(totp && totp.enabledAt);
+}
+
+/**
+ * Check an account's TOTP code or one of its recovery codes (which is then
+ * used up). Returns 'totp', 'recovery' or null.
+ */
+async function verifySecondFactor(orgId, username, role, code) {
+  if (role === 'admin') {
+    // The admin's secret is ADMIN_TOTP_SECRET; only its last used step is
+    // stored, once for the deployment
+    const stored = await database.getUserTotp(database.DEFAULT_ORG_ID, RESERVED_USERNAME);
+    const step = verifyTotp(process.env.ADMIN_TOTP_SECRET, code, stored ? stored.lastUsedStep : null);
+
+    return step !== null && await database.useTotpStep(database.DEFAULT_ORG_ID, RESERVED_USERNAME, step)
+      ? 'totp'
+      : null;
+  }
+
+  const totp = await database.getUserTotp(orgId, username);
+
+  if (!totp || !totp.enabledAt) {
+    return null;
+  }
+
+  const step = verifyTotp(totp.secret, code, totp.lastUsedStep);
+
+  if (step !== null) {
+    return await database.useTotpStep(orgId, username, step) ? 'totp' : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+
+  if (totp.recoveryCodeHashes.includes(hash)) {
+    await database.setUserTotp(orgId, username, {
+      ...totp,
+      recoveryCodeHashes: totp.recoveryCodeHashes.filter(h => h !== hash),
+    });
+    return 'recovery';
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Login Challenges
+// ============================================================================
+
+function getChallengeSecret() {
+  return `${process.env.ADMIN_JWT_SECRET}.two-factor`;
+}
+
+/**
+ * A token standing in for a verified password until the second step:
+ * purpose 'verify' (enter a code) or 'enroll' (set up two-factor first)
+ */
+function createChallengeToken(orgId, username, role, purpose) {
+  return jwt.sign({ orgId, username, role, purpose }, getChallengeSecret(), {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+}
+
+/**
+ * The challenge's account, or null if the token is invalid, expired or for
+ * another purpose
+ */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const claims = jwt.verify(token, getChallengeSecret());
+    return claims.purpose === purpose ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  isTwoFactorRequired,
+  generateTotpSecret,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorEnabled,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  base32Encode,
+  base32Decode,
+};
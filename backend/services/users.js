@@ -0,0 +1,56 @@
+/**
+ * User Account Service
+ *
+ * Password hashing and the public shape of user records. Usernames are
+ * lowercase (emails work too) and unique per organization; `admin` is
+ * reserved for the deployment admin configured with ADMIN_PASSWORD_HASH.
+ */
+
+const bcrypt = require('bcryptjs');
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._@+-]{0,99}$/;
+const RESERVED_USERNAME = 'admin';
+const MIN_PASSWORD_LENGTH = 8;
+const SALT_ROUNDS = 10;
+
+// Compared against when the username doesn't exist, so failed logins take
+// the same time either way
+let dummyHash = null;
+
+function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Check a password against a user record (null: unknown user, always false)
+ */
+async function verifyPassword(user, password) {
+  if (!user) {
+    dummyHash = dummyHash || await bcrypt.hash('unknown-user', SALT_ROUNDS);
+    await bcrypt.compare(password, dummyHash);
+    return false;
+  }
+
+  return bcrypt.compare(password, user.passwordHash);
+}
+
+/**
+ * A user record without its password hash
+ */
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  USERNAME_PATTERN,
+  RESERVED_USERNAME,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+};
@@ -0,0 +1,1529 @@
+/**
+ * Database Adapter Conformance Suite
+ *
+ * Shared Jest suite that every database adapter must pass, so routes can rely
+ * on identical behavior regardless of DATABASE_TYPE.
+ *
+ * Usage (from an adapter's *.test.js file):
+ *
+ *   describeAdapterConformance('sqlite', {
+ *     setup: async () => adapter,      // connect + migrate, return the adapter
+ *     reset: async () => {},           // empty all data before each test
+ *     teardown: async () => {},        // close connections
+ *   });
+ */
+
+const ORG_ID = 'default';
+
+const CONTENT_FIELDS = [
+  'orgId', 'markerId', 'type', 'title', 'summary', 'url', 'videoUrl', 'posterUrl',
+  'modelUrl', 'imageUrl', 'ctaText', 'ctaUrl', 'style', 'schedule', 'variants',
+  'rules', 'translations', 'campaignId', 'expiresAt',
+  'createdAt', 'updatedAt',
+];
+
+const CAMPAIGN_FIELDS = [
+  'orgId', 'id', 'name', 'client', 'startsAt', 'endsAt', 'defaultStyle', 'tags', 'status',
+  'createdAt', 'updatedAt',
+];
+
+const ANALYTICS_FIELDS = [
+  'id', 'orgId', 'markerId', 'eventType', 'sessionId', 'timestamp', 'duration',
+  'userAgent', 'ipAddress', 'metadata', 'variantId', 'ruleId', 'visitorId',
+];
+
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeAdapterConformance(name, { setup, reset, teardown }) {
+  describe(`${name} adapter conformance`, () => {
+    let adapter;
+
+    beforeAll(async () => {
+      adapter = await setup();
+    });
+
+    beforeEach(async () => {
+      await reset();
+    });
+
+    afterAll(async () => {
+      await teardown();
+    });
+
+    // ========================================================================
+    // Content
+    // ========================================================================
+
+    describe('content', () => {
+      const newsContent = {
+        type: 'news',
+        title: 'Headline',
+        summary: 'Summary text',
+        url: 'https://example.com/article',
+        imageUrl: 'https://example.com/image.jpg',
+        ctaText: 'Read',
+        ctaUrl: 'https://example.com/cta',
+        style: { backgroundColor: '#000000', textColor: '#ffffff', accentColor: '#00ff88' },
+      };
+
+      test('getContent returns null for an unknown marker', async () => {
+        expect(await adapter.getContent(ORG_ID, 'missing-marker')).toBeNull();
+      });
+
+      test('setContent returns the saved content with its markerId', async () => {
+        const saved = await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        expect(saved).toMatchObject({ markerId: 'marker-1', ...newsContent });
+      });
+
+      test('getContent returns every field, with null for unset ones', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+
+        expect(Object.keys(content).sort()).toEqual([...CONTENT_FIELDS].sort());
+        expect(content).toMatchObject({ markerId: 'marker-1', ...newsContent });
+        expect(content.videoUrl).toBeNull();
+        expect(content.posterUrl).toBeNull();
+        expect(content.modelUrl).toBeNull();
+        expect(content.expiresAt).toBeNull();
+      });
+
+      test('style round-trips as an object', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(content.style).toEqual(newsContent.style);
+      });
+
+      test('schedule round-trips as an array of entries', async () => {
+        const schedule = [
+          {
+            id: 'breakfast',
+            recurrence: { daysOfWeek: [1, 2, 3, 4, 5], startTime: '06:00', endTime: '11:00', timezone: 'Europe/Berlin' },
+            content: { title: 'Breakfast promo', style: { accentColor: '#ffcc00' } },
+          },
+          {
+            id: 'launch',
+            startsAt: '2030-06-01T00:00:00.000Z',
+            endsAt: '2030-06-08T00:00:00.000Z',
+            content: { type: 'video', videoUrl: 'https://example.com/launch.mp4' },
+          },
+        ];
+
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, schedule });
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(content.schedule).toEqual(schedule);
+      });
+
+      test('translations round-trip as an object keyed by locale', async () => {
+        const translations = {
+          'pt-BR': { title: 'Manchete', ctaText: 'Ler' },
+          de: { title: 'Schlagzeile', summary: 'Zusammenfassung' },
+        };
+
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, translations });
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(content.translations).toEqual(translations);
+      });
+
+      test('rules round-trip as an ordered list', async () => {
+        const rules = [
+          {
+            id: 'berlin-mobile',
+            match: { regions: ['DE-BE'], deviceTypes: ['mobile'] },
+            content: { title: 'Hallo Berlin' },
+          },
+          { id: 'flyer', match: { query: { src: ['flyer', 'poster'] } }, content: { ctaText: 'Redeem' } },
+        ];
+
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, rules });
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(content.rules).toEqual(rules);
+      });
+
+      test('timestamps are ISO strings', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+
+        expect(content.createdAt).toMatch(ISO_PATTERN);
+        expect(content.updatedAt).toMatch(ISO_PATTERN);
+      });
+
+      test('setContent replaces existing content (upsert)', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        await adapter.setContent(ORG_ID, 'marker-1', {
+          type: 'video',
+          title: 'Video title',
+          videoUrl: 'https://example.com/video.mp4',
+        });
+
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(content.type).toBe('video');
+        expect(content.title).toBe('Video title');
+        expect(content.videoUrl).toBe('https://example.com/video.mp4');
+        // Fields omitted from the update are cleared, not merged
+        expect(content.summary).toBeNull();
+        expect(content.style).toBeNull();
+      });
+
+      test('updates keep createdAt and advance updatedAt', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        const original = await adapter.getContent(ORG_ID, 'marker-1');
+
+        await sleep(20);
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, title: 'Updated' });
+        const updated = await adapter.getContent(ORG_ID, 'marker-1');
+
+        expect(updated.createdAt).toBe(original.createdAt);
+        expect(new Date(updated.updatedAt).getTime())
+          .toBeGreaterThan(new Date(original.updatedAt).getTime());
+      });
+
+      test('expiresAt round-trips as the same instant', async () => {
+        const expiresAt = '2030-06-15T12:30:00.000Z';
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, expiresAt });
+
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(new Date(content.expiresAt).toISOString()).toBe(expiresAt);
+      });
+
+      test('expiresAt can be cleared by saving without it', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, expiresAt: '2030-06-15T12:30:00.000Z' });
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+
+        const content = await adapter.getContent(ORG_ID, 'marker-1');
+        expect(content.expiresAt).toBeNull();
+      });
+
+      test('deleteContent reports whether anything was deleted', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+
+        expect(await adapter.deleteContent(ORG_ID, 'marker-1')).toEqual({ deleted: true });
+        expect(await adapter.getContent(ORG_ID, 'marker-1')).toBeNull();
+        expect(await adapter.deleteContent(ORG_ID, 'marker-1')).toEqual({ deleted: false });
+      });
+
+      test('listAllContent returns all markers, most recently updated first', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', newsContent);
+        await sleep(20);
+        await adapter.setContent(ORG_ID, 'marker-2', newsContent);
+        await sleep(20);
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, title: 'Touched' });
+
+        const list = await adapter.listAllContent(ORG_ID);
+        expect(list.map(c => c.markerId)).toEqual(['marker-1', 'marker-2']);
+        expect(Object.keys(list[0]).sort()).toEqual([...CONTENT_FIELDS].sort());
+      });
+
+      test('listAllContent returns an empty array when there is no content', async () => {
+        expect(await adapter.listAllContent(ORG_ID)).toEqual([]);
+      });
+
+      test('listAllContent filters by campaign', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', { ...newsContent, campaignId: 'summer' });
+        await adapter.setContent(ORG_ID, 'marker-2', newsContent);
+        await adapter.setContent(ORG_ID, 'marker-3', { ...newsContent, campaignId: 'winter' });
+
+        const list = await adapter.listAllContent(ORG_ID, { campaignId: 'summer' });
+        expect(list.map(c => c.markerId)).toEqual(['marker-1']);
+        expect(list[0].campaignId).toBe('summer');
+        expect(await adapter.listAllContent(ORG_ID, { campaignId: 'none' })).toEqual([]);
+      });
+    });
+
+    // ========================================================================
+    // Campaigns
+    // ========================================================================
+
+    describe('campaigns', () => {
+      const campaign = {
+        name: 'Summer 2030',
+        client: 'Acme',
+        startsAt: '2030-06-01T00:00:00.000Z',
+        endsAt: '2030-09-01T00:00:00.000Z',
+        defaultStyle: { accentColor: '#ffcc00' },
+        tags: ['retail', 'outdoor'],
+        status: 'active',
+      };
+
+      test('setCampaign creates a campaign that getCampaign returns', async () => {
+        await adapter.setCampaign(ORG_ID, 'summer', campaign);
+        const saved = await adapter.getCampaign(ORG_ID, 'summer');
+
+        expect(Object.keys(saved).sort()).toEqual([...CAMPAIGN_FIELDS].sort());
+        expect(saved).toMatchObject({ id: 'summer', ...campaign });
+        expect(typeof saved.createdAt).toBe('string');
+      });
+
+      test('optional fields default to null, no tags and active', async () => {
+        await adapter.setCampaign(ORG_ID, 'bare', { name: 'Bare' });
+
+        expect(await adapter.getCampaign(ORG_ID, 'bare')).toMatchObject({
+          client: null,
+          startsAt: null,
+          endsAt: null,
+          defaultStyle: null,
+          tags: [],
+          status: 'active',
+        });
+      });
+
+      test('setCampaign replaces a campaign but keeps createdAt', async () => {
+        const created = await adapter.setCampaign(ORG_ID, 'summer', campaign);
+        await sleep(20);
+        const updated = await adapter.setCampaign(ORG_ID, 'summer', { ...campaign, status: 'paused', tags: [] });
+
+        expect(updated.status).toBe('paused');
+        expect(updated.tags).toEqual([]);
+        expect(updated.createdAt).toBe(created.createdAt);
+        expect(new Date(updated.updatedAt).getTime())
+          .toBeGreaterThan(new Date(created.updatedAt).getTime());
+      });
+
+      test('listCampaigns returns campaigns, most recently updated first', async () => {
+        await adapter.setCampaign(ORG_ID, 'a', { name: 'A' });
+        await sleep(20);
+        await adapter.setCampaign(ORG_ID, 'b', { name: 'B' });
+        await sleep(20);
+        await adapter.setCampaign(ORG_ID, 'a', { name: 'A again' });
+
+        expect((await adapter.listCampaigns(ORG_ID)).map(c => c.id)).toEqual(['a', 'b']);
+      });
+
+      test('deleteCampaign reports whether a campaign was removed', async () => {
+        await adapter.setCampaign(ORG_ID, 'summer', campaign);
+
+        expect(await adapter.deleteCampaign(ORG_ID, 'summer')).toEqual({ deleted: true });
+        expect(await adapter.getCampaign(ORG_ID, 'summer')).toBeNull();
+        expect(await adapter.deleteCampaign(ORG_ID, 'summer')).toEqual({ deleted: false });
+      });
+    });
+
+    // ========================================================================
+    // Content drafts
+    // ========================================================================
+
+    describe('content drafts', () => {
+      const draftContent = {
+        type: 'news',
+        title: 'Draft headline',
+        summary: null,
+        style: { backgroundColor: '#000000' },
+      };
+
+      test('setDraft stores a draft and getDraft returns it', async () => {
+        const saved = await adapter.setDraft(ORG_ID, 'marker-1', { content: draftContent, author: 'alice' });
+
+        expect(saved).toEqual({
+          orgId: ORG_ID,
+          markerId: 'marker-1',
+          content: draftContent,
+          author: 'alice',
+          approvedBy: null,
+          approvedAt: null,
+          createdAt: expect.stringMatching(ISO_PATTERN),
+          updatedAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.getDraft(ORG_ID, 'marker-1')).toEqual(saved);
+        expect(await adapter.getDraft(ORG_ID, 'marker-none')).toBeNull();
+      });
+
+      test('drafts are independent of published content', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', { type: 'news', title: 'Live' });
+        await adapter.setDraft(ORG_ID, 'marker-1', { content: draftContent });
+
+        expect((await adapter.getContent(ORG_ID, 'marker-1')).title).toBe('Live');
+        expect(await adapter.getDraft(ORG_ID, 'marker-2')).toBeNull();
+        expect(await adapter.getContent(ORG_ID, 'marker-2')).toBeNull();
+      });
+
+      test('approveDraft records the approver and setDraft clears it', async () => {
+        await adapter.setDraft(ORG_ID, 'marker-1', { content: draftContent, author: 'alice' });
+
+        const approved = await adapter.approveDraft(ORG_ID, 'marker-1', 'bob');
+        expect(approved.approvedBy).toBe('bob');
+        expect(approved.approvedAt).toMatch(ISO_PATTERN);
+
+        const edited = await adapter.setDraft(ORG_ID, 'marker-1', {
+          content: { ...draftContent, title: 'Edited' },
+          author: 'alice',
+        });
+        expect(edited.content.title).toBe('Edited');
+        expect(edited.approvedBy).toBeNull();
+        expect(edited.approvedAt).toBeNull();
+        expect(edited.createdAt).toBe(approved.createdAt);
+      });
+
+      test('approveDraft returns null when there is no draft', async () => {
+        expect(await adapter.approveDraft(ORG_ID, 'marker-none', 'bob')).toBeNull();
+      });
+
+      test('deleteDraft reports whether a draft was removed', async () => {
+        await adapter.setDraft(ORG_ID, 'marker-1', { content: draftContent });
+
+        expect(await adapter.deleteDraft(ORG_ID, 'marker-1')).toEqual({ deleted: true });
+        expect(await adapter.deleteDraft(ORG_ID, 'marker-1')).toEqual({ deleted: false });
+        expect(await adapter.getDraft(ORG_ID, 'marker-1')).toBeNull();
+      });
+
+      test('takeDraft removes and returns a draft once, only when approved if asked', async () => {
+        const saved = await adapter.setDraft(ORG_ID, 'marker-1', { content: draftContent, author: 'alice' });
+
+        expect(await adapter.takeDraft(ORG_ID, 'marker-1', { approved: true })).toBeNull();
+        expect(await adapter.getDraft(ORG_ID, 'marker-1')).toEqual(saved);
+
+        const approved = await adapter.approveDraft(ORG_ID, 'marker-1', 'bob');
+        const taken = await Promise.all([
+          adapter.takeDraft(ORG_ID, 'marker-1', { approved: true }),
+          adapter.takeDraft(ORG_ID, 'marker-1', { approved: true }),
+        ]);
+
+        expect(taken.filter(Boolean)).toEqual([approved]);
+        expect(await adapter.getDraft(ORG_ID, 'marker-1')).toBeNull();
+
+        await adapter.setDraft(ORG_ID, 'marker-1', { content: draftContent });
+        expect(await adapter.takeDraft(ORG_ID, 'marker-1')).toMatchObject({ content: draftContent, approvedBy: null });
+        expect(await adapter.takeDraft(ORG_ID, 'marker-none')).toBeNull();
+      });
+    });
+
+    // ========================================================================
+    // Content revisions
+    // ========================================================================
+
+    describe('content revisions', () => {
+      const snapshot = {
+        type: 'news',
+        title: 'Headline',
+        summary: null,
+        url: null,
+        videoUrl: null,
+        posterUrl: null,
+        modelUrl: null,
+        imageUrl: null,
+        ctaText: null,
+        ctaUrl: null,
+        style: { backgroundColor: '#000000' },
+        expiresAt: null,
+      };
+
+      test('addContentRevision numbers revisions per marker starting at 1', async () => {
+        const first = await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot, author: 'alice' });
+        const second = await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot, author: 'bob' });
+        const other = await adapter.addContentRevision(ORG_ID, 'marker-2', { content: snapshot });
+
+        expect(first.revision).toBe(1);
+        expect(second.revision).toBe(2);
+        expect(other.revision).toBe(1);
+      });
+
+      test('addContentRevision returns the stored record', async () => {
+        const diff = { title: { from: null, to: 'Headline' } };
+        const record = await adapter.addContentRevision(ORG_ID, 'marker-1', {
+          content: snapshot,
+          diff,
+          author: 'alice',
+          restoredFrom: null,
+        });
+
+        expect(record).toEqual({
+          orgId: ORG_ID,
+          markerId: 'marker-1',
+          revision: 1,
+          content: snapshot,
+          diff,
+          author: 'alice',
+          restoredFrom: null,
+          createdAt: expect.stringMatching(ISO_PATTERN),
+        });
+      });
+
+      test('listContentRevisions returns a marker\'s revisions newest first', async () => {
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot });
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: { ...snapshot, title: 'Second' } });
+        await adapter.addContentRevision(ORG_ID, 'marker-2', { content: snapshot });
+
+        const revisions = await adapter.listContentRevisions(ORG_ID, 'marker-1');
+        expect(revisions.map(r => r.revision)).toEqual([2, 1]);
+        expect(revisions[0].content.title).toBe('Second');
+        expect(await adapter.listContentRevisions(ORG_ID, 'marker-none')).toEqual([]);
+      });
+
+      test('getContentRevision returns one revision or null', async () => {
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot, author: 'alice' });
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot, restoredFrom: 1 });
+
+        expect(await adapter.getContentRevision(ORG_ID, 'marker-1', 2)).toMatchObject({
+          revision: 2,
+          restoredFrom: 1,
+          author: null,
+        });
+        expect(await adapter.getContentRevision(ORG_ID, 'marker-1', 3)).toBeNull();
+      });
+
+      test('revisions outlive deleted content', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', snapshot);
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot });
+        await adapter.deleteContent(ORG_ID, 'marker-1');
+
+        expect(await adapter.listContentRevisions(ORG_ID, 'marker-1')).toHaveLength(1);
+      });
+    });
+
+    // ========================================================================
+    // Analytics
+    // ========================================================================
+
+    describe('analytics', () => {
+      async function seedEvents() {
+        const events = [
+          { markerId: 'marker-a', eventType: 'scan', sessionId: 's1', timestamp: '2024-01-01T10:00:00.000Z' },
+          { markerId: 'marker-a', eventType: 'viewDuration', sessionId: 's1', timestamp: '2024-01-01T10:00:10.000Z', duration: 10 },
+          { markerId: 'marker-a', eventType: 'click', sessionId: 's1', timestamp: '2024-01-01T10:00:12.000Z' },
+          { markerId: 'marker-a', eventType: 'scan', sessionId: 's2', timestamp: '2024-01-02T09:00:00.000Z' },
+          { markerId: 'marker-a', eventType: 'viewDuration', sessionId: 's2', timestamp: '2024-01-02T09:00:20.000Z', duration: 20 },
+          { markerId: 'marker-a', eventType: 'share', sessionId: 's2', timestamp: '2024-01-03T09:00:00.000Z' },
+          { markerId: 'marker-b', eventType: 'scan', sessionId: 's3', timestamp: '2024-01-05T08:00:00.000Z' },
+        ];
+
+        for (const event of events) {
+          await adapter.recordAnalyticsEvent(ORG_ID, event);
+        }
+      }
+
+      test('recordAnalyticsEvent returns the event with an id', async () => {
+        const event = { markerId: 'marker-a', eventType: 'scan', sessionId: 's1' };
+        const saved = await adapter.recordAnalyticsEvent(ORG_ID, event);
+
+        expect(saved.id).toBeDefined();
+        expect(saved).toMatchObject(event);
+      });
+
+      test('recordAnalyticsEvent defaults the timestamp to now', async () => {
+        const before = Date.now();
+        await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-a', eventType: 'scan' });
+
+        const [event] = await adapter.getAnalytics(ORG_ID, 'marker-a');
+        expect(event.timestamp).toMatch(ISO_PATTERN);
+        expect(new Date(event.timestamp).getTime()).toBeGreaterThanOrEqual(before - 1000);
+      });
+
+      test('recordAnalyticsEvent stores timestamps with an offset in UTC', async () => {
+        await adapter.recordAnalyticsEvent(ORG_ID, {
+          markerId: 'marker-a',
+          eventType: 'scan',
+          sessionId: 's1',
+          timestamp: '2026-01-01T10:00:00+05:00',
+        });
+
+        const [event] = await adapter.getAnalytics(ORG_ID, 'marker-a');
+        expect(event.timestamp).toBe('2026-01-01T05:00:00.000Z');
+
+        const series = await adapter.getAnalyticsTimeseries(ORG_ID, 'marker-a', [
+          { start: '2026-01-01T05:00:00.000Z', end: '2026-01-01T06:00:00.000Z' },
+          { start: '2026-01-01T10:00:00.000Z', end: '2026-01-01T11:00:00.000Z' },
+        ]);
+        expect(series.map(bucket => bucket.scans)).toEqual([1, 0]);
+      });
+
+      test('getAnalytics returns normalized events with metadata', async () => {
+        await adapter.recordAnalyticsEvent(ORG_ID, {
+          markerId: 'marker-a',
+          eventType: 'click',
+          sessionId: 's1',
+          timestamp: '2024-01-01T10:00:00.000Z',
+          userAgent: 'jest',
+          ipAddress: '127.0.0.1',
+          metadata: { target: 'cta', viewport: { width: 390, height: 844 } },
+          visitorId: 'v1',
+        });
+
+        const [event] = await adapter.getAnalytics(ORG_ID, 'marker-a');
+        expect(Object.keys(event).sort()).toEqual([...ANALYTICS_FIELDS].sort());
+        expect(event).toMatchObject({
+          markerId: 'marker-a',
+          eventType: 'click',
+          sessionId: 's1',
+          timestamp: '2024-01-01T10:00:00.000Z',
+          userAgent: 'jest',
+          ipAddress: '127.0.0.1',
+          metadata: { target: 'cta', viewport: { width: 390, height: 844 } },
+          visitorId: 'v1',
+        });
+      });
+
+      test('getAnalytics only returns events for the requested marker, newest first', async () => {
+        await seedEvents();
+
+        const events = await adapter.getAnalytics(ORG_ID, 'marker-a');
+        expect(events).toHaveLength(6);
+        expect(events.every(e => e.markerId === 'marker-a')).toBe(true);
+        expect(events.map(e => e.timestamp)).toEqual([
+          '2024-01-03T09:00:00.000Z',
+          '2024-01-02T09:00:20.000Z',
+          '2024-01-02T09:00:00.000Z',
+          '2024-01-01T10:00:12.000Z',
+          '2024-01-01T10:00:10.000Z',
+          '2024-01-01T10:00:00.000Z',
+        ]);
+      });
+
+      test('getAnalytics filters by event type', async () => {
+        await seedEvents();
+
+        const scans = await adapter.getAnalytics(ORG_ID, 'marker-a', { eventType: 'scan' });
+        expect(scans).toHaveLength(2);
+        expect(scans.every(e => e.eventType === 'scan')).toBe(true);
+      });
+
+      test('getAnalytics filters by an inclusive date range', async () => {
+        await seedEvents();
+
+        const events = await adapter.getAnalytics(ORG_ID, 'marker-a', {
+          startDate: '2024-01-01T10:00:12.000Z',
+          endDate: '2024-01-02T09:00:20.000Z',
+        });
+
+        expect(events.map(e => e.timestamp)).toEqual([
+          '2024-01-02T09:00:20.000Z',
+          '2024-01-02T09:00:00.000Z',
+          '2024-01-01T10:00:12.000Z',
+        ]);
+      });
+
+      test('getAnalytics combines filters and applies the limit after ordering', async () => {
+        await seedEvents();
+
+        const events = await adapter.getAnalytics(ORG_ID, 'marker-a', {
+          startDate: '2024-01-01T00:00:00.000Z',
+          eventType: 'viewDuration',
+          limit: 1,
+        });
+
+        expect(events).toHaveLength(1);
+        expect(events[0].timestamp).toBe('2024-01-02T09:00:20.000Z');
+        expect(events[0].duration).toBe(20);
+      });
+
+      test('getAnalyticsSummary returns zeros for a marker without events', async () => {
+        expect(await adapter.getAnalyticsSummary(ORG_ID, 'marker-none')).toEqual({
+          markerId: 'marker-none',
+          totalScans: 0,
+          totalClicks: 0,
+          avgDuration: 0,
+          lastScan: null,
+        });
+      });
+
+      test('getAnalyticsSummary counts scans and clicks and averages view duration', async () => {
+        await seedEvents();
+
+        const summary = await adapter.getAnalyticsSummary(ORG_ID, 'marker-a');
+        expect(summary).toEqual({
+          markerId: 'marker-a',
+          totalScans: 2,
+          totalClicks: 1,
+          avgDuration: 15,
+          lastScan: expect.any(String),
+        });
+        // lastScan is the latest scan, not the latest event of any type
+        expect(new Date(summary.lastScan).toISOString()).toBe('2024-01-02T09:00:00.000Z');
+      });
+
+      test('getAnalyticsSummary counts clicks even without scans', async () => {
+        await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-c', eventType: 'click' });
+
+        const summary = await adapter.getAnalyticsSummary(ORG_ID, 'marker-c');
+        expect(summary.totalScans).toBe(0);
+        expect(summary.totalClicks).toBe(1);
+        expect(summary.lastScan).toBeNull();
+      });
+
+      test('getAllAnalyticsSummaries returns one summary per marker, most scanned first', async () => {
+        await seedEvents();
+
+        const summaries = await adapter.getAllAnalyticsSummaries(ORG_ID);
+        expect(summaries.map(s => s.markerId)).toEqual(['marker-a', 'marker-b']);
+        expect(summaries[0]).toMatchObject({ totalScans: 2, totalClicks: 1, avgDuration: 15 });
+        expect(summaries[1]).toMatchObject({ totalScans: 1, totalClicks: 0, avgDuration: 0 });
+        expect(new Date(summaries[1].lastScan).toISOString()).toBe('2024-01-05T08:00:00.000Z');
+      });
+
+      test('getAllAnalyticsSummaries returns an empty array without events', async () => {
+        expect(await adapter.getAllAnalyticsSummaries(ORG_ID)).toEqual([]);
+      });
+
+      test('getVariantSummaries counts events and sessions per variant', async () => {
+        const events = [
+          { eventType: 'scan', sessionId: 's1', variantId: 'a' },
+          { eventType: 'click', sessionId: 's1', variantId: 'a' },
+          { eventType: 'click', sessionId: 's1', variantId: 'a' },
+          { eventType: 'scan', sessionId: 's2', variantId: 'a' },
+          { eventType: 'scan', sessionId: 's3', variantId: 'b' },
+          { eventType: 'scan', variantId: 'b' },
+          { eventType: 'viewDuration', sessionId: 's3', variantId: 'b', duration: 4 },
+          { eventType: 'scan', sessionId: 's4' },
+        ];
+
+        for (const event of events) {
+          await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-a', ...event });
+        }
+        await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-b', eventType: 'scan', variantId: 'a' });
+
+        expect(await adapter.getVariantSummaries(ORG_ID, 'marker-a')).toEqual([
+          { variantId: 'a', totalScans: 2, totalClicks: 2, scanSessions: 2, clickSessions: 1 },
+          { variantId: 'b', totalScans: 2, totalClicks: 0, scanSessions: 1, clickSessions: 0 },
+        ]);
+        expect(await adapter.getVariantSummaries(ORG_ID, 'marker-none')).toEqual([]);
+      });
+
+      test('getCampaignAnalyticsSummary totals events of the campaign\'s markers', async () => {
+        const content = { type: 'news', title: 'Headline' };
+        await adapter.setContent(ORG_ID, 'marker-a', { ...content, campaignId: 'summer' });
+        await adapter.setContent(ORG_ID, 'marker-b', { ...content, campaignId: 'summer' });
+        await adapter.setContent(ORG_ID, 'marker-c', content);
+
+        const events = [
+          { markerId: 'marker-a', eventType: 'scan', timestamp: '2030-01-01T10:00:00.000Z' },
+          { markerId: 'marker-b', eventType: 'scan', timestamp: '2030-01-02T10:00:00.000Z' },
+          { markerId: 'marker-b', eventType: 'click' },
+          { markerId: 'marker-a', eventType: 'viewDuration', duration: 10 },
+          { markerId: 'marker-b', eventType: 'viewDuration', duration: 20 },
+          { markerId: 'marker-c', eventType: 'scan', timestamp: '2030-02-01T10:00:00.000Z' },
+        ];
+
+        for (const event of events) {
+          await adapter.recordAnalyticsEvent(ORG_ID, event);
+        }
+
+        const summary = await adapter.getCampaignAnalyticsSummary(ORG_ID, 'summer');
+        expect(summary).toEqual({
+          campaignId: 'summer',
+          markerCount: 2,
+          totalScans: 2,
+          totalClicks: 1,
+          avgDuration: 15,
+          lastScan: expect.any(String),
+        });
+        expect(new Date(summary.lastScan).toISOString()).toBe('2030-01-02T10:00:00.000Z');
+
+        expect(await adapter.getCampaignAnalyticsSummary(ORG_ID, 'none')).toEqual({
+          campaignId: 'none',
+          markerCount: 0,
+          totalScans: 0,
+          totalClicks: 0,
+          avgDuration: 0,
+          lastScan: null,
+        });
+      });
+
+      test('getRuleSummaries groups events by rule, unmatched last', async () => {
+        const events = [
+          { eventType: 'scan', sessionId: 's1', ruleId: 'mobile' },
+          { eventType: 'click', sessionId: 's1', ruleId: 'mobile' },
+          { eventType: 'scan', sessionId: 's2', ruleId: 'flyer' },
+          { eventType: 'scan', sessionId: 's3' },
+          { eventType: 'scan', sessionId: 's4' },
+          { eventType: 'click', sessionId: 's4' },
+        ];
+
+        for (const event of events) {
+          await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-a', ...event });
+        }
+
+        expect(await adapter.getRuleSummaries(ORG_ID, 'marker-a')).toEqual([
+          { ruleId: 'flyer', totalScans: 1, totalClicks: 0, scanSessions: 1, clickSessions: 0 },
+          { ruleId: 'mobile', totalScans: 1, totalClicks: 1, scanSessions: 1, clickSessions: 1 },
+          { ruleId: null, totalScans: 2, totalClicks: 1, scanSessions: 2, clickSessions: 1 },
+        ]);
+        expect(await adapter.getRuleSummaries(ORG_ID, 'marker-none')).toEqual([]);
+      });
+
+      describe('getAnalyticsTimeseries', () => {
+        const DAYS = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+        const buckets = DAYS.map((day, index) => ({
+          start: `${day}T00:00:00.000Z`,
+          end: index < DAYS.length - 1 ? `${DAYS[index + 1]}T00:00:00.000Z` : '2024-01-06T00:00:00.000Z',
+        }));
+        const EMPTY = { scans: 0, clicks: 0, views: 0, shares: 0, uniqueSessions: 0, avgDuration: 0 };
+
+        test('counts events per bucket for one marker, empty buckets included', async () => {
+          await seedEvents();
+
+          const series = await adapter.getAnalyticsTimeseries(ORG_ID, 'marker-a', buckets);
+          expect(series).toEqual([
+            { ...buckets[0], scans: 1, clicks: 1, views: 1, shares: 0, uniqueSessions: 1, avgDuration: 10 },
+            { ...buckets[1], scans: 1, clicks: 0, views: 1, shares: 0, uniqueSessions: 1, avgDuration: 20 },
+            { ...buckets[2], ...EMPTY, shares: 1, uniqueSessions: 1 },
+            { ...buckets[3], ...EMPTY },
+            { ...buckets[4], ...EMPTY },
+          ]);
+        });
+
+        test('covers every marker when markerId is null', async () => {
+          await seedEvents();
+
+          const series = await adapter.getAnalyticsTimeseries(ORG_ID, null, buckets);
+          expect(series.map(bucket => bucket.scans)).toEqual([1, 1, 0, 0, 1]);
+          expect(series[4]).toEqual({ ...buckets[4], ...EMPTY, scans: 1, uniqueSessions: 1 });
+        });
+
+        test('counts sessions once per bucket and ignores events outside the buckets', async () => {
+          const events = [
+            { eventType: 'scan', sessionId: 's1', timestamp: '2024-01-01T08:00:00.000Z' },
+            { eventType: 'scan', sessionId: 's1', timestamp: '2024-01-01T09:00:00.000Z' },
+            { eventType: 'scan', sessionId: 's2', timestamp: '2024-01-01T23:59:59.999Z' },
+            { eventType: 'scan', timestamp: '2024-01-01T12:00:00.000Z' },
+            { eventType: 'scan', sessionId: 's3', timestamp: '2024-01-02T00:00:00.000Z' },
+            { eventType: 'scan', sessionId: 's4', timestamp: '2023-12-31T23:59:59.999Z' },
+          ];
+
+          for (const event of events) {
+            await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-a', ...event });
+          }
+
+          const series = await adapter.getAnalyticsTimeseries(ORG_ID, 'marker-a', buckets.slice(0, 2));
+          expect(series.map(({ scans, uniqueSessions }) => ({ scans, uniqueSessions }))).toEqual([
+            { scans: 4, uniqueSessions: 2 },
+            { scans: 1, uniqueSessions: 1 },
+          ]);
+        });
+
+        test('returns an empty array without buckets', async () => {
+          await seedEvents();
+
+          expect(await adapter.getAnalyticsTimeseries(ORG_ID, 'marker-a', [])).toEqual([]);
+        });
+      });
+
+      describe('getSessionSummaries', () => {
+        async function seedSessions() {
+          const events = [
+            // v1: two sessions, the first one reloaded without finding the marker
+            { markerId: 'marker-a', eventType: 'scan', sessionId: 's1', visitorId: 'v1', timestamp: '2024-01-01T10:00:00.000Z' },
+            { markerId: 'marker-a', eventType: 'scan', sessionId: 's1', visitorId: 'v1', timestamp: '2024-01-01T10:00:05.000Z' },
+            { markerId: 'marker-a', eventType: 'scan', sessionId: 's2', visitorId: 'v1', timestamp: '2024-01-02T10:00:00.000Z' },
+            { markerId: 'marker-a', eventType: 'detection', sessionId: 's2', visitorId: 'v1', timestamp: '2024-01-02T10:00:03.000Z' },
+            // v2: one session with a detection
+            { markerId: 'marker-a', eventType: 'scan', sessionId: 's3', visitorId: 'v2', timestamp: '2024-01-03T10:00:00.000Z' },
+            { markerId: 'marker-a', eventType: 'detection', sessionId: 's3', visitorId: 'v2', timestamp: '2024-01-03T10:00:02.000Z' },
+            // No visitor id: a visitor of its own
+            { markerId: 'marker-a', eventType: 'scan', sessionId: 's4', timestamp: '2024-01-04T10:00:00.000Z' },
+            // No session: not counted
+            { markerId: 'marker-a', eventType: 'scan', visitorId: 'v3', timestamp: '2024-01-04T11:00:00.000Z' },
+            { markerId: 'marker-b', eventType: 'scan', sessionId: 's5', visitorId: 'v1', timestamp: '2024-01-05T10:00:00.000Z' },
+          ];
+
+          for (const event of events) {
+            await adapter.recordAnalyticsEvent(ORG_ID, event);
+          }
+        }
+
+        test('counts sessions, unique and repeat visitors and bounces per marker', async () => {
+          await seedSessions();
+
+          expect(await adapter.getSessionSummaries(ORG_ID, null)).toEqual([
+            { markerId: 'marker-a', sessions: 4, uniqueVisitors: 3, repeatVisitors: 1, scans: 5, scanSessions: 4, bounces: 2 },
+            { markerId: 'marker-b', sessions: 1, uniqueVisitors: 1, repeatVisitors: 0, scans: 1, scanSessions: 1, bounces: 1 },
+          ]);
+          expect(await adapter.getSessionSummaries(ORG_ID, 'marker-b')).toEqual([
+            { markerId: 'marker-b', sessions: 1, uniqueVisitors: 1, repeatVisitors: 0, scans: 1, scanSessions: 1, bounces: 1 },
+          ]);
+          expect(await adapter.getSessionSummaries(ORG_ID, 'marker-none')).toEqual([]);
+        });
+
+        test('only counts events in the date range', async () => {
+          await seedSessions();
+
+          const [summary] = await adapter.getSessionSummaries(ORG_ID, 'marker-a', {
+            startDate: '2024-01-02T00:00:00.000Z',
+            endDate: '2024-01-03T23:59:59.999Z',
+          });
+          expect(summary).toEqual({
+            markerId: 'marker-a',
+            sessions: 2,
+            uniqueVisitors: 2,
+            repeatVisitors: 0,
+            scans: 2,
+            scanSessions: 2,
+            bounces: 0,
+          });
+        });
+      });
+
+      describe('getFunnelSummaries', () => {
+        async function seedFunnel() {
+          const sessions = {
+            // Every step
+            s1: [['scan'], ['detection'], ['viewDuration', 12], ['click'], ['share']],
+            // Viewed too briefly, then clicked
+            s2: [['scan'], ['detection'], ['viewDuration', 2], ['click']],
+            // Detected, viewed long enough in the second view
+            s3: [['scan'], ['detection'], ['viewDuration', 1], ['viewDuration', 6]],
+            // Bounced
+            s4: [['scan']],
+            // No scan: not in the funnel
+            s5: [['detection'], ['viewDuration', 30]],
+          };
+
+          for (const [sessionId, events] of Object.entries(sessions)) {
+            for (const [index, [eventType, duration]] of events.entries()) {
+              await adapter.recordAnalyticsEvent(ORG_ID, {
+                markerId: 'marker-a',
+                eventType,
+                sessionId,
+                duration,
+                timestamp: `2024-01-0${sessionId.slice(1)}T10:00:0${index}.000Z`,
+              });
+            }
+          }
+
+          await adapter.recordAnalyticsEvent(ORG_ID, {
+            markerId: 'marker-b', eventType: 'scan', sessionId: 's6', timestamp: '2024-01-06T10:00:00.000Z',
+          });
+        }
+
+        test('counts the sessions reaching each step after every step before it', async () => {
+          await seedFunnel();
+
+          expect(await adapter.getFunnelSummaries(ORG_ID, null, { minViewSeconds: 5 })).toEqual([
+            { markerId: 'marker-a', scanSessions: 4, detectionSessions: 3, viewSessions: 2, clickSessions: 1, shareSessions: 1 },
+            { markerId: 'marker-b', scanSessions: 1, detectionSessions: 0, viewSessions: 0, clickSessions: 0, shareSessions: 0 },
+          ]);
+          expect(await adapter.getFunnelSummaries(ORG_ID, 'marker-a', { minViewSeconds: 1 })).toEqual([
+            { markerId: 'marker-a', scanSessions: 4, detectionSessions: 3, viewSessions: 3, clickSessions: 2, shareSessions: 1 },
+          ]);
+          expect(await adapter.getFunnelSummaries(ORG_ID, 'marker-none', { minViewSeconds: 5 })).toEqual([]);
+        });
+
+        test('only counts events in the date range', async () => {
+          await seedFunnel();
+
+          expect(await adapter.getFunnelSummaries(ORG_ID, 'marker-a', {
+            startDate: '2024-01-02T00:00:00.000Z',
+            endDate: '2024-01-03T23:59:59.999Z',
+            minViewSeconds: 5,
+          })).toEqual([
+            { markerId: 'marker-a', scanSessions: 2, detectionSessions: 2, viewSessions: 1, clickSessions: 0, shareSessions: 0 },
+          ]);
+        });
+      });
+
+      describe('rollups', () => {
+        const HOUR_MS = 60 * 60 * 1000;
+
+        // `count` consecutive buckets of `length` ms from `first`
+        function utcBuckets(first, count, length) {
+          return Array.from({ length: count }, (_, index) => {
+            const start = new Date(first).getTime() + index * length;
+            return { start: new Date(start).toISOString(), end: new Date(start + length).toISOString() };
+          });
+        }
+
+        const days = utcBuckets('2024-01-01T00:00:00.000Z', 5, 24 * HOUR_MS);
+
+        test('daily rollups answer the same timeseries as raw events', async () => {
+          await seedEvents();
+          await adapter.rollupAnalytics('day', days);
+
+          expect(await adapter.getRollupTimeseries(ORG_ID, 'marker-a', 'day', days))
+            .toEqual(await adapter.getAnalyticsTimeseries(ORG_ID, 'marker-a', days));
+          expect(await adapter.getRollupTimeseries(ORG_ID, null, 'day', days))
+            .toEqual(await adapter.getAnalyticsTimeseries(ORG_ID, null, days));
+
+          // Wider buckets add up the rollups starting inside them
+          const [week] = await adapter.getRollupTimeseries(ORG_ID, null, 'day', utcBuckets(days[0].start, 1, 7 * 24 * HOUR_MS));
+          expect(week).toMatchObject({ scans: 3, clicks: 1, views: 2, shares: 1, avgDuration: 15 });
+        });
+
+        test('rollups count a session once per hour or day across variants and devices', async () => {
+          const events = [
+            { eventType: 'scan', timestamp: '2024-01-01T10:50:00.000Z', variantId: 'a', metadata: { deviceType: 'mobile' } },
+            { eventType: 'click', timestamp: '2024-01-01T10:55:00.000Z', variantId: 'b', metadata: { deviceType: 'tablet' } },
+            { eventType: 'click', timestamp: '2024-01-01T11:10:00.000Z', variantId: 'b', metadata: { deviceType: 'mobile' } },
+            { eventType: 'share', timestamp: '2024-01-01T12:05:00.000Z', variantId: 'b', metadata: { deviceType: 'tablet' } },
+          ];
+
+          for (const event of events) {
+            await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-a', sessionId: 's1', ...event });
+          }
+
+          const hours = utcBuckets('2024-01-01T10:00:00.000Z', 3, HOUR_MS);
+          await adapter.rollupAnalytics('hour', hours);
+          await adapter.rollupAnalytics('day', days);
+
+          for (const [period, buckets] of [['hour', hours], ['day', days]]) {
+            expect(await adapter.getRollupTimeseries(ORG_ID, 'marker-a', period, buckets))
+              .toEqual(await adapter.getAnalyticsTimeseries(ORG_ID, 'marker-a', buckets));
+            expect(await adapter.getRollupTimeseries(ORG_ID, null, period, buckets))
+              .toEqual(await adapter.getAnalyticsTimeseries(ORG_ID, null, buckets));
+          }
+
+          // Wider buckets add up the sessions of each hour
+          const [threeHours] = await adapter.getRollupTimeseries(ORG_ID, 'marker-a', 'hour', utcBuckets(hours[0].start, 1, 3 * HOUR_MS));
+          expect(threeHours.uniqueSessions).toBe(3);
+        });
+
+        test('rolling up again recomputes instead of adding', async () => {
+          await seedEvents();
+          const hours = utcBuckets('2024-01-01T10:00:00.000Z', 1, HOUR_MS);
+
+          await adapter.rollupAnalytics('hour', hours);
+          await adapter.rollupAnalytics('hour', hours);
+          expect((await adapter.getRollupTimeseries(ORG_ID, 'marker-a', 'hour', hours))[0])
+            .toMatchObject({ scans: 1, clicks: 1, views: 1, uniqueSessions: 1, avgDuration: 10 });
+
+          await adapter.recordAnalyticsEvent(ORG_ID, {
+            markerId: 'marker-a', eventType: 'scan', sessionId: 's9', timestamp: '2024-01-01T10:30:00.000Z',
+          });
+          await adapter.rollupAnalytics('hour', hours);
+
+          expect((await adapter.getRollupTimeseries(ORG_ID, 'marker-a', 'hour', hours))[0])
+            .toMatchObject({ scans: 2, uniqueSessions: 2 });
+        });
+
+        test('orgId limits a rollup to one organization', async () => {
+          await adapter.setOrganization('acme', { name: 'Acme' });
+          await seedEvents();
+          await adapter.recordAnalyticsEvent('acme', {
+            markerId: 'marker-a', eventType: 'scan', timestamp: '2024-01-01T10:30:00.000Z',
+          });
+
+          const hours = utcBuckets('2024-01-01T10:00:00.000Z', 1, HOUR_MS);
+          await adapter.rollupAnalytics('hour', hours, 'acme');
+
+          expect((await adapter.getRollupTimeseries('acme', null, 'hour', hours))[0].scans).toBe(1);
+          expect((await adapter.getRollupTimeseries(ORG_ID, null, 'hour', hours))[0].scans).toBe(0);
+        });
+
+        test('getRolledUpSummaries adds daily and hourly rollups to newer raw events', async () => {
+          await seedEvents();
+          const ranges = { dailyUntil: '2024-01-02T00:00:00.000Z', hourlyUntil: '2024-01-02T10:00:00.000Z' };
+
+          await adapter.rollupAnalytics('day', days.slice(0, 1));
+          await adapter.rollupAnalytics('hour', utcBuckets(ranges.dailyUntil, 10, HOUR_MS));
+          // Outside the ranges: must not be counted twice
+          await adapter.rollupAnalytics('hour', utcBuckets('2024-01-01T10:00:00.000Z', 1, HOUR_MS));
+          await adapter.rollupAnalytics('day', days.slice(1, 2));
+
+          const expected = await adapter.getAllAnalyticsSummaries(ORG_ID);
+          expect(await adapter.getRolledUpSummaries(ORG_ID, null, ranges)).toEqual(expected);
+          expect(await adapter.getRolledUpSummaries(ORG_ID, 'marker-b', ranges)).toEqual([expected[1]]);
+          expect(await adapter.getRolledUpSummaries(ORG_ID, 'marker-none', ranges)).toEqual([]);
+        });
+
+        test('the watermark only moves forward until reset', async () => {
+          expect(await adapter.getAnalyticsRollupState()).toBeNull();
+
+          await adapter.setAnalyticsRollupState('2024-01-02T00:00:00.000Z');
+          await adapter.setAnalyticsRollupState('2024-01-01T00:00:00.000Z');
+          expect(await adapter.getAnalyticsRollupState()).toBe('2024-01-02T00:00:00.000Z');
+
+          await seedEvents();
+          await adapter.rollupAnalytics('day', days);
+          await adapter.resetAnalyticsRollups();
+
+          expect(await adapter.getAnalyticsRollupState()).toBeNull();
+          expect((await adapter.getRollupTimeseries(ORG_ID, null, 'day', days))
+            .every(bucket => bucket.scans === 0 && bucket.uniqueSessions === 0)).toBe(true);
+        });
+
+        test('queued rollup hours are taken once, without duplicates', async () => {
+          await adapter.setOrganization('acme', { name: 'Acme' });
+          await adapter.queueAnalyticsRollups(ORG_ID, ['2024-01-01T10:00:00.000Z', '2024-01-01T11:00:00.000Z']);
+          await adapter.queueAnalyticsRollups(ORG_ID, ['2024-01-01T10:00:00.000Z']);
+          await adapter.queueAnalyticsRollups('acme', ['2024-01-01T10:00:00.000Z']);
+          await adapter.queueAnalyticsRollups('acme', []);
+
+          const taken = await adapter.takeQueuedAnalyticsRollups();
+          const byKey = (a, b) => `${a.orgId}${a.hourStart}`.localeCompare(`${b.orgId}${b.hourStart}`);
+          expect(taken.sort(byKey)).toEqual([
+            { orgId: 'acme', hourStart: '2024-01-01T10:00:00.000Z' },
+            { orgId: ORG_ID, hourStart: '2024-01-01T10:00:00.000Z' },
+            { orgId: ORG_ID, hourStart: '2024-01-01T11:00:00.000Z' },
+          ].sort(byKey));
+          expect(await adapter.takeQueuedAnalyticsRollups()).toEqual([]);
+        });
+
+        test('getFirstAnalyticsTimestamp returns the oldest event', async () => {
+          expect(await adapter.getFirstAnalyticsTimestamp()).toBeNull();
+
+          await seedEvents();
+          expect(await adapter.getFirstAnalyticsTimestamp()).toBe('2024-01-01T10:00:00.000Z');
+        });
+      });
+    });
+
+    // ========================================================================
+    // Organizations
+    // ========================================================================
+
+    describe('organizations', () => {
+      test('migrations create the default organization', async () => {
+        expect(await adapter.getOrganization(ORG_ID)).toEqual({
+          id: ORG_ID,
+          name: expect.any(String),
+          createdAt: expect.stringMatching(ISO_PATTERN),
+          updatedAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.getOrganization('missing-org')).toBeNull();
+      });
+
+      test('setOrganization upserts, keeping createdAt', async () => {
+        const created = await adapter.setOrganization('acme', { name: 'Acme' });
+        expect(created).toMatchObject({ id: 'acme', name: 'Acme' });
+
+        await sleep(5);
+        const renamed = await adapter.setOrganization('acme', { name: 'Acme Retail' });
+        expect(renamed.name).toBe('Acme Retail');
+        expect(renamed.createdAt).toBe(created.createdAt);
+        expect(await adapter.getOrganization('acme')).toEqual(renamed);
+      });
+
+      test('listOrganizations returns organizations ordered by name', async () => {
+        await adapter.setOrganization('zeta', { name: 'Zeta' });
+        await adapter.setOrganization('acme', { name: 'Acme' });
+
+        const ids = (await adapter.listOrganizations()).map(org => org.id);
+        expect(ids).toEqual(expect.arrayContaining([ORG_ID, 'acme', 'zeta']));
+        expect(ids.indexOf('acme')).toBeLessThan(ids.indexOf('zeta'));
+      });
+    });
+
+    // ========================================================================
+    // Users
+    // ========================================================================
+
+    describe('users', () => {
+      const alice = { passwordHash: '$2a$10$hash-a', role: 'editor' };
+
+      test('setUser creates a user and getUser returns every field', async () => {
+        const saved = await adapter.setUser(ORG_ID, 'alice', alice);
+
+        expect(saved).toEqual({
+          orgId: ORG_ID,
+          username: 'alice',
+          passwordHash: alice.passwordHash,
+          role: 'editor',
+          oidcSubject: null,
+          lastLoginAt: null,
+          createdAt: expect.stringMatching(ISO_PATTERN),
+          updatedAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.getUser(ORG_ID, 'alice')).toEqual(saved);
+        expect(await adapter.getUser(ORG_ID, 'missing')).toBeNull();
+      });
+
+      test('setUser updates role and password, keeping createdAt and lastLoginAt', async () => {
+        const created = await adapter.setUser(ORG_ID, 'alice', alice);
+        await adapter.recordUserLogin(ORG_ID, 'alice');
+        const { lastLoginAt } = await adapter.getUser(ORG_ID, 'alice');
+        expect(lastLoginAt).toMatch(ISO_PATTERN);
+
+        await sleep(5);
+        const updated = await adapter.setUser(ORG_ID, 'alice', { passwordHash: '$2a$10$hash-b', role: 'owner' });
+
+        expect(updated).toMatchObject({ passwordHash: '$2a$10$hash-b', role: 'owner', lastLoginAt });
+        expect(updated.createdAt).toBe(created.createdAt);
+      });
+
+      test('getUserByOidcSubject finds the SSO user created with a subject, which updates keep', async () => {
+        await adapter.setUser(ORG_ID, 'alice', alice);
+        await adapter.setUser(ORG_ID, 'bob', { ...alice, oidcSubject: 'u-1' });
+        await adapter.setUser(ORG_ID, 'bob', { passwordHash: '$2a$10$hash-b', role: 'owner' });
+        await adapter.setUser(ORG_ID, 'alice', { ...alice, oidcSubject: 'u-2' });
+
+        expect(await adapter.getUserByOidcSubject(ORG_ID, 'u-1')).toMatchObject({ username: 'bob', role: 'owner', oidcSubject: 'u-1' });
+        expect(await adapter.getUserByOidcSubject(ORG_ID, 'u-2')).toBeNull();
+        expect(await adapter.getUserByOidcSubject('acme', 'u-1')).toBeNull();
+      });
+
+      test('listUsers returns an organization\'s users ordered by username', async () => {
+        await adapter.setUser(ORG_ID, 'zoe', alice);
+        await adapter.setUser(ORG_ID, 'alice', alice);
+        await adapter.setOrganization('acme', { name: 'Acme' });
+        await adapter.setUser('acme', 'bob', alice);
+
+        expect((await adapter.listUsers(ORG_ID)).map(user => user.username)).toEqual(['alice', 'zoe']);
+        expect(await adapter.getUser(ORG_ID, 'bob')).toBeNull();
+        expect(await adapter.listUsers('none')).toEqual([]);
+      });
+
+      test('deleteUser reports whether a user was removed', async () => {
+        await adapter.setUser(ORG_ID, 'alice', alice);
+
+        expect(await adapter.deleteUser(ORG_ID, 'alice')).toEqual({ deleted: true });
+        expect(await adapter.deleteUser(ORG_ID, 'alice')).toEqual({ deleted: false });
+        expect(await adapter.getUser(ORG_ID, 'alice')).toBeNull();
+      });
+    });
+
+    // ========================================================================
+    // User TOTP
+    // ========================================================================
+
+    describe('user totp', () => {
+      test('setUserTotp stores a pending secret and getUserTotp returns every field', async () => {
+        const saved = await adapter.setUserTotp(ORG_ID, 'alice', { secret: 'JBSWY3DPEHPK3PXP' });
+
+        expect(saved).toEqual({
+          orgId: ORG_ID,
+          username: 'alice',
+          secret: 'JBSWY3DPEHPK3PXP',
+          enabledAt: null,
+          lastUsedStep: null,
+          recoveryCodeHashes: [],
+          createdAt: expect.stringMatching(ISO_PATTERN),
+          updatedAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.getUserTotp(ORG_ID, 'alice')).toEqual(saved);
+        expect(await adapter.getUserTotp(ORG_ID, 'bob')).toBeNull();
+      });
+
+      test('setUserTotp enables and records use, keeping createdAt', async () => {
+        const created = await adapter.setUserTotp(ORG_ID, 'alice', { secret: 'JBSWY3DPEHPK3PXP' });
+
+        await sleep(5);
+        const changes = {
+          enabledAt: '2030-01-01T00:00:00.000Z',
+          lastUsedStep: 63072000,
+          recoveryCodeHashes: ['hash-1', 'hash-2'],
+        };
+        const updated = await adapter.setUserTotp(ORG_ID, 'alice', { secret: 'JBSWY3DPEHPK3PXP', ...changes });
+
+        expect(updated).toMatchObject(changes);
+        expect(updated.createdAt).toBe(created.createdAt);
+      });
+
+      test('useTotpStep records only steps later than the last one used', async () => {
+        await adapter.setUserTotp(ORG_ID, 'alice', { secret: 'JBSWY3DPEHPK3PXP', enabledAt: '2030-01-01T00:00:00.000Z' });
+
+        const results = await Promise.all([
+          adapter.useTotpStep(ORG_ID, 'alice', 100),
+          adapter.useTotpStep(ORG_ID, 'alice', 100),
+        ]);
+        expect(results.sort()).toEqual([false, true]);
+        expect(await adapter.useTotpStep(ORG_ID, 'alice', 99)).toBe(false);
+        expect(await adapter.useTotpStep(ORG_ID, 'alice', 101)).toBe(true);
+        expect(await adapter.getUserTotp(ORG_ID, 'alice')).toMatchObject({ secret: 'JBSWY3DPEHPK3PXP', lastUsedStep: 101 });
+
+        // Without settings (the deployment admin), a record without a secret
+        expect(await adapter.useTotpStep(ORG_ID, 'admin', 100)).toBe(true);
+        expect(await adapter.useTotpStep(ORG_ID, 'admin', 100)).toBe(false);
+        expect(await adapter.getUserTotp(ORG_ID, 'admin')).toMatchObject({ secret: '', enabledAt: null, lastUsedStep: 100 });
+      });
+
+      test('deleteUserTotp reports whether settings were removed, per organization', async () => {
+        await adapter.setOrganization('acme', { name: 'Acme' });
+        await adapter.setUserTotp(ORG_ID, 'alice', { secret: 'JBSWY3DPEHPK3PXP' });
+        await adapter.setUserTotp('acme', 'alice', { secret: 'KRSXG5CTMVRXEZLU' });
+
+        expect(await adapter.deleteUserTotp(ORG_ID, 'alice')).toEqual({ deleted: true });
+        expect(await adapter.deleteUserTotp(ORG_ID, 'alice')).toEqual({ deleted: false });
+        expect(await adapter.getUserTotp('acme', 'alice')).toMatchObject({ secret: 'KRSXG5CTMVRXEZLU' });
+      });
+    });
+
+    // ========================================================================
+    // API keys
+    // ========================================================================
+
+    describe('api keys', () => {
+      const KEY_ID = '6f1c1a52-3c1e-4b7a-9d0e-2f7f4e1b8a10';
+      const cmsKey = {
+        name: 'CMS',
+        keyPrefix: 'par_abcdefgh',
+        keyHash: 'hash-a',
+        scopes: ['content:write'],
+        markerIds: ['marker-1', 'marker-2'],
+        campaignIds: null,
+        createdBy: 'alice',
+      };
+
+      test('setApiKey creates a key and getApiKey returns every field', async () => {
+        const saved = await adapter.setApiKey(ORG_ID, KEY_ID, cmsKey);
+
+        expect(saved).toEqual({
+          orgId: ORG_ID,
+          id: KEY_ID,
+          ...cmsKey,
+          lastUsedAt: null,
+          revokedAt: null,
+          createdAt: expect.stringMatching(ISO_PATTERN),
+          updatedAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.getApiKey(ORG_ID, KEY_ID)).toEqual(saved);
+        expect(await adapter.getApiKey(ORG_ID, 'missing')).toBeNull();
+      });
+
+      test('findApiKeyByHash finds keys in any organization', async () => {
+        await adapter.setOrganization('acme', { name: 'Acme' });
+        await adapter.setApiKey('acme', KEY_ID, { ...cmsKey, campaignIds: ['spring'] });
+
+        expect(await adapter.findApiKeyByHash('hash-a')).toMatchObject({
+          orgId: 'acme',
+          id: KEY_ID,
+          campaignIds: ['spring'],
+        });
+        expect(await adapter.findApiKeyByHash('hash-missing')).toBeNull();
+      });
+
+      test('setApiKey rotates and revokes, keeping createdAt and lastUsedAt', async () => {
+        const created = await adapter.setApiKey(ORG_ID, KEY_ID, cmsKey);
+        await adapter.recordApiKeyUse(ORG_ID, KEY_ID);
+        const { lastUsedAt } = await adapter.getApiKey(ORG_ID, KEY_ID);
+        expect(lastUsedAt).toMatch(ISO_PATTERN);
+
+        await sleep(5);
+        const revokedAt = new Date().toISOString();
+        const updated = await adapter.setApiKey(ORG_ID, KEY_ID, { ...cmsKey, keyHash: 'hash-b', revokedAt });
+
+        expect(updated).toMatchObject({ keyHash: 'hash-b', lastUsedAt, revokedAt });
+        expect(updated.createdAt).toBe(created.createdAt);
+        expect(await adapter.findApiKeyByHash('hash-a')).toBeNull();
+        expect(await adapter.findApiKeyByHash('hash-b')).toMatchObject({ id: KEY_ID });
+      });
+
+      test('listApiKeys returns an organization\'s keys, newest first', async () => {
+        await adapter.setApiKey(ORG_ID, 'key-1', { ...cmsKey, keyHash: 'hash-1' });
+        await sleep(5);
+        await adapter.setApiKey(ORG_ID, 'key-2', { ...cmsKey, keyHash: 'hash-2', markerIds: null });
+        await adapter.setOrganization('acme', { name: 'Acme' });
+        await adapter.setApiKey('acme', 'key-3', { ...cmsKey, keyHash: 'hash-3' });
+
+        const apiKeys = await adapter.listApiKeys(ORG_ID);
+        expect(apiKeys.map(apiKey => apiKey.id)).toEqual(['key-2', 'key-1']);
+        expect(apiKeys[0].markerIds).toBeNull();
+        expect(await adapter.listApiKeys('none')).toEqual([]);
+      });
+    });
+
+    // ========================================================================
+    // Auth sessions
+    // ========================================================================
+
+    describe('auth sessions', () => {
+      const SESSION_ID = '0b8e2f3a-5d41-4c4e-8f0e-6a1d9b7c2e55';
+      const session = {
+        orgId: ORG_ID,
+        username: 'alice',
+        refreshTokenHash: 'hash-a',
+        accessExpiresAt: '2030-01-01T00:15:00.000Z',
+        expiresAt: '2030-01-31T00:00:00.000Z',
+      };
+
+      test('setAuthSession creates a session and getAuthSession returns every field', async () => {
+        const saved = await adapter.setAuthSession(SESSION_ID, session);
+
+        expect(saved).toEqual({
+          id: SESSION_ID,
+          ...session,
+          lastUsedAt: null,
+          revokedAt: null,
+          createdAt: expect.stringMatching(ISO_PATTERN),
+          updatedAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.getAuthSession(SESSION_ID)).toEqual(saved);
+        expect(await adapter.getAuthSession('missing')).toBeNull();
+      });
+
+      test('setAuthSession rotates and revokes, keeping createdAt', async () => {
+        const created = await adapter.setAuthSession(SESSION_ID, session);
+
+        await sleep(5);
+        const changes = {
+          refreshTokenHash: 'hash-b',
+          lastUsedAt: '2030-01-01T00:10:00.000Z',
+          revokedAt: '2030-01-01T00:12:00.000Z',
+        };
+        const updated = await adapter.setAuthSession(SESSION_ID, { ...session, ...changes });
+
+        expect(updated).toMatchObject(changes);
+        expect(updated.createdAt).toBe(created.createdAt);
+      });
+
+      test('rotateAuthSession replaces the refresh token once, and not after revocation', async () => {
+        await adapter.setAuthSession(SESSION_ID, session);
+        const rotation = {
+          refreshTokenHash: 'hash-b',
+          accessExpiresAt: '2030-01-01T00:30:00.000Z',
+          expiresAt: '2030-02-01T00:00:00.000Z',
+          lastUsedAt: '2030-01-01T00:15:00.000Z',
+        };
+
+        const results = await Promise.all([
+          adapter.rotateAuthSession(SESSION_ID, 'hash-a', rotation),
+          adapter.rotateAuthSession(SESSION_ID, 'hash-a', { ...rotation, refreshTokenHash: 'hash-c' }),
+        ]);
+        expect(results.sort()).toEqual([false, true]);
+
+        const rotated = await adapter.getAuthSession(SESSION_ID);
+        expect(['hash-b', 'hash-c']).toContain(rotated.refreshTokenHash);
+        expect(rotated).toMatchObject({ ...rotation, refreshTokenHash: rotated.refreshTokenHash, revokedAt: null });
+
+        await adapter.setAuthSession(SESSION_ID, { ...rotated, revokedAt: '2030-01-01T00:20:00.000Z' });
+        expect(await adapter.rotateAuthSession(SESSION_ID, rotated.refreshTokenHash, rotation)).toBe(false);
+        expect(await adapter.rotateAuthSession('missing', 'hash-a', rotation)).toBe(false);
+      });
+
+      test('listAuthSessions returns a user\'s sessions, newest first', async () => {
+        await adapter.setAuthSession('session-1', session);
+        await sleep(5);
+        await adapter.setAuthSession('session-2', session);
+        await adapter.setAuthSession('session-3', { ...session, username: 'bob' });
+        await adapter.setAuthSession('session-4', { ...session, orgId: 'acme' });
+
+        expect((await adapter.listAuthSessions(ORG_ID, 'alice')).map(s => s.id)).toEqual(['session-2', 'session-1']);
+        expect(await adapter.listAuthSessions(ORG_ID, 'nobody')).toEqual([]);
+      });
+
+      test('token revocations are listed until purged after they expire', async () => {
+        await adapter.addTokenRevocation('session-1', '2030-01-01T00:15:00.000Z');
+        await adapter.addTokenRevocation('session-2', '2030-01-01T01:00:00.000Z');
+
+        expect(await adapter.isTokenRevoked('session-1')).toBe(true);
+        expect(await adapter.isTokenRevoked('session-3')).toBe(false);
+
+        expect(await adapter.purgeTokenRevocations('2030-01-01T00:30:00.000Z')).toEqual({ deleted: 1 });
+        expect(await adapter.isTokenRevoked('session-1')).toBe(false);
+        expect(await adapter.isTokenRevoked('session-2')).toBe(true);
+      });
+    });
+
+    // ========================================================================
+    // Audit log
+    // ========================================================================
+
+    describe('audit log', () => {
+      const entry = {
+        action: 'content.publish',
+        actor: 'alice',
+        actorRole: 'editor',
+        targetType: 'content',
+        targetId: 'marker-1',
+        markerId: 'marker-1',
+        before: null,
+        after: { title: 'Published', style: { color: '#fff' } },
+        ipAddress: '203.0.113.7',
+        requestId: 'req-1',
+      };
+
+      test('addAuditEntry stores every field with an id and createdAt', async () => {
+        const saved = await adapter.addAuditEntry(ORG_ID, entry);
+
+        expect(saved).toEqual({
+          id: expect.any(String),
+          orgId: ORG_ID,
+          ...entry,
+          createdAt: expect.stringMatching(ISO_PATTERN),
+        });
+        expect(await adapter.listAuditEntries(ORG_ID)).toEqual([saved]);
+      });
+
+      test('listAuditEntries filters and returns the newest first', async () => {
+        await adapter.addAuditEntry(ORG_ID, entry);
+        await sleep(5);
+        await adapter.addAuditEntry(ORG_ID, { ...entry, action: 'content.delete', actor: 'bob', before: entry.after, after: null });
+        await sleep(5);
+        await adapter.addAuditEntry(ORG_ID, {
+          ...entry, action: 'campaign.create', targetType: 'campaign', targetId: '7', markerId: null,
+        });
+        await adapter.addAuditEntry('acme', entry);
+
+        const all = await adapter.listAuditEntries(ORG_ID);
+
+        expect(all.map(e => e.action)).toEqual(['campaign.create', 'content.delete', 'content.publish']);
+        expect((await adapter.listAuditEntries(ORG_ID, { actor: 'bob' })).map(e => e.action)).toEqual(['content.delete']);
+        expect((await adapter.listAuditEntries(ORG_ID, { action: 'content.publish' }))).toHaveLength(1);
+        expect((await adapter.listAuditEntries(ORG_ID, { targetType: 'campaign', targetId: '7' }))).toHaveLength(1);
+        expect((await adapter.listAuditEntries(ORG_ID, { markerId: 'marker-1' }))).toHaveLength(2);
+        expect((await adapter.listAuditEntries(ORG_ID, { startDate: all[1].createdAt })).map(e => e.action))
+          .toEqual(['campaign.create', 'content.delete']);
+        expect((await adapter.listAuditEntries(ORG_ID, { endDate: all[1].createdAt })).map(e => e.action))
+          .toEqual(['content.delete', 'content.publish']);
+        expect((await adapter.listAuditEntries(ORG_ID, { limit: 1 })).map(e => e.action)).toEqual(['campaign.create']);
+      });
+
+      test('purgeAuditEntries deletes entries created before the cutoff in every organization', async () => {
+        await adapter.addAuditEntry(ORG_ID, entry);
+        await adapter.addAuditEntry('acme', entry);
+        await sleep(5);
+        const cutoff = new Date().toISOString();
+        await sleep(5);
+        await adapter.addAuditEntry(ORG_ID, { ...entry, action: 'content.delete' });
+
+        expect(await adapter.purgeAuditEntries(cutoff)).toEqual({ deleted: 2 });
+        expect((await adapter.listAuditEntries(ORG_ID)).map(e => e.action)).toEqual(['content.delete']);
+        expect(await adapter.listAuditEntries('acme')).toEqual([]);
+      });
+    });
+
+    // ========================================================================
+    // Tenant isolation
+    // ========================================================================
+
+    describe('tenant isolation', () => {
+      const OTHER_ORG_ID = 'acme';
+
+      beforeEach(async () => {
+        await adapter.setOrganization(OTHER_ORG_ID, { name: 'Acme' });
+      });
+
+      test('the same marker ID holds separate content per organization', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', { type: 'news', title: 'Default' });
+        await adapter.setContent(OTHER_ORG_ID, 'marker-1', { type: 'news', title: 'Acme' });
+
+        expect(await adapter.getContent(ORG_ID, 'marker-1')).toMatchObject({ orgId: ORG_ID, title: 'Default' });
+        expect(await adapter.getContent(OTHER_ORG_ID, 'marker-1')).toMatchObject({ orgId: OTHER_ORG_ID, title: 'Acme' });
+        expect((await adapter.listAllContent(OTHER_ORG_ID)).map(c => c.title)).toEqual(['Acme']);
+
+        await adapter.deleteContent(OTHER_ORG_ID, 'marker-1');
+        expect(await adapter.getContent(OTHER_ORG_ID, 'marker-1')).toBeNull();
+        expect(await adapter.getContent(ORG_ID, 'marker-1')).not.toBeNull();
+      });
+
+      test('drafts and revisions are kept per organization', async () => {
+        const snapshot = { type: 'news', title: 'Headline' };
+        await adapter.setDraft(ORG_ID, 'marker-1', { content: snapshot });
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot });
+        await adapter.addContentRevision(ORG_ID, 'marker-1', { content: snapshot });
+
+        expect(await adapter.getDraft(OTHER_ORG_ID, 'marker-1')).toBeNull();
+        expect(await adapter.listContentRevisions(OTHER_ORG_ID, 'marker-1')).toEqual([]);
+
+        const first = await adapter.addContentRevision(OTHER_ORG_ID, 'marker-1', { content: snapshot });
+        expect(first.revision).toBe(1);
+        expect(await adapter.getContentRevision(OTHER_ORG_ID, 'marker-1', 2)).toBeNull();
+      });
+
+      test('campaigns are kept per organization', async () => {
+        await adapter.setCampaign(ORG_ID, 'summer', { name: 'Default summer' });
+
+        expect(await adapter.getCampaign(OTHER_ORG_ID, 'summer')).toBeNull();
+        expect(await adapter.listCampaigns(OTHER_ORG_ID)).toEqual([]);
+
+        await adapter.setCampaign(OTHER_ORG_ID, 'summer', { name: 'Acme summer' });
+        expect((await adapter.getCampaign(ORG_ID, 'summer')).name).toBe('Default summer');
+      });
+
+      test('analytics are kept per organization', async () => {
+        await adapter.setContent(ORG_ID, 'marker-1', { type: 'news', title: 'Default', campaignId: 'summer' });
+        await adapter.setContent(OTHER_ORG_ID, 'marker-1', { type: 'news', title: 'Acme', campaignId: 'summer' });
+        await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-1', eventType: 'scan' });
+        await adapter.recordAnalyticsEvent(ORG_ID, { markerId: 'marker-1', eventType: 'scan' });
+        await adapter.recordAnalyticsEvent(OTHER_ORG_ID, { markerId: 'marker-1', eventType: 'scan', variantId: 'a' });
+
+        expect((await adapter.getAnalytics(OTHER_ORG_ID, 'marker-1')).map(e => e.orgId)).toEqual([OTHER_ORG_ID]);
+        expect((await adapter.getAnalyticsSummary(OTHER_ORG_ID, 'marker-1')).totalScans).toBe(1);
+        expect((await adapter.getAllAnalyticsSummaries(OTHER_ORG_ID)).map(s => s.totalScans)).toEqual([1]);
+        expect(await adapter.getVariantSummaries(ORG_ID, 'marker-1')).toEqual([]);
+        expect((await adapter.getCampaignAnalyticsSummary(ORG_ID, 'summer')).totalScans).toBe(2);
+        expect((await adapter.getCampaignAnalyticsSummary(OTHER_ORG_ID, 'summer')).totalScans).toBe(1);
+      });
+    });
+  });
+}
+
+module.exports = {
+  describeAdapterConformance,
+};
@@ -0,0 +1,40 @@
+/**
+ * Firebase adapter conformance (Firestore emulator)
+ *
+ * Skipped unless FIRESTORE_EMULATOR_HOST is set, e.g.:
+ *   firebase emulators:start --only firestore
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 npm test
+ */
+
+const axios = require('axios');
+const { describeAdapterConformance } = require('./adapterConformance');
+const migrator = require('../../database/migrator');
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'portal-ar-test';
+
+if (!EMULATOR_HOST) {
+  describe.skip('firebase adapter conformance (FIRESTORE_EMULATOR_HOST not set)', () => {
+    test('requires the Firestore emulator', () => {});
+  });
+} else {
+  process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+  const firebaseAdapter = require('../../database/adapters/firebase');
+
+  describeAdapterConformance('firebase', {
+    setup: async () => {
+      await firebaseAdapter.initialize();
+      return firebaseAdapter;
+    },
+    // Wipe every document through the emulator's REST API
+    reset: async () => {
+      await axios.delete(
+        `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`
+      );
+      await migrator.migrate(firebaseAdapter);
+    },
+    teardown: async () => {
+      await firebaseAdapter.close();
+    },
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * In-memory adapter conformance
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeAdapterConformance } = require('./adapterConformance');
+const migrator = require('../../database/migrator');
+const memoryAdapter = require('../../database/adapters/memory');
+const { DEFAULT_ORG_ID } = require('../../database');
+
+describeAdapterConformance('memory', {
+  setup: async () => memoryAdapter,
+  reset: async () => {
+    await memoryAdapter.close();
+    await memoryAdapter.initialize();
+    await migrator.migrate(memoryAdapter);
+  },
+  teardown: async () => {
+    await memoryAdapter.close();
+  },
+});
+
+describe('memory adapter snapshots', () => {
+  let snapshotPath;
+
+  beforeEach(() => {
+    snapshotPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'portalar-')), 'snapshot.json');
+    process.env.MEMORY_SNAPSHOT_PATH = snapshotPath;
+  });
+
+  afterEach(() => {
+    delete process.env.MEMORY_SNAPSHOT_PATH;
+    fs.rmSync(path.dirname(snapshotPath), { recursive: true, force: true });
+  });
+
+  test('close() writes a snapshot that initialize() loads back', async () => {
+    await memoryAdapter.initialize();
+    await migrator.migrate(memoryAdapter);
+    await memoryAdapter.setContent(DEFAULT_ORG_ID, 'marker-1', { type: 'news', title: 'Persisted' });
+    await memoryAdapter.recordAnalyticsEvent(DEFAULT_ORG_ID, { markerId: 'marker-1', eventType: 'scan' });
+    await memoryAdapter.close();
+
+    expect(fs.existsSync(snapshotPath)).toBe(true);
+
+    await memoryAdapter.initialize();
+    expect((await memoryAdapter.getContent(DEFAULT_ORG_ID, 'marker-1')).title).toBe('Persisted');
+    expect((await memoryAdapter.getAnalyticsSummary(DEFAULT_ORG_ID, 'marker-1')).totalScans).toBe(1);
+    expect((await migrator.getStatus(memoryAdapter)).pending).toEqual([]);
+
+    // Event ids keep increasing after a reload
+    const event = await memoryAdapter.recordAnalyticsEvent(DEFAULT_ORG_ID, { markerId: 'marker-1', eventType: 'click' });
+    expect(event.id).toBe(2);
+
+    await memoryAdapter.close();
+  });
+
+  test('initialize() starts empty when the snapshot file does not exist yet', async () => {
+    await memoryAdapter.initialize();
+    expect(await memoryAdapter.listAllContent(DEFAULT_ORG_ID)).toEqual([]);
+    await memoryAdapter.close();
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * PostgreSQL adapter conformance (pg-mem in-memory database)
+ */
+
+const { newDb } = require('pg-mem');
+const { describeAdapterConformance } = require('./adapterConformance');
+const migrator = require('../../database/migrator');
+
+// pg-mem rejects repeated CREATE TABLE IF NOT EXISTS without this flag
+// (the `mock` prefix lets jest.mock reference it after hoisting)
+const mockDb = newDb({ noAstCoverageCheck: true });
+
+jest.mock('pg', () => mockDb.adapters.createPg());
+
+const postgresAdapter = require('../../database/adapters/postgres');
+
+let backup;
+
+describeAdapterConformance('postgres', {
+  setup: async () => {
+    await postgresAdapter.initialize();
+    await migrator.migrate(postgresAdapter);
+    backup = mockDb.backup();
+    return postgresAdapter;
+  },
+  reset: async () => {
+    backup.restore();
+  },
+  teardown: async () => {
+    await postgresAdapter.close();
+  },
+});
@@ -0,0 +1,22 @@
+/**
+ * SQLite adapter conformance (in-memory database)
+ */
+
+const { describeAdapterConformance } = require('./adapterConformance');
+const migrator = require('../../database/migrator');
+
+process.env.SQLITE_PATH = ':memory:';
+const sqliteAdapter = require('../../database/adapters/sqlite');
+
+describeAdapterConformance('sqlite', {
+  setup: async () => sqliteAdapter,
+  // Each test gets a fresh in-memory database
+  reset: async () => {
+    await sqliteAdapter.close();
+    await sqliteAdapter.initialize();
+    await migrator.migrate(sqliteAdapter);
+  },
+  teardown: async () => {
+    await sqliteAdapter.close();
+  },
+});
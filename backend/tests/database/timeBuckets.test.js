@@ -0,0 +1,127 @@
+/**
+ * Time bucket boundaries for analytics timeseries
+ */
+
+const {
+  MAX_TIME_BUCKETS,
+  isValidTimeZone,
+  buildTimeBuckets,
+  floorToUtc,
+  getRollupPeriod,
+} = require('../../database/timeBuckets');
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
+
+describe('buildTimeBuckets', () => {
+  test('day buckets start at local midnight and cover the whole range', () => {
+    const buckets = buildTimeBuckets({
+      interval: 'day',
+      timeZone: 'Europe/Berlin',
+      startDate: '2024-01-01T12:00:00.000Z',
+      endDate: '2024-01-02T23:30:00.000Z',
+    });
+
+    // 23:30 UTC on the 2nd is already the 3rd in Berlin
+    expect(buckets).toEqual([
+      { start: '2023-12-31T23:00:00.000Z', end: '2024-01-01T23:00:00.000Z' },
+      { start: '2024-01-01T23:00:00.000Z', end: '2024-01-02T23:00:00.000Z' },
+      { start: '2024-01-02T23:00:00.000Z', end: '2024-01-03T23:00:00.000Z' },
+    ]);
+  });
+
+  test('days are 23 or 25 hours long across daylight saving changes', () => {
+    const [spring] = buildTimeBuckets({
+      timeZone: 'Europe/Berlin',
+      startDate: '2024-03-31T12:00:00.000Z',
+      endDate: '2024-03-31T12:00:00.000Z',
+    });
+    const [autumn] = buildTimeBuckets({
+      timeZone: 'Europe/Berlin',
+      startDate: '2024-10-27T12:00:00.000Z',
+      endDate: '2024-10-27T12:00:00.000Z',
+    });
+
+    expect(spring).toEqual({ start: '2024-03-30T23:00:00.000Z', end: '2024-03-31T22:00:00.000Z' });
+    expect(autumn).toEqual({ start: '2024-10-26T22:00:00.000Z', end: '2024-10-27T23:00:00.000Z' });
+  });
+
+  test('week buckets start on Monday', () => {
+    const buckets = buildTimeBuckets({
+      interval: 'week',
+      timeZone: 'America/New_York',
+      startDate: '2024-01-03T12:00:00.000Z',
+      endDate: '2024-01-09T12:00:00.000Z',
+    });
+
+    expect(buckets).toEqual([
+      { start: '2024-01-01T05:00:00.000Z', end: '2024-01-08T05:00:00.000Z' },
+      { start: '2024-01-08T05:00:00.000Z', end: '2024-01-15T05:00:00.000Z' },
+    ]);
+  });
+
+  test('hour buckets follow the local hour in half-hour offset zones', () => {
+    const buckets = buildTimeBuckets({
+      interval: 'hour',
+      timeZone: 'Asia/Kolkata',
+      startDate: '2024-01-01T00:10:00.000Z',
+      endDate: '2024-01-01T00:40:00.000Z',
+    });
+
+    expect(buckets).toEqual([
+      { start: '2023-12-31T23:30:00.000Z', end: '2024-01-01T00:30:00.000Z' },
+      { start: '2024-01-01T00:30:00.000Z', end: '2024-01-01T01:30:00.000Z' },
+    ]);
+  });
+
+  test('defaults to the last 30 days in UTC', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-02-15T10:00:00.000Z').getTime());
+
+    try {
+      const buckets = buildTimeBuckets();
+      expect(buckets).toHaveLength(31);
+      expect(buckets[0].start).toBe('2024-01-16T00:00:00.000Z');
+      expect(buckets[30].end).toBe('2024-02-16T00:00:00.000Z');
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('rejects unknown intervals, reversed ranges and too many buckets', () => {
+    expect(() => buildTimeBuckets({ interval: 'month' })).toThrow(RangeError);
+    expect(() => buildTimeBuckets({
+      startDate: '2024-02-01T00:00:00.000Z',
+      endDate: '2024-01-01T00:00:00.000Z',
+    })).toThrow(RangeError);
+    expect(() => buildTimeBuckets({
+      interval: 'hour',
+      startDate: '2024-01-01T00:00:00.000Z',
+      endDate: new Date(Date.UTC(2024, 0, 1, MAX_TIME_BUCKETS)).toISOString(),
+    })).toThrow(/Too many hour buckets/);
+  });
+});
+
+describe('getRollupPeriod', () => {
+  const ranges = { dailyUntil: '2024-01-03T00:00:00.000Z', hourlyUntil: '2024-01-03T11:00:00.000Z' };
+
+  test('uses daily rollups for whole UTC days and hourly rollups for whole UTC hours', () => {
+    expect(getRollupPeriod({ start: '2024-01-02T00:00:00.000Z', end: '2024-01-03T00:00:00.000Z' }, ranges)).toBe('day');
+    expect(getRollupPeriod({ start: '2024-01-03T10:00:00.000Z', end: '2024-01-03T11:00:00.000Z' }, ranges)).toBe('hour');
+  });
+
+  test('falls back to raw events after the watermark or off UTC boundaries', () => {
+    expect(getRollupPeriod({ start: '2024-01-03T11:00:00.000Z', end: '2024-01-03T12:00:00.000Z' }, ranges)).toBeNull();
+    expect(getRollupPeriod({ start: '2024-01-01T23:00:00.000Z', end: '2024-01-02T23:00:00.000Z' }, ranges)).toBe('hour');
+    expect(getRollupPeriod({ start: '2024-01-01T23:30:00.000Z', end: '2024-01-02T00:30:00.000Z' }, ranges)).toBeNull();
+  });
+
+  test('floorToUtc truncates to the UTC hour or day', () => {
+    expect(floorToUtc('2024-01-03T11:58:00.000Z', 'hour')).toBe('2024-01-03T11:00:00.000Z');
+    expect(floorToUtc('2024-01-03T11:58:00.000Z', 'day')).toBe('2024-01-03T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Recording analytics events: timestamp validation and keeping rollup
+ * maintenance off the request
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const request = require('supertest');
+const database = require('../../database');
+const { createTestApp } = require('./testApp');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let app;
+
+beforeAll(() => {
+  // The error handler logs every refused request
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  app = createTestApp();
+});
+
+beforeEach(async () => {
+  await database.initialize();
+});
+
+afterEach(async () => {
+  await database.close();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+describe('POST /api/analytics', () => {
+  test('records a recent event without touching the rollups', async () => {
+    const spy = jest.spyOn(database, 'rollupAnalytics');
+
+    const response = await request(app)
+      .post('/api/analytics')
+      .send({ markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(2) });
+
+    expect(response.status).toBe(200);
+    expect(spy).not.toHaveBeenCalled();
+    expect(await database.getAnalytics(ORG_ID, 'marker-a')).toHaveLength(1);
+
+    spy.mockRestore();
+  });
+
+  test('refuses a timestamp more than 7 days old', async () => {
+    const response = await request(app)
+      .post('/api/analytics')
+      .send({ markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(8) });
+
+    expect(response.status).toBe(400);
+    expect(await database.getAnalytics(ORG_ID, 'marker-a')).toEqual([]);
+  });
+
+  test('refuses a timestamp in the future beyond the clock skew allowance', async () => {
+    const ahead = await request(app)
+      .post('/api/analytics')
+      .send({ markerId: 'marker-a', eventType: 'scan', timestamp: new Date(Date.now() + 60 * 1000).toISOString() });
+    expect(ahead.status).toBe(200);
+
+    const future = await request(app)
+      .post('/api/analytics')
+      .send({ markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(-1) });
+    expect(future.status).toBe(400);
+    expect(await database.getAnalytics(ORG_ID, 'marker-a')).toHaveLength(1);
+  });
+});
+
+describe('POST /api/analytics/batch', () => {
+  test('refuses an invalid timestamp', async () => {
+    const response = await request(app)
+      .post('/api/analytics/batch')
+      .send({
+        events: [
+          { markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(1) },
+          { markerId: 'marker-a', eventType: 'click', timestamp: 'not-a-date' },
+        ],
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.path)).toEqual(['events[1].timestamp']);
+    expect(await database.getAnalytics(ORG_ID, 'marker-a')).toEqual([]);
+  });
+
+  test('refuses a timestamp more than 7 days old or in the future', async () => {
+    const response = await request(app)
+      .post('/api/analytics/batch')
+      .send({ events: [{ markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(30) }] });
+
+    expect(response.status).toBe(400);
+
+    const future = await request(app)
+      .post('/api/analytics/batch')
+      .send({ events: [{ markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(-2) }] });
+
+    expect(future.status).toBe(400);
+    expect(await database.getAnalytics(ORG_ID, 'marker-a')).toEqual([]);
+  });
+
+  test('records recent events without touching the rollups', async () => {
+    const spy = jest.spyOn(database, 'rollupAnalytics');
+
+    const response = await request(app)
+      .post('/api/analytics/batch')
+      .send({
+        events: [
+          { markerId: 'marker-a', eventType: 'scan', timestamp: daysAgo(6) },
+          { markerId: 'marker-a', eventType: 'click' },
+        ],
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    expect(spy).not.toHaveBeenCalled();
+
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * API key scopes and marker/campaign restrictions as enforced on requests
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const request = require('supertest');
+const database = require('../../database');
+const { generateApiKey } = require('../../services/apiKeys');
+const { createTestApp } = require('./testApp');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+
+let app;
+
+async function createKey(id, fields) {
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  await database.setApiKey(ORG_ID, id, {
+    name: id,
+    keyPrefix,
+    keyHash,
+    scopes: ['content:write', 'analytics:read'],
+    markerIds: null,
+    campaignIds: null,
+    ...fields,
+  });
+  return { 'X-API-Key': key };
+}
+
+beforeAll(async () => {
+  // The error handler logs every refused request
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await database.initialize();
+  await database.setCampaign(ORG_ID, 'spring', { name: 'Spring' });
+  await database.setCampaign(ORG_ID, 'summer', { name: 'Summer' });
+  await database.setContent(ORG_ID, 'marker-spring', { type: 'news', title: 'Spring', campaignId: 'spring' });
+  await database.setContent(ORG_ID, 'marker-other', { type: 'news', title: 'Other' });
+  app = createTestApp();
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await database.close();
+});
+
+describe('scopes', () => {
+  test('a key without the scope is refused', async () => {
+    const headers = await createKey('analytics-only', { scopes: ['analytics:read'] });
+
+    const save = await request(app)
+      .post('/api/content/marker-other')
+      .set(headers)
+      .send({ type: 'news', title: 'Changed' });
+    expect(save.status).toBe(403);
+    expect(save.body.message).toBe('Permission denied: content:write required');
+
+    const read = await request(app).get('/api/analytics/marker-other/summary').set(headers);
+    expect(read.status).toBe(200);
+  });
+
+  test('a content:write key saves drafts but can\'t approve or publish them', async () => {
+    const headers = await createKey('writer', { scopes: ['content:write'] });
+    const publisher = await createKey('publisher', { scopes: ['content:publish'] });
+
+    const save = await request(app)
+      .post('/api/content/marker-other')
+      .set(headers)
+      .send({ type: 'news', title: 'Draft' });
+    expect(save.status).toBeLessThan(300);
+
+    for (const action of ['draft/approve', 'publish']) {
+      const response = await request(app).post(`/api/content/marker-other/${action}`).set(headers);
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Permission denied: content:publish required');
+    }
+
+    const published = await request(app).post('/api/content/marker-other/publish').set(publisher);
+    expect(published.status).toBe(200);
+    expect(published.body.data.title).toBe('Draft');
+  });
+
+  test('a key can\'t manage users', async () => {
+    const headers = await createKey('full', {});
+
+    expect((await request(app).get('/api/users').set(headers)).status).toBe(403);
+  });
+});
+
+describe('marker restrictions', () => {
+  test('a marker-restricted key only acts on its markers', async () => {
+    const headers = await createKey('marker-key', { markerIds: ['marker-other'] });
+
+    const own = await request(app)
+      .post('/api/content/marker-other')
+      .set(headers)
+      .send({ type: 'news', title: 'Other, edited' });
+    expect(own.status).toBeLessThan(300);
+
+    const other = await request(app)
+      .post('/api/content/marker-spring')
+      .set(headers)
+      .send({ type: 'news', title: 'Taken over' });
+    expect(other.status).toBe(403);
+    expect(other.body.message).toBe('API key is not allowed to access marker: marker-spring');
+
+    expect((await request(app).get('/api/content').set(headers)).status).toBe(403);
+    expect((await request(app).get('/api/campaigns/spring').set(headers)).status).toBe(403);
+  });
+});
+
+describe('campaign restrictions', () => {
+  let headers;
+
+  beforeAll(async () => {
+    headers = await createKey('campaign-key', { campaignIds: ['spring'] });
+  });
+
+  test('a campaign-restricted key may use its campaign\'s routes only', async () => {
+    const own = await request(app).get('/api/campaigns/spring').set(headers);
+    expect(own.status).toBe(200);
+    expect(own.body.data.markers.map(marker => marker.markerId)).toEqual(['marker-spring']);
+
+    expect((await request(app).get('/api/campaigns/spring/analytics').set(headers)).status).toBe(200);
+
+    const other = await request(app).get('/api/campaigns/summer').set(headers);
+    expect(other.status).toBe(403);
+    expect(other.body.message).toBe('API key is not allowed to access campaign: summer');
+
+    expect((await request(app).get('/api/campaigns').set(headers)).status).toBe(403);
+  });
+
+  test('a campaign-restricted key acts on its campaign\'s markers only', async () => {
+    const own = await request(app)
+      .post('/api/content/marker-spring')
+      .set(headers)
+      .send({ type: 'news', title: 'Spring, edited', campaignId: 'spring' });
+    expect(own.status).toBeLessThan(300);
+
+    const claimed = await request(app)
+      .post('/api/content/marker-other')
+      .set(headers)
+      .send({ type: 'news', title: 'Taken over', campaignId: 'spring' });
+    expect(claimed.status).toBe(403);
+    expect((await database.getContent(ORG_ID, 'marker-other')).title).not.toBe('Taken over');
+
+    const created = await request(app)
+      .post('/api/content/marker-new')
+      .set(headers)
+      .send({ type: 'news', title: 'New', campaignId: 'spring' });
+    expect(created.status).toBeLessThan(300);
+  });
+
+  test('a campaign-restricted key can\'t move a marker out of its campaigns', async () => {
+    for (const change of [{ campaignId: null }, {}, { campaignId: 'summer' }]) {
+      const response = await request(app)
+        .post('/api/content/marker-spring')
+        .set(headers)
+        .send({ type: 'news', title: 'Moved', ...change });
+      expect(response.status).toBe(403);
+    }
+
+    const detached = await request(app)
+      .post('/api/content/marker-spring')
+      .set(headers)
+      .send({ type: 'news', title: 'Moved', campaignId: null });
+    expect(detached.body.message).toBe('API key may only save markers in its campaigns');
+
+    const draft = await database.getDraft(ORG_ID, 'marker-spring');
+    expect(draft.content.campaignId).toBe('spring');
+    expect(draft.content.title).not.toBe('Moved');
+  });
+
+  test('a campaign-restricted key can\'t restore a revision outside its campaigns', async () => {
+    await database.setContent(ORG_ID, 'marker-joined', { type: 'news', title: 'Before' });
+    await database.setContent(ORG_ID, 'marker-joined', { type: 'news', title: 'After', campaignId: 'spring' });
+    const publishHeaders = await createKey('campaign-publish-key', {
+      scopes: ['content:publish'],
+      campaignIds: ['spring'],
+    });
+
+    const response = await request(app)
+      .post('/api/content/marker-joined/revisions/1/restore')
+      .set(publishHeaders);
+    expect(response.status).toBe(403);
+    expect((await database.getContent(ORG_ID, 'marker-joined')).campaignId).toBe('spring');
+
+    const own = await request(app)
+      .post('/api/content/marker-joined/revisions/2/restore')
+      .set(publishHeaders);
+    expect(own.status).toBe(200);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Publishing drafts: the approval is checked as the draft is published, not
+ * only when it was read
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const request = require('supertest');
+const database = require('../../database');
+const { createTestApp, signToken } = require('./testApp');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+
+let app;
+
+function asUser(username) {
+  return { Authorization: `Bearer ${signToken('editor', { username })}` };
+}
+
+beforeAll(() => {
+  // The error handler logs every refused request
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  app = createTestApp();
+});
+
+beforeEach(async () => {
+  process.env.CONTENT_PUBLISH_REQUIRES_APPROVAL = 'true';
+  await database.initialize();
+  await database.saveDraft(ORG_ID, 'marker-a', { type: 'news', title: 'First' }, { author: 'alice' });
+});
+
+afterEach(async () => {
+  delete process.env.CONTENT_PUBLISH_REQUIRES_APPROVAL;
+  await database.close();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/content/:markerId/publish', () => {
+  test('publishes an approved draft', async () => {
+    await request(app).post('/api/content/marker-a/draft/approve').set(asUser('bob'));
+
+    const response = await request(app).post('/api/content/marker-a/publish').set(asUser('bob'));
+
+    expect(response.status).toBe(200);
+    expect((await database.getContent(ORG_ID, 'marker-a')).title).toBe('First');
+    expect(await database.getDraft(ORG_ID, 'marker-a')).toBeNull();
+  });
+
+  test('refuses a draft saved again after it was read as approved', async () => {
+    const approved = await database.approveDraft(ORG_ID, 'marker-a', 'bob');
+    await database.saveDraft(ORG_ID, 'marker-a', { type: 'news', title: 'Unreviewed' }, { author: 'alice' });
+
+    // The route reads the approved draft just before it is saved again
+    jest.spyOn(database, 'getDraft').mockResolvedValueOnce(approved);
+
+    const response = await request(app).post('/api/content/marker-a/publish').set(asUser('bob'));
+
+    expect(response.status).toBe(409);
+    expect(await database.getContent(ORG_ID, 'marker-a')).toBeNull();
+    expect(await database.getDraft(ORG_ID, 'marker-a')).toMatchObject({ content: { title: 'Unreviewed' }, approvedBy: null });
+  });
+});
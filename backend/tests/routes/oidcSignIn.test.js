@@ -0,0 +1,114 @@
+/**
+ * Single sign-on logins: matching accounts on the provider's subject and
+ * two-factor challenges for SSO users
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const axios = require('axios');
+const request = require('supertest');
+const database = require('../../database');
+const { startMockOidcProvider } = require('../../scripts/mock-oidc-provider');
+const { generateTotpSecret, generateTotp, getTimeStep } = require('../../services/twoFactor');
+const { createTestApp } = require('./testApp');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+const REDIRECT_URI = 'http://localhost:3000/admin';
+const OIDC_ENV = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_REDIRECT_URI', 'REQUIRE_TWO_FACTOR'];
+
+const account = { sub: 'u-1', email: 'alice@example.com', groups: ['editor'] };
+
+let app;
+let provider;
+
+beforeAll(async () => {
+  // The error handler logs every refused request
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  provider = await startMockOidcProvider({ clientId: 'portal-ar', clientSecret: 'mock-secret', user: account });
+  app = createTestApp();
+});
+
+afterAll(async () => {
+  await provider.close();
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = 'portal-ar';
+  process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+  process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+  Object.assign(account, { sub: 'u-1', email: 'alice@example.com' });
+  await database.initialize();
+});
+
+afterEach(async () => {
+  OIDC_ENV.forEach(name => delete process.env[name]);
+  await database.close();
+});
+
+/**
+ * Start a login, follow the provider's redirect and post the code back
+ */
+async function signInWithSso() {
+  const { body: started } = await request(app).post('/api/auth/oidc/start');
+  const redirect = await axios.get(started.authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+  const params = new URL(redirect.headers.location).searchParams;
+
+  return request(app)
+    .post('/api/auth/oidc/callback')
+    .send({ code: params.get('code'), state: params.get('state'), loginToken: started.loginToken });
+}
+
+describe('POST /api/auth/oidc/callback', () => {
+  test('creates an account for the subject and signs in to it after an email change', async () => {
+    const first = await signInWithSso();
+    expect(first.status).toBe(200);
+    expect(first.body.user).toMatchObject({ username: 'alice@example.com', role: 'editor' });
+
+    account.email = 'alice.smith@example.com';
+    const second = await signInWithSso();
+
+    expect(second.status).toBe(200);
+    expect(second.body.user.username).toBe('alice@example.com');
+  });
+
+  test('refuses a username taken by a password account', async () => {
+    const local = await database.setUser(ORG_ID, 'alice@example.com', { passwordHash: '$2a$10$local', role: 'viewer' });
+
+    const response = await signInWithSso();
+
+    expect(response.status).toBe(403);
+    expect(response.body.token).toBeUndefined();
+    expect(await database.getUser(ORG_ID, 'alice@example.com')).toEqual(local);
+  });
+
+  test('asks SSO users with two-factor authentication for a code', async () => {
+    await signInWithSso();
+    const secret = generateTotpSecret();
+    await database.setUserTotp(ORG_ID, 'alice@example.com', { secret, enabledAt: new Date().toISOString() });
+
+    const response = await signInWithSso();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ twoFactorRequired: true });
+    expect(response.body.token).toBeUndefined();
+
+    const verified = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: response.body.challengeToken, code: generateTotp(secret, getTimeStep()) });
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.user.username).toBe('alice@example.com');
+  });
+
+  test('asks SSO users to enroll when two-factor authentication is required', async () => {
+    process.env.REQUIRE_TWO_FACTOR = 'true';
+
+    const response = await signInWithSso();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ twoFactorEnrollmentRequired: true });
+    expect(response.body.token).toBeUndefined();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Role-based access control as enforced on requests (requirePermission)
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const request = require('supertest');
+const database = require('../../database');
+const { createTestApp, signToken } = require('./testApp');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+
+let app;
+
+beforeAll(async () => {
+  // The error handler logs every refused request
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await database.initialize();
+  await database.setContent(ORG_ID, 'marker-a', { type: 'news', title: 'Marker A' });
+  app = createTestApp();
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await database.close();
+});
+
+function asRole(role) {
+  return { Authorization: `Bearer ${signToken(role)}` };
+}
+
+describe('content writes', () => {
+  test.each(['viewer', 'analyst'])('are refused for a %s', async (role) => {
+    const save = await request(app)
+      .post('/api/content/marker-a')
+      .set(asRole(role))
+      .send({ type: 'news', title: 'Changed' });
+    expect(save.status).toBe(403);
+    expect(save.body.message).toBe('Permission denied: content:write required');
+
+    const remove = await request(app).delete('/api/content/marker-a').set(asRole(role));
+    expect(remove.status).toBe(403);
+
+    expect((await database.getContent(ORG_ID, 'marker-a')).title).toBe('Marker A');
+  });
+
+  test('reads are allowed for a viewer', async () => {
+    const response = await request(app).get('/api/content').set(asRole('viewer'));
+    expect(response.status).toBe(200);
+  });
+
+  test('are allowed for an editor', async () => {
+    const response = await request(app)
+      .post('/api/content/marker-b')
+      .set(asRole('editor'))
+      .send({ type: 'news', title: 'Marker B' });
+    expect(response.status).toBeLessThan(300);
+  });
+});
+
+describe('user management', () => {
+  test('is refused for an editor', async () => {
+    const list = await request(app).get('/api/users').set(asRole('editor'));
+    expect(list.status).toBe(403);
+    expect(list.body.message).toBe('Permission denied: users:manage required');
+
+    const create = await request(app)
+      .post('/api/users')
+      .set(asRole('editor'))
+      .send({ username: 'new@example.com', password: 'a-long-password-123', role: 'owner' });
+    expect(create.status).toBe(403);
+    expect(await database.getUser(ORG_ID, 'new@example.com')).toBeNull();
+  });
+
+  test('is allowed for an owner', async () => {
+    const response = await request(app).get('/api/users').set(asRole('owner'));
+    expect(response.status).toBe(200);
+  });
+});
+
+test('requests without a token are rejected before the permission check', async () => {
+  const response = await request(app).post('/api/content/marker-a').send({ type: 'news' });
+  expect(response.status).toBe(401);
+});
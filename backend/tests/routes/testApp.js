@@ -0,0 +1,36 @@
+/**
+ * Express app for route tests: the API routers and error handler as mounted
+ * by server.js, without the server's rate limiting, logging and listen()
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const errorHandler = require('../../middleware/errorHandler');
+
+process.env.ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || 'route-test-secret-that-is-long-enough';
+
+function createTestApp() {
+  const app = express();
+
+  app.use(express.json());
+  app.use('/api/auth', require('../../routes/auth'));
+  app.use('/api/content', require('../../routes/content'));
+  app.use('/api/analytics', require('../../routes/analytics'));
+  app.use('/api/campaigns', require('../../routes/campaigns'));
+  app.use('/api/users', require('../../routes/users'));
+  app.use(errorHandler);
+
+  return app;
+}
+
+/**
+ * An admin dashboard token for a user with `role`
+ */
+function signToken(role, { username = `${role}@example.com`, orgId = 'default' } = {}) {
+  return jwt.sign({ username, role, orgId }, process.env.ADMIN_JWT_SECRET, { expiresIn: '1h' });
+}
+
+module.exports = {
+  createTestApp,
+  signToken,
+};
@@ -0,0 +1,213 @@
+/**
+ * Analytics rollup maintenance and rollup-backed reads
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const database = require('../../database');
+const {
+  queueLateEvents,
+  runAnalyticsRollups,
+  refreshAnalyticsRollups,
+  rollupLateEvents,
+  rebuildAnalyticsRollups,
+} = require('../../services/analyticsRollups');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+const NOW = new Date('2024-01-03T12:00:00.000Z').getTime();
+
+const events = [
+  { markerId: 'marker-a', eventType: 'scan', sessionId: 's1', timestamp: '2024-01-01T10:00:00.000Z' },
+  { markerId: 'marker-a', eventType: 'viewDuration', sessionId: 's1', timestamp: '2024-01-01T10:00:10.000Z', duration: 10 },
+  { markerId: 'marker-a', eventType: 'click', sessionId: 's1', timestamp: '2024-01-01T10:00:12.000Z' },
+  { markerId: 'marker-a', eventType: 'scan', sessionId: 's2', timestamp: '2024-01-02T09:00:00.000Z' },
+  { markerId: 'marker-a', eventType: 'viewDuration', sessionId: 's2', timestamp: '2024-01-02T09:00:20.000Z', duration: 20 },
+  { markerId: 'marker-b', eventType: 'scan', sessionId: 's3', timestamp: '2024-01-03T11:30:00.000Z' },
+  { markerId: 'marker-a', eventType: 'scan', sessionId: 's4', timestamp: '2024-01-03T11:58:00.000Z' },
+];
+
+async function recordEvents(list) {
+  for (const event of list) {
+    await database.recordAnalyticsEvent(ORG_ID, event);
+  }
+}
+
+beforeEach(async () => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  await database.initialize();
+  await recordEvents(events);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await database.close();
+});
+
+describe('refreshAnalyticsRollups', () => {
+  test('rolls up the closed hours since the first event', async () => {
+    // At 12:00 the hour from 11:00 is still within the grace period
+    expect(await refreshAnalyticsRollups()).toEqual({
+      rolledUpUntil: '2024-01-03T11:00:00.000Z',
+      complete: true,
+    });
+    expect(await database.getRollupRanges()).toEqual({
+      dailyUntil: '2024-01-03T00:00:00.000Z',
+      hourlyUntil: '2024-01-03T11:00:00.000Z',
+    });
+  });
+
+  test('rolls up at most maxHours per call', async () => {
+    expect(await refreshAnalyticsRollups({ maxHours: 30 })).toEqual({
+      rolledUpUntil: '2024-01-02T16:00:00.000Z',
+      complete: false,
+    });
+    expect(await refreshAnalyticsRollups({ maxHours: 30 })).toEqual({
+      rolledUpUntil: '2024-01-03T11:00:00.000Z',
+      complete: true,
+    });
+  });
+
+  test('starts at the current hour without events', async () => {
+    await database.close();
+    await database.initialize();
+
+    expect((await refreshAnalyticsRollups()).rolledUpUntil).toBe('2024-01-03T11:00:00.000Z');
+  });
+});
+
+describe('rollup-backed reads', () => {
+  test('summaries and timeseries match the raw events', async () => {
+    const summaries = await database.getAllAnalyticsSummaries(ORG_ID);
+    const options = { interval: 'day', startDate: '2024-01-01T00:00:00.000Z', endDate: '2024-01-03T12:00:00.000Z' };
+    const hourlyOptions = { ...options, interval: 'hour', timeZone: 'Europe/Berlin', startDate: '2024-01-03T00:00:00.000Z' };
+    const timeseries = await database.getAnalyticsTimeseries(ORG_ID, 'marker-a', options);
+    const hourly = await database.getAnalyticsTimeseries(ORG_ID, null, hourlyOptions);
+
+    await refreshAnalyticsRollups();
+
+    // Rolled up: the first two days and the hours until 11:00 of the third
+    expect(await database.getRollupRanges()).not.toBeNull();
+    expect(await database.getAllAnalyticsSummaries(ORG_ID)).toEqual(summaries);
+    expect(await database.getAnalyticsSummary(ORG_ID, 'marker-a')).toEqual(summaries[0]);
+    expect(await database.getAnalyticsTimeseries(ORG_ID, 'marker-a', options)).toEqual(timeseries);
+    expect(await database.getAnalyticsTimeseries(ORG_ID, null, hourlyOptions)).toEqual(hourly);
+  });
+
+  test('a marker without events has an empty summary', async () => {
+    await refreshAnalyticsRollups();
+
+    expect(await database.getAnalyticsSummary(ORG_ID, 'marker-none')).toEqual({
+      markerId: 'marker-none',
+      totalScans: 0,
+      totalClicks: 0,
+      avgDuration: 0,
+      lastScan: null,
+    });
+  });
+});
+
+describe('rollupLateEvents', () => {
+  test('recomputes the rolled-up hour and day of late events', async () => {
+    await refreshAnalyticsRollups();
+
+    const late = { markerId: 'marker-a', eventType: 'click', sessionId: 's1', timestamp: '2024-01-01T10:05:00.000Z' };
+    await database.recordAnalyticsEvent(ORG_ID, late);
+    await rollupLateEvents(ORG_ID, [late, { markerId: 'marker-a', eventType: 'scan' }]);
+
+    expect((await database.getAnalyticsSummary(ORG_ID, 'marker-a')).totalClicks).toBe(2);
+
+    const { buckets: [day] } = await database.getAnalyticsTimeseries(ORG_ID, 'marker-a', {
+      startDate: '2024-01-01T00:00:00.000Z',
+      endDate: '2024-01-01T23:59:59.999Z',
+    });
+    expect(day).toMatchObject({ scans: 1, clicks: 2 });
+  });
+});
+
+describe('runAnalyticsRollups', () => {
+  const late = { markerId: 'marker-a', eventType: 'click', sessionId: 's1', timestamp: '2024-01-01T10:05:00.000Z' };
+
+  test('recomputes queued late hours and rolls up closed hours', async () => {
+    await refreshAnalyticsRollups();
+
+    await database.recordAnalyticsEvent(ORG_ID, late);
+    await queueLateEvents(ORG_ID, [late]);
+
+    Date.now.mockReturnValue(NOW + 60 * 60 * 1000);
+    await runAnalyticsRollups();
+
+    expect((await database.getAnalyticsSummary(ORG_ID, 'marker-a')).totalClicks).toBe(2);
+    expect((await database.getRollupRanges()).hourlyUntil).toBe('2024-01-03T12:00:00.000Z');
+    expect(await database.takeQueuedAnalyticsRollups()).toEqual([]);
+  });
+
+  test('queued hours survive a restart of the job', async () => {
+    await refreshAnalyticsRollups();
+    await database.recordAnalyticsEvent(ORG_ID, late);
+    await queueLateEvents(ORG_ID, [late]);
+
+    // A new server process: nothing of this module's state is kept
+    let restarted;
+    jest.isolateModules(() => {
+      jest.doMock('../../database', () => database);
+      restarted = require('../../services/analyticsRollups');
+    });
+
+    await restarted.startAnalyticsRollupJob();
+    restarted.stopAnalyticsRollupJob();
+
+    expect((await database.getAnalyticsSummary(ORG_ID, 'marker-a')).totalClicks).toBe(2);
+  });
+
+  test('only queues events in closed hours', async () => {
+    await refreshAnalyticsRollups();
+
+    // 11:58 is within the grace period of the hour from 11:00
+    await queueLateEvents(ORG_ID, [
+      { markerId: 'marker-a', eventType: 'scan', timestamp: '2024-01-03T11:58:00.000Z' },
+      { markerId: 'marker-a', eventType: 'scan' },
+      late,
+      { ...late, timestamp: '2024-01-01T10:45:00.000Z' },
+    ]);
+
+    expect(await database.takeQueuedAnalyticsRollups()).toEqual([
+      { orgId: ORG_ID, hourStart: '2024-01-01T10:00:00.000Z' },
+    ]);
+  });
+
+  test('queues the hours of a failed recompute again', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await refreshAnalyticsRollups();
+    await queueLateEvents(ORG_ID, [late]);
+    jest.spyOn(database, 'rollupAnalytics').mockRejectedValueOnce(new Error('database down'));
+
+    await runAnalyticsRollups();
+
+    expect(await database.takeQueuedAnalyticsRollups()).toEqual([
+      { orgId: ORG_ID, hourStart: '2024-01-01T10:00:00.000Z' },
+    ]);
+  });
+
+  test('never throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(database, 'getAnalyticsRollupState').mockRejectedValue(new Error('database down'));
+    jest.spyOn(database, 'queueAnalyticsRollups').mockRejectedValue(new Error('database down'));
+
+    await expect(queueLateEvents(ORG_ID, events)).resolves.toBeUndefined();
+    await expect(runAnalyticsRollups()).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('rebuildAnalyticsRollups', () => {
+  test('rebuilds every rollup a week at a time', async () => {
+    await refreshAnalyticsRollups();
+    const summaries = await database.getAllAnalyticsSummaries(ORG_ID);
+    const progress = [];
+
+    expect(await rebuildAnalyticsRollups({ onProgress: until => progress.push(until) }))
+      .toBe('2024-01-03T11:00:00.000Z');
+    expect(progress).toEqual(['2024-01-03T11:00:00.000Z']);
+    expect(await database.getAllAnalyticsSummaries(ORG_ID)).toEqual(summaries);
+  });
+});
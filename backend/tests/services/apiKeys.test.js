@@ -0,0 +1,115 @@
+/**
+ * API key generation, scopes and marker/campaign restrictions
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const database = require('../../database');
+const {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  scopesGrant,
+  checkMarkerRestriction,
+  checkCampaignRestriction,
+  toPublicApiKey,
+} = require('../../services/apiKeys');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+
+describe('generateApiKey', () => {
+  test('returns a prefixed key with its prefix and hash', () => {
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    expect(key).toMatch(/^par_[\w-]{43}$/);
+    expect(key.startsWith(keyPrefix)).toBe(true);
+    expect(keyPrefix).toHaveLength(12);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(keyHash).not.toContain(key);
+    expect(generateApiKey().key).not.toBe(key);
+  });
+});
+
+describe('scopesGrant', () => {
+  test('maps scopes to permissions', () => {
+    expect(API_KEY_SCOPES).toEqual(['content:write', 'content:publish', 'analytics:read', 'perplexity:use']);
+
+    expect(scopesGrant(['content:write'], 'content:write')).toBe(true);
+    expect(scopesGrant(['content:write'], 'content:publish')).toBe(false);
+    expect(scopesGrant(['content:publish'], 'content:publish')).toBe(true);
+    expect(scopesGrant(['content:publish'], 'content:write')).toBe(false);
+    expect(scopesGrant(['content:write'], 'analytics:read')).toBe(false);
+    expect(scopesGrant(['analytics:read'], 'analytics:read')).toBe(true);
+    expect(scopesGrant(['perplexity:use'], 'perplexity:use')).toBe(true);
+    expect(scopesGrant(['content:write', 'analytics:read'], 'users:manage')).toBe(false);
+    expect(scopesGrant([], 'content:read')).toBe(false);
+  });
+});
+
+describe('toPublicApiKey', () => {
+  test('drops the key hash', () => {
+    expect(toPublicApiKey({ id: 'k1', name: 'CMS', keyHash: 'x' })).toEqual({ id: 'k1', name: 'CMS' });
+  });
+});
+
+describe('checkMarkerRestriction', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await database.setCampaign(ORG_ID, 'spring', { name: 'Spring' });
+    await database.setContent(ORG_ID, 'marker-spring', { type: 'news', title: 'Spring', campaignId: 'spring' });
+    await database.saveDraft(ORG_ID, 'marker-draft', { type: 'news', title: 'Draft', campaignId: 'spring' });
+    await database.setContent(ORG_ID, 'marker-other', { type: 'news', title: 'Other' });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('unrestricted keys may act on any marker', async () => {
+    const apiKey = { markerIds: null, campaignIds: null };
+
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-other')).toBeNull();
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, undefined)).toBeNull();
+  });
+
+  test('marker-restricted keys may only act on their markers', async () => {
+    const apiKey = { markerIds: ['marker-other'], campaignIds: null };
+
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-other')).toBeNull();
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-spring')).toMatch(/not allowed/);
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, undefined)).toMatch(/restricted/);
+  });
+
+  test('campaign-restricted keys follow the marker\'s published or draft campaign', async () => {
+    const apiKey = { markerIds: null, campaignIds: ['spring'] };
+
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-spring')).toBeNull();
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-draft')).toBeNull();
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-other')).toMatch(/not allowed/);
+  });
+
+  test('campaign-restricted keys may create markers in their campaigns only', async () => {
+    const apiKey = { markerIds: null, campaignIds: ['spring'] };
+
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-new', 'spring')).toBeNull();
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-new')).toMatch(/not allowed/);
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-spring', 'summer')).toMatch(/campaign: summer/);
+  });
+
+  test('campaign-restricted keys can\'t claim existing markers outside their campaigns', async () => {
+    const apiKey = { markerIds: null, campaignIds: ['spring'] };
+
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-other', 'spring')).toMatch(/not allowed to access marker/);
+    expect(await checkMarkerRestriction(apiKey, ORG_ID, 'marker-spring', 'spring')).toBeNull();
+  });
+});
+
+describe('checkCampaignRestriction', () => {
+  test('only keys restricted to the campaign may use its routes', () => {
+    expect(checkCampaignRestriction({ markerIds: null, campaignIds: null }, 'spring')).toBeNull();
+    expect(checkCampaignRestriction({ markerIds: null, campaignIds: ['spring'] }, 'spring')).toBeNull();
+    expect(checkCampaignRestriction({ markerIds: null, campaignIds: ['spring'] }, 'summer')).toMatch(/campaign: summer/);
+    expect(checkCampaignRestriction({ markerIds: ['marker-a'], campaignIds: null }, 'spring')).toMatch(/campaign: spring/);
+    expect(checkCampaignRestriction({ markerIds: null, campaignIds: ['spring'] }, undefined)).toMatch(/restricted/);
+  });
+});
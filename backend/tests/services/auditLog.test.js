@@ -0,0 +1,124 @@
+/**
+ * Audit log recording and retention
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+
+const database = require('../../database');
+const { recordAudit, purgeExpiredAuditEntries, getRetentionDays } = require('../../services/auditLog');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+
+const request = {
+  orgId: ORG_ID,
+  user: { username: 'alice', role: 'owner' },
+  ip: '203.0.113.7',
+  id: 'req-1',
+};
+
+beforeEach(async () => {
+  await database.initialize();
+});
+
+afterEach(async () => {
+  delete process.env.AUDIT_LOG_RETENTION_DAYS;
+  await database.close();
+});
+
+describe('recordAudit', () => {
+  test('records the actor, IP address and request ID without secrets', async () => {
+    await recordAudit(request, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: 'bob',
+      before: { username: 'bob', role: 'viewer', passwordHash: 'hash' },
+      after: { username: 'bob', role: 'editor', totp: { secret: 'JBSWY3DP', enabledAt: null } },
+    });
+
+    const [entry] = await database.listAuditEntries(ORG_ID);
+
+    expect(entry).toMatchObject({
+      action: 'user.update',
+      actor: 'alice',
+      actorRole: 'owner',
+      targetType: 'user',
+      targetId: 'bob',
+      markerId: null,
+      before: { username: 'bob', role: 'viewer' },
+      after: { username: 'bob', role: 'editor', totp: { enabledAt: null } },
+      ipAddress: '203.0.113.7',
+      requestId: 'req-1',
+    });
+  });
+
+  test('strips the key field only from API key states', async () => {
+    await recordAudit(request, {
+      action: 'apikey.create',
+      targetType: 'apiKey',
+      targetId: 'key-1',
+      after: { id: 'key-1', name: 'CI', key: 'par_plaintext', keyHash: 'hash' },
+    });
+    await recordAudit(request, {
+      action: 'content.update',
+      targetType: 'content',
+      markerId: 'marker-a',
+      after: { title: 'Poster', metadata: { key: 'spring-launch' } },
+    });
+
+    const entries = await database.listAuditEntries(ORG_ID);
+    const apiKeyEntry = entries.find(entry => entry.targetType === 'apiKey');
+    const contentEntry = entries.find(entry => entry.targetType === 'content');
+
+    expect(apiKeyEntry.after).toEqual({ id: 'key-1', name: 'CI' });
+    expect(contentEntry.after).toEqual({ title: 'Poster', metadata: { key: 'spring-launch' } });
+  });
+
+  test('stores numeric target IDs as strings and writes to an explicit organization', async () => {
+    await recordAudit(request, { action: 'campaign.create', targetType: 'campaign', targetId: 7, orgId: 'acme' });
+
+    expect(await database.listAuditEntries(ORG_ID)).toEqual([]);
+    expect((await database.listAuditEntries('acme'))[0].targetId).toBe('7');
+  });
+
+  test('never fails the request it records', async () => {
+    const spy = jest.spyOn(database, 'addAuditEntry').mockRejectedValue(new Error('disk full'));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(recordAudit(request, { action: 'content.delete', targetType: 'content' })).resolves.toBeUndefined();
+    expect(errorSpy).toHaveBeenCalled();
+
+    spy.mockRestore();
+    errorSpy.mockRestore();
+  });
+});
+
+describe('purgeExpiredAuditEntries', () => {
+  test('deletes entries older than the retention period', async () => {
+    process.env.AUDIT_LOG_RETENTION_DAYS = '30';
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now');
+
+    await database.addAuditEntry(ORG_ID, { action: 'content.publish', actor: 'alice', targetType: 'content' });
+
+    clock.mockReturnValue(now + 29 * day);
+    expect(await purgeExpiredAuditEntries({ force: true })).toBe(0);
+
+    clock.mockReturnValue(now + 31 * day);
+    expect(await purgeExpiredAuditEntries({ force: true })).toBe(1);
+    expect(await database.listAuditEntries(ORG_ID)).toEqual([]);
+
+    clock.mockRestore();
+  });
+
+  test('keeps entries forever when the retention is 0', async () => {
+    process.env.AUDIT_LOG_RETENTION_DAYS = '0';
+
+    expect(getRetentionDays()).toBe(0);
+    expect(await purgeExpiredAuditEntries({ force: true })).toBe(0);
+  });
+
+  test('defaults to 365 days', () => {
+    expect(getRetentionDays()).toBe(365);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Sessions, refresh token rotation and revocation
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+process.env.ADMIN_JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const database = require('../../database');
+const {
+  createSession,
+  findRefreshSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require('../../services/authSessions');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+
+beforeEach(async () => {
+  await database.initialize();
+});
+
+afterEach(async () => {
+  await database.close();
+});
+
+describe('createSession', () => {
+  test('issues a short-lived access token for a stored session', async () => {
+    const { token, expiresIn, refreshToken, refreshExpiresAt } = await createSession(ORG_ID, 'alice', 'editor');
+    const claims = jwt.verify(token, process.env.ADMIN_JWT_SECRET);
+
+    expect(expiresIn).toBe('15m');
+    expect(claims).toMatchObject({ username: 'alice', role: 'editor', orgId: ORG_ID });
+    expect(claims.exp - claims.iat).toBe(15 * 60);
+    expect(refreshToken.startsWith(`${claims.sid}.`)).toBe(true);
+
+    const session = await database.getAuthSession(claims.sid);
+    expect(session).toMatchObject({ orgId: ORG_ID, username: 'alice', expiresAt: refreshExpiresAt, revokedAt: null });
+    expect(session.refreshTokenHash).not.toContain(refreshToken.split('.')[1]);
+  });
+});
+
+describe('findRefreshSession', () => {
+  test('accepts the current refresh token only', async () => {
+    const { refreshToken } = await createSession(ORG_ID, 'alice', 'editor');
+    const [sessionId] = refreshToken.split('.');
+
+    expect(await findRefreshSession(refreshToken)).toMatchObject({ id: sessionId });
+    expect(await findRefreshSession('')).toBeNull();
+    expect(await findRefreshSession('unknown.secret')).toBeNull();
+  });
+
+  test('rotation invalidates the old token, and replaying it revokes the session', async () => {
+    const first = await createSession(ORG_ID, 'alice', 'editor');
+    const session = await findRefreshSession(first.refreshToken);
+    const second = await rotateSession(session, 'analyst');
+
+    expect(jwt.decode(second.token)).toMatchObject({ sid: session.id, role: 'analyst' });
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect((await database.getAuthSession(session.id)).lastUsedAt).not.toBeNull();
+
+    expect(await findRefreshSession(first.refreshToken)).toBeNull();
+    expect(await database.isTokenRevoked(session.id)).toBe(true);
+    expect(await findRefreshSession(second.refreshToken)).toBeNull();
+  });
+
+  test('concurrent refreshes with one token rotate once and revoke the session', async () => {
+    const { refreshToken } = await createSession(ORG_ID, 'alice', 'editor');
+    const [first, second] = await Promise.all([
+      findRefreshSession(refreshToken),
+      findRefreshSession(refreshToken),
+    ]);
+
+    const rotated = await rotateSession(first, 'editor');
+    const forked = await rotateSession(second, 'editor');
+
+    expect(rotated).not.toBeNull();
+    expect(forked).toBeNull();
+
+    const session = await database.getAuthSession(first.id);
+    expect(session.revokedAt).not.toBeNull();
+    expect(await database.isTokenRevoked(first.id)).toBe(true);
+    expect(await findRefreshSession(rotated.refreshToken)).toBeNull();
+
+    // The revocation lasts as long as the access token issued by the refresh
+    const { exp } = jwt.decode(rotated.token);
+    expect(new Date(session.accessExpiresAt).getTime()).toBe(exp * 1000);
+  });
+
+  test('expired sessions are rejected', async () => {
+    const { refreshToken } = await createSession(ORG_ID, 'alice', 'editor');
+    const session = await findRefreshSession(refreshToken);
+    await database.setAuthSession(session.id, { ...session, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(await findRefreshSession(refreshToken)).toBeNull();
+  });
+});
+
+describe('revocation', () => {
+  test('revokeSession ends the session and lists its access tokens as revoked', async () => {
+    const { refreshToken } = await createSession(ORG_ID, 'alice', 'editor');
+    const session = await findRefreshSession(refreshToken);
+
+    await revokeSession(session);
+
+    expect(await database.isTokenRevoked(session.id)).toBe(true);
+    expect((await database.getAuthSession(session.id)).revokedAt).not.toBeNull();
+    expect(await findRefreshSession(refreshToken)).toBeNull();
+  });
+
+  test('revokeUserSessions signs out every session of one user, optionally but one', async () => {
+    const kept = jwt.decode((await createSession(ORG_ID, 'alice', 'editor')).token).sid;
+    const other = jwt.decode((await createSession(ORG_ID, 'alice', 'editor')).token).sid;
+    const bob = jwt.decode((await createSession(ORG_ID, 'bob', 'editor')).token).sid;
+
+    expect(await revokeUserSessions(ORG_ID, 'alice', kept)).toBe(1);
+    expect(await database.isTokenRevoked(other)).toBe(true);
+    expect(await database.isTokenRevoked(kept)).toBe(false);
+    expect(await database.isTokenRevoked(bob)).toBe(false);
+
+    expect(await revokeUserSessions(ORG_ID, 'alice')).toBe(1);
+    expect(await database.isTokenRevoked(kept)).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Campaign state, default style and restyling
+ */
+
+const {
+  getCampaignState,
+  applyCampaignDefaults,
+  restyleContent,
+} = require('../../services/campaigns');
+
+const campaign = {
+  id: 'summer',
+  name: 'Summer',
+  startsAt: '2025-06-01T00:00:00Z',
+  endsAt: '2025-09-01T00:00:00Z',
+  defaultStyle: { backgroundColor: '#111111', accentColor: '#ffcc00' },
+  status: 'active',
+};
+
+describe('getCampaignState', () => {
+  test('follows the campaign window', () => {
+    expect(getCampaignState(campaign, new Date('2025-05-31T23:59:59Z'))).toBe('scheduled');
+    expect(getCampaignState(campaign, new Date('2025-07-01T00:00:00Z'))).toBe('active');
+    expect(getCampaignState(campaign, new Date('2025-09-01T00:00:00Z'))).toBe('ended');
+  });
+
+  test('a paused campaign is paused regardless of its window', () => {
+    expect(getCampaignState({ ...campaign, status: 'paused' }, new Date('2025-07-01T00:00:00Z')))
+      .toBe('paused');
+  });
+
+  test('a campaign without dates is always active', () => {
+    expect(getCampaignState({ name: 'Evergreen', status: 'active' })).toBe('active');
+  });
+});
+
+describe('applyCampaignDefaults', () => {
+  test('the marker\'s own style wins over the default style', () => {
+    const content = { type: 'news', style: { accentColor: '#00ff88' } };
+
+    expect(applyCampaignDefaults(content, campaign).style).toEqual({
+      backgroundColor: '#111111',
+      accentColor: '#00ff88',
+    });
+  });
+
+  test('content without a campaign is unchanged', () => {
+    const content = { type: 'news', style: null };
+    expect(applyCampaignDefaults(content, null)).toBe(content);
+  });
+});
+
+describe('restyleContent', () => {
+  test('merges style properties into the marker\'s style', () => {
+    const content = {
+      type: 'news',
+      style: { backgroundColor: '#000000', textColor: '#ffffff' },
+      variants: [{ id: 'a', weight: 1, content: { style: { textColor: '#eeeeee' } } }],
+    };
+
+    const restyled = restyleContent(content, { textColor: '#333333' });
+
+    expect(restyled.style).toEqual({ backgroundColor: '#000000', textColor: '#333333' });
+    expect(restyled.variants).toBe(content.variants);
+  });
+});
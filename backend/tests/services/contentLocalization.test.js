@@ -0,0 +1,111 @@
+/**
+ * Content localization: locale negotiation, fallback chains and overrides
+ */
+
+const {
+  validateTranslations,
+  parseAcceptLanguage,
+  buildLocaleChain,
+  getRequestLocaleChain,
+  localizeContent,
+} = require('../../services/contentLocalization');
+const { applyContentOverrides } = require('../../services/contentSchedule');
+
+const content = {
+  markerId: 'marker-1',
+  type: 'news',
+  title: 'Summer sale',
+  summary: 'Everything must go',
+  ctaText: 'Shop now',
+  translations: {
+    'pt-BR': { ctaText: 'Comprar agora' },
+    pt: { title: 'Promoção de verão', summary: 'Tudo tem de sair' },
+    de: { title: 'Sommerschlussverkauf' },
+  },
+};
+
+describe('locale negotiation', () => {
+  test('parseAcceptLanguage orders tags by quality', () => {
+    expect(parseAcceptLanguage('de;q=0.5, pt-BR, en;q=0.8, *;q=0.1, fr;q=0'))
+      .toEqual(['pt-BR', 'en', 'de']);
+    expect(parseAcceptLanguage(undefined)).toEqual([]);
+  });
+
+  test('buildLocaleChain adds shorter prefixes after each tag', () => {
+    expect(buildLocaleChain(['pt-BR', 'en-US', 'pt'])).toEqual(['pt-br', 'pt', 'en-us', 'en']);
+  });
+
+  test('?lang= takes precedence over Accept-Language', () => {
+    expect(getRequestLocaleChain('de', 'pt-BR')).toEqual(['de']);
+    expect(getRequestLocaleChain(undefined, 'pt-BR')).toEqual(['pt-br', 'pt']);
+    expect(getRequestLocaleChain('not a tag!', 'pt-BR')).toEqual(['pt-br', 'pt']);
+  });
+});
+
+describe('localizeContent', () => {
+  test('falls back per field along the chain: pt-BR → pt → default', () => {
+    const { content: localized, locale } = localizeContent(content, buildLocaleChain(['pt-BR']));
+
+    expect(localized).toMatchObject({
+      title: 'Promoção de verão',
+      summary: 'Tudo tem de sair',
+      ctaText: 'Comprar agora',
+    });
+    expect(localized.translations).toBeUndefined();
+    expect(locale).toBe('pt');
+  });
+
+  test('uses default text for fields and locales without translations', () => {
+    const german = localizeContent(content, ['de']).content;
+    expect(german).toMatchObject({ title: 'Sommerschlussverkauf', summary: 'Everything must go' });
+
+    const { content: japanese, locale } = localizeContent(content, ['ja']);
+    expect(japanese.title).toBe('Summer sale');
+    expect(locale).toBeNull();
+  });
+
+  test('matches locales case-insensitively', () => {
+    expect(localizeContent(content, buildLocaleChain(['PT-br'])).content.ctaText).toBe('Comprar agora');
+  });
+});
+
+describe('translations under overrides', () => {
+  test('an overridden field hides the inherited translations of that field', () => {
+    const variant = applyContentOverrides(content, { title: 'Flash sale' });
+    const { content: localized } = localizeContent(variant, ['pt']);
+
+    expect(localized.title).toBe('Flash sale');
+    expect(localized.summary).toBe('Tudo tem de sair');
+  });
+
+  test('translations supplied with the override are used', () => {
+    const variant = applyContentOverrides(content, {
+      title: 'Flash sale',
+      translations: { pt: { title: 'Saldos relâmpago' } },
+    });
+
+    expect(localizeContent(variant, ['pt']).content.title).toBe('Saldos relâmpago');
+  });
+});
+
+describe('validateTranslations', () => {
+  test('accepts valid translations and none', () => {
+    expect(validateTranslations(content.translations)).toEqual([]);
+    expect(validateTranslations(null)).toEqual([]);
+  });
+
+  test('rejects unknown locales, fields and oversized text', () => {
+    expect(validateTranslations({
+      'not a locale': { title: 'x' },
+      fr: { url: 'https://example.com', ctaText: 'x'.repeat(51) },
+      FR: { title: 'Doublon' },
+      es: 'hola',
+    })).toEqual([
+      'translations: "not a locale" is not a language tag (e.g. pt-BR)',
+      'translations.fr.url cannot be translated',
+      'translations.fr.ctaText must be at most 50 characters',
+      'translations: "FR" is listed more than once',
+      'translations.es must be an object',
+    ]);
+  });
+});
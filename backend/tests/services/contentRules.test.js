@@ -0,0 +1,156 @@
+/**
+ * Context-targeted content rules: matching, resolution and reporting
+ */
+
+const {
+  validateRules,
+  detectDeviceType,
+  buildRuleContext,
+  resolveRuleContent,
+  buildRuleReport,
+} = require('../../services/contentRules');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const IPAD = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+const rules = [
+  {
+    id: 'berlin-evening',
+    match: {
+      regions: ['DE-BE'],
+      timeOfDay: { startTime: '18:00', endTime: '02:00', timezone: 'Europe/Berlin' },
+    },
+    content: { title: 'Guten Abend, Berlin' },
+  },
+  { id: 'flyer', match: { query: { src: ['flyer', 'poster'] } }, content: { ctaText: 'Redeem flyer' } },
+  { id: 'austria', match: { regions: ['AT'] }, content: { title: 'Servus' } },
+  { id: 'phones', match: { deviceTypes: ['mobile'] }, content: { style: { accentColor: '#ff3b30' } } },
+];
+
+const content = {
+  markerId: 'marker-1',
+  type: 'news',
+  title: 'Hello',
+  ctaText: 'Read',
+  style: { backgroundColor: '#000000', accentColor: '#00ff88' },
+  rules,
+};
+
+// 20:00 in Berlin (CEST)
+const evening = new Date('2025-06-02T18:00:00Z');
+const noon = new Date('2025-06-02T10:00:00Z');
+
+function context(overrides) {
+  return { location: null, deviceType: 'desktop', query: {}, now: noon, ...overrides };
+}
+
+describe('detectDeviceType', () => {
+  test('uses the same categories as the frontend', () => {
+    expect(detectDeviceType(IPHONE)).toBe('mobile');
+    expect(detectDeviceType(IPAD)).toBe('tablet');
+    expect(detectDeviceType(DESKTOP)).toBe('desktop');
+    expect(detectDeviceType(undefined)).toBe('desktop');
+  });
+});
+
+describe('buildRuleContext', () => {
+  test('accepts explicit device and region for previews', () => {
+    expect(buildRuleContext({ userAgent: DESKTOP, device: 'mobile', region: 'us-ca' }))
+      .toMatchObject({ deviceType: 'mobile', location: { country: 'US', region: 'CA' } });
+  });
+
+  test('has no location without a geo database', () => {
+    expect(buildRuleContext({ ipAddress: '8.8.8.8', userAgent: IPHONE }))
+      .toMatchObject({ deviceType: 'mobile', location: null });
+  });
+});
+
+describe('resolveRuleContent', () => {
+  test('the first matching rule wins', () => {
+    const { content: resolved, ruleId } = resolveRuleContent(content, context({
+      location: { country: 'DE', region: 'BE' },
+      deviceType: 'mobile',
+      query: { src: 'flyer' },
+      now: evening,
+    }));
+
+    expect(ruleId).toBe('berlin-evening');
+    expect(resolved.title).toBe('Guten Abend, Berlin');
+    expect(resolved.rules).toBeUndefined();
+  });
+
+  test('every condition of a rule must hold', () => {
+    const berlinAtNoon = context({ location: { country: 'DE', region: 'BE' } });
+    expect(resolveRuleContent(content, berlinAtNoon).ruleId).toBeNull();
+  });
+
+  test('country codes match any region of the country', () => {
+    const vienna = context({ location: { country: 'AT', region: '9' } });
+    expect(resolveRuleContent(content, vienna).ruleId).toBe('austria');
+  });
+
+  test('query conditions match any listed value', () => {
+    expect(resolveRuleContent(content, context({ query: { src: 'poster' } })).ruleId).toBe('flyer');
+    expect(resolveRuleContent(content, context({ query: { src: 'web' } })).ruleId).toBeNull();
+  });
+
+  test('overrides merge style like schedule entries', () => {
+    const { content: resolved } = resolveRuleContent(content, context({ deviceType: 'mobile' }));
+    expect(resolved.style).toEqual({ backgroundColor: '#000000', accentColor: '#ff3b30' });
+  });
+
+  test('content without rules resolves to itself', () => {
+    const { rules: unused, ...base } = content;
+    expect(resolveRuleContent({ ...base, rules: null }, context()))
+      .toEqual({ content: base, ruleId: null });
+  });
+});
+
+describe('validateRules', () => {
+  test('accepts valid rules and no rules', () => {
+    expect(validateRules(rules)).toEqual([]);
+    expect(validateRules(null)).toEqual([]);
+  });
+
+  test('rejects malformed rules', () => {
+    expect(validateRules([
+      { id: 'empty', match: {}, content: {} },
+      {
+        id: 'bad',
+        match: {
+          regions: ['Germany'],
+          deviceTypes: ['watch'],
+          timeOfDay: { startTime: '25:00', endTime: '02:00' },
+          query: { lang: 'de' },
+          weather: 'sunny',
+        },
+        content: { rules: [] },
+      },
+    ])).toEqual([
+      'rules[0].match needs at least one condition',
+      'rules[1].match.weather is not a supported condition',
+      'rules[1].match.regions must be a non-empty list of ISO 3166 codes (e.g. DE or US-CA)',
+      'rules[1].match.deviceTypes must be a non-empty list of mobile, tablet, desktop',
+      'rules[1].match.timeOfDay.startTime must be HH:MM (24h)',
+      'rules[1].match.query.lang is reserved',
+      'rules[1].content.rules cannot be targeted',
+    ]);
+  });
+});
+
+describe('buildRuleReport', () => {
+  test('lists defined rules, removed rules and the default content last', () => {
+    const report = buildRuleReport([
+      { ruleId: 'flyer', totalScans: 40, totalClicks: 10, scanSessions: 38, clickSessions: 9 },
+      { ruleId: 'removed', totalScans: 5, totalClicks: 0, scanSessions: 5, clickSessions: 0 },
+      { ruleId: null, totalScans: 100, totalClicks: 5, scanSessions: 90, clickSessions: 5 },
+    ], rules);
+
+    expect(report.map(row => row.ruleId))
+      .toEqual(['berlin-evening', 'flyer', 'austria', 'phones', 'removed', null]);
+    expect(report[1]).toMatchObject({ totalScans: 40, ctr: 0.25, sessions: 38 });
+    expect(report[0]).toMatchObject({ totalScans: 0, ctr: 0 });
+    expect(report[5]).toMatchObject({ totalScans: 100, ctr: 0.05 });
+  });
+});
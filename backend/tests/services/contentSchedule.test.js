@@ -0,0 +1,138 @@
+/**
+ * Content schedule resolution and validation
+ */
+
+const {
+  validateSchedule,
+  isEntryActive,
+  resolveScheduledContent,
+} = require('../../services/contentSchedule');
+
+const base = {
+  markerId: 'marker-1',
+  type: 'news',
+  title: 'Fallback',
+  style: { backgroundColor: '#000000', accentColor: '#00ff88' },
+  expiresAt: null,
+};
+
+const breakfast = {
+  id: 'breakfast',
+  recurrence: { daysOfWeek: [1, 2, 3, 4, 5], startTime: '06:00', endTime: '11:00', timezone: 'Europe/Berlin' },
+  content: { title: 'Breakfast promo', style: { accentColor: '#ffcc00' } },
+};
+
+const lateNight = {
+  id: 'late-night',
+  recurrence: { daysOfWeek: [5, 6], startTime: '22:00', endTime: '02:00', timezone: 'America/New_York' },
+  content: { title: 'Late night teaser' },
+};
+
+describe('isEntryActive', () => {
+  test('recurring windows use the entry time zone', () => {
+    // Monday 2025-06-02, 07:30 in Berlin (UTC+2)
+    expect(isEntryActive(breakfast, new Date('2025-06-02T05:30:00Z'))).toBe(true);
+    // Same instant is 01:30 in New York, but Berlin is what counts
+    expect(isEntryActive(breakfast, new Date('2025-06-02T09:30:00Z'))).toBe(false);
+  });
+
+  test('recurring windows respect days of week', () => {
+    // Sunday 2025-06-01, 07:30 in Berlin
+    expect(isEntryActive(breakfast, new Date('2025-06-01T05:30:00Z'))).toBe(false);
+  });
+
+  test('overnight windows belong to the day they start', () => {
+    // Friday 23:00 in New York (EDT, UTC-4)
+    expect(isEntryActive(lateNight, new Date('2025-06-07T03:00:00Z'))).toBe(true);
+    // Saturday 01:00 in New York, started Friday night
+    expect(isEntryActive(lateNight, new Date('2025-06-07T05:00:00Z'))).toBe(true);
+    // Sunday 01:00 in New York, started Saturday night
+    expect(isEntryActive(lateNight, new Date('2025-06-08T05:00:00Z'))).toBe(true);
+    // Monday 01:00 in New York, started Sunday night (not scheduled)
+    expect(isEntryActive(lateNight, new Date('2025-06-09T05:00:00Z'))).toBe(false);
+  });
+
+  test('absolute windows include startsAt and exclude endsAt', () => {
+    const launch = {
+      id: 'launch',
+      startsAt: '2025-06-01T00:00:00Z',
+      endsAt: '2025-06-08T00:00:00Z',
+      content: { title: 'Launch week' },
+    };
+
+    expect(isEntryActive(launch, new Date('2025-05-31T23:59:59Z'))).toBe(false);
+    expect(isEntryActive(launch, new Date('2025-06-01T00:00:00Z'))).toBe(true);
+    expect(isEntryActive(launch, new Date('2025-06-08T00:00:00Z'))).toBe(false);
+  });
+
+  test('entries without a window are always active', () => {
+    expect(isEntryActive({ id: 'always', content: {} }, new Date())).toBe(true);
+  });
+});
+
+describe('resolveScheduledContent', () => {
+  const content = { ...base, schedule: [breakfast, lateNight] };
+
+  test('applies the first active entry and merges its style', () => {
+    const { content: resolved, scheduleEntryId } = resolveScheduledContent(
+      content,
+      new Date('2025-06-02T05:30:00Z')
+    );
+
+    expect(scheduleEntryId).toBe('breakfast');
+    expect(resolved.title).toBe('Breakfast promo');
+    expect(resolved.style).toEqual({ backgroundColor: '#000000', accentColor: '#ffcc00' });
+    expect(resolved.schedule).toBeUndefined();
+  });
+
+  test('falls back to the marker\'s own fields outside every window', () => {
+    const { content: resolved, scheduleEntryId } = resolveScheduledContent(
+      content,
+      new Date('2025-06-02T15:00:00Z')
+    );
+
+    expect(scheduleEntryId).toBeNull();
+    expect(resolved).toEqual(base);
+  });
+
+  test('content without a schedule resolves to itself', () => {
+    expect(resolveScheduledContent({ ...base, schedule: null })).toEqual({
+      content: base,
+      scheduleEntryId: null,
+    });
+  });
+});
+
+describe('validateSchedule', () => {
+  test('accepts valid schedules and no schedule', () => {
+    expect(validateSchedule([breakfast, lateNight])).toEqual([]);
+    expect(validateSchedule(null)).toEqual([]);
+    expect(validateSchedule([])).toEqual([]);
+  });
+
+  test('rejects malformed entries', () => {
+    const errors = validateSchedule([
+      { id: 'a', content: { title: 'x' } },
+      { id: 'a', content: { expiresAt: '2025-01-01' } },
+      { id: 'b', startsAt: '2025-06-02', endsAt: '2025-06-01', content: {} },
+      { id: 'c', recurrence: { startTime: '25:00', endTime: '10:00', timezone: 'Mars/Olympus' }, content: {} },
+      { id: 'd', recurrence: { daysOfWeek: [7], startTime: '10:00' }, content: {} },
+      { id: 'e' },
+    ]);
+
+    expect(errors).toEqual([
+      'schedule[1].id "a" is not unique',
+      'schedule[1].content.expiresAt cannot be scheduled',
+      'schedule[2].endsAt must be after startsAt',
+      'schedule[3].recurrence.startTime must be HH:MM (24h)',
+      'schedule[3].recurrence.timezone must be an IANA time zone (e.g. Europe/Berlin)',
+      'schedule[4].recurrence.daysOfWeek must be a non-empty list of days 0-6 (0 = Sunday)',
+      'schedule[4].recurrence needs both startTime and endTime',
+      'schedule[5].content must be an object',
+    ]);
+  });
+
+  test('rejects a schedule that is not an array', () => {
+    expect(validateSchedule({ id: 'a' })).toEqual(['schedule must be an array of entries']);
+  });
+});
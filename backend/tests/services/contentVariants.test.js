@@ -0,0 +1,144 @@
+/**
+ * Content variant assignment and experiment reporting
+ */
+
+const crypto = require('crypto');
+const {
+  validateVariants,
+  assignVariant,
+  resolveVariantContent,
+  twoProportionPValue,
+  buildVariantReport,
+} = require('../../services/contentVariants');
+
+const variants = [
+  { id: 'control', weight: 1, content: {} },
+  { id: 'red-cta', weight: 3, content: { ctaText: 'Buy now', style: { accentColor: '#ff3b30' } } },
+  { id: 'paused', weight: 0, content: { title: 'Paused' } },
+];
+
+describe('assignVariant', () => {
+  test('is sticky per marker and session', () => {
+    const sessionId = crypto.randomUUID();
+    const first = assignVariant(variants, 'marker-1', sessionId);
+
+    for (let i = 0; i < 10; i++) {
+      expect(assignVariant(variants, 'marker-1', sessionId)).toBe(first);
+    }
+  });
+
+  test('splits traffic by weight and skips paused variants', () => {
+    const counts = { control: 0, 'red-cta': 0, paused: 0 };
+
+    for (let i = 0; i < 4000; i++) {
+      counts[assignVariant(variants, 'marker-1', crypto.randomUUID()).id]++;
+    }
+
+    expect(counts.paused).toBe(0);
+    expect(counts['red-cta'] / 4000).toBeGreaterThan(0.7);
+    expect(counts['red-cta'] / 4000).toBeLessThan(0.8);
+  });
+
+  test('returns null when no variant has traffic', () => {
+    expect(assignVariant([{ id: 'a', weight: 0, content: {} }], 'marker-1', 'session')).toBeNull();
+    expect(assignVariant(null, 'marker-1', 'session')).toBeNull();
+  });
+});
+
+describe('resolveVariantContent', () => {
+  const content = {
+    markerId: 'marker-1',
+    type: 'news',
+    title: 'Headline',
+    ctaText: 'Read',
+    style: { backgroundColor: '#000000', accentColor: '#00ff88' },
+    variants,
+  };
+
+  test('applies a forced variant over the content', () => {
+    const { content: resolved, variantId } = resolveVariantContent(content, 'marker-1', {
+      variantId: 'red-cta',
+    });
+
+    expect(variantId).toBe('red-cta');
+    expect(resolved.ctaText).toBe('Buy now');
+    expect(resolved.style).toEqual({ backgroundColor: '#000000', accentColor: '#ff3b30' });
+    expect(resolved.variants).toBeUndefined();
+  });
+
+  test('content without variants resolves to itself', () => {
+    const { variants: unused, ...base } = content;
+    expect(resolveVariantContent({ ...base, variants: null }, 'marker-1', { sessionId: 's' }))
+      .toEqual({ content: base, variantId: null });
+  });
+});
+
+describe('validateVariants', () => {
+  test('accepts valid variants and no variants', () => {
+    expect(validateVariants(variants)).toEqual([]);
+    expect(validateVariants(null)).toEqual([]);
+  });
+
+  test('rejects malformed variants', () => {
+    expect(validateVariants([
+      { id: 'a', weight: 1, content: {} },
+      { id: 'a', weight: -1, content: { schedule: [] } },
+      { id: 'has space', weight: 1, content: { type: 'audio' } },
+    ])).toEqual([
+      'variants[1].id "a" is not unique',
+      'variants[1].weight must be a number >= 0',
+      'variants[1].content.schedule cannot vary between variants',
+      'variants[2].id must be 1-64 letters, digits, "-" or "_"',
+      'variants[2].content.type is invalid',
+    ]);
+  });
+
+  test('needs at least one variant with traffic', () => {
+    expect(validateVariants([{ id: 'a', weight: 0, content: {} }]))
+      .toEqual(['at least one variant needs a weight above 0']);
+  });
+});
+
+describe('twoProportionPValue', () => {
+  test('matches a two-proportion z-test', () => {
+    // 10% vs 13% conversion over 1000 sessions each: z = 2.10
+    expect(twoProportionPValue(100, 1000, 130, 1000)).toBeCloseTo(0.0355, 3);
+    expect(twoProportionPValue(100, 1000, 100, 1000)).toBeCloseTo(1, 5);
+  });
+
+  test('is undefined without data or variance', () => {
+    expect(twoProportionPValue(0, 0, 5, 10)).toBeNull();
+    expect(twoProportionPValue(0, 50, 0, 50)).toBeNull();
+  });
+});
+
+describe('buildVariantReport', () => {
+  test('reports CTR and significance against the first variant', () => {
+    const report = buildVariantReport([
+      { variantId: 'red-cta', totalScans: 1000, totalClicks: 180, scanSessions: 1000, clickSessions: 130 },
+      { variantId: 'control', totalScans: 1000, totalClicks: 120, scanSessions: 1000, clickSessions: 100 },
+      { variantId: 'removed', totalScans: 10, totalClicks: 1, scanSessions: 10, clickSessions: 1 },
+    ], variants);
+
+    expect(report.controlVariantId).toBe('control');
+    expect(report.variants.map(v => v.variantId)).toEqual(['control', 'red-cta', 'paused', 'removed']);
+
+    const [control, red, paused, removed] = report.variants;
+    expect(control).toMatchObject({ ctr: 0.12, conversionRate: 0.1, significance: null });
+    expect(red).toMatchObject({ ctr: 0.18, conversionRate: 0.13, weight: 3 });
+    expect(red.significance).toMatchObject({
+      comparedTo: 'control',
+      lift: 0.3,
+      significant: true,
+      enoughData: true,
+    });
+    expect(paused).toMatchObject({ totalScans: 0, ctr: 0 });
+    expect(paused.significance.significant).toBe(false);
+    expect(removed).toMatchObject({ weight: null, label: null });
+    expect(removed.significance.enoughData).toBe(false);
+  });
+
+  test('returns an empty report without variants or events', () => {
+    expect(buildVariantReport([], null)).toEqual({ controlVariantId: null, variants: [] });
+  });
+});
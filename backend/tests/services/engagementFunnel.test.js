@@ -0,0 +1,35 @@
+/**
+ * Engagement funnel reports
+ */
+
+const { FUNNEL_STEPS, buildFunnelReport } = require('../../services/engagementFunnel');
+
+describe('buildFunnelReport', () => {
+  test('reports step and overall conversion and the drop-off per step', () => {
+    const report = buildFunnelReport('marker-a', {
+      markerId: 'marker-a',
+      scanSessions: 8,
+      detectionSessions: 6,
+      viewSessions: 3,
+      clickSessions: 1,
+      shareSessions: 0,
+    }, 5);
+
+    expect(report).toMatchObject({ markerId: 'marker-a', minViewSeconds: 5, sessions: 8 });
+    expect(report.steps).toEqual([
+      { step: 'scan', sessions: 8, conversion: null, overallConversion: 1, dropOff: 0 },
+      { step: 'detection', sessions: 6, conversion: 0.75, overallConversion: 0.75, dropOff: 2 },
+      { step: 'view', sessions: 3, conversion: 0.5, overallConversion: 0.375, dropOff: 3 },
+      { step: 'click', sessions: 1, conversion: 0.3333, overallConversion: 0.125, dropOff: 2 },
+      { step: 'share', sessions: 0, conversion: 0, overallConversion: 0, dropOff: 1 },
+    ]);
+  });
+
+  test('reports every step with zeros for a marker without sessions', () => {
+    const report = buildFunnelReport('marker-none', undefined, 5);
+
+    expect(report.sessions).toBe(0);
+    expect(report.steps.map(step => step.step)).toEqual(FUNNEL_STEPS);
+    expect(report.steps.every(step => step.sessions === 0 && step.overallConversion === 0)).toBe(true);
+  });
+});
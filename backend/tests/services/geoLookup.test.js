@@ -0,0 +1,40 @@
+/**
+ * Offline IP-to-region lookup
+ */
+
+const { parseGeoDatabase, findRegion, lookupRegion } = require('../../services/geoLookup');
+
+const table = parseGeoDatabase([
+  'start_ip,end_ip,country,region',
+  '1.0.0.0,1.0.0.255,AU,QLD',
+  '"5.1.0.0","5.1.255.255","DE","DE-BE"',
+  '81.0.0.0,81.255.255.255,at',
+  '2a00:1450::,2a00:1450:ffff:ffff:ffff:ffff:ffff:ffff,US,CA',
+  'not,a,range',
+].join('\n'));
+
+describe('findRegion', () => {
+  test('finds the range containing an IPv4 address', () => {
+    expect(findRegion(table, '1.0.0.17')).toEqual({ country: 'AU', region: 'QLD' });
+    expect(findRegion(table, '5.1.200.1')).toEqual({ country: 'DE', region: 'BE' });
+    expect(findRegion(table, '81.12.0.1')).toEqual({ country: 'AT', region: null });
+  });
+
+  test('handles IPv6 and IPv4-mapped addresses', () => {
+    expect(findRegion(table, '2a00:1450:4001::1')).toEqual({ country: 'US', region: 'CA' });
+    expect(findRegion(table, '::ffff:5.1.0.1')).toMatchObject({ country: 'DE' });
+  });
+
+  test('returns null for unknown or invalid addresses', () => {
+    expect(findRegion(table, '1.0.1.0')).toBeNull();
+    expect(findRegion(table, '::1')).toBeNull();
+    expect(findRegion(table, 'localhost')).toBeNull();
+    expect(findRegion(table, undefined)).toBeNull();
+  });
+});
+
+describe('lookupRegion', () => {
+  test('returns null when no database is configured', () => {
+    expect(lookupRegion('1.0.0.1')).toBeNull();
+  });
+});
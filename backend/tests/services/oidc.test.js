@@ -0,0 +1,173 @@
+/**
+ * OpenID Connect sign-in against a local mock provider, and claim mapping
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+process.env.ADMIN_JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const database = require('../../database');
+const { startMockOidcProvider } = require('../../scripts/mock-oidc-provider');
+const {
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  getUsername,
+  mapClaimsToRole,
+  syncUser,
+} = require('../../services/oidc');
+
+const ORG_ID = database.DEFAULT_ORG_ID;
+const REDIRECT_URI = 'http://localhost:3000/admin';
+const OIDC_ENV = [
+  'OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_REDIRECT_URI',
+  'OIDC_ROLE_CLAIM', 'OIDC_ROLE_MAPPING', 'OIDC_DEFAULT_ROLE', 'OIDC_USERNAME_CLAIM',
+];
+
+let provider;
+
+beforeAll(async () => {
+  provider = await startMockOidcProvider({
+    clientId: 'portal-ar',
+    clientSecret: 'mock-secret',
+    user: { sub: 'u-1', email: 'Alice@Example.com', groups: ['marketing', 'staff'] },
+  });
+});
+
+afterAll(async () => {
+  await provider.close();
+});
+
+beforeEach(async () => {
+  OIDC_ENV.forEach(name => delete process.env[name]);
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = 'portal-ar';
+  process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+  process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+  await database.initialize();
+});
+
+afterEach(async () => {
+  OIDC_ENV.forEach(name => delete process.env[name]);
+  await database.close();
+});
+
+/**
+ * Follow the authorization URL like a browser; returns the code and state
+ * the provider redirects back with
+ */
+async function authorize(authorizationUrl) {
+  const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+  const location = new URL(response.headers.location);
+
+  expect(location.origin + location.pathname).toBe(REDIRECT_URI);
+  return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+}
+
+describe('authorization code flow', () => {
+  test('is enabled once issuer, client ID and redirect URI are set', () => {
+    expect(isOidcEnabled()).toBe(true);
+    delete process.env.OIDC_REDIRECT_URI;
+    expect(isOidcEnabled()).toBe(false);
+  });
+
+  test('signs in with PKCE and returns the verified ID token claims', async () => {
+    const { authorizationUrl, loginToken } = await createAuthorizationRequest();
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('redirect_uri')).toBe(REDIRECT_URI);
+
+    const { code, state } = await authorize(authorizationUrl);
+    const claims = await completeAuthorization(code, state, loginToken);
+
+    expect(claims).toMatchObject({ iss: provider.issuer, aud: 'portal-ar', sub: 'u-1', email: 'Alice@Example.com' });
+    expect(claims.groups).toEqual(['marketing', 'staff']);
+  });
+
+  test('rejects a mismatched state, an invalid login token and a reused code', async () => {
+    const { authorizationUrl, loginToken } = await createAuthorizationRequest();
+    const { code, state } = await authorize(authorizationUrl);
+
+    await expect(completeAuthorization(code, 'other-state', loginToken)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(completeAuthorization(code, state, 'not-a-token')).rejects.toMatchObject({ statusCode: 401 });
+
+    await completeAuthorization(code, state, loginToken);
+    await expect(completeAuthorization(code, state, loginToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('reports a rejected client secret', async () => {
+    process.env.OIDC_CLIENT_SECRET = 'wrong-secret';
+
+    const { authorizationUrl, loginToken } = await createAuthorizationRequest();
+    const { code, state } = await authorize(authorizationUrl);
+
+    await expect(completeAuthorization(code, state, loginToken))
+      .rejects.toThrow('Sign-in was rejected by the identity provider: invalid_client');
+  });
+});
+
+describe('claim mapping', () => {
+  test('uses the most privileged mapped group', () => {
+    process.env.OIDC_ROLE_MAPPING = 'staff=viewer, marketing=editor, it=owner';
+
+    expect(mapClaimsToRole({ groups: ['staff', 'marketing'] })).toBe('editor');
+    expect(mapClaimsToRole({ groups: ['staff'] })).toBe('viewer');
+    expect(mapClaimsToRole({ groups: 'it staff' })).toBe('owner');
+    expect(mapClaimsToRole({ groups: ['sales'] })).toBeNull();
+    expect(mapClaimsToRole({})).toBeNull();
+  });
+
+  test('falls back to role names and the default role', () => {
+    expect(mapClaimsToRole({ groups: ['analyst', 'sales'] })).toBe('analyst');
+    expect(mapClaimsToRole({ groups: ['admin'] })).toBeNull();
+
+    process.env.OIDC_DEFAULT_ROLE = 'viewer';
+    expect(mapClaimsToRole({ groups: ['sales'] })).toBe('viewer');
+  });
+
+  test('reads nested role claims', () => {
+    process.env.OIDC_ROLE_CLAIM = 'realm_access.roles';
+    expect(mapClaimsToRole({ realm_access: { roles: ['owner'] } })).toBe('owner');
+  });
+
+  test('lowercases usernames and rejects unusable ones', () => {
+    expect(getUsername({ email: 'Alice@Example.com', email_verified: true })).toBe('alice@example.com');
+    expect(() => getUsername({ email: 'alice@example.com', email_verified: false })).toThrow('not verified');
+    expect(() => getUsername({ email: 'admin' })).toThrow('usable email');
+    expect(() => getUsername({})).toThrow('usable email');
+
+    process.env.OIDC_USERNAME_CLAIM = 'preferred_username';
+    expect(getUsername({ preferred_username: 'bob' })).toBe('bob');
+  });
+});
+
+describe('syncUser', () => {
+  test('creates the account on first sign-in and follows role changes', async () => {
+    const created = await syncUser(ORG_ID, 'u-1', 'alice@example.com', 'editor');
+    expect(created).toMatchObject({ username: 'alice@example.com', role: 'editor', oidcSubject: 'u-1' });
+    expect(created.passwordHash).toBeTruthy();
+
+    const updated = await syncUser(ORG_ID, 'u-1', 'alice@example.com', 'analyst');
+    expect(updated.role).toBe('analyst');
+    expect(updated.passwordHash).toBe(created.passwordHash);
+  });
+
+  test('matches accounts on the subject, not the username', async () => {
+    await syncUser(ORG_ID, 'u-1', 'alice@example.com', 'editor');
+
+    const renamed = await syncUser(ORG_ID, 'u-1', 'alice.smith@example.com', 'editor');
+    expect(renamed.username).toBe('alice@example.com');
+    expect(await database.getUser(ORG_ID, 'alice.smith@example.com')).toBeNull();
+
+    await expect(syncUser(ORG_ID, 'u-2', 'alice@example.com', 'owner')).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('refuses to take over an account created with a password', async () => {
+    const local = await database.setUser(ORG_ID, 'alice@example.com', { passwordHash: '$2a$10$local', role: 'viewer' });
+
+    await expect(syncUser(ORG_ID, 'u-1', 'alice@example.com', 'owner'))
+      .rejects.toThrow('not created by single sign-on');
+    expect(await database.getUser(ORG_ID, 'alice@example.com')).toEqual(local);
+  });
+});
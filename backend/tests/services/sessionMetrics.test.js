@@ -0,0 +1,57 @@
+/**
+ * Anonymous visitor ids and session metric reports
+ */
+
+const { anonymizeVisitorId, buildSessionReport } = require('../../services/sessionMetrics');
+
+const VISITOR_ID = '0b9f5a52-6a3e-4f43-9f5e-3f1f0c7b5d21';
+
+describe('anonymizeVisitorId', () => {
+  test('hashes the visitor id per organization', () => {
+    const hashed = anonymizeVisitorId('default', VISITOR_ID);
+
+    expect(hashed).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashed).not.toContain(VISITOR_ID);
+    expect(anonymizeVisitorId('default', VISITOR_ID)).toBe(hashed);
+    expect(anonymizeVisitorId('acme', VISITOR_ID)).not.toBe(hashed);
+  });
+
+  test('returns null without a visitor id', () => {
+    expect(anonymizeVisitorId('default', undefined)).toBeNull();
+    expect(anonymizeVisitorId('default', '')).toBeNull();
+  });
+});
+
+describe('buildSessionReport', () => {
+  test('derives scans per session and the bounce rate', () => {
+    expect(buildSessionReport('marker-a', {
+      markerId: 'marker-a',
+      sessions: 4,
+      uniqueVisitors: 3,
+      repeatVisitors: 1,
+      scans: 5,
+      scanSessions: 3,
+      bounces: 1,
+    })).toEqual({
+      markerId: 'marker-a',
+      uniqueVisitors: 3,
+      sessions: 4,
+      repeatVisitors: 1,
+      scansPerSession: 1.25,
+      bounces: 1,
+      bounceRate: 0.3333,
+    });
+  });
+
+  test('reports zeros for a marker without sessions', () => {
+    expect(buildSessionReport('marker-none')).toEqual({
+      markerId: 'marker-none',
+      uniqueVisitors: 0,
+      sessions: 0,
+      repeatVisitors: 0,
+      scansPerSession: 0,
+      bounces: 0,
+      bounceRate: 0,
+    });
+  });
+});
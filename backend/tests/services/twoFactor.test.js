@@ -0,0 +1,136 @@
+/**
+ * TOTP codes, recovery codes and login challenge tokens
+ */
+
+process.env.DATABASE_TYPE = 'memory';
+process.env.ADMIN_JWT_SECRET = 'test-secret';
+
+const database = require('../../database');
+const {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  getTimeStep,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require('../../services/twoFactor');
+
+// RFC 6238 appendix B test secret (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  test('round-trips and matches RFC 4648', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+    expect(base32Decode(generateTotpSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateTotp', () => {
+  test('matches the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+    expect(generateTotp(RFC_SECRET, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  test('accepts the current step and one step of drift', () => {
+    expect(verifyTotp(RFC_SECRET, '005924', null, time)).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), null, time)).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), null, time)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '005 924', null, time)).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '12345', null, time)).toBeNull();
+  });
+
+  test('rejects steps that were already used', () => {
+    expect(verifyTotp(RFC_SECRET, '005924', step, time)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '005924', step - 1, time)).toBe(step);
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  test('describes the secret for authenticator apps', () => {
+    const [path, query] = buildOtpauthUrl('JBSWY3DPEHPK3PXP', 'alice@default').split('?');
+    const params = new URLSearchParams(query);
+
+    expect(decodeURIComponent(path)).toBe('otpauth://totp/PortalAR:alice@default');
+    expect(params.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+    expect(params.get('issuer')).toBe('PortalAR');
+  });
+});
+
+describe('recovery codes', () => {
+  test('are unique and hashed ignoring case and separators', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(hashes[0]).toBe(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')));
+    expect(hashes[0]).not.toContain(codes[0].replace('-', ''));
+  });
+});
+
+describe('challenge tokens', () => {
+  test('are only valid for their purpose', () => {
+    const token = createChallengeToken('default', 'alice', 'editor', 'verify');
+
+    expect(verifyChallengeToken(token, 'verify')).toMatchObject({ orgId: 'default', username: 'alice', role: 'editor' });
+    expect(verifyChallengeToken(token, 'enroll')).toBeNull();
+    expect(verifyChallengeToken('not-a-token', 'verify')).toBeNull();
+  });
+});
+
+describe('verifySecondFactor', () => {
+  const ORG_ID = database.DEFAULT_ORG_ID;
+
+  beforeEach(async () => {
+    await database.initialize();
+  });
+
+  afterEach(async () => {
+    delete process.env.ADMIN_TOTP_SECRET;
+    await database.close();
+  });
+
+  test('accepts a user\'s code once, even from concurrent logins', async () => {
+    await database.setUserTotp(ORG_ID, 'alice', { secret: RFC_SECRET, enabledAt: new Date().toISOString() });
+    const code = generateTotp(RFC_SECRET, getTimeStep());
+
+    const results = await Promise.all([
+      verifySecondFactor(ORG_ID, 'alice', 'editor', code),
+      verifySecondFactor(ORG_ID, 'alice', 'editor', code),
+    ]);
+
+    expect(results.sort()).toEqual([null, 'totp']);
+    expect(await verifySecondFactor(ORG_ID, 'alice', 'editor', code)).toBeNull();
+  });
+
+  test('stores the admin\'s last used step in the database, not the process', async () => {
+    process.env.ADMIN_TOTP_SECRET = RFC_SECRET;
+    const code = generateTotp(RFC_SECRET, getTimeStep());
+
+    expect(await verifySecondFactor('acme', 'admin', 'admin', code)).toBe('totp');
+
+    // A fresh copy of the service, as after a restart or on another instance
+    let reloaded;
+    jest.isolateModules(() => {
+      jest.doMock('../../database', () => database);
+      reloaded = require('../../services/twoFactor');
+    });
+
+    expect(await reloaded.verifySecondFactor(ORG_ID, 'admin', 'admin', code)).toBeNull();
+    expect(await database.getUserTotp(ORG_ID, 'admin')).toMatchObject({ secret: '', lastUsedStep: getTimeStep() });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * User passwords, public records and role permissions
+ */
+
+const {
+  USERNAME_PATTERN,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+} = require('../../services/users');
+const { ROLES, hasPermission } = require('../../middleware/permissions');
+
+describe('passwords', () => {
+  test('verifyPassword accepts the hashed password only', async () => {
+    const user = { username: 'alice', passwordHash: await hashPassword('correct horse') };
+
+    expect(user.passwordHash).not.toContain('correct horse');
+    expect(await verifyPassword(user, 'correct horse')).toBe(true);
+    expect(await verifyPassword(user, 'wrong horse')).toBe(false);
+  });
+
+  test('verifyPassword rejects unknown users', async () => {
+    expect(await verifyPassword(null, 'anything')).toBe(false);
+  });
+});
+
+describe('toPublicUser', () => {
+  test('drops the password hash', () => {
+    expect(toPublicUser({ username: 'alice', role: 'owner', passwordHash: 'x' }))
+      .toEqual({ username: 'alice', role: 'owner' });
+  });
+});
+
+describe('USERNAME_PATTERN', () => {
+  test('accepts lowercase names and emails', () => {
+    expect(USERNAME_PATTERN.test('alice')).toBe(true);
+    expect(USERNAME_PATTERN.test('alice.smith+ar@example.com')).toBe(true);
+    expect(USERNAME_PATTERN.test('Alice')).toBe(false);
+    expect(USERNAME_PATTERN.test('-alice')).toBe(false);
+  });
+});
+
+describe('hasPermission', () => {
+  test('roles grant decreasing permissions', () => {
+    expect(ROLES).toEqual(['owner', 'editor', 'analyst', 'viewer']);
+
+    expect(hasPermission('owner', 'users:manage')).toBe(true);
+    expect(hasPermission('editor', 'users:manage')).toBe(false);
+    expect(hasPermission('editor', 'content:publish')).toBe(true);
+    expect(hasPermission('analyst', 'analytics:read')).toBe(true);
+    expect(hasPermission('analyst', 'content:write')).toBe(false);
+    expect(hasPermission('viewer', 'content:read')).toBe(true);
+    expect(hasPermission('viewer', 'analytics:read')).toBe(false);
+  });
+
+  test('the deployment admin has every permission, unknown roles none', () => {
+    expect(hasPermission('admin', 'users:manage')).toBe(true);
+    expect(hasPermission('intern', 'content:read')).toBe(false);
+    expect(hasPermission(undefined, 'content:read')).toBe(false);
+  });
+});
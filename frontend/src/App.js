@@ -5,6 +5,7 @@
  * Routes:
  * - / : Landing page with instructions
  * - /scan/:markerId : AR scanner page
+ * - /o/:orgId/scan/:markerId : AR scanner page for another organization's marker
  * - /admin : Admin dashboard
  */
 
@@ -33,6 +34,7 @@ function App() {
         <Routes>
           <Route path="/" element={<LandingPage />} />
           <Route path="/scan/:markerId" element={<ScanPage />} />
+          <Route path="/o/:orgId/scan/:markerId" element={<ScanPage />} />
           <Route path="/admin" element={<AdminDashboard />} />
           <Route path="*" element={<NotFound />} />
         </Routes>
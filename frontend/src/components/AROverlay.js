@@ -34,7 +34,8 @@ function AROverlay({ content, markerId, onInteraction }) {
   if (content.type === 'video') {
     return (
       <div 
-        className="ar-overlay" 
+        className="ar-overlay"
+        lang={content.locale || undefined}
         style={{
           top: '50%',
           left: '50%',
@@ -79,6 +80,7 @@ function AROverlay({ content, markerId, onInteraction }) {
     return (
       <div 
         className="ar-overlay"
+        lang={content.locale || undefined}
         style={{
           bottom: '80px',
           left: '20px',
@@ -120,6 +122,7 @@ function AROverlay({ content, markerId, onInteraction }) {
     return (
       <div 
         className="ar-overlay"
+        lang={content.locale || undefined}
         style={{
           bottom: '80px',
           left: '20px',
@@ -152,6 +155,7 @@ function AROverlay({ content, markerId, onInteraction }) {
     return (
       <div 
         className="ar-overlay"
+        lang={content.locale || undefined}
         style={{
           bottom: '80px',
           left: '20px',
@@ -0,0 +1,186 @@
+/**
+ * AR Preview Component
+ *
+ * Renders a marker's content with the scan page's own AROverlay inside a
+ * device frame, over a simulated camera view with the marker in it, so the
+ * content editor can show what scanners will see while it is being typed.
+ * 3D models are shown in a small A-Frame scene where the marker would be.
+ *
+ * The preview shows the content as saved from the form; a campaign's
+ * default style and targeting rules are applied by the backend on scan.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import AROverlay from './AROverlay';
+
+// Viewport sizes in CSS pixels
+const DEVICE_PRESETS = {
+  'phone-portrait': { label: '📱 Phone', width: 390, height: 844, compact: true },
+  'phone-landscape': { label: '📱 Landscape', width: 844, height: 390, compact: true },
+  tablet: { label: '📲 Tablet', width: 820, height: 1180, compact: false },
+};
+
+// Stand-ins for the camera feed behind the overlay
+const BACKGROUNDS = {
+  desk: {
+    label: 'Desk',
+    background: 'radial-gradient(ellipse at 30% 20%, #f4e9d8 0%, #c8b79d 45%, #6d5a45 100%)',
+  },
+  street: {
+    label: 'Street',
+    background: 'linear-gradient(180deg, #9fb8cf 0%, #c9d3db 40%, #5f646b 41%, #3b3f45 100%)',
+  },
+  dim: {
+    label: 'Dim room',
+    background: 'radial-gradient(ellipse at 50% 40%, #4b4f58 0%, #22252b 60%, #0d0e11 100%)',
+  },
+};
+
+// Wait this long after the last keystroke before loading a model URL
+const MODEL_URL_DELAY_MS = 600;
+
+// Matches the .ar-preview-frame box-shadow in App.css
+const BEZEL_PX = 8;
+
+function ARPreview({ content, markerId }) {
+  const [deviceId, setDeviceId] = useState('phone-portrait');
+  const [backgroundId, setBackgroundId] = useState('desk');
+  const [availableWidth, setAvailableWidth] = useState(320);
+  const [modelUrl, setModelUrl] = useState(content.modelUrl || '');
+  const containerRef = useRef(null);
+
+  const device = DEVICE_PRESETS[deviceId];
+  // Leave room for the frame's bezel
+  const scale = Math.min(1, (availableWidth - 2 * BEZEL_PX) / device.width);
+
+  // Scale the device frame to the width of the preview column
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const measure = () => setAvailableWidth(container.clientWidth || 320);
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setModelUrl(content.modelUrl || ''), MODEL_URL_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [content.modelUrl]);
+
+  const hasContent = Boolean(content.type);
+
+  return (
+    <div ref={containerRef} style={{ width: '100%' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '8px' }}>
+        {Object.entries(DEVICE_PRESETS).map(([id, preset]) => (
+          <button
+            key={id}
+            type="button"
+            className="button"
+            onClick={() => setDeviceId(id)}
+            style={{
+              padding: '6px 10px',
+              fontSize: '0.75rem',
+              background: id === deviceId ? undefined : 'rgba(255, 255, 255, 0.15)',
+            }}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <select
+          value={backgroundId}
+          onChange={(e) => setBackgroundId(e.target.value)}
+          title="Simulated camera background"
+          style={{
+            padding: '6px',
+            fontSize: '0.75rem',
+            borderRadius: '8px',
+            border: '2px solid rgba(255, 255, 255, 0.3)',
+            background: 'rgba(255, 255, 255, 0.1)',
+            color: 'white',
+          }}
+        >
+          {Object.entries(BACKGROUNDS).map(([id, option]) => (
+            <option key={id} value={id} style={{ color: 'black' }}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Reserve the scaled size; the frame itself is laid out at device size */}
+      <div style={{ width: device.width * scale, height: device.height * scale, margin: BEZEL_PX }}>
+        <div
+          className={`ar-preview-frame${device.compact ? ' ar-preview-frame--compact' : ''}`}
+          style={{
+            width: device.width,
+            height: device.height,
+            transform: `scale(${scale})`,
+            background: BACKGROUNDS[backgroundId].background,
+          }}
+        >
+          <div className="ar-preview-marker" title={markerId}>
+            <div className="ar-preview-marker-code" />
+          </div>
+
+          {content.type === '3d' && modelUrl && <PreviewModel modelUrl={modelUrl} />}
+
+          {hasContent && (
+            <AROverlay
+              key={content.type}
+              content={content}
+              markerId={markerId}
+              onInteraction={() => {}}
+            />
+          )}
+        </div>
+      </div>
+
+      <div style={{ fontSize: '0.75rem', opacity: 0.6, marginTop: '6px' }}>
+        {device.width} × {device.height} · {Math.round(scale * 100)}%
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The 3D model over the marker, as the scan page's A-Frame scene shows it
+ */
+function PreviewModel({ modelUrl }) {
+  if (typeof window === 'undefined' || !window.AFRAME) {
+    return (
+      <div className="ar-preview-model-placeholder">
+        🧊 3D model
+      </div>
+    );
+  }
+
+  return (
+    <a-scene
+      embedded
+      vr-mode-ui="enabled: false"
+      renderer="alpha: true; antialias: true;"
+      loading-screen="enabled: false"
+      className="ar-preview-scene"
+    >
+      <a-entity light="type: ambient; intensity: 0.8"></a-entity>
+      <a-entity light="type: directional; intensity: 0.6" position="1 2 1"></a-entity>
+      <a-entity
+        gltf-model={`url(${modelUrl})`}
+        scale="0.5 0.5 0.5"
+        position="0 0 -2"
+        animation="property: rotation; to: 0 360 0; dur: 10000; easing: linear; loop: true"
+      ></a-entity>
+      <a-entity camera look-controls="enabled: false" wasd-controls="enabled: false"></a-entity>
+    </a-scene>
+  );
+}
+
+export default ARPreview;
@@ -2,21 +2,111 @@
  * Admin Dashboard Component (Simplified)
  * 
  * Basic admin interface for:
- * - Login
- * - Content management
- * - Analytics viewing
+ * - Login (to the default organization unless one is entered), with a
+ *   second step for two-factor codes or enrollment, or single sign-on
+ * - Two-factor settings
+ * - User management (owners)
+ * - Content editor: marker list, per-type forms, styles, expiry, delete
+ * - Draft preview, approval and publishing
+ * - Content revision history
+ * - Analytics: sortable marker table, charts and raw events per marker
  * 
  * For a full-featured dashboard, consider building a separate admin app.
  */
 
-import React, { useState } from 'react';
-import { login } from '../services/api';
+import React, { useState, useEffect } from 'react';
+import {
+  login,
+  verifyLoginCode,
+  getSingleSignOnConfig,
+  startSingleSignOn,
+  completeSingleSignOn,
+  logout,
+  logoutAllSessions,
+  onTokenRefreshed,
+} from '../services/api';
+import AnalyticsDashboard from './AnalyticsDashboard';
+import ContentEditor from './ContentEditor';
+import DraftPanel from './DraftPanel';
+import RevisionHistory from './RevisionHistory';
+import TwoFactorSettings from './TwoFactorSettings';
+import TwoFactorSetup from './TwoFactorSetup';
+import UserManagement from './UserManagement';
+
+// Login token of a single sign-on login waiting for the identity provider
+const SSO_LOGIN_KEY = 'admin_sso_login';
 
 function AdminDashboard() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [organizationInput, setOrganizationInput] = useState('');
+  // Second login step: { type: 'code' | 'enroll', challengeToken }
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  const [singleSignOn, setSingleSignOn] = useState(null);
+  const [organization, setOrganization] = useState(null);
+  const [user, setUser] = useState(null);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [token, setToken] = useState(null);
+  const [historyMarkerId, setHistoryMarkerId] = useState('');
+  const [publishCount, setPublishCount] = useState(0);
+  const [draftCount, setDraftCount] = useState(0);
+  const [view, setView] = useState('content');
+
+  // Access tokens are short-lived; keep the latest one after a refresh
+  useEffect(() => {
+    onTokenRefreshed((newToken) => {
+      localStorage.setItem('admin_token', newToken);
+      setToken(newToken);
+    });
+
+    return () => onTokenRefreshed(null);
+  }, []);
+
+  // Offer single sign-on when configured, and finish a login the identity
+  // provider redirected back to this page with
+  useEffect(() => {
+    getSingleSignOnConfig()
+      .then(config => setSingleSignOn(config.enabled ? config : null))
+      .catch(() => setSingleSignOn(null));
+
+    const params = new URLSearchParams(window.location.search);
+    const loginToken = sessionStorage.getItem(SSO_LOGIN_KEY);
+
+    if (!loginToken || (!params.get('code') && !params.get('error'))) {
+      return;
+    }
+
+    sessionStorage.removeItem(SSO_LOGIN_KEY);
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('error')) {
+      setError(params.get('error_description') || 'Single sign-on was cancelled');
+      return;
+    }
+
+    setLoading(true);
+    completeSingleSignOn(params.get('code'), params.get('state'), loginToken)
+      .then(continueLogin)
+      .catch(err => setError(err.response?.data?.message || 'Single sign-on failed'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  async function handleSingleSignOn() {
+    setError('');
+    setLoading(true);
+
+    try {
+      const { authorizationUrl, loginToken } = await startSingleSignOn();
+      sessionStorage.setItem(SSO_LOGIN_KEY, loginToken);
+      window.location.assign(authorizationUrl);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Single sign-on is unavailable');
+      setLoading(false);
+    }
+  }
 
   async function handleLogin(e) {
     e.preventDefault();
@@ -24,31 +114,194 @@ function AdminDashboard() {
     setLoading(true);
 
     try {
-      const response = await login(password);
-      localStorage.setItem('admin_token', response.token);
-      setIsAuthenticated(true);
+      continueLogin(await login(username.trim(), password, organizationInput.trim()));
     } catch (err) {
-      setError(err.response?.data?.message || 'Invalid password');
+      setError(err.response?.data?.message || 'Invalid username or password');
     } finally {
       setLoading(false);
     }
   }
 
+  async function handleVerifyCode(e) {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      completeLogin(await verifyLoginCode(challenge.challengeToken, code.trim()));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // A password or single sign-on login: ask for a two-factor code (or
+  // setup) when the server requires one, otherwise sign in
+  function continueLogin(response) {
+    if (response.twoFactorRequired) {
+      setChallenge({ type: 'code', challengeToken: response.challengeToken });
+    } else if (response.twoFactorEnrollmentRequired) {
+      setChallenge({ type: 'enroll', challengeToken: response.challengeToken });
+    } else {
+      completeLogin(response);
+    }
+  }
+
+  function completeLogin(response) {
+    localStorage.setItem('admin_token', response.token);
+    setToken(response.token);
+    setUser(response.user);
+    setOrganization(response.organization);
+    setChallenge(null);
+    setCode('');
+    setPassword('');
+    setIsAuthenticated(true);
+  }
+
+  function cancelChallenge() {
+    setChallenge(null);
+    setCode('');
+    setError('');
+  }
+
+  async function handleLogout(allSessions = false) {
+    try {
+      if (allSessions) {
+        await logoutAllSessions(token);
+      } else {
+        await logout(token);
+      }
+    } catch (err) {
+      // Signed out locally either way; the session expires on its own
+      console.warn('Logout request failed:', err.message);
+    }
+
+    localStorage.removeItem('admin_token');
+    setToken(null);
+    setUser(null);
+    setOrganization(null);
+    setHistoryMarkerId('');
+    setView('content');
+    setIsAuthenticated(false);
+  }
+
+  if (!isAuthenticated && challenge && challenge.type === 'enroll') {
+    return (
+      <div className="landing-page">
+        <div style={{ maxWidth: '400px', width: '100%' }}>
+          <p style={{ marginBottom: '1rem' }}>
+            Two-factor authentication is required. Set it up to finish signing in.
+          </p>
+          <TwoFactorSetup
+            challengeToken={challenge.challengeToken}
+            onEnabled={completeLogin}
+            onCancel={cancelChallenge}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (!isAuthenticated && challenge) {
+    return (
+      <div className="landing-page">
+        <div style={{ maxWidth: '400px', width: '100%' }}>
+          <h1>🔑 Two-Factor Code</h1>
+          <p style={{ marginBottom: '2rem' }}>
+            Enter the code from your authenticator app, or one of your recovery codes
+          </p>
+
+          <form onSubmit={handleVerifyCode} style={{ width: '100%' }}>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              autoCapitalize="none"
+              autoComplete="one-time-code"
+              autoFocus
+              style={{
+                width: '100%',
+                padding: '16px',
+                fontSize: '1rem',
+                borderRadius: '8px',
+                border: '2px solid rgba(255, 255, 255, 0.3)',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                marginBottom: '16px',
+              }}
+              required
+            />
+
+            {error && (
+              <div style={{
+                background: 'rgba(255, 59, 48, 0.2)',
+                color: 'white',
+                padding: '12px',
+                borderRadius: '8px',
+                marginBottom: '16px',
+              }}>
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className="button"
+              disabled={loading}
+              style={{ width: '100%' }}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <button
+            className="button"
+            onClick={cancelChallenge}
+            style={{ width: '100%', marginTop: '1rem', background: 'rgba(255, 255, 255, 0.15)' }}
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (!isAuthenticated) {
     return (
       <div className="landing-page">
         <div style={{ maxWidth: '400px', width: '100%' }}>
           <h1>🔐 Admin Login</h1>
           <p style={{ marginBottom: '2rem' }}>
-            Enter admin password to access the dashboard
+            Sign in with your account to access the dashboard
           </p>
 
           <form onSubmit={handleLogin} style={{ width: '100%' }}>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Username (empty for the admin account)"
+              autoCapitalize="none"
+              autoComplete="username"
+              style={{
+                width: '100%',
+                padding: '16px',
+                fontSize: '1rem',
+                borderRadius: '8px',
+                border: '2px solid rgba(255, 255, 255, 0.3)',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                marginBottom: '16px',
+              }}
+            />
+
             <input
               type="password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
-              placeholder="Admin Password"
+              placeholder="Password"
               style={{
                 width: '100%',
                 padding: '16px',
@@ -62,6 +315,24 @@ function AdminDashboard() {
               required
             />
 
+            <input
+              type="text"
+              value={organizationInput}
+              onChange={(e) => setOrganizationInput(e.target.value)}
+              placeholder="Organization (optional)"
+              autoCapitalize="none"
+              style={{
+                width: '100%',
+                padding: '16px',
+                fontSize: '1rem',
+                borderRadius: '8px',
+                border: '2px solid rgba(255, 255, 255, 0.3)',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                marginBottom: '16px',
+              }}
+            />
+
             {error && (
               <div style={{
                 background: 'rgba(255, 59, 48, 0.2)',
@@ -84,9 +355,20 @@ function AdminDashboard() {
             </button>
           </form>
 
+          {singleSignOn && (
+            <button
+              className="button"
+              onClick={handleSingleSignOn}
+              disabled={loading}
+              style={{ width: '100%', marginTop: '1rem', background: 'rgba(255, 255, 255, 0.15)' }}
+            >
+              Sign in with {singleSignOn.providerName}
+            </button>
+          )}
+
           <div style={{ marginTop: '2rem', fontSize: '0.9rem', opacity: 0.7 }}>
             <p>Default credentials (demo):</p>
-            <p>Password: demo123</p>
+            <p>Username: admin · Password: demo123</p>
             <p style={{ marginTop: '1rem', fontSize: '0.8rem' }}>
               Configure via: <code>npm run generate-password</code>
             </p>
@@ -96,47 +378,110 @@ function AdminDashboard() {
     );
   }
 
+  // Editors and owners edit, publish and delete content (see
+  // backend/middleware/permissions.js); other roles can only look
+  const canEditContent = Boolean(user && ['admin', 'owner', 'editor'].includes(user.role));
+  const canReadAnalytics = Boolean(user && user.role !== 'viewer');
+
   return (
     <div className="landing-page">
       <h1>📊 Admin Dashboard</h1>
       <p>Content management and analytics</p>
+      {organization && user && (
+        <p style={{ fontSize: '0.9rem', opacity: 0.8 }}>
+          Signed in as <strong>{user.username}</strong> ({user.role})
+          {' · '}
+          Organization: <strong>{organization.name}</strong> ({organization.id})
+        </p>
+      )}
 
       <div style={{
         background: 'rgba(255, 255, 255, 0.1)',
         padding: '2rem',
         borderRadius: '16px',
         marginTop: '2rem',
-        maxWidth: '600px',
+        width: '100%',
+        maxWidth: '1000px',
         textAlign: 'left',
       }}>
-        <h3>Coming Soon</h3>
-        <ul style={{ lineHeight: '2' }}>
-          <li>✅ Authentication working</li>
-          <li>🚧 Content editor (use API directly for now)</li>
-          <li>🚧 Analytics dashboard</li>
-          <li>🚧 Perplexity integration UI</li>
-          <li>🚧 Marker generator</li>
-        </ul>
-
-        <div style={{ marginTop: '2rem', padding: '1rem', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
-          <h4>API Endpoints:</h4>
-          <code style={{ fontSize: '0.85rem', display: 'block', marginTop: '0.5rem' }}>
-            POST /api/content/:markerId<br/>
-            GET /api/analytics<br/>
-            POST /api/perplexity/summary
-          </code>
-        </div>
+        {canReadAnalytics && (
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '1.5rem' }}>
+            {[['content', '🗂️ Content'], ['analytics', '📈 Analytics']].map(([id, label]) => (
+              <button
+                key={id}
+                className="button"
+                onClick={() => setView(id)}
+                style={{
+                  padding: '8px 16px',
+                  fontSize: '0.9rem',
+                  background: view === id ? undefined : 'rgba(255, 255, 255, 0.15)',
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {view === 'analytics' && canReadAnalytics && <AnalyticsDashboard token={token} />}
+
+        {view === 'content' && (
+          <ContentEditor
+            token={token}
+            canEdit={canEditContent}
+            canDelete={canEditContent}
+            selectedMarkerId={historyMarkerId}
+            onSelect={setHistoryMarkerId}
+            onSaved={() => setDraftCount(count => count + 1)}
+          />
+        )}
+
+        {view === 'content' && historyMarkerId && (
+          <div style={{ marginTop: '1.5rem' }}>
+            <DraftPanel
+              key={`${historyMarkerId}-${draftCount}`}
+              markerId={historyMarkerId}
+              token={token}
+              onPublished={() => setPublishCount(count => count + 1)}
+            />
+          </div>
+        )}
 
-        <button
-          className="button"
-          onClick={() => {
-            localStorage.removeItem('admin_token');
-            setIsAuthenticated(false);
-          }}
-          style={{ marginTop: '2rem' }}
-        >
-          Logout
-        </button>
+        {view === 'content' && historyMarkerId && (
+          <div style={{ marginTop: '1.5rem' }}>
+            <RevisionHistory
+              key={`${historyMarkerId}-${publishCount}`}
+              markerId={historyMarkerId}
+              token={token}
+            />
+          </div>
+        )}
+
+        {user && (user.role === 'owner' || user.role === 'admin') && (
+          <div style={{ marginTop: '2rem' }}>
+            <UserManagement token={token} currentUsername={user.username} />
+          </div>
+        )}
+
+        {user && user.role !== 'admin' && (
+          <div style={{ marginTop: '2rem' }}>
+            <TwoFactorSettings token={token} />
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '2rem' }}>
+          <button className="button" onClick={() => handleLogout()}>
+            Logout
+          </button>
+          <button
+            className="button"
+            onClick={() => handleLogout(true)}
+            title="Sign out on every device"
+            style={{ background: 'rgba(255, 255, 255, 0.15)' }}
+          >
+            Sign out all sessions
+          </button>
+        </div>
       </div>
     </div>
   );
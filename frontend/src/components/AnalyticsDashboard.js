@@ -0,0 +1,186 @@
+/**
+ * Analytics Dashboard Component
+ *
+ * Table of every marker's all-time scans, clicks, click-through rate,
+ * average view duration and last scan, sortable by any column, and every
+ * marker's engagement funnel (FunnelComparison). Selecting a marker opens
+ * its charts and raw events (MarkerAnalytics).
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAllAnalyticsSummaries } from '../services/api';
+import FunnelComparison from './FunnelComparison';
+import MarkerAnalytics from './MarkerAnalytics';
+
+const COLUMNS = [
+  { key: 'markerId', label: 'Marker' },
+  { key: 'totalScans', label: 'Scans', numeric: true },
+  { key: 'totalClicks', label: 'Clicks', numeric: true },
+  { key: 'ctr', label: 'CTR', numeric: true },
+  { key: 'avgDuration', label: 'Avg. view', numeric: true },
+  { key: 'lastScan', label: 'Last scan' },
+];
+
+const cellStyle = {
+  padding: '8px',
+  borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+};
+
+function AnalyticsDashboard({ token }) {
+  const [summaries, setSummaries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sort, setSort] = useState({ key: 'totalScans', descending: true });
+  const [selectedMarkerId, setSelectedMarkerId] = useState('');
+
+  const loadSummaries = useCallback(async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      setSummaries(await getAllAnalyticsSummaries(token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadSummaries();
+  }, [loadSummaries]);
+
+  function handleSort(key) {
+    // Numbers start with the largest, text with A
+    const column = COLUMNS.find(c => c.key === key);
+    setSort(sort.key === key
+      ? { key, descending: !sort.descending }
+      : { key, descending: Boolean(column.numeric) || key === 'lastScan' });
+  }
+
+  if (selectedMarkerId) {
+    return (
+      <MarkerAnalytics
+        markerId={selectedMarkerId}
+        token={token}
+        onClose={() => setSelectedMarkerId('')}
+      />
+    );
+  }
+
+  const rows = sortRows(
+    summaries.map(summary => ({
+      ...summary,
+      ctr: summary.totalScans > 0 ? summary.totalClicks / summary.totalScans : 0,
+    })),
+    sort
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+        <h3>📈 Analytics</h3>
+        <button
+          className="button"
+          onClick={loadSummaries}
+          disabled={loading}
+          style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+        >
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {!loading && summaries.length === 0 && !error && (
+        <p style={{ marginTop: '1rem', opacity: 0.7 }}>No scans recorded yet.</p>
+      )}
+
+      {rows.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '1rem' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    onClick={() => handleSort(column.key)}
+                    aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : 'none'}
+                    style={{
+                      ...cellStyle,
+                      textAlign: column.numeric ? 'right' : 'left',
+                      cursor: 'pointer',
+                      userSelect: 'none',
+                      opacity: sort.key === column.key ? 1 : 0.7,
+                    }}
+                  >
+                    {column.label}
+                    {sort.key === column.key && (sort.descending ? ' ▼' : ' ▲')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr
+                  key={row.markerId}
+                  onClick={() => setSelectedMarkerId(row.markerId)}
+                  title="Show charts and events"
+                  style={{ cursor: 'pointer' }}
+                >
+                  <td style={cellStyle}><strong>{row.markerId}</strong></td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>{row.totalScans}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>{row.totalClicks}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>
+                    {row.totalScans > 0 ? `${(row.ctr * 100).toFixed(1)}%` : '—'}
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>{(row.avgDuration || 0).toFixed(1)}s</td>
+                  <td style={{ ...cellStyle, opacity: 0.8 }}>
+                    {row.lastScan ? new Date(row.lastScan).toLocaleString() : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <FunnelComparison token={token} onSelectMarker={setSelectedMarkerId} />
+    </div>
+  );
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function sortRows(rows, { key, descending }) {
+  return [...rows].sort((a, b) => {
+    const left = a[key];
+    const right = b[key];
+    let order;
+
+    if (left === null || left === undefined) {
+      order = right === null || right === undefined ? 0 : -1;
+    } else if (right === null || right === undefined) {
+      order = 1;
+    } else if (typeof left === 'number') {
+      order = left - right;
+    } else {
+      order = String(left).localeCompare(String(right));
+    }
+
+    return descending ? -order : order;
+  });
+}
+
+export default AnalyticsDashboard;
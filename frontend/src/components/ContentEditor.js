@@ -0,0 +1,543 @@
+/**
+ * Content Editor Component
+ *
+ * Lists the organization's markers and edits their content: a form per
+ * content type with the backend's validation rules shown next to each
+ * field, style colors, an expiry date, and delete. Saving stores a draft
+ * (see DraftPanel for preview and publishing); markers that only have a
+ * draft can be opened by entering their ID as a new marker.
+ *
+ * Schedules, variants, targeting rules, translations and the campaign are
+ * kept as they are when a marker is edited here.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAllContent, getDraft, updateContent, deleteContent } from '../services/api';
+import ARPreview from './ARPreview';
+import {
+  CONTENT_TYPES,
+  CONTENT_TYPE_LABELS,
+  CONTENT_TYPE_FIELDS,
+  REQUIRED_FIELDS,
+  FIELD_LABELS,
+  MAX_LENGTHS,
+  URL_FIELDS,
+  STYLE_FIELDS,
+  validateContent,
+  getServerFieldErrors,
+} from '../utils/contentValidation';
+
+// Stored with the content but not part of what is saved
+const RECORD_FIELDS = ['orgId', 'markerId', 'createdAt', 'updatedAt'];
+
+const DEFAULT_STYLE = {
+  backgroundColor: '#000000',
+  textColor: '#ffffff',
+  accentColor: '#667eea',
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const fieldStyle = {
+  width: '100%',
+  padding: '10px',
+  fontSize: '0.95rem',
+  borderRadius: '8px',
+  border: '2px solid rgba(255, 255, 255, 0.3)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+};
+
+const errorFieldStyle = {
+  ...fieldStyle,
+  border: '2px solid rgba(255, 59, 48, 0.9)',
+};
+
+function ContentEditor({ token, canEdit, canDelete, selectedMarkerId, onSelect, onSaved }) {
+  const [contentList, setContentList] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // { markerId, isNew, content } while the form is open
+  const [editing, setEditing] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [savedMessage, setSavedMessage] = useState('');
+
+  const loadContent = useCallback(async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      setContentList(await getAllContent(token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load content');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadContent();
+  }, [loadContent]);
+
+  function openForm(markerId, isNew, content) {
+    setEditing({ markerId, isNew, content: toFormContent(content) });
+    setFieldErrors({});
+    setSavedMessage('');
+  }
+
+  async function handleEdit(item) {
+    setError('');
+    setBusy(item.markerId);
+
+    try {
+      // Continue from the unpublished draft when there is one
+      const draft = await getDraft(item.markerId, token);
+      openForm(item.markerId, false, draft ? draft.content : item);
+      onSelect(item.markerId);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load draft');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  function handleNew() {
+    openForm('', true, { type: 'news' });
+  }
+
+  async function handleOpenDraft() {
+    const markerId = editing.markerId.trim();
+    const idErrors = validateContent(editing.content, markerId);
+
+    if (idErrors.markerId) {
+      setFieldErrors({ markerId: idErrors.markerId });
+      return;
+    }
+
+    setBusy('open');
+
+    try {
+      const draft = await getDraft(markerId, token);
+
+      if (draft) {
+        openForm(markerId, false, draft.content);
+        onSelect(markerId);
+      } else {
+        setFieldErrors({ markerId: `No draft found for ${markerId}` });
+      }
+    } catch (err) {
+      setFieldErrors({ markerId: err.response?.data?.message || 'Failed to load draft' });
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+
+    const markerId = editing.markerId.trim();
+    const content = toSavedContent(editing.content);
+    const errors = validateContent(content, editing.isNew ? markerId : undefined);
+
+    setSavedMessage('');
+    setFieldErrors(errors);
+
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setBusy('save');
+
+    try {
+      const draft = await updateContent(markerId, content, token);
+      setEditing({ markerId, isNew: false, content: toFormContent(draft.content) });
+      setSavedMessage('Draft saved. Preview and publish it below.');
+      onSelect(markerId);
+      if (onSaved) onSaved(draft);
+    } catch (err) {
+      setFieldErrors(err.response ? getServerFieldErrors(err.response.data) : { form: 'Failed to save content' });
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleDelete(markerId) {
+    if (!window.confirm(`Delete ${markerId}? Its published content and any draft are removed, and scanning the marker will show "not found".`)) {
+      return;
+    }
+
+    setError('');
+    setBusy(markerId);
+
+    try {
+      await deleteContent(markerId, token);
+      if (editing && editing.markerId === markerId) setEditing(null);
+      if (selectedMarkerId === markerId) onSelect('');
+      await loadContent();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete content');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  function setField(field, value) {
+    setEditing({ ...editing, content: { ...editing.content, [field]: value } });
+    setFieldErrors({ ...fieldErrors, [field]: undefined, form: undefined });
+  }
+
+  function setStyleField(field, value) {
+    setField('style', { ...(editing.content.style || {}), [field]: value });
+  }
+
+  function renderFieldError(field) {
+    return fieldErrors[field] && (
+      <div style={{ color: '#ff8a80', fontSize: '0.8rem', marginTop: '4px' }}>{fieldErrors[field]}</div>
+    );
+  }
+
+  function renderTextField(field) {
+    const value = editing.content[field] || '';
+    const max = MAX_LENGTHS[field];
+    const required = REQUIRED_FIELDS[editing.content.type].includes(field);
+    const multiline = field === 'summary';
+    const inputProps = {
+      value,
+      onChange: (e) => setField(field, e.target.value),
+      placeholder: URL_FIELDS.includes(field) ? 'https://' : '',
+      disabled: !canEdit,
+      style: fieldErrors[field] ? errorFieldStyle : fieldStyle,
+    };
+
+    return (
+      <label key={field} style={{ display: 'block', marginBottom: '0.75rem' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', marginBottom: '4px' }}>
+          <span>{FIELD_LABELS[field]}{required && ' *'}</span>
+          {max && (
+            <span style={{ opacity: value.length > max ? 1 : 0.6, color: value.length > max ? '#ff8a80' : 'inherit' }}>
+              {value.length}/{max}
+            </span>
+          )}
+        </div>
+        {multiline
+          ? <textarea rows={3} {...inputProps} />
+          : <input type={URL_FIELDS.includes(field) ? 'url' : 'text'} {...inputProps} />}
+        {renderFieldError(field)}
+      </label>
+    );
+  }
+
+  function renderEditor() {
+    const { content } = editing;
+    const style = content.style || {};
+    const otherErrors = Object.entries(fieldErrors)
+      .filter(([field, message]) => message && !isFormField(field, content.type));
+
+    return (
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-start', gap: '1rem', marginTop: '1rem' }}>
+        <form
+          onSubmit={handleSave}
+          noValidate
+          style={{ flex: '1 1 320px', padding: '1rem', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '8px' }}
+        >
+          <h4 style={{ marginBottom: '1rem' }}>
+            {editing.isNew ? 'New marker' : `Editing ${editing.markerId}`}
+          </h4>
+
+          {editing.isNew && (
+            <label style={{ display: 'block', marginBottom: '0.75rem' }}>
+              <div style={{ fontSize: '0.85rem', marginBottom: '4px' }}>Marker ID *</div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="text"
+                  value={editing.markerId}
+                  onChange={(e) => {
+                    setEditing({ ...editing, markerId: e.target.value });
+                    setFieldErrors({ ...fieldErrors, markerId: undefined });
+                  }}
+                  placeholder="e.g. marker-news-002"
+                  autoCapitalize="none"
+                  style={fieldErrors.markerId ? errorFieldStyle : fieldStyle}
+                />
+                <button
+                  type="button"
+                  className="button"
+                  onClick={handleOpenDraft}
+                  disabled={busy !== null}
+                  title="Open the unpublished draft of a marker that has never been published"
+                  style={{ padding: '8px 16px', fontSize: '0.85rem', whiteSpace: 'nowrap' }}
+                >
+                  Open draft
+                </button>
+              </div>
+              {renderFieldError('markerId')}
+            </label>
+          )}
+
+          <label style={{ display: 'block', marginBottom: '0.75rem' }}>
+            <div style={{ fontSize: '0.85rem', marginBottom: '4px' }}>Type *</div>
+            <select
+              value={content.type}
+              onChange={(e) => setField('type', e.target.value)}
+              disabled={!canEdit}
+              style={fieldErrors.type ? errorFieldStyle : fieldStyle}
+            >
+              {CONTENT_TYPES.map(type => (
+                <option key={type} value={type} style={{ color: 'black' }}>{CONTENT_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+            {renderFieldError('type')}
+          </label>
+
+          {CONTENT_TYPE_FIELDS[content.type].map(renderTextField)}
+
+          <div style={{ fontSize: '0.85rem', marginBottom: '4px' }}>Style</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', marginBottom: '0.75rem' }}>
+            {Object.entries(STYLE_FIELDS).map(([field, label]) => (
+              <label key={field} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem' }}>
+                <input
+                  type="color"
+                  value={HEX_COLOR_PATTERN.test(style[field] || '') ? style[field] : DEFAULT_STYLE[field]}
+                  onChange={(e) => setStyleField(field, e.target.value)}
+                  disabled={!canEdit}
+                  style={{ width: '36px', height: '28px', padding: 0, border: 'none', background: 'none' }}
+                />
+                {label}
+                <span style={{ opacity: 0.6 }}>{style[field] || 'default'}</span>
+                {style[field] && canEdit && (
+                  <button
+                    type="button"
+                    onClick={() => setStyleField(field, '')}
+                    title="Use the default color"
+                    style={{ background: 'none', border: 'none', color: 'white', cursor: 'pointer', opacity: 0.7 }}
+                  >
+                    ✕
+                  </button>
+                )}
+              </label>
+            ))}
+          </div>
+
+          <label style={{ display: 'block', marginBottom: '0.75rem' }}>
+            <div style={{ fontSize: '0.85rem', marginBottom: '4px' }}>
+              Expires (optional; scans show "expired" afterwards)
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="datetime-local"
+                value={content.expiresAt || ''}
+                onChange={(e) => setField('expiresAt', e.target.value)}
+                disabled={!canEdit}
+                style={fieldErrors.expiresAt ? errorFieldStyle : fieldStyle}
+              />
+              {content.expiresAt && canEdit && (
+                <button
+                  type="button"
+                  className="button"
+                  onClick={() => setField('expiresAt', '')}
+                  style={{ padding: '8px 16px', fontSize: '0.85rem', background: 'rgba(255, 255, 255, 0.15)' }}
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            {renderFieldError('expiresAt')}
+          </label>
+
+          {content.campaignId && (
+            <p style={{ fontSize: '0.85rem', opacity: 0.7, marginBottom: '0.75rem' }}>
+              Campaign: {content.campaignId}
+            </p>
+          )}
+
+          {otherErrors.length > 0 && (
+            <div style={{
+              background: 'rgba(255, 59, 48, 0.2)',
+              padding: '12px',
+              borderRadius: '8px',
+              marginBottom: '0.75rem',
+            }}>
+              {otherErrors.map(([field, message]) => (
+                <div key={field}>{field === 'form' ? message : `${field}: ${message}`}</div>
+              ))}
+            </div>
+          )}
+
+          {savedMessage && (
+            <p style={{ marginBottom: '0.75rem', color: '#b9f6ca' }}>{savedMessage}</p>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            {canEdit && (
+              <button type="submit" className="button" disabled={busy !== null}>
+                {busy === 'save' ? 'Saving...' : 'Save draft'}
+              </button>
+            )}
+            <button
+              type="button"
+              className="button"
+              onClick={() => setEditing(null)}
+              style={{ background: 'rgba(255, 255, 255, 0.15)' }}
+            >
+              Close
+            </button>
+          </div>
+        </form>
+
+        <div style={{ flex: '1 1 260px', position: 'sticky', top: '1rem' }}>
+          <h4 style={{ marginBottom: '0.5rem' }}>👁️ Live preview</h4>
+          {/* What AROverlay renders, updated as the form changes */}
+          <ARPreview content={toSavedContent(content)} markerId={editing.markerId} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+        <h3>🗂️ Content</h3>
+        {canEdit && (
+          <button
+            className="button"
+            onClick={handleNew}
+            disabled={busy !== null}
+            style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+          >
+            + New marker
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {editing && renderEditor()}
+
+      {loading && contentList.length === 0 && <p style={{ marginTop: '1rem' }}>Loading content...</p>}
+
+      {!loading && contentList.length === 0 && !error && (
+        <p style={{ marginTop: '1rem', opacity: 0.7 }}>No published markers yet.</p>
+      )}
+
+      <ul style={{ listStyle: 'none', padding: 0, marginTop: '1rem' }}>
+        {contentList.map(item => (
+          <li
+            key={item.markerId}
+            style={{
+              padding: '1rem',
+              marginBottom: '0.75rem',
+              background: item.markerId === selectedMarkerId ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.2)',
+              borderRadius: '8px',
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+              <div>
+                <strong>{item.title || item.markerId}</strong>
+                <div style={{ fontSize: '0.85rem', opacity: 0.7 }}>
+                  {item.markerId}
+                  {' · '}
+                  {CONTENT_TYPE_LABELS[item.type] || item.type}
+                  {item.expiresAt && ` · expires ${new Date(item.expiresAt).toLocaleString()}`}
+                  {item.campaignId && ` · campaign ${item.campaignId}`}
+                </div>
+              </div>
+
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  className="button"
+                  onClick={() => handleEdit(item)}
+                  disabled={busy !== null}
+                  style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+                >
+                  {busy === item.markerId ? 'Loading...' : canEdit ? 'Edit' : 'View'}
+                </button>
+                {canDelete && (
+                  <button
+                    className="button"
+                    onClick={() => handleDelete(item.markerId)}
+                    disabled={busy !== null}
+                    style={{ padding: '8px 16px', fontSize: '0.85rem', background: 'rgba(255, 59, 48, 0.6)' }}
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Content as the form edits it: expiry as a local datetime-local value
+ */
+function toFormContent(content) {
+  const formContent = { ...content };
+
+  RECORD_FIELDS.forEach(field => delete formContent[field]);
+
+  if (formContent.expiresAt) {
+    const expiresAt = new Date(formContent.expiresAt);
+    const offsetMs = expiresAt.getTimezoneOffset() * 60 * 1000;
+    formContent.expiresAt = new Date(expiresAt.getTime() - offsetMs).toISOString().slice(0, 16);
+  }
+
+  return formContent;
+}
+
+/**
+ * Content as it is saved: only the type's own fields, no empty values,
+ * expiry in ISO 8601
+ */
+function toSavedContent(formContent) {
+  const otherTypeFields = CONTENT_TYPES
+    .flatMap(type => CONTENT_TYPE_FIELDS[type])
+    .filter(field => !CONTENT_TYPE_FIELDS[formContent.type].includes(field));
+
+  const content = Object.fromEntries(
+    Object.entries(formContent)
+      .filter(([field, value]) => !otherTypeFields.includes(field) && value !== null && value !== '')
+      .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+  );
+
+  if (content.style) {
+    const style = Object.fromEntries(Object.entries(content.style).filter(([, value]) => value));
+    if (Object.keys(style).length > 0) {
+      content.style = style;
+    } else {
+      delete content.style;
+    }
+  }
+
+  if (content.expiresAt) {
+    const expiresAt = new Date(content.expiresAt);
+    content.expiresAt = Number.isNaN(expiresAt.getTime()) ? content.expiresAt : expiresAt.toISOString();
+  }
+
+  return content;
+}
+
+/**
+ * Whether a field has its own input (whose error shows next to it)
+ */
+function isFormField(field, type) {
+  return ['markerId', 'type', 'expiresAt'].includes(field) || CONTENT_TYPE_FIELDS[type].includes(field);
+}
+
+export default ContentEditor;
@@ -0,0 +1,183 @@
+/**
+ * Draft Panel Component
+ *
+ * Shows the unpublished draft of a marker and the actions on it: open a
+ * preview of the draft on the scan page, approve it (when a second approver
+ * is required), publish it or discard it.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getDraft,
+  approveDraft,
+  publishContent,
+  discardDraft,
+  getPreviewToken,
+} from '../services/api';
+
+function DraftPanel({ markerId, token, onPublished }) {
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadDraft = useCallback(async () => {
+    if (!markerId) return;
+
+    setError('');
+    setLoading(true);
+
+    try {
+      setDraft(await getDraft(markerId, token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load draft');
+    } finally {
+      setLoading(false);
+    }
+  }, [markerId, token]);
+
+  useEffect(() => {
+    loadDraft();
+  }, [loadDraft]);
+
+  async function runAction(action, fallbackMessage) {
+    setError('');
+    setBusy(true);
+
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handlePreview() {
+    // Open the window synchronously so popup blockers allow it
+    const previewWindow = window.open('', '_blank');
+
+    runAction(async () => {
+      try {
+        const { previewPath } = await getPreviewToken(markerId, token);
+        if (previewWindow) previewWindow.location.href = previewPath;
+      } catch (err) {
+        if (previewWindow) previewWindow.close();
+        throw err;
+      }
+    }, 'Failed to create preview link');
+  }
+
+  function handleApprove() {
+    runAction(async () => {
+      setDraft(await approveDraft(markerId, token));
+    }, 'Failed to approve draft');
+  }
+
+  function handlePublish() {
+    if (!window.confirm(`Publish the draft of ${markerId}? It will be live for everyone scanning this marker.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      const published = await publishContent(markerId, token);
+      setDraft(null);
+      if (onPublished) onPublished(published);
+    }, 'Failed to publish draft');
+  }
+
+  function handleDiscard() {
+    if (!window.confirm(`Discard the draft of ${markerId}? Published content is not affected.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await discardDraft(markerId, token);
+      setDraft(null);
+    }, 'Failed to discard draft');
+  }
+
+  if (!markerId) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h3>📝 Draft: {markerId}</h3>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && <p style={{ marginTop: '1rem' }}>Loading draft...</p>}
+
+      {!loading && !draft && (
+        <p style={{ marginTop: '1rem', opacity: 0.7 }}>No unpublished changes.</p>
+      )}
+
+      {!loading && draft && (
+        <div style={{
+          padding: '1rem',
+          marginTop: '1rem',
+          background: 'rgba(0, 0, 0, 0.2)',
+          borderRadius: '8px',
+        }}>
+          <strong>{draft.content.title || `(${draft.content.type})`}</strong>
+          <div style={{ fontSize: '0.85rem', opacity: 0.7 }}>
+            {new Date(draft.updatedAt).toLocaleString()}
+            {' · '}
+            {draft.author || 'unknown author'}
+            {' · '}
+            {draft.approvedBy ? `approved by ${draft.approvedBy}` : 'not approved'}
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '1rem' }}>
+            <button
+              className="button"
+              onClick={handlePreview}
+              disabled={busy}
+              style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+            >
+              Preview
+            </button>
+            {!draft.approvedBy && (
+              <button
+                className="button"
+                onClick={handleApprove}
+                disabled={busy}
+                style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+              >
+                Approve
+              </button>
+            )}
+            <button
+              className="button"
+              onClick={handlePublish}
+              disabled={busy}
+              style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+            >
+              Publish
+            </button>
+            <button
+              className="button"
+              onClick={handleDiscard}
+              disabled={busy}
+              style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DraftPanel;
@@ -0,0 +1,99 @@
+/**
+ * Event Explorer Component
+ *
+ * Pages through a marker's raw analytics events, newest first: time, type,
+ * session, view duration, A/B variant or targeting rule, and device.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { EVENT_TYPE_LABELS } from '../utils/analyticsSeries';
+
+const PAGE_SIZE = 25;
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+  whiteSpace: 'nowrap',
+};
+
+function EventExplorer({ events, truncated }) {
+  const [page, setPage] = useState(0);
+
+  const pageCount = Math.max(1, Math.ceil(events.length / PAGE_SIZE));
+  const pageEvents = events.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  // Back to the first page whenever the filters load new events
+  useEffect(() => {
+    setPage(0);
+  }, [events]);
+
+  if (events.length === 0) {
+    return <p style={{ opacity: 0.7 }}>No events match these filters.</p>;
+  }
+
+  return (
+    <div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', opacity: 0.7 }}>
+              <th style={cellStyle}>Time</th>
+              <th style={cellStyle}>Event</th>
+              <th style={cellStyle}>Session</th>
+              <th style={cellStyle}>Duration</th>
+              <th style={cellStyle}>Variant / rule</th>
+              <th style={cellStyle}>Device</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageEvents.map(event => (
+              <tr key={event.id}>
+                <td style={cellStyle}>{new Date(event.timestamp).toLocaleString()}</td>
+                <td style={cellStyle}>{EVENT_TYPE_LABELS[event.eventType] || event.eventType}</td>
+                <td style={cellStyle} title={event.sessionId || ''}>
+                  {event.sessionId ? event.sessionId.slice(0, 8) : '—'}
+                </td>
+                <td style={cellStyle}>{event.duration ? `${event.duration.toFixed(1)}s` : '—'}</td>
+                <td style={cellStyle}>{[event.variantId, event.ruleId].filter(Boolean).join(' / ') || '—'}</td>
+                <td
+                  style={{ ...cellStyle, maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                  title={event.userAgent || ''}
+                >
+                  {event.userAgent || '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', marginTop: '0.75rem', fontSize: '0.85rem' }}>
+        <span style={{ opacity: 0.7 }}>
+          {page * PAGE_SIZE + 1}–{page * PAGE_SIZE + pageEvents.length} of {events.length}
+          {truncated && ' (most recent only; narrow the date range to see older events)'}
+        </span>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <button
+            className="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0}
+            style={{ padding: '6px 12px', fontSize: '0.8rem' }}
+          >
+            ‹ Newer
+          </button>
+          <span>Page {page + 1} of {pageCount}</span>
+          <button
+            className="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount - 1}
+            style={{ padding: '6px 12px', fontSize: '0.8rem' }}
+          >
+            Older ›
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EventExplorer;
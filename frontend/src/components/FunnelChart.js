@@ -0,0 +1,72 @@
+/**
+ * Funnel Chart Component
+ *
+ * One marker's engagement funnel (GET /api/analytics/:markerId/funnel) as
+ * horizontal bars: the sessions reaching each step, their share of the
+ * opened sessions and the conversion from the step before.
+ */
+
+import React from 'react';
+import { getFunnelStepLabel } from '../utils/analyticsSeries';
+
+const STEP_COLORS = ['#667eea', '#4facfe', '#f093fb', '#16c79a', '#ffcc00'];
+
+function FunnelChart({ funnel }) {
+  return (
+    <div style={{
+      padding: '1rem',
+      marginBottom: '0.75rem',
+      background: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '8px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', fontSize: '0.9rem' }}>
+        <strong>Engagement funnel</strong>
+        <span style={{ opacity: 0.8 }}>{funnel.sessions} sessions</span>
+      </div>
+
+      {funnel.sessions === 0 ? (
+        <p style={{ marginTop: '0.5rem', opacity: 0.7, fontSize: '0.85rem' }}>No data in this range.</p>
+      ) : (
+        <div style={{ marginTop: '0.5rem' }}>
+          {funnel.steps.map((step, index) => (
+            <div
+              key={step.step}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginTop: '6px', fontSize: '0.85rem' }}
+            >
+              <span style={{ width: '130px', flexShrink: 0 }}>{getFunnelStepLabel(step.step, funnel.minViewSeconds)}</span>
+              <div style={{ flex: 1, background: 'rgba(255, 255, 255, 0.1)', borderRadius: '4px', height: '18px' }}>
+                <div style={{
+                  width: `${step.overallConversion * 100}%`,
+                  height: '100%',
+                  borderRadius: '4px',
+                  background: STEP_COLORS[index % STEP_COLORS.length],
+                }} />
+              </div>
+              <span style={{ width: '150px', flexShrink: 0, textAlign: 'right' }}>
+                <strong>{step.sessions}</strong>
+                {step.conversion !== null && (
+                  <span
+                    style={{ opacity: 0.7 }}
+                    title={`${step.dropOff} sessions dropped off after the previous step`}
+                  >
+                    {' '}({formatPercent(step.conversion)} of previous)
+                  </span>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+export default FunnelChart;
@@ -0,0 +1,172 @@
+/**
+ * Funnel Comparison Component
+ *
+ * Every marker's engagement funnel over a date range side by side: the
+ * sessions that opened the scan page and the share of them reaching each
+ * later step (GET /api/analytics/funnel), so drop-off can be compared
+ * across markers. Selecting a marker opens its drill-down.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAllAnalyticsFunnels } from '../services/api';
+import { getFunnelStepLabel, getRecentRange, toDateRangeParams } from '../utils/analyticsSeries';
+
+const RANGE_PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+];
+
+const DEFAULT_MIN_VIEW_SECONDS = 5;
+
+const cellStyle = {
+  padding: '8px',
+  borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  fontSize: '0.85rem',
+  borderRadius: '8px',
+  border: '2px solid rgba(255, 255, 255, 0.3)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+};
+
+function FunnelComparison({ token, onSelectMarker }) {
+  const [days, setDays] = useState(30);
+  const [minViewSeconds, setMinViewSeconds] = useState(DEFAULT_MIN_VIEW_SECONDS);
+  const [funnels, setFunnels] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadFunnels = useCallback(async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const range = getRecentRange(days);
+      setFunnels(await getAllAnalyticsFunnels({
+        ...toDateRangeParams(range.startDay, range.endDay),
+        minViewSeconds,
+      }, token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load funnels');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, days, minViewSeconds]);
+
+  useEffect(() => {
+    loadFunnels();
+  }, [loadFunnels]);
+
+  const steps = funnels.length > 0 ? funnels[0].steps.map(step => step.step) : [];
+
+  return (
+    <div style={{ marginTop: '2rem' }}>
+      <h4>Engagement funnel</h4>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginTop: '0.5rem' }}>
+        {RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.days}
+            className="button"
+            onClick={() => setDays(preset.days)}
+            style={{
+              padding: '6px 12px',
+              fontSize: '0.8rem',
+              opacity: days === preset.days ? 1 : 0.6,
+            }}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <label style={{ fontSize: '0.85rem', marginLeft: '0.5rem' }}>
+          Viewed for at least{' '}
+          <input
+            type="number"
+            min="0"
+            max="3600"
+            value={minViewSeconds}
+            onChange={(e) => setMinViewSeconds(Math.max(0, Number(e.target.value) || 0))}
+            style={{ ...fieldStyle, width: '64px' }}
+          />
+          {' '}s
+        </label>
+      </div>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && <p style={{ marginTop: '1rem' }}>Loading funnels...</p>}
+
+      {!loading && !error && funnels.length === 0 && (
+        <p style={{ marginTop: '1rem', opacity: 0.7 }}>No sessions in this range.</p>
+      )}
+
+      {!loading && funnels.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '1rem' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Marker</th>
+                {steps.map(step => (
+                  <th key={step} style={{ ...cellStyle, textAlign: 'right' }}>
+                    {getFunnelStepLabel(step, minViewSeconds)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {funnels.map(funnel => (
+                <tr
+                  key={funnel.markerId}
+                  onClick={() => onSelectMarker(funnel.markerId)}
+                  title="Show charts and events"
+                  style={{ cursor: 'pointer' }}
+                >
+                  <td style={cellStyle}><strong>{funnel.markerId}</strong></td>
+                  {funnel.steps.map(step => (
+                    <td
+                      key={step.step}
+                      style={{ ...cellStyle, textAlign: 'right' }}
+                      title={step.conversion === null ? undefined : `${formatPercent(step.conversion)} of the previous step`}
+                    >
+                      {step.step === 'scan' ? (
+                        <strong>{step.sessions}</strong>
+                      ) : (
+                        <>
+                          {formatPercent(step.overallConversion)}
+                          <span style={{ opacity: 0.6 }}> ({step.sessions})</span>
+                        </>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+export default FunnelComparison;
@@ -0,0 +1,246 @@
+/**
+ * Marker Analytics Component
+ *
+ * Drill-down for one marker: all-time totals, visitor and session metrics,
+ * the engagement funnel and charts of scans, clicks and average view
+ * duration over a date range, and the raw events behind them.
+ * The date range and event type filters map to the startDate, endDate and
+ * eventType params of GET /api/analytics/:markerId.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getAnalytics,
+  getAnalyticsFunnel,
+  getAnalyticsSessions,
+  getAnalyticsSummary,
+} from '../services/api';
+import {
+  EVENT_TYPES,
+  EVENT_TYPE_LABELS,
+  bucketEvents,
+  getRecentRange,
+  toDateRangeParams,
+} from '../utils/analyticsSeries';
+import EventExplorer from './EventExplorer';
+import FunnelChart from './FunnelChart';
+import TimeSeriesChart from './TimeSeriesChart';
+
+// The most events the API returns per request
+const EVENT_LIMIT = 10000;
+
+const RANGE_PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+];
+
+// Charts per event type filter ('' is every type)
+const CHARTS = {
+  scan: { title: 'Scans', valueKey: 'scans', color: '#667eea' },
+  detection: { title: 'Detections', valueKey: 'detections', color: '#4facfe' },
+  click: { title: 'Clicks', valueKey: 'clicks', color: '#16c79a' },
+  viewDuration: { title: 'Avg. view duration', valueKey: 'avgDuration', color: '#f093fb', seconds: true },
+  share: { title: 'Shares', valueKey: 'shares', color: '#ffcc00' },
+};
+
+const fieldStyle = {
+  padding: '8px',
+  fontSize: '0.85rem',
+  borderRadius: '8px',
+  border: '2px solid rgba(255, 255, 255, 0.3)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+};
+
+function MarkerAnalytics({ markerId, token, onClose }) {
+  const [range, setRange] = useState(() => getRecentRange(30));
+  const [eventType, setEventType] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [sessions, setSessions] = useState(null);
+  const [funnel, setFunnel] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadAnalytics = useCallback(async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const rangeParams = toDateRangeParams(range.startDay, range.endDay);
+      const [markerSummary, markerSessions, markerFunnel, markerEvents] = await Promise.all([
+        getAnalyticsSummary(markerId, token),
+        getAnalyticsSessions(markerId, rangeParams, token),
+        getAnalyticsFunnel(markerId, rangeParams, token),
+        getAnalytics(markerId, {
+          ...rangeParams,
+          eventType: eventType || undefined,
+          limit: EVENT_LIMIT,
+        }, token),
+      ]);
+
+      setSummary(markerSummary);
+      setSessions(markerSessions);
+      setFunnel(markerFunnel);
+      setEvents(markerEvents);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [markerId, token, range, eventType]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const buckets = bucketEvents(events, range.startDay, range.endDay);
+  const charts = eventType ? [CHARTS[eventType]] : [CHARTS.scan, CHARTS.click, CHARTS.viewDuration];
+
+  function getChartSummary(chart) {
+    if (chart.seconds) {
+      const views = buckets.reduce((total, bucket) => total + bucket.views, 0);
+      const duration = buckets.reduce((total, bucket) => total + bucket.avgDuration * bucket.views, 0);
+      return `${formatSeconds(views > 0 ? duration / views : 0)} avg`;
+    }
+
+    return `${buckets.reduce((total, bucket) => total + bucket[chart.valueKey], 0)} total`;
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+        <h3>📈 {markerId}</h3>
+        <button
+          className="button"
+          onClick={onClose}
+          style={{ padding: '8px 16px', fontSize: '0.85rem', background: 'rgba(255, 255, 255, 0.15)' }}
+        >
+          ‹ All markers
+        </button>
+      </div>
+
+      {summary && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1.5rem', marginTop: '1rem', fontSize: '0.9rem' }}>
+          <div><strong>{summary.totalScans}</strong> scans</div>
+          <div><strong>{summary.totalClicks}</strong> clicks</div>
+          <div><strong>{formatRate(summary.totalClicks, summary.totalScans)}</strong> CTR</div>
+          <div><strong>{formatSeconds(summary.avgDuration)}</strong> avg. view</div>
+          <div style={{ opacity: 0.7 }}>
+            {summary.lastScan ? `Last scan ${new Date(summary.lastScan).toLocaleString()}` : 'Never scanned'}
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginTop: '1rem' }}>
+        {RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.days}
+            className="button"
+            onClick={() => setRange(getRecentRange(preset.days))}
+            style={{ padding: '6px 12px', fontSize: '0.8rem' }}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          className="button"
+          onClick={() => setRange({ startDay: '', endDay: '' })}
+          style={{ padding: '6px 12px', fontSize: '0.8rem' }}
+        >
+          All time
+        </button>
+        <input
+          type="date"
+          value={range.startDay}
+          max={range.endDay || undefined}
+          onChange={(e) => setRange({ ...range, startDay: e.target.value })}
+          aria-label="From"
+          style={fieldStyle}
+        />
+        <span>–</span>
+        <input
+          type="date"
+          value={range.endDay}
+          min={range.startDay || undefined}
+          onChange={(e) => setRange({ ...range, endDay: e.target.value })}
+          aria-label="To"
+          style={fieldStyle}
+        />
+        <select
+          value={eventType}
+          onChange={(e) => setEventType(e.target.value)}
+          aria-label="Event type"
+          style={fieldStyle}
+        >
+          <option value="" style={{ color: 'black' }}>All events</option>
+          {EVENT_TYPES.map(type => (
+            <option key={type} value={type} style={{ color: 'black' }}>{EVENT_TYPE_LABELS[type]}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && <p style={{ marginTop: '1rem' }}>Loading analytics...</p>}
+
+      {!loading && !error && (
+        <>
+          {sessions && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1.5rem', marginTop: '1rem', fontSize: '0.9rem' }}>
+              <div><strong>{sessions.uniqueVisitors}</strong> unique visitors</div>
+              <div><strong>{sessions.sessions}</strong> sessions</div>
+              <div><strong>{sessions.repeatVisitors}</strong> repeat visitors</div>
+              <div><strong>{sessions.scansPerSession.toFixed(2)}</strong> scans / session</div>
+              <div title="Sessions whose camera never found the marker">
+                <strong>{(sessions.bounceRate * 100).toFixed(1)}%</strong> bounce rate
+              </div>
+            </div>
+          )}
+
+          <div style={{ marginTop: '1rem' }}>
+            {funnel && <FunnelChart funnel={funnel} />}
+            {charts.map(chart => (
+              <TimeSeriesChart
+                key={chart.valueKey}
+                title={chart.title}
+                buckets={buckets}
+                valueKey={chart.valueKey}
+                color={chart.color}
+                formatValue={chart.seconds ? formatSeconds : String}
+                summary={getChartSummary(chart)}
+              />
+            ))}
+          </div>
+
+          <h4 style={{ margin: '1rem 0 0.5rem' }}>Events</h4>
+          <EventExplorer events={events} truncated={events.length >= EVENT_LIMIT} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function formatSeconds(seconds) {
+  return `${(seconds || 0).toFixed(1)}s`;
+}
+
+function formatRate(clicks, scans) {
+  return scans > 0 ? `${((clicks / scans) * 100).toFixed(1)}%` : '—';
+}
+
+export default MarkerAnalytics;
@@ -0,0 +1,145 @@
+/**
+ * Revision History Component
+ *
+ * Shows the saved revisions of a marker's content (author, time, changed
+ * fields) and lets an admin restore an earlier revision. Restoring creates
+ * a new revision, so history is never rewritten.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getContentRevisions, restoreContentRevision } from '../services/api';
+
+/**
+ * Format a field value for the diff list
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function RevisionHistory({ markerId, token, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadRevisions = useCallback(async () => {
+    if (!markerId) return;
+
+    setError('');
+    setLoading(true);
+
+    try {
+      setRevisions(await getContentRevisions(markerId, token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load revisions');
+    } finally {
+      setLoading(false);
+    }
+  }, [markerId, token]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  async function handleRestore(revision) {
+    if (!window.confirm(`Restore revision #${revision} of ${markerId}? This makes it live immediately.`)) {
+      return;
+    }
+
+    setError('');
+    setRestoring(revision);
+
+    try {
+      const restored = await restoreContentRevision(markerId, revision, token);
+      await loadRevisions();
+      if (onRestored) onRestored(restored);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(null);
+    }
+  }
+
+  if (!markerId) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h3>🕓 Revision History: {markerId}</h3>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && <p style={{ marginTop: '1rem' }}>Loading revisions...</p>}
+
+      {!loading && revisions.length === 0 && !error && (
+        <p style={{ marginTop: '1rem', opacity: 0.7 }}>No revisions recorded for this marker.</p>
+      )}
+
+      <ul style={{ listStyle: 'none', padding: 0, marginTop: '1rem' }}>
+        {revisions.map((revision, index) => (
+          <li
+            key={revision.revision}
+            style={{
+              padding: '1rem',
+              marginBottom: '0.75rem',
+              background: 'rgba(0, 0, 0, 0.2)',
+              borderRadius: '8px',
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+              <div>
+                <strong>#{revision.revision}</strong>
+                {index === 0 && <span style={{ marginLeft: '0.5rem', opacity: 0.7 }}>(current)</span>}
+                <div style={{ fontSize: '0.85rem', opacity: 0.7 }}>
+                  {new Date(revision.createdAt).toLocaleString()}
+                  {' · '}
+                  {revision.author || 'unknown author'}
+                  {revision.restoredFrom && ` · restored from #${revision.restoredFrom}`}
+                </div>
+              </div>
+
+              {index > 0 && (
+                <button
+                  className="button"
+                  onClick={() => handleRestore(revision.revision)}
+                  disabled={restoring !== null}
+                  style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+                >
+                  {restoring === revision.revision ? 'Restoring...' : 'Restore'}
+                </button>
+              )}
+            </div>
+
+            {revision.diff && Object.keys(revision.diff).length > 0 ? (
+              <ul style={{ marginTop: '0.5rem', paddingLeft: '1.25rem', fontSize: '0.85rem' }}>
+                {Object.entries(revision.diff).map(([field, change]) => (
+                  <li key={field}>
+                    <code>{field}</code>: {formatValue(change.from)} → {formatValue(change.to)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div style={{ marginTop: '0.5rem', fontSize: '0.85rem', opacity: 0.7 }}>
+                {revision.diff ? 'No field changes' : 'Baseline snapshot'}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RevisionHistory;
@@ -9,20 +9,40 @@
  * 
  * Uses A-Frame + AR.js for marker tracking.
  * Falls back to image marker if QR-based tracking fails.
+ *
+ * With ?preview=<token> the unpublished draft is shown instead and no
+ * analytics are recorded. ?lang=<tag> overrides the device locale. All other
+ * query parameters of the QR URL (e.g. ?src=flyer) are passed on to the
+ * content API for the marker's targeting rules.
+ *
+ * Markers of organizations other than the default one are scanned at
+ * /o/:orgId/scan/:markerId.
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import AROverlay from './AROverlay';
 import Controls from './Controls';
 import OfflineFallback from './OfflineFallback';
 import { fetchContent } from '../services/api';
-import { trackEvent, startSession, endSession } from '../services/analytics';
+import {
+  trackEvent,
+  trackDetection,
+  startSession,
+  setSessionVariant,
+  setSessionRule,
+  endSession,
+} from '../services/analytics';
 import { checkWebARSupport } from '../utils/deviceDetection';
 
 function ScanPage() {
-  const { markerId } = useParams();
+  const { orgId, markerId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const previewToken = searchParams.get('preview');
+  const previewVariant = searchParams.get('variant');
+  const lang = searchParams.get('lang');
+  const queryString = searchParams.toString();
 
   const [content, setContent] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -33,6 +53,7 @@ function ScanPage() {
   const [webARSupported, setWebARSupported] = useState(true);
 
   const sessionIdRef = useRef(null);
+  const detectedRef = useRef(false);
   const scanStartTimeRef = useRef(null);
   const sceneRef = useRef(null);
 
@@ -51,14 +72,34 @@ function ScanPage() {
   useEffect(() => {
     if (!webARSupported) return;
 
+    // Targeting rules may match on any parameter encoded in the QR URL
+    const params = Object.fromEntries(new URLSearchParams(queryString));
+
     async function loadContent() {
       try {
         setLoading(true);
-        const data = await fetchContent(markerId);
+        // Previews are not real scans
+        if (previewToken) {
+          setContent(await fetchContent(markerId, {
+            orgId,
+            preview: previewToken,
+            variant: previewVariant,
+            lang,
+            params,
+          }));
+          setLoading(false);
+          return;
+        }
+
+        // Initialize analytics session (the session id picks the A/B variant)
+        const sessionId = startSession(markerId, orgId);
+        const data = await fetchContent(markerId, { orgId, sessionId, lang, params });
         setContent(data);
 
-        // Initialize analytics session
-        sessionIdRef.current = startSession(markerId);
+        sessionIdRef.current = sessionId;
+        detectedRef.current = false;
+        setSessionVariant(data.variantId);
+        setSessionRule(data.ruleId);
 
         // Track initial scan event
         trackEvent({
@@ -83,7 +124,7 @@ function ScanPage() {
         endSession(markerId, sessionIdRef.current);
       }
     };
-  }, [markerId, webARSupported]);
+  }, [orgId, markerId, previewToken, previewVariant, lang, queryString, webARSupported]);
 
   // Initialize AR scene after content loaded
   const handleMarkerFound = useCallback(() => {
@@ -91,14 +132,20 @@ function ScanPage() {
     setMarkerVisible(true);
     setShowInstructions(false);
     scanStartTimeRef.current = Date.now();
-  }, []);
+
+    // Once per session: sessions without a detection count as bounces
+    if (sessionIdRef.current && !detectedRef.current) {
+      detectedRef.current = true;
+      trackDetection(markerId, sessionIdRef.current);
+    }
+  }, [markerId]);
 
   const handleMarkerLost = useCallback(() => {
     console.log('Marker lost');
     setMarkerVisible(false);
 
     // Track view duration
-    if (scanStartTimeRef.current) {
+    if (scanStartTimeRef.current && sessionIdRef.current) {
       const duration = (Date.now() - scanStartTimeRef.current) / 1000;
       trackEvent({
         markerId,
@@ -164,6 +211,8 @@ function ScanPage() {
   }, [content, webARSupported, initializeARScene, cleanupARScene]);
 
   function handleContentClick() {
+    if (!sessionIdRef.current) return;
+
     trackEvent({
       markerId,
       eventType: 'click',
@@ -247,6 +296,25 @@ function ScanPage() {
         cameraReady={cameraReady}
       />
 
+      {/* Draft preview badge */}
+      {previewToken && (
+        <div style={{
+          position: 'absolute',
+          top: '1rem',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          padding: '6px 14px',
+          borderRadius: '999px',
+          background: '#ff9500',
+          color: '#000000',
+          fontWeight: 'bold',
+          fontSize: '0.8rem',
+          zIndex: 1000,
+        }}>
+          DRAFT PREVIEW
+        </div>
+      )}
+
       {/* Instructions overlay */}
       {showInstructions && cameraReady && (
         <div className="instructions-overlay">
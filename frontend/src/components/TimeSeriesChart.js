@@ -0,0 +1,104 @@
+/**
+ * Time Series Chart Component
+ *
+ * A small SVG bar chart of one value per time bucket (see
+ * utils/analyticsSeries.js), with the total or average in the header and
+ * the bucket's value on hover. Sized by its container's width.
+ */
+
+import React, { useState } from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 8, bottom: 22, left: 36 };
+
+function TimeSeriesChart({ title, buckets, valueKey, color = '#667eea', formatValue = String, summary }) {
+  const [hovered, setHovered] = useState(null);
+
+  const values = buckets.map(bucket => bucket[valueKey]);
+  const max = Math.max(0, ...values);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const barWidth = buckets.length > 0 ? plotWidth / buckets.length : 0;
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 6));
+
+  const active = hovered !== null ? buckets[hovered] : null;
+
+  return (
+    <div style={{
+      padding: '1rem',
+      marginBottom: '0.75rem',
+      background: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '8px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', fontSize: '0.9rem' }}>
+        <strong>{title}</strong>
+        <span style={{ opacity: 0.8 }}>
+          {active ? `${active.label}: ${formatValue(active[valueKey])}` : summary}
+        </span>
+      </div>
+
+      {buckets.length === 0 ? (
+        <p style={{ marginTop: '0.5rem', opacity: 0.7, fontSize: '0.85rem' }}>No data in this range.</p>
+      ) : (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          role="img"
+          aria-label={`${title} over time`}
+          style={{ width: '100%', height: 'auto', marginTop: '0.5rem' }}
+          onMouseLeave={() => setHovered(null)}
+        >
+          {/* Axis: 0 and the maximum */}
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={PADDING.top + plotHeight}
+            y2={PADDING.top + plotHeight}
+            stroke="rgba(255, 255, 255, 0.3)"
+          />
+          <text x={PADDING.left - 6} y={PADDING.top + 8} textAnchor="end" fontSize="10" fill="rgba(255, 255, 255, 0.7)">
+            {formatValue(max)}
+          </text>
+          <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end" fontSize="10" fill="rgba(255, 255, 255, 0.7)">
+            0
+          </text>
+
+          {buckets.map((bucket, index) => {
+            const value = bucket[valueKey];
+            const height = max > 0 ? (value / max) * plotHeight : 0;
+            const x = PADDING.left + index * barWidth;
+
+            return (
+              <g key={bucket.start.toISOString()} onMouseEnter={() => setHovered(index)}>
+                {/* Full-height hit area so empty buckets can be hovered too */}
+                <rect x={x} y={PADDING.top} width={barWidth} height={plotHeight} fill="transparent" />
+                <rect
+                  x={x + barWidth * 0.15}
+                  y={PADDING.top + plotHeight - height}
+                  width={barWidth * 0.7}
+                  height={height}
+                  rx={Math.min(3, barWidth * 0.2)}
+                  fill={color}
+                  opacity={hovered === null || hovered === index ? 1 : 0.5}
+                />
+                {index % labelEvery === 0 && (
+                  <text
+                    x={x + barWidth / 2}
+                    y={HEIGHT - 6}
+                    textAnchor="middle"
+                    fontSize="10"
+                    fill="rgba(255, 255, 255, 0.7)"
+                  >
+                    {bucket.label.replace('Week of ', '')}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+export default TimeSeriesChart;
@@ -0,0 +1,145 @@
+/**
+ * Two-Factor Settings Component
+ *
+ * The signed-in user's two-factor status: turn it on (via TwoFactorSetup),
+ * replace the recovery codes, or turn it off. Changes other than enabling
+ * ask for a current authenticator or recovery code.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getTwoFactorStatus, regenerateRecoveryCodes, disableTwoFactor } from '../services/api';
+import TwoFactorSetup from './TwoFactorSetup';
+
+function TwoFactorSettings({ token }) {
+  const [status, setStatus] = useState(null);
+  const [settingUp, setSettingUp] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    setError('');
+
+    try {
+      setStatus(await getTwoFactorStatus(token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load two-factor status');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  async function runWithCode(promptText, action, failureMessage) {
+    const code = window.prompt(promptText);
+    if (!code) return;
+
+    setError('');
+    setBusy(true);
+
+    try {
+      await action(code.trim());
+      await loadStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || failureMessage);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleRegenerate() {
+    runWithCode(
+      'Enter a code from your authenticator app to replace your recovery codes:',
+      async (code) => setRecoveryCodes(await regenerateRecoveryCodes(code, token)),
+      'Failed to replace recovery codes'
+    );
+  }
+
+  function handleDisable() {
+    runWithCode(
+      'Enter a code from your authenticator app to turn off two-factor authentication:',
+      (code) => disableTwoFactor(code, token),
+      'Failed to turn off two-factor authentication'
+    );
+  }
+
+  if (settingUp) {
+    return (
+      <TwoFactorSetup
+        token={token}
+        onEnabled={() => {
+          setSettingUp(false);
+          loadStatus();
+        }}
+        onCancel={() => setSettingUp(false)}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <h3>🔑 Two-Factor Authentication</h3>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {status && !status.enabled && (
+        <div style={{ marginTop: '1rem' }}>
+          <p>Protect your account with a code from an authenticator app at sign-in.</p>
+          <button className="button" onClick={() => setSettingUp(true)} style={{ marginTop: '1rem' }}>
+            Set up two-factor
+          </button>
+        </div>
+      )}
+
+      {status && status.enabled && (
+        <div style={{ marginTop: '1rem' }}>
+          <p>
+            Enabled {new Date(status.enabledAt).toLocaleDateString()}
+            {' · '}
+            {status.recoveryCodesRemaining} recovery codes left
+          </p>
+
+          {recoveryCodes && (
+            <pre style={{
+              background: 'rgba(0, 0, 0, 0.3)',
+              padding: '1rem',
+              borderRadius: '8px',
+              marginTop: '1rem',
+              columns: 2,
+            }}>
+              {recoveryCodes.join('\n')}
+            </pre>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '1rem' }}>
+            <button className="button" onClick={handleRegenerate} disabled={busy}>
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button
+                className="button"
+                onClick={handleDisable}
+                disabled={busy}
+                style={{ background: 'rgba(255, 59, 48, 0.6)' }}
+              >
+                Turn off
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,145 @@
+/**
+ * Two-Factor Setup Component
+ *
+ * Enrolls an authenticator app: shows the new secret as a QR code, confirms
+ * it with a first code, then shows the recovery codes once. Works for a
+ * signed-in user (`token`) and for a login that must enroll first
+ * (`challengeToken`, in which case enabling also signs in).
+ */
+
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { setupTwoFactor, enableTwoFactor } from '../services/api';
+
+const fieldStyle = {
+  padding: '12px',
+  fontSize: '1rem',
+  borderRadius: '8px',
+  border: '2px solid rgba(255, 255, 255, 0.3)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+};
+
+function TwoFactorSetup({ token, challengeToken, onEnabled, onCancel }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setupTwoFactor({ token, challengeToken })
+      .then((data) => {
+        if (!cancelled) setSetup(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to start two-factor setup');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, challengeToken]);
+
+  async function handleEnable(e) {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      setResult(await enableTwoFactor(code.trim(), { token, challengeToken }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (result) {
+    return (
+      <div>
+        <h3>✅ Two-factor authentication enabled</h3>
+        <p style={{ marginTop: '0.5rem' }}>
+          Save these recovery codes somewhere safe. Each one signs you in once
+          if you lose your phone; they will not be shown again.
+        </p>
+        <pre style={{
+          background: 'rgba(0, 0, 0, 0.3)',
+          padding: '1rem',
+          borderRadius: '8px',
+          marginTop: '1rem',
+          columns: 2,
+          fontSize: '1rem',
+        }}>
+          {result.recoveryCodes.join('\n')}
+        </pre>
+        <button className="button" onClick={() => onEnabled(result)} style={{ marginTop: '1rem' }}>
+          I saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h3>🔑 Set up two-factor authentication</h3>
+      <p style={{ marginTop: '0.5rem' }}>
+        Scan the QR code with an authenticator app, then enter the 6-digit code it shows.
+      </p>
+
+      {setup && (
+        <div style={{ marginTop: '1rem' }}>
+          <div style={{ background: 'white', padding: '12px', borderRadius: '8px', display: 'inline-block' }}>
+            <QRCodeSVG value={setup.otpauthUrl} size={180} />
+          </div>
+          <p style={{ fontSize: '0.85rem', opacity: 0.7, marginTop: '0.5rem', wordBreak: 'break-all' }}>
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+        </div>
+      )}
+
+      {!setup && !error && <p style={{ marginTop: '1rem' }}>Preparing...</p>}
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleEnable} style={{ display: 'flex', gap: '8px', marginTop: '1rem' }}>
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="123456"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          style={{ ...fieldStyle, flex: 1 }}
+          required
+        />
+        <button type="submit" className="button" disabled={loading || !setup}>
+          {loading ? 'Checking...' : 'Enable'}
+        </button>
+      </form>
+
+      {onCancel && (
+        <button
+          className="button"
+          onClick={onCancel}
+          style={{ marginTop: '1rem', background: 'rgba(255, 255, 255, 0.15)' }}
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSetup;
@@ -0,0 +1,252 @@
+/**
+ * User Management Component
+ *
+ * Lists the organization's accounts and lets an owner add users, change
+ * their role, reset their password or two-factor authentication, sign out
+their sessions and remove them.
+ * Role changes apply within minutes, when the user's access token is
+ * refreshed.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getUsers, createUser, updateUser, deleteUser, signOutUser, resetUserTwoFactor } from '../services/api';
+
+const ROLES = ['owner', 'editor', 'analyst', 'viewer'];
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including users',
+  editor: 'Edit and publish content',
+  analyst: 'Read content and analytics',
+  viewer: 'Read content',
+};
+
+const fieldStyle = {
+  padding: '10px',
+  fontSize: '0.95rem',
+  borderRadius: '8px',
+  border: '2px solid rgba(255, 255, 255, 0.3)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+};
+
+function UserManagement({ token, currentUsername }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'editor' });
+
+  const loadUsers = useCallback(async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      setUsers(await getUsers(token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  async function runAction(key, action, failureMessage) {
+    setError('');
+    setBusy(key);
+
+    try {
+      await action();
+      await loadUsers();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || failureMessage);
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+
+    const created = await runAction('create', () => createUser(newUser, token), 'Failed to create user');
+    if (created) {
+      setNewUser({ username: '', password: '', role: newUser.role });
+    }
+  }
+
+  function handleRoleChange(username, role) {
+    runAction(username, () => updateUser(username, { role }, token), 'Failed to change role');
+  }
+
+  function handleResetPassword(username) {
+    const password = window.prompt(`New password for ${username} (at least 8 characters):`);
+    if (!password) return;
+
+    runAction(username, () => updateUser(username, { password }, token), 'Failed to reset password');
+  }
+
+  function handleResetTwoFactor(username) {
+    if (!window.confirm(`Turn off two-factor authentication for ${username}? They can set it up again after signing in.`)) {
+      return;
+    }
+
+    runAction(username, () => resetUserTwoFactor(username, token), 'Failed to reset two-factor authentication');
+  }
+
+  function handleSignOut(username) {
+    if (!window.confirm(`Sign ${username} out on every device?`)) {
+      return;
+    }
+
+    runAction(username, () => signOutUser(username, token), 'Failed to sign out user');
+  }
+
+  function handleDelete(username) {
+    if (!window.confirm(`Remove ${username}? They will no longer be able to sign in.`)) {
+      return;
+    }
+
+    runAction(username, () => deleteUser(username, token), 'Failed to remove user');
+  }
+
+  return (
+    <div>
+      <h3>👥 Users</h3>
+
+      {error && (
+        <div style={{
+          background: 'rgba(255, 59, 48, 0.2)',
+          padding: '12px',
+          borderRadius: '8px',
+          marginTop: '1rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && users.length === 0 && <p style={{ marginTop: '1rem' }}>Loading users...</p>}
+
+      {!loading && users.length === 0 && !error && (
+        <p style={{ marginTop: '1rem', opacity: 0.7 }}>No users yet. Add the first owner below.</p>
+      )}
+
+      <ul style={{ listStyle: 'none', padding: 0, marginTop: '1rem' }}>
+        {users.map(user => (
+          <li
+            key={user.username}
+            style={{
+              padding: '1rem',
+              marginBottom: '0.75rem',
+              background: 'rgba(0, 0, 0, 0.2)',
+              borderRadius: '8px',
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+              <div>
+                <strong>{user.username}</strong>
+                {user.username === currentUsername && <span style={{ marginLeft: '0.5rem', opacity: 0.7 }}>(you)</span>}
+                {user.twoFactorEnabled && (
+                  <span title="Two-factor authentication enabled" style={{ marginLeft: '0.5rem' }}>🔑 2FA</span>
+                )}
+                <div style={{ fontSize: '0.85rem', opacity: 0.7 }}>
+                  {user.lastLoginAt
+                    ? `Last sign-in ${new Date(user.lastLoginAt).toLocaleString()}`
+                    : 'Never signed in'}
+                </div>
+              </div>
+
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <select
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user.username, e.target.value)}
+                  disabled={busy !== null}
+                  style={fieldStyle}
+                >
+                  {ROLES.map(role => (
+                    <option key={role} value={role} style={{ color: 'black' }}>{role}</option>
+                  ))}
+                </select>
+                <button
+                  className="button"
+                  onClick={() => handleResetPassword(user.username)}
+                  disabled={busy !== null}
+                  style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+                >
+                  Reset password
+                </button>
+                {user.twoFactorEnabled && (
+                  <button
+                    className="button"
+                    onClick={() => handleResetTwoFactor(user.username)}
+                    disabled={busy !== null}
+                    style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+                  >
+                    Reset 2FA
+                  </button>
+                )}
+                <button
+                  className="button"
+                  onClick={() => handleSignOut(user.username)}
+                  disabled={busy !== null}
+                  style={{ padding: '8px 16px', fontSize: '0.85rem' }}
+                >
+                  Sign out
+                </button>
+                <button
+                  className="button"
+                  onClick={() => handleDelete(user.username)}
+                  disabled={busy !== null}
+                  style={{ padding: '8px 16px', fontSize: '0.85rem', background: 'rgba(255, 59, 48, 0.6)' }}
+                >
+                  {busy === user.username ? 'Saving...' : 'Remove'}
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleCreate} style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '1rem' }}>
+        <input
+          type="text"
+          value={newUser.username}
+          onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+          placeholder="Username or email"
+          autoCapitalize="none"
+          style={{ ...fieldStyle, flex: '1 1 180px' }}
+          required
+        />
+        <input
+          type="password"
+          value={newUser.password}
+          onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+          placeholder="Initial password"
+          minLength={8}
+          style={{ ...fieldStyle, flex: '1 1 140px' }}
+          required
+        />
+        <select
+          value={newUser.role}
+          onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          title={ROLE_DESCRIPTIONS[newUser.role]}
+          style={fieldStyle}
+        >
+          {ROLES.map(role => (
+            <option key={role} value={role} style={{ color: 'black' }}>
+              {role} — {ROLE_DESCRIPTIONS[role]}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="button" disabled={busy !== null}>
+          {busy === 'create' ? 'Adding...' : 'Add user'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default UserManagement;
@@ -2,24 +2,33 @@
  * Analytics Service
  * 
  * Client-side analytics tracking for AR engagement metrics.
- * Tracks: scans, view duration, clicks, shares
+ * Tracks: scans, marker detections, view duration, clicks, shares
+ *
+ * Events carry an anonymous visitor ID: a random ID kept in localStorage so
+ * repeat visits can be recognized. It isn't derived from the device, the
+ * server stores only a hash of it, and none is sent with Do Not Track on.
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import { recordEvent } from './api';
 
+const VISITOR_ID_KEY = 'analytics_visitor_id';
+
 // Session storage
 let currentSession = null;
 let sessionStartTime = null;
 
 /**
  * Start a new analytics session
+ * `orgId` is the organization that owns the marker; the session's events are
+ * recorded for it
  */
-export function startSession(markerId) {
+export function startSession(markerId, orgId) {
   const sessionId = uuidv4();
   currentSession = {
     sessionId,
     markerId,
+    orgId: orgId || null,
     startTime: Date.now(),
   };
   sessionStartTime = Date.now();
@@ -28,6 +37,24 @@ export function startSession(markerId) {
   return sessionId;
 }
 
+/**
+ * Record the content variant (A/B test) served to the current session
+ * Every event tracked afterwards is tagged with it
+ */
+export function setSessionVariant(variantId) {
+  if (!currentSession) return;
+  currentSession.variantId = variantId || null;
+}
+
+/**
+ * Record the targeting rule that chose the current session's content
+ * Every event tracked afterwards is tagged with it
+ */
+export function setSessionRule(ruleId) {
+  if (!currentSession) return;
+  currentSession.ruleId = ruleId || null;
+}
+
 /**
  * End current session and send final analytics
  */
@@ -52,11 +79,21 @@ export function endSession(markerId, sessionId) {
 
 /**
  * Track an analytics event
+ * Events from the current session carry the session's organization, variant
+ * and rule ids
  */
 export async function trackEvent(event) {
+  const orgId = fromSession(event, 'orgId');
+  const variantId = fromSession(event, 'variantId');
+  const ruleId = fromSession(event, 'ruleId');
+
   try {
     await recordEvent({
       ...event,
+      orgId: orgId || undefined,
+      variantId: variantId || undefined,
+      ruleId: ruleId || undefined,
+      visitorId: getVisitorId(),
       timestamp: new Date().toISOString(),
       metadata: {
         ...event.metadata,
@@ -86,6 +123,18 @@ export function trackScan(markerId, sessionId) {
   });
 }
 
+/**
+ * Track marker detection (the camera found the marker); a session with a
+ * scan but no detection counts as a bounce
+ */
+export function trackDetection(markerId, sessionId) {
+  return trackEvent({
+    markerId,
+    eventType: 'detection',
+    sessionId,
+  });
+}
+
 /**
  * Track click event (user interacted with AR content)
  */
@@ -118,6 +167,42 @@ export function trackShare(markerId, sessionId, method) {
 // Helper Functions
 // ============================================================================
 
+/**
+ * An event's own value for a field, or the current session's when the event
+ * belongs to it
+ */
+function fromSession(event, field) {
+  if (event[field] !== undefined) {
+    return event[field];
+  }
+
+  return currentSession && currentSession.sessionId === event.sessionId
+    ? currentSession[field]
+    : undefined;
+}
+
+/**
+ * This browser's anonymous visitor ID, created on first use; undefined with
+ * Do Not Track on or without localStorage
+ */
+function getVisitorId() {
+  if (navigator.doNotTrack === '1' || window.doNotTrack === '1') {
+    return undefined;
+  }
+
+  try {
+    let visitorId = localStorage.getItem(VISITOR_ID_KEY);
+    if (!visitorId) {
+      visitorId = uuidv4();
+      localStorage.setItem(VISITOR_ID_KEY, visitorId);
+    }
+    return visitorId;
+  } catch (error) {
+    // Storage disabled (e.g. some private browsing modes)
+    return undefined;
+  }
+}
+
 function getDeviceType() {
   const ua = navigator.userAgent;
   if (/mobile/i.test(ua)) {
@@ -128,9 +213,12 @@ function getDeviceType() {
 
 const analyticsService = {
   startSession,
+  setSessionVariant,
+  setSessionRule,
   endSession,
   trackEvent,
   trackScan,
+  trackDetection,
   trackClick,
   trackShare,
 };
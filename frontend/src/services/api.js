@@ -19,14 +19,57 @@ const api = axios.create({
   },
 });
 
+// Refresh token of the admin session (access tokens are short-lived)
+const REFRESH_TOKEN_KEY = 'admin_refresh_token';
+
+let refreshPromise = null;
+let tokenRefreshHandler = null;
+
+// Retry a request once with a fresh access token when its token expired
+api.interceptors.response.use(
+  response => response,
+  async (error) => {
+    const { config, response } = error;
+    const expired = response?.status === 401 && response.data?.message === 'Token expired';
+
+    if (!expired || config.retriedAfterRefresh || !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      throw error;
+    }
+
+    let token;
+    try {
+      token = await refreshAccessToken();
+    } catch (refreshError) {
+      throw error;
+    }
+
+    config.retriedAfterRefresh = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return api(config);
+  }
+);
+
 // ============================================================================
 // Content API
 // ============================================================================
 
 /**
  * Fetch content for a specific marker
+ *
+ * Options:
+ * - orgId: organization that owns the marker (default: the default one)
+ * - sessionId: analytics session, used for sticky A/B variant assignment
+ * - preview: preview token; returns the marker's unpublished draft
+ * - variant: variant id to show (previews only)
+ * - lang: language tag overriding the device locale (e.g. from the QR link)
+ * - params: other QR URL parameters, matched by the marker's targeting rules
+ *
+ * The device locale is always sent as Accept-Language so translated
+ * content is returned where available.
  */
-export async function fetchContent(markerId) {
+export async function fetchContent(markerId, options = {}) {
+  const { orgId, sessionId, preview, variant, lang, params } = options;
+
   // Demo mode: return embedded content
   if (DEMO_MODE) {
     const demoContent = DEMO_CONTENT[markerId];
@@ -37,7 +80,10 @@ export async function fetchContent(markerId) {
   }
 
   try {
-    const response = await api.get(`/content/${markerId}`);
+    const response = await api.get(`/content/${markerId}`, {
+      params: { ...params, org: orgId, sessionId, preview, variant, lang },
+      headers: { 'Accept-Language': getDeviceLanguages() },
+    });
     return response.data.data;
   } catch (error) {
     console.error('API Error:', error);
@@ -49,12 +95,15 @@ export async function fetchContent(markerId) {
       
       if (status === 404) {
         throw new Error(`Content not found for marker: ${markerId}`);
+      } else if (status === 403 && preview) {
+        throw new Error('Preview link is invalid or has expired');
       } else if (status === 410) {
-        throw new Error('Content has expired');
+        // Expired content, or a paused / ended campaign
+        throw new Error(error.response.data?.message || 'Content has expired');
       } else {
         throw new Error(message);
       }
-    } else if (error.request) {
+    } else if (error.request && !preview) {
       // Network error
       console.warn('Network error, attempting demo mode fallback');
       
@@ -83,7 +132,8 @@ export async function getAllContent(token) {
 }
 
 /**
- * Update content for a marker (admin only)
+ * Save a draft of a marker's content (admin only)
+ * Drafts are not visible to scanners until published
  */
 export async function updateContent(markerId, content, token) {
   const response = await api.post(`/content/${markerId}`, content, {
@@ -92,6 +142,69 @@ export async function updateContent(markerId, content, token) {
   return response.data.data;
 }
 
+/**
+ * Get the unpublished draft of a marker, or null if there is none (admin only)
+ */
+export async function getDraft(markerId, token) {
+  try {
+    const response = await api.get(`/content/${markerId}/draft`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Discard the draft of a marker (admin only)
+ */
+export async function discardDraft(markerId, token) {
+  const response = await api.delete(`/content/${markerId}/draft`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+}
+
+/**
+ * Approve the draft of a marker for publishing (admin only)
+ */
+export async function approveDraft(markerId, token) {
+  const response = await api.post(
+    `/content/${markerId}/draft/approve`,
+    {},
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  return response.data.data;
+}
+
+/**
+ * Publish the draft of a marker, making it live (admin only)
+ */
+export async function publishContent(markerId, token) {
+  const response = await api.post(
+    `/content/${markerId}/publish`,
+    {},
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  return response.data.data;
+}
+
+/**
+ * Create a preview link token for a marker's draft (admin only)
+ */
+export async function getPreviewToken(markerId, token) {
+  const response = await api.post(
+    `/content/${markerId}/preview-token`,
+    {},
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  return response.data;
+}
+
 /**
  * Delete content for a marker (admin only)
  */
@@ -102,6 +215,28 @@ export async function deleteContent(markerId, token) {
   return response.data;
 }
 
+/**
+ * Get revision history for a marker, newest first (admin only)
+ */
+export async function getContentRevisions(markerId, token) {
+  const response = await api.get(`/content/${markerId}/revisions`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Restore a previous revision of a marker (admin only)
+ */
+export async function restoreContentRevision(markerId, revision, token) {
+  const response = await api.post(
+    `/content/${markerId}/revisions/${revision}/restore`,
+    {},
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  return response.data.data;
+}
+
 // ============================================================================
 // Analytics API
 // ============================================================================
@@ -147,6 +282,54 @@ export async function getAnalyticsSummary(markerId, token) {
   return response.data.data;
 }
 
+/**
+ * Get a marker's event counts per hour, day or week (admin only)
+ * options: { interval, tz, startDate, endDate }
+ */
+export async function getAnalyticsTimeseries(markerId, options, token) {
+  const response = await api.get(`/analytics/${markerId}/timeseries`, {
+    params: options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Get a marker's unique visitors, sessions, repeat visitors, scans per
+ * session and bounce rate (admin only)
+ * options: { startDate, endDate }
+ */
+export async function getAnalyticsSessions(markerId, options, token) {
+  const response = await api.get(`/analytics/${markerId}/sessions`, {
+    params: options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Get the sessions reaching each engagement funnel step for a marker
+ * (admin only)
+ * options: { startDate, endDate, minViewSeconds }
+ */
+export async function getAnalyticsFunnel(markerId, options, token) {
+  const response = await api.get(`/analytics/${markerId}/funnel`, {
+    params: options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Get per-variant A/B test results for a marker (admin only)
+ */
+export async function getVariantReport(markerId, token) {
+  const response = await api.get(`/analytics/${markerId}/variants`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
 /**
  * Get all analytics summaries (admin only)
  */
@@ -157,6 +340,41 @@ export async function getAllAnalyticsSummaries(token) {
   return response.data.data;
 }
 
+/**
+ * Get event counts per hour, day or week across all markers (admin only)
+ */
+export async function getAllAnalyticsTimeseries(options, token) {
+  const response = await api.get('/analytics/timeseries', {
+    params: options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Get session metrics for every marker with sessions (admin only)
+ * options: { startDate, endDate }
+ */
+export async function getAllAnalyticsSessions(options, token) {
+  const response = await api.get('/analytics/sessions', {
+    params: options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Get the engagement funnel of every marker with scans (admin only)
+ * options: { startDate, endDate, minViewSeconds }
+ */
+export async function getAllAnalyticsFunnels(options, token) {
+  const response = await api.get('/analytics/funnel', {
+    params: options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
 // ============================================================================
 // Perplexity API (Admin only)
 // ============================================================================
@@ -174,7 +392,7 @@ export async function generateSummary(url, token) {
 }
 
 /**
- * Summarize and save directly to marker
+ * Summarize and save as the marker's draft
  */
 export async function summarizeAndSave(markerId, url, token) {
   const response = await api.post(
@@ -190,13 +408,88 @@ export async function summarizeAndSave(markerId, url, token) {
 // ============================================================================
 
 /**
- * Admin login
+ * Sign in with a user account
+ * Without a username the deployment admin (ADMIN_PASSWORD_HASH) signs in;
+ * `organization` is the organization to sign in to (default: the default one)
+ *
+ * Accounts with two-factor authentication get `twoFactorRequired` and a
+ * `challengeToken` for verifyLoginCode() instead of a token;
+ * `twoFactorEnrollmentRequired` means two-factor must be set up first.
  */
-export async function login(password) {
-  const response = await api.post('/auth/login', { password });
+export async function login(username, password, organization) {
+  const response = await api.post('/auth/login', {
+    username: username || undefined,
+    password,
+    organization: organization || undefined,
+  });
+  return rememberSession(response.data);
+}
+
+/**
+ * Second login step: an authenticator or recovery code
+ */
+export async function verifyLoginCode(challengeToken, code) {
+  const response = await api.post('/auth/login/2fa', { challengeToken, code });
+  return rememberSession(response.data);
+}
+
+/**
+ * Whether single sign-on is configured (and the provider's display name)
+ */
+export async function getSingleSignOnConfig() {
+  const response = await api.get('/auth/oidc');
+  return response.data.data;
+}
+
+/**
+ * Start a single sign-on login; returns the identity provider URL to
+ * redirect to and a login token to keep until it redirects back
+ */
+export async function startSingleSignOn() {
+  const response = await api.post('/auth/oidc/start');
+  return response.data;
+}
+
+/**
+ * Finish a single sign-on login with the code and state the identity
+ * provider redirected back with; may return a two-factor challenge like
+ * login()
+ */
+export async function completeSingleSignOn(code, state, loginToken) {
+  const response = await api.post('/auth/oidc/callback', { code, state, loginToken });
+  return rememberSession(response.data);
+}
+
+/**
+ * Sign out: revokes the session so its tokens stop working right away
+ */
+export async function logout(token) {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+
+  await api.post('/auth/logout', { refreshToken: refreshToken || undefined }, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
+
+/**
+ * Sign out every session of the signed-in user, on all devices
+ */
+export async function logoutAllSessions(token) {
+  const response = await api.post('/auth/logout-all', null, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
   return response.data;
 }
 
+/**
+ * Register a callback receiving the new access token after a refresh
+ */
+export function onTokenRefreshed(handler) {
+  tokenRefreshHandler = handler;
+}
+
 /**
  * Verify token
  */
@@ -207,4 +500,178 @@ export async function verifyToken(token) {
   return response.data;
 }
 
+// ============================================================================
+// Two-Factor API
+// ============================================================================
+
+/**
+ * Two-factor status of the signed-in account
+ */
+export async function getTwoFactorStatus(token) {
+  const response = await api.get('/auth/2fa', {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Start enrollment; returns the secret and its otpauth:// URL.
+ * `auth` is { token } when signed in, or { challengeToken } during login.
+ */
+export async function setupTwoFactor(auth) {
+  const response = await api.post('/auth/2fa/setup', { challengeToken: auth.challengeToken }, {
+    headers: auth.token ? { Authorization: `Bearer ${auth.token}` } : {},
+  });
+  return response.data.data;
+}
+
+/**
+ * Confirm enrollment with a first code; returns the recovery codes (and the
+ * session when enrolling during login)
+ */
+export async function enableTwoFactor(code, auth) {
+  const response = await api.post('/auth/2fa/enable', { code, challengeToken: auth.challengeToken }, {
+    headers: auth.token ? { Authorization: `Bearer ${auth.token}` } : {},
+  });
+  return rememberSession(response.data);
+}
+
+/**
+ * Replace the recovery codes
+ */
+export async function regenerateRecoveryCodes(code, token) {
+  const response = await api.post('/auth/2fa/recovery-codes', { code }, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.recoveryCodes;
+}
+
+/**
+ * Turn two-factor authentication off
+ */
+export async function disableTwoFactor(code, token) {
+  const response = await api.post('/auth/2fa/disable', { code }, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+}
+
+// ============================================================================
+// Users API
+// ============================================================================
+
+/**
+ * List the organization's users (owners only)
+ */
+export async function getUsers(token) {
+  const response = await api.get('/users', {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Create a user with a role (owners only)
+ */
+export async function createUser(user, token) {
+  const response = await api.post('/users', user, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Change a user's role and/or reset their password (owners only)
+ */
+export async function updateUser(username, changes, token) {
+  const response = await api.put(`/users/${encodeURIComponent(username)}`, changes, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data.data;
+}
+
+/**
+ * Sign out all of a user's sessions (owners only)
+ */
+export async function signOutUser(username, token) {
+  const response = await api.delete(`/users/${encodeURIComponent(username)}/sessions`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+}
+
+/**
+ * Turn off a user's two-factor authentication, e.g. after a lost phone (owners only)
+ */
+export async function resetUserTwoFactor(username, token) {
+  const response = await api.delete(`/users/${encodeURIComponent(username)}/2fa`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+}
+
+/**
+ * Remove a user (owners only)
+ */
+export async function deleteUser(username, token) {
+  const response = await api.delete(`/users/${encodeURIComponent(username)}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Keep the refresh token of a login response that started a session
+ */
+function rememberSession(data) {
+  if (data.refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+  }
+  return data;
+}
+
+/**
+ * Exchange the stored refresh token for a new access token. Concurrent
+ * callers share one request: each refresh token can only be used once.
+ */
+function refreshAccessToken() {
+  refreshPromise = refreshPromise || api.post('/auth/refresh', {
+    refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY),
+  })
+    .then((response) => {
+      const { token, refreshToken } = response.data;
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+      if (tokenRefreshHandler) tokenRefreshHandler(token);
+      return token;
+    })
+    .catch((error) => {
+      localStorage.removeItem(REFRESH_TOKEN_KEY);
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+/**
+ * Device locales as an Accept-Language value, most preferred first
+ */
+function getDeviceLanguages() {
+  const languages = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language];
+
+  return languages
+    .filter(Boolean)
+    .slice(0, 10)
+    .map((tag, index) => (index === 0 ? tag : `${tag};q=${(1 - index * 0.1).toFixed(1)}`))
+    .join(', ');
+}
+
 export default api;
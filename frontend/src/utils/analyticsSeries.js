@@ -0,0 +1,144 @@
+/**
+ * Analytics Series Utility
+ *
+ * Turns raw analytics events (GET /api/analytics/:markerId) into per-day or
+ * per-week buckets for the dashboard's charts, and converts the date range
+ * filter to the API's startDate/endDate query params.
+ */
+
+export const EVENT_TYPES = ['scan', 'detection', 'click', 'viewDuration', 'share'];
+
+export const EVENT_TYPE_LABELS = {
+  scan: 'Scans',
+  detection: 'Detections',
+  click: 'Clicks',
+  viewDuration: 'View duration',
+  share: 'Shares',
+};
+
+/**
+ * Label of an engagement funnel step (GET /api/analytics/funnel)
+ */
+export function getFunnelStepLabel(step, minViewSeconds) {
+  const labels = {
+    scan: 'Opened',
+    detection: 'Marker detected',
+    view: `Viewed ${minViewSeconds}s+`,
+    click: 'Clicked',
+    share: 'Shared',
+  };
+
+  return labels[step] || step;
+}
+
+// Ranges longer than this are charted per week
+const MAX_DAILY_BUCKETS = 92;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The API query params for a date range of YYYY-MM-DD strings (either may
+ * be empty): from the start of the first day to the end of the last, in
+ * the browser's time zone
+ */
+export function toDateRangeParams(startDay, endDay) {
+  return {
+    startDate: startDay ? startOfDay(startDay).toISOString() : undefined,
+    endDate: endDay ? new Date(addDays(startOfDay(endDay).getTime(), 1) - 1).toISOString() : undefined,
+  };
+}
+
+/**
+ * The YYYY-MM-DD range of the last `days` days, today included
+ */
+export function getRecentRange(days) {
+  const today = new Date();
+
+  return {
+    startDay: toDayString(new Date(today.getTime() - (days - 1) * DAY_MS)),
+    endDay: toDayString(today),
+  };
+}
+
+/**
+ * Bucket events by local day (or week, for long ranges). Every bucket in
+ * the range is returned, empty ones included, oldest first:
+ * [{ start, label, scans, clicks, shares, views, avgDuration }]
+ */
+export function bucketEvents(events, startDay, endDay) {
+  const times = events.map(event => new Date(event.timestamp).getTime());
+  const first = startDay ? startOfDay(startDay) : (times.length ? startOfDay(new Date(Math.min(...times))) : null);
+  const last = endDay ? startOfDay(endDay) : (times.length ? startOfDay(new Date(Math.max(...times))) : null);
+
+  if (!first || !last || last < first) {
+    return [];
+  }
+
+  const weekly = (last - first) / DAY_MS + 1 > MAX_DAILY_BUCKETS;
+  const step = weekly ? 7 : 1;
+  const buckets = [];
+
+  // Stepped by calendar date: days aren't all 24 hours with daylight saving
+  for (let start = first.getTime(); start <= last.getTime(); start = addDays(start, step)) {
+    buckets.push({
+      start: new Date(start),
+      end: addDays(start, step),
+      label: formatBucketLabel(new Date(start), weekly),
+      scans: 0,
+      detections: 0,
+      clicks: 0,
+      shares: 0,
+      views: 0,
+      totalDuration: 0,
+      avgDuration: 0,
+    });
+  }
+
+  events.forEach((event, index) => {
+    const bucket = buckets.find(({ start, end }) => times[index] >= start.getTime() && times[index] < end);
+    if (!bucket) return;
+
+    if (event.eventType === 'scan') bucket.scans++;
+    if (event.eventType === 'detection') bucket.detections++;
+    if (event.eventType === 'click') bucket.clicks++;
+    if (event.eventType === 'share') bucket.shares++;
+    if (event.eventType === 'viewDuration' && event.duration) {
+      bucket.views++;
+      bucket.totalDuration += event.duration;
+    }
+  });
+
+  return buckets.map(({ end, totalDuration, ...bucket }) => ({
+    ...bucket,
+    avgDuration: bucket.views > 0 ? totalDuration / bucket.views : 0,
+  }));
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function startOfDay(day) {
+  if (typeof day === 'string') {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date);
+  }
+
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate());
+}
+
+function addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+function toDayString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatBucketLabel(date, weekly) {
+  const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return weekly ? `Week of ${label}` : label;
+}
@@ -0,0 +1,144 @@
+/**
+ * Content Validation Utility
+ *
+ * The rules POST /api/content/:markerId applies to a marker's content
+ * (backend/routes/content.js), checked in the browser so the editor can
+ * show them next to each field before saving. Keep the two in sync.
+ */
+
+export const CONTENT_TYPES = ['news', 'video', '3d', 'image'];
+
+export const CONTENT_TYPE_LABELS = {
+  news: '📰 News',
+  video: '🎬 Video',
+  '3d': '🧊 3D model',
+  image: '🖼️ Image',
+};
+
+// Fields each type's AR overlay shows, in form order
+export const CONTENT_TYPE_FIELDS = {
+  news: ['title', 'summary', 'url', 'imageUrl', 'ctaText', 'ctaUrl'],
+  video: ['title', 'videoUrl', 'posterUrl', 'ctaText', 'ctaUrl'],
+  '3d': ['title', 'summary', 'modelUrl', 'ctaText', 'ctaUrl'],
+  image: ['title', 'summary', 'imageUrl', 'ctaText', 'ctaUrl'],
+};
+
+// Fields each type can't be saved without
+export const REQUIRED_FIELDS = {
+  news: ['title'],
+  video: ['videoUrl'],
+  '3d': ['modelUrl'],
+  image: [],
+};
+
+export const FIELD_LABELS = {
+  title: 'Title',
+  summary: 'Summary',
+  url: 'Article URL',
+  videoUrl: 'Video URL',
+  posterUrl: 'Poster image URL',
+  modelUrl: '3D model URL (.glb / .gltf)',
+  imageUrl: 'Image URL',
+  ctaText: 'Button text',
+  ctaUrl: 'Button link',
+};
+
+export const MAX_LENGTHS = {
+  title: 200,
+  summary: 500,
+  ctaText: 50,
+};
+
+export const URL_FIELDS = ['url', 'videoUrl', 'posterUrl', 'modelUrl', 'imageUrl', 'ctaUrl'];
+
+export const STYLE_FIELDS = {
+  backgroundColor: 'Background',
+  textColor: 'Text',
+  accentColor: 'Accent',
+};
+
+// Marker IDs are URL path segments (/scan/<markerId>)
+const MARKER_ID_PATTERN = /^[^\s/?#]+$/;
+const CAMPAIGN_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Whether a value passes the backend's URL check (an http(s) or ftp URL
+ * whose host has a top-level domain; the protocol may be left out)
+ */
+export function isValidUrl(value) {
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    return ['http:', 'https:', 'ftp:'].includes(url.protocol) && /\.[a-z\d-]{2,}$/i.test(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a marker's content; returns { field: message } for every problem
+ * (empty when it can be saved). `markerId` is checked too when given.
+ */
+export function validateContent(content, markerId) {
+  const errors = {};
+
+  if (markerId !== undefined && !MARKER_ID_PATTERN.test(markerId)) {
+    errors.markerId = markerId ? 'Marker ID can\'t contain spaces, "/", "?" or "#"' : 'Marker ID is required';
+  }
+
+  if (!CONTENT_TYPES.includes(content.type)) {
+    errors.type = 'Invalid content type';
+    return errors;
+  }
+
+  (REQUIRED_FIELDS[content.type] || []).forEach((field) => {
+    if (!content[field]) {
+      errors[field] = `${FIELD_LABELS[field]} is required for ${content.type} content`;
+    }
+  });
+
+  Object.entries(MAX_LENGTHS).forEach(([field, max]) => {
+    if (content[field] && content[field].length > max) {
+      errors[field] = `At most ${max} characters (${content[field].length} now)`;
+    }
+  });
+
+  URL_FIELDS.forEach((field) => {
+    if (content[field] && !isValidUrl(content[field])) {
+      errors[field] = 'Enter a full URL, e.g. https://example.com/page';
+    }
+  });
+
+  if (content.expiresAt && Number.isNaN(Date.parse(content.expiresAt))) {
+    errors.expiresAt = 'Invalid date';
+  }
+
+  if (content.campaignId && !CAMPAIGN_ID_PATTERN.test(content.campaignId)) {
+    errors.campaignId = 'Invalid campaign ID';
+  }
+
+  return errors;
+}
+
+/**
+ * Map a 400 response from the content API to { field: message }, so
+ * server-side errors show next to the field too (others go under `form`)
+ */
+export function getServerFieldErrors(responseData) {
+  if (!responseData) {
+    return { form: 'Failed to save content' };
+  }
+
+  if (Array.isArray(responseData.errors) && responseData.errors.length > 0) {
+    return responseData.errors.reduce((errors, error) => {
+      const field = error.path || error.param || 'form';
+      return { ...errors, [field]: errors[field] || error.msg };
+    }, {});
+  }
+
+  const requiredMatch = /^(\w+) is required/.exec(responseData.message || '');
+  if (requiredMatch && FIELD_LABELS[requiredMatch[1]]) {
+    return { [requiredMatch[1]]: responseData.message };
+  }
+
+  return { form: responseData.message || 'Failed to save content' };
+}